@@ -14,8 +14,13 @@ export class CacheManager {
   }
 
   generateCacheKey(data) {
-    // Create a hash of the input data for consistent cache keys
-    const stringified = JSON.stringify(data, Object.keys(data).sort());
+    // Create a hash of the input data for consistent cache keys.
+    // Keys are sorted at every depth; a top-level replacer array would drop nested option fields.
+    const stringified = JSON.stringify(data, (key, value) => (
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+        : value
+    ));
     return crypto.createHash('md5').update(stringified).digest('hex');
   }
 
@@ -256,8 +261,8 @@ export const codeGenerationCache = new CodeGenerationCache();
 export const performanceMonitor = new PerformanceMonitor();
 export const requestThrottler = new RequestThrottler();
 
-// Cleanup interval
+// Cleanup interval; unref'd so scripts and tests that import the API can exit
 setInterval(() => {
   codeGenerationCache.cache.cleanup();
   requestThrottler.cleanup();
-}, 300000); // Every 5 minutes
+}, 300000).unref(); // Every 5 minutes
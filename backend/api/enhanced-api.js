@@ -9,6 +9,7 @@ import EnhancedCodeGenerator from './enhanced-code-generator.js';
 import EvaluatorAgents from './evaluator-agents.js';
 import EnhancedFigmaIntegration from './enhanced-figma-integration.js';
 import PixelPerfectMCPServer from './mcp-server.js';
+import { projectManager } from './project-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -194,11 +195,18 @@ class EnhancedAPI {
           });
         }
 
-        // Create zip file
+        // Create zip file of the current version, or of the directory of a project saved before versioning
         const JSZip = (await import('jszip')).default;
         const zip = new JSZip();
         
-        await this.addDirectoryToZip(zip, projectPath, '');
+        const version = await projectManager.getCurrentVersion(projectId);
+        if (version) {
+          for (const [filePath, content] of Object.entries(version.files)) {
+            zip.file(filePath, content);
+          }
+        } else {
+          await this.addDirectoryToZip(zip, projectPath, '');
+        }
         
         const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
         
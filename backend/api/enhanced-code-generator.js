@@ -1,10 +1,5 @@
 import PixelPerfectMCPServer from './mcp-server.js';
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { projectManager } from './project-store.js';
 
 class EnhancedCodeGenerator {
   constructor() {
@@ -68,15 +63,19 @@ class EnhancedCodeGenerator {
       // Generate component analysis
       const analysis = await this.generateComponentAnalysis(result.code, platform);
 
-      // Save results
-      const projectPath = await this.saveProject(result, analysis, platform);
+      // Save results; a store that cannot be written only costs the version history
+      const saved = await this.saveProject(result, analysis, platform, images, options).catch(error => {
+        console.warn('Project not saved:', error.message);
+        return null;
+      });
 
       return {
         success: true,
         code: result.code,
         qualityScore: result.qualityScore,
         analysis: analysis,
-        projectPath: projectPath,
+        projectId: saved?.project.id || null,
+        version: saved?.version.number ?? null,
         platform: platform,
         framework: framework,
         timestamp: new Date().toISOString()
@@ -215,77 +214,30 @@ class EnhancedCodeGenerator {
     return JSON.parse(result.result.content[0].text);
   }
 
-  async saveProject(result, analysis, platform) {
-    const timestamp = Date.now();
-    const projectDir = path.join(__dirname, '../projects', `${platform}-${timestamp}`);
-    
-    await fs.ensureDir(projectDir);
-
-    // Save code files
-    const codeDir = path.join(projectDir, 'src');
-    await fs.ensureDir(codeDir);
-
-    // Parse and save code files based on platform
-    if (platform === 'web') {
-      await this.saveWebProject(result.code, codeDir);
-    } else if (platform === 'android') {
-      await this.saveAndroidProject(result.code, codeDir);
-    } else if (platform === 'ios') {
-      await this.saveIOSProject(result.code, codeDir);
-    }
-
-    // Save analysis
-    const analysisPath = path.join(projectDir, 'analysis.md');
-    await fs.writeFile(analysisPath, analysis.analysis);
-
-    // Save metadata
-    const metadata = {
-      platform: platform,
-      qualityScore: result.qualityScore,
-      timestamp: new Date().toISOString(),
-      analysisPath: analysis.filePath
-    };
-    
-    const metadataPath = path.join(projectDir, 'metadata.json');
-    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-
-    return projectDir;
-  }
-
-  async saveWebProject(code, codeDir) {
-    // Extract and save React/Vue/Angular components
-    const components = this.extractWebComponents(code);
-    
-    for (const [filename, content] of Object.entries(components)) {
-      const filePath = path.join(codeDir, filename);
-      await fs.writeFile(filePath, content);
-    }
-
-    // Create package.json
-    const packageJson = this.generateWebPackageJson();
-    await fs.writeFile(path.join(codeDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-  }
-
-  async saveAndroidProject(code, codeDir) {
-    // Extract and save Android files
-    const androidFiles = this.extractAndroidFiles(code);
-    
-    for (const [filepath, content] of Object.entries(androidFiles)) {
-      const fullPath = path.join(codeDir, filepath);
-      await fs.ensureDir(path.dirname(fullPath));
-      await fs.writeFile(fullPath, content);
-    }
-  }
-
-  async saveIOSProject(code, codeDir) {
-    // Extract and save iOS files
-    const iosFiles = this.extractIOSFiles(code);
-    
-    for (const [filepath, content] of Object.entries(iosFiles)) {
-      const fullPath = path.join(codeDir, filepath);
-      await fs.ensureDir(path.dirname(fullPath));
-      await fs.writeFile(fullPath, content);
-    }
+  // Record the generated code as a project version in the project store
+  async saveProject(result, analysis, platform, images = [], options = {}) {
+    // Parse code files based on platform
+    const codeFiles = platform === 'web'
+      ? { ...this.extractWebComponents(result.code), 'package.json': JSON.stringify(this.generateWebPackageJson(), null, 2) }
+      : platform === 'android' ? this.extractAndroidFiles(result.code)
+      : platform === 'ios' ? this.extractIOSFiles(result.code)
+      : {};
+
+    return projectManager.recordVersion({
+      name: `${platform} pixel-perfect project`,
+      source: 'pixel_perfect',
+      action: 'generate_pixel_perfect_code',
+      platform,
+      framework: options.framework,
+      inputs: { images },
+      options,
+      files: {
+        ...Object.fromEntries(Object.entries(codeFiles).map(([filepath, content]) => [`src/${filepath}`, content])),
+        'analysis.md': analysis.analysis
+      },
+      mainCode: result.code,
+      scores: { quality: result.qualityScore?.overallScore ?? null }
+    });
   }
 
   extractWebComponents(code) {
@@ -1,5 +1,7 @@
 import axios from 'axios';
+import JSZip from 'jszip';
 import PixelPerfectMCPServer from './mcp-server.js';
+import { projectManager } from './project-store.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,11 +11,19 @@ const __dirname = path.dirname(__filename);
 
 class EnhancedFigmaIntegration {
   constructor() {
-    this.mcpServer = new PixelPerfectMCPServer();
+    this._mcpServer = null;
     this.figmaToken = process.env.FIGMA_API_TOKEN || "figd_00LP2oP9Fqfd0PY0alm9L9tsjlC85pn8m5KEeXMn";
     this.baseUrl = 'https://api.figma.com/v1';
   }
 
+  // Only the screenshot import talks to the MCP server, so layer translation works without it
+  get mcpServer() {
+    if (!this._mcpServer) {
+      this._mcpServer = new PixelPerfectMCPServer();
+    }
+    return this._mcpServer;
+  }
+
   async importFromFigma(figmaUrl, options = {}) {
     try {
       const {
@@ -25,24 +35,38 @@ class EnhancedFigmaIntegration {
         routing = ''
       } = options;
 
+      // Offline imports bring the file JSON and the frame renders with them
+      const offline = options.offline || null;
+
       // Extract file key from URL
-      const fileKey = this.extractFileKey(figmaUrl);
-      if (!fileKey) {
+      const fileKey = offline ? offline.fileKey || null : this.extractFileKey(figmaUrl);
+      if (!offline && !fileKey) {
         throw new Error('Invalid Figma URL format');
       }
 
       // Get file information
-      const fileInfo = await this.getFigmaFile(fileKey);
+      const fileInfo = offline ? offline.file : await this.getFigmaFile(fileKey);
       
       // Extract frames and components
       const frames = this.extractFrames(fileInfo.document);
       const components = this.extractComponents(fileInfo.document);
       
-      // Get image URLs
-      const imageUrls = await this.getImageUrls(fileKey, frames);
-      
-      // Download and process images
-      const processedImages = await this.downloadAndProcessImages(imageUrls);
+      // Get image URLs, or take the renders of frames the archive has
+      let processedImages;
+      if (offline) {
+        const frameIds = new Set(frames.map(frame => frame.id));
+        processedImages = await Promise.all(Object.entries(offline.frameImages || {})
+          .filter(([frameId]) => frameIds.has(frameId))
+          .map(([frameId, image]) => this.processImage(Buffer.from(image.data, 'base64'), frameId)));
+        if (processedImages.length === 0) {
+          throw new Error('The images archive has no renders of frames in this file (frames/<node-id>.png)');
+        }
+      } else {
+        const imageUrls = await this.getImageUrls(fileKey, frames);
+        
+        // Download and process images
+        processedImages = await this.downloadAndProcessImages(imageUrls);
+      }
       
       // Generate pixel-perfect code using MCP
       const codeResult = await this.generateCodeFromFigma(processedImages, {
@@ -65,12 +89,19 @@ class EnhancedFigmaIntegration {
         figmaData: { frames, components }
       });
 
-      // Save project
-      const projectPath = await this.saveFigmaProject(codeResult, analysis, {
+      // Save project; a store that cannot be written only costs the version history
+      const saved = await this.saveFigmaProject(codeResult, analysis, {
         platform,
         framework,
         figmaUrl,
-        fileKey
+        fileKey,
+        offline: Boolean(offline),
+        projectId: options.projectId,
+        name: fileInfo.name
+      }).catch(error => {
+        if (error.name === 'ValidationError') throw error;
+        console.warn('Figma project not saved:', error.message);
+        return null;
       });
 
       return {
@@ -78,7 +109,8 @@ class EnhancedFigmaIntegration {
         code: codeResult.code,
         qualityScore: codeResult.qualityScore,
         analysis: analysis,
-        projectPath: projectPath,
+        projectId: saved?.project.id || null,
+        version: saved?.version.number ?? null,
         figmaData: {
           fileKey,
           frames: frames.length,
@@ -134,6 +166,85 @@ class EnhancedFigmaIntegration {
     return response.data;
   }
 
+  async getImageFills(fileKey) {
+    const headers = {
+      'X-Figma-Token': this.figmaToken,
+      'User-Agent': 'Digital-Studio-VM/1.0',
+      'Accept': 'application/json'
+    };
+
+    // Download URLs for every image used as a fill, keyed by imageRef
+    const response = await axios.get(`${this.baseUrl}/files/${fileKey}/images`, { headers });
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to get image fills: ${response.statusText}`);
+    }
+
+    return response.data?.meta?.images || {};
+  }
+
+  async getFigmaVariables(fileKey) {
+    const headers = {
+      'X-Figma-Token': this.figmaToken,
+      'User-Agent': 'Digital-Studio-VM/1.0',
+      'Accept': 'application/json'
+    };
+
+    // Local variables and their collections; Figma only serves these to Enterprise members
+    const response = await axios.get(`${this.baseUrl}/files/${fileKey}/variables/local`, { headers });
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to get Figma variables: ${response.statusText}`);
+    }
+
+    return response.data;
+  }
+
+  // Token set of the last import of a file, so a re-import can report what changed
+  async loadTokenSnapshot(fileKey) {
+    const snapshotPath = path.join(__dirname, '../figma-tokens', `${fileKey}.json`);
+    if (!(await fs.pathExists(snapshotPath))) {
+      return null;
+    }
+    return fs.readJson(snapshotPath);
+  }
+
+  async saveTokenSnapshot(fileKey, tokens) {
+    const snapshotDir = path.join(__dirname, '../figma-tokens');
+    await fs.ensureDir(snapshotDir);
+    await fs.writeFile(path.join(snapshotDir, `${fileKey}.json`), JSON.stringify(tokens, null, 2));
+  }
+
+  /**
+   * Read an exported images archive
+   * @param {Buffer} buffer - Zip with image fills as `<imageRef>.png` (optionally under `images/`)
+   *   and frame renders as `frames/<node-id>.png`, where `1-2` stands for node `1:2`
+   * @returns {Promise<Object>} - { imageFills: { imageRef: { data, mimeType } }, frameImages: { nodeId: { data, mimeType } } }
+   */
+  async readImageArchive(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const imageFills = {};
+    const frameImages = {};
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir || entry.name.startsWith('__MACOSX/')) continue;
+      const match = entry.name.match(/(?:^|\/)([^/]+)\.(png|jpe?g|gif|webp)$/i);
+      if (!match) continue;
+
+      const image = {
+        data: await entry.async('base64'),
+        mimeType: `image/${match[2].toLowerCase().replace('jpg', 'jpeg')}`
+      };
+      if (/(^|\/)frames\//.test(entry.name)) {
+        frameImages[match[1].replace(/-/g, ':')] = image;
+      } else {
+        imageFills[match[1]] = image;
+      }
+    }
+
+    return { imageFills, frameImages };
+  }
+
   extractFrames(document) {
     const frames = [];
     
@@ -370,97 +481,51 @@ Generate complete, production-ready code that matches the Figma design exactly.
     return JSON.parse(result.result.content[0].text);
   }
 
+  // Record the generated code as a project version in the project store
   async saveFigmaProject(codeResult, analysis, options) {
     const {
       platform,
       framework,
       figmaUrl,
-      fileKey
+      fileKey,
+      offline,
+      projectId,
+      name
     } = options;
 
-    const timestamp = Date.now();
-    const projectDir = path.join(__dirname, '../projects', `figma-${platform}-${timestamp}`);
-    
-    await fs.ensureDir(projectDir);
-
-    // Save code files
-    const codeDir = path.join(projectDir, 'src');
-    await fs.ensureDir(codeDir);
-
-    // Parse and save code files
-    if (platform === 'web') {
-      await this.saveWebProject(codeResult.code, codeDir, framework);
-    } else if (platform === 'android') {
-      await this.saveAndroidProject(codeResult.code, codeDir);
-    } else if (platform === 'ios') {
-      await this.saveIOSProject(codeResult.code, codeDir);
-    }
+    // Parse code files
+    const codeFiles = platform === 'web'
+      ? this.buildWebProject(codeResult.code, framework)
+      : platform === 'android' ? this.extractAndroidFiles(codeResult.code)
+      : platform === 'ios' ? this.extractIOSFiles(codeResult.code)
+      : {};
 
-    // Save Figma metadata
-    const figmaMetadata = {
-      figmaUrl,
-      fileKey,
-      platform,
-      framework,
-      timestamp: new Date().toISOString()
-    };
-    
-    const figmaMetadataPath = path.join(projectDir, 'figma-metadata.json');
-    await fs.writeFile(figmaMetadataPath, JSON.stringify(figmaMetadata, null, 2));
-
-    // Save analysis
-    const analysisPath = path.join(projectDir, 'analysis.md');
-    await fs.writeFile(analysisPath, analysis.analysis);
-
-    // Save project metadata
-    const metadata = {
-      platform: platform,
-      framework: framework,
-      qualityScore: codeResult.qualityScore,
-      figmaUrl: figmaUrl,
-      fileKey: fileKey,
-      timestamp: new Date().toISOString()
+    const files = {
+      ...Object.fromEntries(Object.entries(codeFiles).map(([filepath, content]) => [`src/${filepath}`, content])),
+      'analysis.md': analysis.analysis
     };
-    
-    const metadataPath = path.join(projectDir, 'metadata.json');
-    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-
-    return projectDir;
-  }
 
-  async saveWebProject(code, codeDir, framework) {
-    // Extract and save components
-    const components = this.extractWebComponents(code, framework);
-    
-    for (const [filename, content] of Object.entries(components)) {
-      const filePath = path.join(codeDir, filename);
-      await fs.writeFile(filePath, content);
-    }
-
-    // Create framework-specific configuration files
-    await this.createWebConfigFiles(codeDir, framework);
-  }
-
-  async saveAndroidProject(code, codeDir) {
-    // Extract and save Android files
-    const androidFiles = this.extractAndroidFiles(code);
-    
-    for (const [filepath, content] of Object.entries(androidFiles)) {
-      const fullPath = path.join(codeDir, filepath);
-      await fs.ensureDir(path.dirname(fullPath));
-      await fs.writeFile(fullPath, content);
-    }
+    return projectManager.recordVersion({
+      projectId,
+      name: name || fileKey || 'Figma import',
+      source: 'figma',
+      action: 'import_figma',
+      platform,
+      framework,
+      inputs: { figmaUrl: figmaUrl || null, fileKey: fileKey || null, offline: Boolean(offline) },
+      options: { platform, framework },
+      files,
+      mainCode: codeResult.code,
+      scores: { quality: codeResult.qualityScore?.overallScore ?? null }
+    });
   }
 
-  async saveIOSProject(code, codeDir) {
-    // Extract and save iOS files
-    const iosFiles = this.extractIOSFiles(code);
-    
-    for (const [filepath, content] of Object.entries(iosFiles)) {
-      const fullPath = path.join(codeDir, filepath);
-      await fs.ensureDir(path.dirname(fullPath));
-      await fs.writeFile(fullPath, content);
-    }
+  buildWebProject(code, framework) {
+    // Extract components and add framework-specific configuration files
+    return {
+      ...this.extractWebComponents(code, framework),
+      ...this.createWebConfigFiles(framework)
+    };
   }
 
   extractWebComponents(code, framework) {
@@ -517,7 +582,7 @@ Generate complete, production-ready code that matches the Figma design exactly.
     return files;
   }
 
-  async createWebConfigFiles(codeDir, framework) {
+  createWebConfigFiles(framework) {
     if (framework.toLowerCase() === 'react') {
       const packageJson = {
         name: "figma-react-app",
@@ -537,8 +602,9 @@ Generate complete, production-ready code that matches the Figma design exactly.
         }
       };
       
-      await fs.writeFile(path.join(codeDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+      return { 'package.json': JSON.stringify(packageJson, null, 2) };
     }
+    return {};
   }
 }
 
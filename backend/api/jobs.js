@@ -0,0 +1,353 @@
+// Background generation jobs with polling and cancellation
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isAbortError } from './utils/llm-providers.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATUSES = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+// Share of overall progress (percent) credited to each generation stage
+const STAGE_WEIGHTS = {
+  analysis: 20,
+  generation: 55,
+  optimization: 15,
+  evaluation: 10
+};
+
+const JOB_ID_PATTERN = /^job-[0-9a-f-]{36}$/;
+
+// Submissions sweep expired jobs at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, structuredClone(job));
+    return job;
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  async prune(shouldDelete) {
+    let removed = 0;
+    for (const [id, job] of this.jobs) {
+      if (shouldDelete(job)) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Persists each job as <dir>/<id>.json so status survives the request (and process) that started it
+export class FileJobStore {
+  constructor(directory = process.env.JOBS_DIR || path.join(os.tmpdir(), 'digital-studio-jobs')) {
+    this.directory = directory;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async save(job) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write then rename so pollers never read a half-written file
+    const target = this.filePath(job.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(job, null, 2));
+    await fs.promises.rename(temp, target);
+    return job;
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async prune(shouldDelete) {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+    for (const name of names.filter(entry => entry.endsWith('.json'))) {
+      // A file another instance is replacing or removing is left for the next sweep
+      const job = await this.get(name.slice(0, -'.json'.length)).catch(() => null);
+      if (job && shouldDelete(job) && await this.delete(job.id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export function createJobStore(type = process.env.JOB_STORE || 'file') {
+  return type === 'memory' ? new MemoryJobStore() : new FileJobStore();
+}
+
+export class JobManager {
+  constructor(
+    store = createJobStore(),
+    staleAfterMs = Number(process.env.JOB_STALE_MS || 10 * 60 * 1000),
+    ttlMs = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000)
+  ) {
+    this.store = store;
+    this.staleAfterMs = staleAfterMs;
+    this.ttlMs = ttlMs;
+    this.controllers = new Map();
+    this.writes = new Map();
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Create a job and start running it in the background
+   * @param {string} type - Job type (e.g. generate_code)
+   * @param {Object} request - Summary of the inputs, stored with the job
+   * @param {Function} runner - async ({ signal, progress }) => result
+   * @returns {Object} - The queued job
+   */
+  async submit(type, request, runner) {
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.prune().catch(error => console.warn('Failed to prune finished jobs:', error.message));
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${crypto.randomUUID()}`,
+      type,
+      status: JOB_STATUS.QUEUED,
+      stage: null,
+      stages: {},
+      message: 'Queued',
+      progress: 0,
+      files: [],
+      request,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.save(job);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.run(job.id, runner, controller).finally(() => {
+      this.controllers.delete(job.id);
+      this.writes.delete(job.id);
+    });
+
+    return job;
+  }
+
+  async run(id, runner, controller) {
+    await this.update(id, { status: JOB_STATUS.RUNNING, message: 'Running', startedAt: new Date().toISOString() });
+
+    try {
+      const result = await runner({
+        signal: controller.signal,
+        progress: (event, data) => this.recordProgress(id, event, data, controller)
+      });
+
+      await this.update(id, (job) => (job.cancelRequested || controller.signal.aborted
+        ? this.cancelledState(job)
+        : {
+          ...job,
+          status: JOB_STATUS.COMPLETED,
+          message: 'Completed',
+          progress: 100,
+          result,
+          completedAt: new Date().toISOString()
+        }));
+    } catch (error) {
+      if (controller.signal.aborted || isAbortError(error)) {
+        await this.update(id, (job) => this.cancelledState(job));
+        return;
+      }
+
+      console.error(`Job ${id} failed:`, error);
+      await this.update(id, {
+        status: JOB_STATUS.FAILED,
+        message: 'Failed',
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  cancelledState(job) {
+    return {
+      ...job,
+      status: JOB_STATUS.CANCELLED,
+      message: 'Cancelled',
+      cancelRequested: true,
+      completedAt: job.completedAt || new Date().toISOString()
+    };
+  }
+
+  // Translate generator progress events into job state; file chunks are too chatty to persist
+  recordProgress(id, event, data = {}, controller) {
+    if (event !== 'stage' && event !== 'file') {
+      return;
+    }
+
+    this.update(id, (job) => {
+      // Another instance may have flagged the job through the shared store
+      if (job.cancelRequested && !controller.signal.aborted) {
+        controller.abort();
+      }
+
+      if (event === 'file') {
+        return job.files.includes(data.path) ? job : { ...job, files: [...job.files, data.path] };
+      }
+
+      const stages = { ...job.stages, [data.stage]: data.status };
+      return {
+        ...job,
+        stage: data.stage,
+        stages,
+        message: data.message || `${data.stage} ${data.status}`,
+        progress: Math.max(job.progress, this.calculateProgress(stages))
+      };
+    }).catch(error => console.warn(`Failed to record progress for job ${id}:`, error.message));
+  }
+
+  calculateProgress(stages) {
+    const total = Object.entries(STAGE_WEIGHTS).reduce((sum, [stage, weight]) => {
+      const status = stages[stage];
+      if (!status) return sum;
+      return sum + (status === 'running' ? weight / 2 : weight);
+    }, 0);
+    // 100 is reserved for a stored result
+    return Math.min(Math.round(total), 99);
+  }
+
+  // Serialize writes per job so concurrent progress events never overwrite each other
+  update(id, changes) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.then(async () => {
+      const job = await this.store.get(id);
+      if (!job) return null;
+
+      const updated = typeof changes === 'function' ? changes(job) : { ...job, ...changes };
+      updated.updatedAt = new Date().toISOString();
+      await this.store.save(updated);
+      return updated;
+    });
+
+    this.writes.set(id, next.catch(() => {}));
+    return next;
+  }
+
+  async get(id) {
+    if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const job = await this.store.get(id);
+    if (job && this.isExpired(job)) {
+      await this.store.delete(id);
+      return null;
+    }
+    if (!job || TERMINAL_STATUSES.has(job.status) || this.controllers.has(id)) {
+      return job;
+    }
+
+    // Running in a store but not in any live worker we know of and silent for too long
+    const idleMs = Date.now() - new Date(job.updatedAt).getTime();
+    if (idleMs > this.staleAfterMs) {
+      return this.update(id, {
+        status: JOB_STATUS.FAILED,
+        message: 'Failed',
+        error: 'Job stopped reporting progress; the worker running it is no longer available',
+        completedAt: new Date().toISOString()
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Request cancellation, aborting in-flight model calls when the job runs in this process
+   * @param {string} id - Job id
+   * @returns {Object|null} - Updated job, or null when the id is unknown
+   */
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job || TERMINAL_STATUSES.has(job.status)) {
+      return job;
+    }
+
+    const updated = await this.update(id, (current) => this.cancelledState(current));
+    this.controllers.get(id)?.abort();
+    return updated;
+  }
+
+  isTerminal(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  // Finished jobs are kept for the TTL; their results are saved as project versions too
+  isExpired(job, now = Date.now()) {
+    return this.isTerminal(job) && now - new Date(job.completedAt || job.updatedAt).getTime() > this.ttlMs;
+  }
+
+  /**
+   * Remove finished jobs older than the TTL from the store
+   * @returns {Promise<number>} - Number of jobs removed
+   */
+  async prune() {
+    const now = Date.now();
+    this.lastPrunedAt = now;
+    return this.store.prune(job => this.isExpired(job, now));
+  }
+}
+
+// Global instance
+export const jobManager = new JobManager();
@@ -0,0 +1,496 @@
+// Generated projects and their immutable versions, on the filesystem or in SQLite
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Older generators named their directories <platform>-<timestamp>; anything path-safe is accepted
+const PROJECT_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,127}$/;
+
+// What a version listing shows without loading the files
+function versionSummary(version) {
+  const { files, mainCode, inputs, options, ...summary } = version;
+  return { ...summary, fileCount: Object.keys(files || {}).length };
+}
+
+// Stores each project as <dir>/<id>/metadata.json with versions/<n>.json, content-addressed input blobs and
+// conversation.json for edits; metadata.json stays where projects.js has always listed it
+export class FileProjectStore {
+  constructor(directory = process.env.PROJECTS_DIR || path.join(__dirname, '../projects')) {
+    this.directory = directory;
+  }
+
+  projectDir(id) {
+    return path.join(this.directory, id);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getProject(id) {
+    const metadata = await this.readJson(path.join(this.projectDir(id), 'metadata.json'));
+    return metadata ? { id, ...metadata } : null;
+  }
+
+  // Write then rename so readers never see a half-written file
+  async writeJson(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const temp = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temp, filePath);
+  }
+
+  async saveProject(project) {
+    await this.writeJson(path.join(this.projectDir(project.id), 'metadata.json'), project);
+    return project;
+  }
+
+  async listProjects() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const projects = [];
+    for (const entry of await fs.promises.readdir(this.directory)) {
+      if (!PROJECT_ID_PATTERN.test(entry)) continue;
+      try {
+        const project = await this.getProject(entry);
+        if (project) projects.push(project);
+      } catch (error) {
+        console.warn(`Failed to read metadata for project ${entry}:`, error.message);
+      }
+    }
+    return projects;
+  }
+
+  async deleteProject(id) {
+    const dir = this.projectDir(id);
+    const exists = await fs.promises.stat(dir).then(() => true, () => false);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    return exists;
+  }
+
+  /**
+   * Write a version once; an existing version with the same number is never replaced
+   * @param {Object} version - Version with projectId and number
+   * @returns {Promise<boolean>} - false when the number is already taken
+   */
+  async insertVersion(version) {
+    const dir = path.join(this.projectDir(version.projectId), 'versions');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const target = path.join(dir, `${version.number}.json`);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(version, null, 2));
+    try {
+      // link() fails instead of overwriting, so concurrent writers cannot replace a version
+      await fs.promises.link(temp, target);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    } finally {
+      await fs.promises.unlink(temp).catch(() => {});
+    }
+  }
+
+  async getVersion(id, number) {
+    return this.readJson(path.join(this.projectDir(id), 'versions', `${number}.json`));
+  }
+
+  async listVersions(id) {
+    const dir = path.join(this.projectDir(id), 'versions');
+    const entries = await fs.promises.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    const numbers = entries
+      .map(entry => entry.match(/^(\d+)\.json$/)?.[1])
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    const versions = [];
+    for (const number of numbers) {
+      const version = await this.getVersion(id, number);
+      if (version) versions.push(versionSummary(version));
+    }
+    return versions;
+  }
+
+  async putBlob(id, hash, buffer) {
+    const dir = path.join(this.projectDir(id), 'blobs');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, hash), buffer, { flag: 'wx' }).catch(error => {
+      // Same content, same name: the blob is already there
+      if (error.code !== 'EEXIST') throw error;
+    });
+  }
+
+  async getBlob(id, hash) {
+    try {
+      return await fs.promises.readFile(path.join(this.projectDir(id), 'blobs', hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getConversation(id) {
+    return this.readJson(path.join(this.projectDir(id), 'conversation.json'));
+  }
+
+  async saveConversation(id, conversation) {
+    await this.writeJson(path.join(this.projectDir(id), 'conversation.json'), conversation);
+    return conversation;
+  }
+}
+
+// Keeps projects, versions, input blobs and edit conversations in one SQLite database; better-sqlite3 is loaded on first use
+export class SqliteProjectStore {
+  constructor(filename = process.env.PROJECTS_DB || path.join(__dirname, '../projects.db')) {
+    this.filename = filename;
+    this.database = null;
+  }
+
+  async db() {
+    if (this.database) {
+      return this.database;
+    }
+
+    const { default: Database } = await import('better-sqlite3');
+    const db = new Database(this.filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS versions (
+        project_id TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        summary TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (project_id, number)
+      );
+      CREATE TABLE IF NOT EXISTS blobs (
+        project_id TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (project_id, hash)
+      );
+      CREATE TABLE IF NOT EXISTS conversations (
+        project_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TRIGGER IF NOT EXISTS versions_immutable BEFORE UPDATE ON versions
+      BEGIN
+        SELECT RAISE(ABORT, 'project versions are immutable');
+      END;
+    `);
+    this.database = db;
+    return db;
+  }
+
+  async getProject(id) {
+    const row = (await this.db()).prepare('SELECT data FROM projects WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveProject(project) {
+    (await this.db())
+      .prepare('INSERT INTO projects (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data')
+      .run(project.id, JSON.stringify(project));
+    return project;
+  }
+
+  async listProjects() {
+    return (await this.db()).prepare('SELECT data FROM projects').all().map(row => JSON.parse(row.data));
+  }
+
+  async deleteProject(id) {
+    const db = await this.db();
+    const remove = db.transaction(() => {
+      db.prepare('DELETE FROM versions WHERE project_id = ?').run(id);
+      db.prepare('DELETE FROM blobs WHERE project_id = ?').run(id);
+      db.prepare('DELETE FROM conversations WHERE project_id = ?').run(id);
+      return db.prepare('DELETE FROM projects WHERE id = ?').run(id).changes > 0;
+    });
+    return remove();
+  }
+
+  async insertVersion(version) {
+    try {
+      (await this.db())
+        .prepare('INSERT INTO versions (project_id, number, summary, data) VALUES (?, ?, ?, ?)')
+        .run(version.projectId, version.number, JSON.stringify(versionSummary(version)), JSON.stringify(version));
+      return true;
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getVersion(id, number) {
+    const row = (await this.db()).prepare('SELECT data FROM versions WHERE project_id = ? AND number = ?').get(id, number);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async listVersions(id) {
+    return (await this.db())
+      .prepare('SELECT summary FROM versions WHERE project_id = ? ORDER BY number')
+      .all(id)
+      .map(row => JSON.parse(row.summary));
+  }
+
+  async putBlob(id, hash, buffer) {
+    (await this.db()).prepare('INSERT OR IGNORE INTO blobs (project_id, hash, data) VALUES (?, ?, ?)').run(id, hash, buffer);
+  }
+
+  async getBlob(id, hash) {
+    return (await this.db()).prepare('SELECT data FROM blobs WHERE project_id = ? AND hash = ?').get(id, hash)?.data || null;
+  }
+
+  async getConversation(id) {
+    const row = (await this.db()).prepare('SELECT data FROM conversations WHERE project_id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveConversation(id, conversation) {
+    (await this.db())
+      .prepare('INSERT INTO conversations (project_id, data) VALUES (?, ?) ON CONFLICT(project_id) DO UPDATE SET data = excluded.data')
+      .run(id, JSON.stringify(conversation));
+    return conversation;
+  }
+}
+
+export function createProjectStore(type = process.env.PROJECT_STORE || 'file') {
+  return type === 'sqlite' ? new SqliteProjectStore() : new FileProjectStore();
+}
+
+export class ProjectManager {
+  constructor(store = createProjectStore()) {
+    this.store = store;
+    this.writes = new Map();
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && PROJECT_ID_PATTERN.test(id);
+  }
+
+  async getProject(id) {
+    return this.isValidId(id) ? this.store.getProject(id) : null;
+  }
+
+  async listProjects() {
+    const projects = await this.store.listProjects();
+    // Newest first
+    return projects.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async deleteProject(id) {
+    return this.isValidId(id) ? this.store.deleteProject(id) : false;
+  }
+
+  /**
+   * Record a generation as the next version of a project, creating the project for its first one
+   * @param {Object} generation - { projectId?, name?, source, action, platform, framework, inputs, options, files, mainCode, scores, message?, restoredFrom? }
+   *   inputs.images ({ data, mimeType, originalname }) are stored once per content and referenced by hash
+   * @returns {Promise<Object>} - { project, version } with the version summary
+   */
+  async recordVersion(generation) {
+    const projectId = generation.projectId || `project-${crypto.randomUUID()}`;
+    if (!this.isValidId(projectId)) {
+      throw new ValidationError('projectId must contain only letters, digits, hyphens and underscores', 'projectId', 'INVALID_PROJECT_ID');
+    }
+
+    const inputs = await this.storeInputs(projectId, generation.inputs || {});
+
+    // Serialize versions per project; the store still refuses a number another process took first
+    const previous = this.writes.get(projectId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const existing = await this.store.getProject(projectId);
+      if (generation.projectId && !existing) {
+        throw new ValidationError(`Project ${projectId} not found`, 'projectId', 'PROJECT_NOT_FOUND');
+      }
+
+      const now = new Date().toISOString();
+      let number = (existing?.currentVersion || 0) + 1;
+      let version;
+      for (;;) {
+        version = {
+          projectId,
+          number,
+          action: generation.action,
+          message: generation.message || null,
+          parent: number > 1 ? number - 1 : null,
+          ...(generation.restoredFrom && { restoredFrom: generation.restoredFrom }),
+          platform: generation.platform,
+          framework: generation.framework,
+          inputs,
+          options: this.serializableOptions(generation.options),
+          files: generation.files || {},
+          mainCode: generation.mainCode ?? null,
+          scores: generation.scores || {},
+          createdAt: now
+        };
+        if (await this.store.insertVersion(version)) break;
+        number++;
+      }
+
+      const project = {
+        ...existing,
+        id: projectId,
+        name: existing?.name || generation.name || projectId,
+        source: existing?.source || generation.source || generation.action,
+        platform: generation.platform,
+        framework: generation.framework,
+        qualityScore: generation.scores?.quality ?? existing?.qualityScore ?? null,
+        currentVersion: number,
+        versionCount: (existing?.versionCount || 0) + 1,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        timestamp: now
+      };
+      await this.store.saveProject(project);
+      return { project, version: versionSummary(version) };
+    });
+
+    this.writes.set(projectId, next.catch(() => {}));
+    return next;
+  }
+
+  // Images become { name, mimeType, size, hash } references to blobs; other inputs are kept as they are
+  async storeInputs(projectId, inputs) {
+    if (!Array.isArray(inputs.images)) {
+      return inputs;
+    }
+
+    const images = [];
+    for (const image of inputs.images) {
+      // Restored versions pass references along unchanged
+      if (image.hash && !image.data) {
+        images.push(image);
+        continue;
+      }
+      const buffer = Buffer.from(image.data, 'base64');
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      await this.store.putBlob(projectId, hash, buffer);
+      images.push({ name: image.originalname || image.name || null, mimeType: image.mimeType, size: buffer.length, hash });
+    }
+    return { ...inputs, images };
+  }
+
+  // Drops abort signals and anything else JSON cannot hold
+  serializableOptions(options = {}) {
+    return JSON.parse(JSON.stringify(options, (key, value) => (key === 'signal' ? undefined : value)) || '{}');
+  }
+
+  async listVersions(projectId) {
+    const project = await this.getProject(projectId);
+    return project ? this.store.listVersions(projectId) : null;
+  }
+
+  async getVersion(projectId, number) {
+    return this.isValidId(projectId) ? this.store.getVersion(projectId, number) : null;
+  }
+
+  // The version a project currently points at; older projects saved without versions have none
+  async getCurrentVersion(projectId) {
+    const project = await this.getProject(projectId);
+    return project?.currentVersion ? this.store.getVersion(projectId, project.currentVersion) : null;
+  }
+
+  /**
+   * Read the stored input images of a version back into the shape generators take
+   * @param {string} projectId - Project id
+   * @param {Array} images - { name, mimeType, size, hash } references from version.inputs.images
+   * @returns {Promise<Array|null>} - [{ data, mimeType, originalname }], or null when a blob is missing
+   */
+  async loadImages(projectId, images = []) {
+    const loaded = [];
+    for (const image of images) {
+      const buffer = await this.store.getBlob(projectId, image.hash);
+      if (!buffer) {
+        return null;
+      }
+      loaded.push({ data: Buffer.from(buffer).toString('base64'), mimeType: image.mimeType, originalname: image.name });
+    }
+    return loaded;
+  }
+
+  // The edit conversation of a project; null when the project does not exist
+  async getConversation(projectId) {
+    const project = await this.getProject(projectId);
+    if (!project) {
+      return null;
+    }
+    return await this.store.getConversation(projectId) || { projectId, turns: [], updatedAt: null };
+  }
+
+  /**
+   * Change a project's edit conversation, serialized with the project's other writes
+   * @param {string} projectId - Project id
+   * @param {Function} update - Receives the conversation and returns the new one; may throw to leave it unchanged
+   * @returns {Promise<Object>} - The saved conversation
+   */
+  async updateConversation(projectId, update) {
+    const previous = this.writes.get(projectId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const conversation = await this.getConversation(projectId);
+      if (!conversation) {
+        throw new ValidationError(`Project ${projectId} not found`, 'projectId', 'PROJECT_NOT_FOUND');
+      }
+      const updated = await update(conversation);
+      return this.store.saveConversation(projectId, { ...updated, projectId, updatedAt: new Date().toISOString() });
+    });
+
+    this.writes.set(projectId, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Make an earlier version current again by copying it into a new version; history is never rewritten
+   * @param {string} projectId - Project id
+   * @param {number} number - Version to restore
+   * @returns {Promise<Object|null>} - { project, version }, or null when the project or version is unknown
+   */
+  async restore(projectId, number) {
+    const source = await this.getVersion(projectId, number);
+    if (!source) {
+      return null;
+    }
+
+    return this.recordVersion({
+      projectId,
+      action: 'restore',
+      message: `Restored version ${number}`,
+      restoredFrom: number,
+      platform: source.platform,
+      framework: source.framework,
+      inputs: source.inputs,
+      options: source.options,
+      files: source.files,
+      mainCode: source.mainCode,
+      scores: source.scores
+    });
+  }
+}
+
+// Global instance
+export const projectManager = new ProjectManager();
@@ -2,6 +2,8 @@ import cors from 'cors';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { projectManager } from './project-store.js';
+import { diffFiles } from './utils/file-diff.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,7 +24,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action, projectId } = req.query;
+    // Read actions use the query string; restore may also send its parameters as a JSON body
+    const { action, projectId } = { ...req.body, ...req.query };
 
     switch (action) {
       case 'list':
@@ -37,6 +40,21 @@ export default async function handler(req, res) {
       case 'delete':
         return await handleDeleteProject(req, res, projectId);
       
+      case 'versions':
+        return await handleListVersions(req, res, projectId);
+      
+      case 'get_version':
+        return await handleGetVersion(req, res, projectId);
+      
+      case 'restore':
+        return await handleRestoreVersion(req, res, projectId);
+      
+      case 'diff_versions':
+        return await handleDiffVersions(req, res, projectId);
+      
+      case 'conversation':
+        return await handleGetConversation(req, res, projectId);
+      
       default:
         return res.status(400).json({ error: 'Invalid action specified' });
     }
@@ -54,31 +72,8 @@ export default async function handler(req, res) {
 // List all projects
 async function handleListProjects(req, res) {
   try {
-    const projectsDir = path.join(__dirname, '../projects');
-    await fs.ensureDir(projectsDir);
-    
-    const projects = await fs.readdir(projectsDir);
-    const projectList = [];
-
-    for (const project of projects) {
-      const projectPath = path.join(projectsDir, project);
-      const metadataPath = path.join(projectPath, 'metadata.json');
-      
-      if (await fs.pathExists(metadataPath)) {
-        try {
-          const metadata = await fs.readJson(metadataPath);
-          projectList.push({
-            id: project,
-            ...metadata
-          });
-        } catch (error) {
-          console.warn(`Failed to read metadata for project ${project}:`, error.message);
-        }
-      }
-    }
-
-    // Sort by timestamp (newest first)
-    projectList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    // Sorted by timestamp (newest first)
+    const projectList = await projectManager.listProjects();
 
     res.json({
       success: true,
@@ -108,10 +103,9 @@ async function handleGetProjectMetadata(req, res, projectId) {
       });
     }
 
-    const projectPath = path.join(__dirname, '../projects', projectId);
-    const metadataPath = path.join(projectPath, 'metadata.json');
+    const metadata = await projectManager.getProject(projectId);
     
-    if (!await fs.pathExists(metadataPath)) {
+    if (!metadata) {
       return res.status(404).json({
         success: false,
         error: 'Project not found',
@@ -119,10 +113,11 @@ async function handleGetProjectMetadata(req, res, projectId) {
       });
     }
 
-    const metadata = await fs.readJson(metadataPath);
-    
-    // Get additional project info
-    const projectInfo = await getProjectInfo(projectPath);
+    // Get additional project info; projects saved before versioning only have their directory
+    const version = await projectManager.getCurrentVersion(projectId);
+    const projectInfo = version
+      ? getVersionInfo(version)
+      : await getProjectInfo(path.join(__dirname, '../projects', projectId));
     
     res.json({
       success: true,
@@ -154,9 +149,10 @@ async function handleDownloadProject(req, res, projectId) {
       });
     }
 
+    const project = await projectManager.getProject(projectId);
     const projectPath = path.join(__dirname, '../projects', projectId);
     
-    if (!await fs.pathExists(projectPath)) {
+    if (!project) {
       return res.status(404).json({
         success: false,
         error: 'Project not found',
@@ -164,11 +160,18 @@ async function handleDownloadProject(req, res, projectId) {
       });
     }
 
-    // Create zip file
+    // Create zip file of the current version, or of the directory of a project saved before versioning
     const JSZip = (await import('jszip')).default;
     const zip = new JSZip();
     
-    await addDirectoryToZip(zip, projectPath, '');
+    const version = await projectManager.getCurrentVersion(projectId);
+    if (version) {
+      for (const [filePath, content] of Object.entries(version.files)) {
+        zip.file(filePath, content);
+      }
+    } else {
+      await addDirectoryToZip(zip, projectPath, '');
+    }
     
     const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
     
@@ -198,18 +201,14 @@ async function handleDeleteProject(req, res, projectId) {
       });
     }
 
-    const projectPath = path.join(__dirname, '../projects', projectId);
-    
-    if (!await fs.pathExists(projectPath)) {
+    // Delete the project with all of its versions
+    if (!await projectManager.deleteProject(projectId)) {
       return res.status(404).json({
         success: false,
         error: 'Project not found',
         timestamp: new Date().toISOString()
       });
     }
-
-    // Delete project directory
-    await fs.remove(projectPath);
     
     res.json({
       success: true,
@@ -228,7 +227,250 @@ async function handleDeleteProject(req, res, projectId) {
   }
 }
 
+// List the versions of a project, oldest first, without their files
+async function handleListVersions(req, res, projectId) {
+  try {
+    if (!projectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const versions = await projectManager.listVersions(projectId);
+
+    if (!versions) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const project = await projectManager.getProject(projectId);
+
+    res.json({
+      success: true,
+      projectId,
+      currentVersion: project.currentVersion || null,
+      versions,
+      count: versions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Get one version with its inputs, options, files and scores
+async function handleGetVersion(req, res, projectId) {
+  try {
+    const number = parseVersionNumber(req.query.version ?? req.body?.version);
+
+    if (!projectId || !number) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project ID and a version number are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const version = await projectManager.getVersion(projectId, number);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${number} of project ${projectId} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      version,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Restore a version by saving a copy of it as the newest version
+async function handleRestoreVersion(req, res, projectId) {
+  try {
+    const number = parseVersionNumber(req.query.version ?? req.body?.version);
+
+    if (!projectId || !number) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project ID and a version number are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const restored = await projectManager.restore(projectId, number);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${number} of project ${projectId} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      project: restored.project,
+      version: restored.version,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Diff the files of two versions; defaults to the current version against the one it was generated from
+async function handleDiffVersions(req, res, projectId) {
+  try {
+    const params = { ...req.body, ...req.query };
+    const project = projectId ? await projectManager.getProject(projectId) : null;
+
+    if (!project) {
+      return res.status(projectId ? 404 : 400).json({
+        success: false,
+        error: projectId ? 'Project not found' : 'Project ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const toNumber = params.to === undefined ? project.currentVersion : parseVersionNumber(params.to);
+    const to = toNumber ? await projectManager.getVersion(projectId, toNumber) : null;
+    // A first version has nothing before it and is diffed against an empty project
+    const fromNumber = params.from === undefined ? to?.parent ?? null : parseVersionNumber(params.from);
+    const context = params.context === undefined ? undefined : Number(params.context);
+
+    if (!toNumber || (params.from !== undefined && !fromNumber) ||
+        (context !== undefined && !(Number.isInteger(context) && context >= 0 && context <= 20))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be version numbers and context an integer between 0 and 20',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const from = fromNumber ? await projectManager.getVersion(projectId, fromNumber) : { files: {} };
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${from ? toNumber : fromNumber} of project ${projectId} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { files, additions, deletions, ...changes } = diffFiles(from.files, to.files, { context });
+
+    res.json({
+      success: true,
+      projectId,
+      from: fromNumber,
+      to: toNumber,
+      ...changes,
+      stats: { filesChanged: files.length, additions, deletions },
+      files,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Get the edit conversation of a project: each instruction with the edits proposed for it and their outcome
+async function handleGetConversation(req, res, projectId) {
+  try {
+    if (!projectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const conversation = await projectManager.getConversation(projectId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // File contents stay out of the history; the diffs show what each edit does
+    const turns = conversation.turns.map(turn => ({
+      ...turn,
+      edits: turn.edits.map(({ content, ...edit }) => edit)
+    }));
+
+    res.json({
+      success: true,
+      projectId,
+      turns,
+      count: turns.length,
+      updatedAt: conversation.updatedAt,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
 // Utility Functions
+function parseVersionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function getVersionInfo(version) {
+  const contents = Object.values(version.files);
+  return {
+    fileCount: contents.length,
+    totalSize: contents.reduce((sum, content) => sum + Buffer.byteLength(String(content)), 0),
+    lastModified: version.createdAt
+  };
+}
+
 async function getProjectInfo(projectPath) {
   try {
     const info = {
@@ -73,6 +73,10 @@ export class SpecializedCVTools {
         sketch2Code: sketch2CodeResult,
         pix2Code: pix2CodeResult,
         elements: classifiedElements,
+        // Text and colors at the top level too, where HybridAnalysisMerger reads them
+        text: cvResult.text,
+        colors: cvResult.colors,
+        metadata: cvResult.metadata,
         layout: this.enhanceLayoutAnalysis(cvResult.layout, classifiedElements),
         wireframe: await this.generateWireframeData(classifiedElements, cvResult.layout),
         confidence: this.calculateOverallConfidence(cvResult, sketch2CodeResult, pix2CodeResult)
@@ -187,6 +191,37 @@ export class SpecializedCVTools {
     }
   }
 
+  /**
+   * Combine both passes into the element list: the Sketch2Code wireframe type of each element
+   * plus the Pix2Code position, padding and visual importance measured for it
+   * @param {Array} elements - Elements detected by CVAnalysis
+   * @param {Object} sketch2CodeResult - Result of runSketch2CodeAnalysis
+   * @param {Object} pix2CodeResult - Result of runPix2CodeAnalysis
+   * @param {Object} textData - OCR result
+   * @returns {Array} - Classified elements, most important first, without duplicates
+   */
+  async classifyAndEnhanceElements(elements, sketch2CodeResult, pix2CodeResult, textData) {
+    const precise = new Map(pix2CodeResult.preciseElements.map((element, index) => [elements[index], element]));
+    const importance = new Map(pix2CodeResult.visualHierarchy.levels
+      .flatMap(level => level.elements)
+      .map(element => [`${element.bounds.x},${element.bounds.y},${element.bounds.width},${element.bounds.height}`, element.visualImportance]));
+
+    const classified = sketch2CodeResult.wireframeElements.map(element => {
+      const original = elements.find(candidate => candidate.bounds === element.bounds);
+      const measured = precise.get(original) || {};
+      const { x, y, width, height } = element.bounds;
+      return {
+        ...element,
+        bounds: measured.precisePosition || element.bounds,
+        padding: measured.paddingEstimate || null,
+        hasText: this.elementContainsText(element, textData),
+        visualImportance: importance.get(`${x},${y},${width},${height}`) ?? this.calculateVisualImportance(element, textData)
+      };
+    });
+
+    return this.removeDuplicateElements(classified.sort((a, b) => b.visualImportance - a.visualImportance));
+  }
+
   /**
    * Classify CV elements as wireframe components
    */
@@ -0,0 +1,562 @@
+/**
+ * Android Gradle Project
+ * Emits a version-catalog Gradle build (settings, root and app build scripts,
+ * libs.versions.toml, wrapper properties) for the features and language a project
+ * uses, and checks a generated Android project's structure before it is packaged
+ */
+
+import { ValidationError } from '../validation.js';
+
+const GRADLE_VERSION = '8.5';
+
+const VERSIONS = {
+  agp: '8.2.2',
+  kotlin: '1.9.22',
+  ksp: '1.9.22-1.0.17',
+  composeCompiler: '1.5.8',
+  core: '1.12.0',
+  lifecycle: '2.7.0',
+  activityCompose: '1.8.2',
+  composeBom: '2024.02.00',
+  appcompat: '1.6.1',
+  material: '1.11.0',
+  constraintlayout: '2.1.4',
+  fragment: '1.6.2',
+  navigation: '2.7.7',
+  hilt: '2.50',
+  hiltNavigationCompose: '1.1.0',
+  coroutines: '1.7.3',
+  coreTesting: '2.2.0',
+  coil: '2.5.0',
+  room: '2.6.1',
+  retrofit: '2.9.0',
+  okhttp: '4.12.0',
+  datastore: '1.0.0',
+  work: '2.9.0',
+  junit: '4.13.2',
+  mockito: '5.8.0',
+  androidxJunit: '1.1.5',
+  espresso: '3.5.1'
+};
+
+export const ANDROID_LANGUAGE = {
+  KOTLIN: 'kotlin',
+  JAVA: 'java'
+};
+
+// Hilt and Navigation are always on: every generated screen, ViewModel and MainActivity relies on them
+const BASE_FEATURES = ['hilt', 'navigation'];
+// Exactly one UI toolkit per project, picked by the Android interface mode rather than `features`
+const UI_FEATURES = ['compose', 'views'];
+const OPTIONAL_FEATURES = ['room', 'network', 'datastore', 'work'];
+
+// Plain-language hints in customLogic that turn an optional feature on
+const FEATURE_HINTS = {
+  room: /\b(room|database|sqlite|offline)\b/i,
+  network: /\b(api|http|rest|retrofit|network|backend|server)\b/i,
+  datastore: /\b(datastore|preferences)\b/i,
+  work: /\b(workmanager|background (sync|jobs?|work))\b/i
+};
+
+// Imports in generated sources that require an optional feature's libraries
+const FEATURE_IMPORTS = {
+  room: /^import\s+androidx\.room\./m,
+  network: /^import\s+(retrofit2|okhttp3)\./m,
+  datastore: /^import\s+androidx\.datastore\./m,
+  work: /^import\s+androidx\.work\./m
+};
+
+// section: heading in app/build.gradle.kts; configs: dependency configurations ('processor' is ksp
+// for Kotlin and annotationProcessor for Java); feature: only when enabled; language: only for that language
+const LIBRARIES = [
+  { alias: 'androidx-core-ktx', module: 'androidx.core:core-ktx', version: 'core', section: 'Core Android', language: 'kotlin' },
+  { alias: 'androidx-core', module: 'androidx.core:core', version: 'core', section: 'Core Android', language: 'java' },
+  { alias: 'androidx-lifecycle-runtime-ktx', module: 'androidx.lifecycle:lifecycle-runtime-ktx', version: 'lifecycle', section: 'Core Android', language: 'kotlin' },
+  { alias: 'androidx-lifecycle-livedata-ktx', module: 'androidx.lifecycle:lifecycle-livedata-ktx', version: 'lifecycle', section: 'Core Android', language: 'kotlin' },
+  { alias: 'androidx-lifecycle-livedata', module: 'androidx.lifecycle:lifecycle-livedata', version: 'lifecycle', section: 'Core Android', language: 'java' },
+  { alias: 'androidx-activity-compose', module: 'androidx.activity:activity-compose', version: 'activityCompose', section: 'Core Android', feature: 'compose' },
+
+  { alias: 'androidx-compose-bom', module: 'androidx.compose:compose-bom', version: 'composeBom', section: 'Jetpack Compose', feature: 'compose', platform: true, configs: ['implementation', 'androidTestImplementation'] },
+  { alias: 'androidx-compose-ui', module: 'androidx.compose.ui:ui', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-compose-ui-graphics', module: 'androidx.compose.ui:ui-graphics', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-compose-ui-tooling-preview', module: 'androidx.compose.ui:ui-tooling-preview', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-compose-material3', module: 'androidx.compose.material3:material3', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-compose-material-icons-extended', module: 'androidx.compose.material:material-icons-extended', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-lifecycle-viewmodel-compose', module: 'androidx.lifecycle:lifecycle-viewmodel-compose', version: 'lifecycle', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'androidx-lifecycle-runtime-compose', module: 'androidx.lifecycle:lifecycle-runtime-compose', version: 'lifecycle', section: 'Jetpack Compose', feature: 'compose' },
+  { alias: 'coil-compose', module: 'io.coil-kt:coil-compose', version: 'coil', section: 'Jetpack Compose', feature: 'compose' },
+
+  { alias: 'androidx-appcompat', module: 'androidx.appcompat:appcompat', version: 'appcompat', section: 'Android Views', feature: 'views' },
+  { alias: 'material', module: 'com.google.android.material:material', version: 'material', section: 'Android Views', feature: 'views' },
+  { alias: 'androidx-constraintlayout', module: 'androidx.constraintlayout:constraintlayout', version: 'constraintlayout', section: 'Android Views', feature: 'views' },
+  { alias: 'androidx-fragment-ktx', module: 'androidx.fragment:fragment-ktx', version: 'fragment', section: 'Android Views', feature: 'views', language: 'kotlin' },
+  { alias: 'androidx-fragment', module: 'androidx.fragment:fragment', version: 'fragment', section: 'Android Views', feature: 'views', language: 'java' },
+  { alias: 'androidx-lifecycle-viewmodel-ktx', module: 'androidx.lifecycle:lifecycle-viewmodel-ktx', version: 'lifecycle', section: 'Android Views', feature: 'views', language: 'kotlin' },
+  { alias: 'androidx-lifecycle-viewmodel', module: 'androidx.lifecycle:lifecycle-viewmodel', version: 'lifecycle', section: 'Android Views', feature: 'views', language: 'java' },
+
+  { alias: 'androidx-navigation-compose', module: 'androidx.navigation:navigation-compose', version: 'navigation', section: 'Navigation', feature: 'compose' },
+  { alias: 'androidx-navigation-fragment-ktx', module: 'androidx.navigation:navigation-fragment-ktx', version: 'navigation', section: 'Navigation', feature: 'views', language: 'kotlin' },
+  { alias: 'androidx-navigation-ui-ktx', module: 'androidx.navigation:navigation-ui-ktx', version: 'navigation', section: 'Navigation', feature: 'views', language: 'kotlin' },
+  { alias: 'androidx-navigation-fragment', module: 'androidx.navigation:navigation-fragment', version: 'navigation', section: 'Navigation', feature: 'views', language: 'java' },
+  { alias: 'androidx-navigation-ui', module: 'androidx.navigation:navigation-ui', version: 'navigation', section: 'Navigation', feature: 'views', language: 'java' },
+
+  { alias: 'hilt-android', module: 'com.google.dagger:hilt-android', version: 'hilt', section: 'Dependency Injection', feature: 'hilt' },
+  { alias: 'hilt-compiler', module: 'com.google.dagger:hilt-compiler', version: 'hilt', section: 'Dependency Injection', feature: 'hilt', configs: ['processor'] },
+  { alias: 'androidx-hilt-navigation-compose', module: 'androidx.hilt:hilt-navigation-compose', version: 'hiltNavigationCompose', section: 'Dependency Injection', feature: 'compose' },
+
+  { alias: 'kotlinx-coroutines-android', module: 'org.jetbrains.kotlinx:kotlinx-coroutines-android', version: 'coroutines', section: 'Coroutines', language: 'kotlin' },
+
+  { alias: 'androidx-room-runtime', module: 'androidx.room:room-runtime', version: 'room', section: 'Room Database', feature: 'room' },
+  { alias: 'androidx-room-ktx', module: 'androidx.room:room-ktx', version: 'room', section: 'Room Database', feature: 'room', language: 'kotlin' },
+  { alias: 'androidx-room-compiler', module: 'androidx.room:room-compiler', version: 'room', section: 'Room Database', feature: 'room', configs: ['processor'] },
+
+  { alias: 'retrofit', module: 'com.squareup.retrofit2:retrofit', version: 'retrofit', section: 'Networking', feature: 'network' },
+  { alias: 'retrofit-converter-gson', module: 'com.squareup.retrofit2:converter-gson', version: 'retrofit', section: 'Networking', feature: 'network' },
+  { alias: 'okhttp-logging-interceptor', module: 'com.squareup.okhttp3:logging-interceptor', version: 'okhttp', section: 'Networking', feature: 'network' },
+
+  { alias: 'androidx-datastore-preferences', module: 'androidx.datastore:datastore-preferences', version: 'datastore', section: 'DataStore', feature: 'datastore' },
+
+  { alias: 'androidx-work-runtime-ktx', module: 'androidx.work:work-runtime-ktx', version: 'work', section: 'Work Manager', feature: 'work', language: 'kotlin' },
+  { alias: 'androidx-work-runtime', module: 'androidx.work:work-runtime', version: 'work', section: 'Work Manager', feature: 'work', language: 'java' },
+
+  { alias: 'junit', module: 'junit:junit', version: 'junit', section: 'Testing', configs: ['testImplementation'] },
+  { alias: 'mockito-core', module: 'org.mockito:mockito-core', version: 'mockito', section: 'Testing', configs: ['testImplementation'] },
+  { alias: 'kotlinx-coroutines-test', module: 'org.jetbrains.kotlinx:kotlinx-coroutines-test', version: 'coroutines', section: 'Testing', language: 'kotlin', configs: ['testImplementation'] },
+  { alias: 'androidx-arch-core-testing', module: 'androidx.arch.core:core-testing', version: 'coreTesting', section: 'Testing', configs: ['testImplementation'] },
+  { alias: 'androidx-junit', module: 'androidx.test.ext:junit', version: 'androidxJunit', section: 'Testing', configs: ['androidTestImplementation'] },
+  { alias: 'androidx-espresso-core', module: 'androidx.test.espresso:espresso-core', version: 'espresso', section: 'Testing', configs: ['androidTestImplementation'] },
+  { alias: 'androidx-compose-ui-test-junit4', module: 'androidx.compose.ui:ui-test-junit4', section: 'Testing', feature: 'compose', configs: ['androidTestImplementation'] },
+  { alias: 'androidx-compose-ui-tooling', module: 'androidx.compose.ui:ui-tooling', section: 'Debug', feature: 'compose', configs: ['debugImplementation'] },
+  { alias: 'androidx-compose-ui-test-manifest', module: 'androidx.compose.ui:ui-test-manifest', section: 'Debug', feature: 'compose', configs: ['debugImplementation'] }
+];
+
+const PLUGINS = [
+  { alias: 'android-application', id: 'com.android.application', version: 'agp' },
+  { alias: 'kotlin-android', id: 'org.jetbrains.kotlin.android', version: 'kotlin', when: (features, language) => language === ANDROID_LANGUAGE.KOTLIN },
+  // Java projects run Hilt and Room through javac's annotationProcessor instead
+  { alias: 'ksp', id: 'com.google.devtools.ksp', version: 'ksp', when: (features, language) => language === ANDROID_LANGUAGE.KOTLIN && (features.has('hilt') || features.has('room')) },
+  { alias: 'hilt', id: 'com.google.dagger.hilt.android', version: 'hilt', when: features => features.has('hilt') }
+];
+
+// Catalog alias -> Kotlin DSL accessor: androidx-core-ktx -> libs.androidx.core.ktx
+function accessor(alias) {
+  return alias.replace(/[-_]/g, '.');
+}
+
+function projectLibraries(features, language) {
+  return LIBRARIES.filter(library =>
+    (!library.feature || features.has(library.feature)) && (!library.language || library.language === language)
+  );
+}
+
+function projectPlugins(features, language) {
+  return PLUGINS.filter(plugin => !plugin.when || plugin.when(features, language));
+}
+
+/**
+ * Validate the `features` request field
+ * @param {string|Array} value - Comma-separated list or array of optional Android features
+ * @returns {Array|null} - Feature names, or null when none were requested
+ */
+export function parseAndroidFeatures(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(feature => String(feature).trim().toLowerCase())
+    .filter(Boolean);
+
+  const valid = [...BASE_FEATURES, ...UI_FEATURES, ...OPTIONAL_FEATURES];
+  const unknown = requested.filter(feature => !valid.includes(feature));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Invalid Android feature: ${unknown.join(', ')}. Valid features: ${valid.join(', ')}`,
+      'features',
+      'INVALID_FEATURE'
+    );
+  }
+  return requested;
+}
+
+/**
+ * Decide which features the Gradle build needs
+ * @param {Object} options - Generation options ({ features, customLogic })
+ * @param {Object} projectFiles - Generated sources, scanned for imports of optional libraries
+ * @param {string} uiFeature - UI toolkit of the project: 'compose' or 'views'
+ * @returns {Set} - Enabled feature names
+ */
+export function resolveAndroidFeatures(options = {}, projectFiles = {}, uiFeature = 'compose') {
+  const features = new Set([...BASE_FEATURES, uiFeature]);
+
+  for (const feature of OPTIONAL_FEATURES) {
+    const requested = options.features
+      ? options.features.includes(feature)
+      : FEATURE_HINTS[feature].test(options.customLogic || '');
+    // Generated code that already imports a library needs it whatever was requested
+    const imported = Object.entries(projectFiles).some(([path, content]) =>
+      /\.(kt|java)$/.test(path) && FEATURE_IMPORTS[feature].test(content)
+    );
+    if (requested || imported) features.add(feature);
+  }
+
+  return features;
+}
+
+/**
+ * Emit gradle/libs.versions.toml with the versions, libraries and plugins the features need
+ * @param {Set} features - Result of resolveAndroidFeatures
+ * @param {string} language - ANDROID_LANGUAGE value
+ * @returns {string} - TOML
+ */
+export function emitVersionCatalog(features, language = ANDROID_LANGUAGE.KOTLIN) {
+  const libraries = projectLibraries(features, language);
+  const plugins = projectPlugins(features, language);
+
+  const usedVersions = new Set([
+    ...libraries.map(library => library.version).filter(Boolean),
+    ...plugins.map(plugin => plugin.version),
+    ...(features.has('compose') ? ['composeCompiler'] : [])
+  ]);
+
+  const versions = Object.entries(VERSIONS)
+    .filter(([name]) => usedVersions.has(name))
+    .map(([name, version]) => `${name} = "${version}"`);
+
+  const libraryLines = libraries.map(library =>
+    `${library.alias} = { module = "${library.module}"${library.version ? `, version.ref = "${library.version}"` : ''} }`
+  );
+
+  const pluginLines = plugins.map(plugin => `${plugin.alias} = { id = "${plugin.id}", version.ref = "${plugin.version}" }`);
+
+  return `[versions]
+${versions.join('\n')}
+
+[libraries]
+${libraryLines.join('\n')}
+
+[plugins]
+${pluginLines.join('\n')}
+`;
+}
+
+function emitAppDependencies(features, language) {
+  const processor = language === ANDROID_LANGUAGE.KOTLIN ? 'ksp' : 'annotationProcessor';
+  const sections = [];
+  for (const library of projectLibraries(features, language)) {
+    let section = sections.find(entry => entry.name === library.section);
+    if (!section) {
+      section = { name: library.section, lines: [] };
+      sections.push(section);
+    }
+    const reference = `libs.${accessor(library.alias)}`;
+    for (const entry of library.configs || ['implementation']) {
+      const config = entry === 'processor' ? processor : entry;
+      section.lines.push(`    ${config}(${library.platform ? `platform(${reference})` : reference})`);
+    }
+  }
+
+  return sections.map(section => `    // ${section.name}\n${section.lines.join('\n')}`).join('\n\n');
+}
+
+/**
+ * Emit the Gradle files of a single-module Android app
+ * @param {Object} config - { packageName, projectName, features, language }
+ * @returns {Object} - Map of file path to contents
+ */
+export function emitGradleProject({ packageName, projectName, features, language = ANDROID_LANGUAGE.KOTLIN }) {
+  const plugins = projectPlugins(features, language);
+  const kotlin = language === ANDROID_LANGUAGE.KOTLIN;
+  const compose = features.has('compose');
+  const views = features.has('views');
+
+  return {
+    'settings.gradle.kts': `pluginManagement {
+    repositories {
+        google()
+        mavenCentral()
+        gradlePluginPortal()
+    }
+}
+
+dependencyResolutionManagement {
+    repositoriesMode.set(RepositoriesMode.FAIL_ON_PROJECT_REPOS)
+    repositories {
+        google()
+        mavenCentral()
+    }
+}
+
+rootProject.name = "${projectName}"
+include(":app")
+`,
+
+    'build.gradle.kts': `// Top-level build file: plugins are declared here and applied in app/build.gradle.kts
+plugins {
+${plugins.map(plugin => `    alias(libs.plugins.${accessor(plugin.alias)}) apply false`).join('\n')}
+}
+`,
+
+    'app/build.gradle.kts': `plugins {
+${plugins.map(plugin => `    alias(libs.plugins.${accessor(plugin.alias)})`).join('\n')}
+}
+
+android {
+    namespace = "${packageName}"
+    compileSdk = 34
+
+    defaultConfig {
+        applicationId = "${packageName}"
+        minSdk = 24
+        targetSdk = 34
+        versionCode = 1
+        versionName = "1.0"
+
+        testInstrumentationRunner = "androidx.test.runner.AndroidJUnitRunner"
+        vectorDrawables {
+            useSupportLibrary = true
+        }
+    }
+
+    buildTypes {
+        release {
+            isMinifyEnabled = false
+            proguardFiles(
+                getDefaultProguardFile("proguard-android-optimize.txt"),
+                "proguard-rules.pro"
+            )
+        }
+    }
+
+    compileOptions {
+        sourceCompatibility = JavaVersion.VERSION_17
+        targetCompatibility = JavaVersion.VERSION_17
+    }
+${kotlin ? `
+    kotlinOptions {
+        jvmTarget = "17"
+    }
+` : ''}${compose ? `
+    buildFeatures {
+        compose = true
+    }
+
+    composeOptions {
+        kotlinCompilerExtensionVersion = libs.versions.composeCompiler.get()
+    }
+` : ''}${views ? `
+    buildFeatures {
+        viewBinding = true
+    }
+` : ''}
+    packaging {
+        resources {
+            excludes += "/META-INF/{AL2.0,LGPL2.1}"
+        }
+    }
+}
+
+dependencies {
+${emitAppDependencies(features, language)}
+}
+`,
+
+    'app/proguard-rules.pro': `# Add project specific ProGuard rules here.
+# See http://developer.android.com/guide/developing/tools/proguard.html
+`,
+
+    'gradle/libs.versions.toml': emitVersionCatalog(features, language),
+
+    'gradle/wrapper/gradle-wrapper.properties': `distributionBase=GRADLE_USER_HOME
+distributionPath=wrapper/dists
+distributionUrl=https\\://services.gradle.org/distributions/gradle-${GRADLE_VERSION}-bin.zip
+networkTimeout=10000
+validateDistributionUrl=true
+zipStoreBase=GRADLE_USER_HOME
+zipStorePath=wrapper/dists
+`
+  };
+}
+
+// Minimal TOML reader for the catalog's [section] key = value lines
+function parseCatalog(toml) {
+  const catalog = { versions: {}, libraries: {}, plugins: {}, bundles: {} };
+  let section = null;
+  for (const rawLine of toml.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const header = line.match(/^\[([a-z]+)\]$/);
+    if (header) {
+      section = catalog[header[1]] ? header[1] : null;
+      continue;
+    }
+    const entry = line.match(/^([A-Za-z0-9_.-]+)\s*=\s*(.+)$/);
+    if (section && entry) {
+      catalog[section][entry[1]] = entry[2];
+    }
+  }
+  return catalog;
+}
+
+function resourceNames(projectFiles, tag) {
+  const names = new Set();
+  const pattern = new RegExp(`<${tag}\\s+name="([^"]+)"`, 'g');
+  for (const [path, content] of Object.entries(projectFiles)) {
+    if (/^app\/src\/main\/res\/values[^/]*\/[^/]+\.xml$/.test(path)) {
+      for (const match of content.matchAll(pattern)) names.add(match[1]);
+    }
+  }
+  return names;
+}
+
+function hasResourceFile(projectFiles, type, name) {
+  const pattern = new RegExp(`^app/src/main/res/${type}(-[^/]+)?/${name}\\.(xml|png|webp|jpg)$`);
+  return Object.keys(projectFiles).some(path => pattern.test(path));
+}
+
+/**
+ * Check that a generated Android project has a consistent Gradle and resource structure
+ * @param {Object} projectFiles - Map of file path to contents
+ * @returns {Object} - { valid, errors: [string], checked: [string] }
+ */
+export function validateAndroidProject(projectFiles) {
+  const errors = [];
+  const checked = [];
+  const file = (path) => projectFiles[path];
+
+  const required = [
+    'settings.gradle.kts',
+    'build.gradle.kts',
+    'app/build.gradle.kts',
+    'gradle/libs.versions.toml',
+    'gradle/wrapper/gradle-wrapper.properties',
+    'gradle.properties',
+    'app/src/main/AndroidManifest.xml'
+  ];
+  for (const path of required) {
+    if (typeof file(path) !== 'string') errors.push(`Missing ${path}`);
+  }
+  checked.push('required files');
+
+  const settings = file('settings.gradle.kts') || '';
+  for (const path of Object.keys(projectFiles)) {
+    const module = path.match(/^([^/]+)\/build\.gradle\.kts$/);
+    if (module && !new RegExp(`include\\([^)]*["']:${module[1]}["']`).test(settings)) {
+      errors.push(`settings.gradle.kts does not include module :${module[1]}`);
+    }
+  }
+  checked.push('modules included in settings');
+
+  const wrapper = file('gradle/wrapper/gradle-wrapper.properties') || '';
+  if (wrapper && !/^distributionUrl=\S+gradle-[\d.]+-(bin|all)\.zip$/m.test(wrapper)) {
+    errors.push('gradle-wrapper.properties has no valid distributionUrl');
+  }
+  checked.push('wrapper distribution');
+
+  // Every libs.* accessor in the build scripts must resolve to a catalog entry
+  const catalog = parseCatalog(file('gradle/libs.versions.toml') || '');
+  for (const [section, entries] of Object.entries(catalog)) {
+    for (const [alias, value] of Object.entries(entries)) {
+      const ref = value.match(/version\.ref\s*=\s*"([^"]+)"/);
+      if (section !== 'versions' && ref && !(ref[1] in catalog.versions)) {
+        errors.push(`libs.versions.toml: ${alias} references unknown version "${ref[1]}"`);
+      }
+    }
+  }
+  const accessors = {
+    versions: new Set(Object.keys(catalog.versions).map(accessor)),
+    plugins: new Set(Object.keys(catalog.plugins).map(accessor)),
+    bundles: new Set(Object.keys(catalog.bundles).map(accessor)),
+    libraries: new Set(Object.keys(catalog.libraries).map(accessor))
+  };
+  for (const [path, content] of Object.entries(projectFiles)) {
+    if (!path.endsWith('.gradle.kts')) continue;
+    for (const match of content.matchAll(/\blibs\.([A-Za-z0-9_.]+)/g)) {
+      const reference = match[1].replace(/\.get$/, '');
+      const [first, ...rest] = reference.split('.');
+      const section = accessors[first] && first !== 'libraries' ? first : 'libraries';
+      const key = section === 'libraries' ? reference : rest.join('.');
+      if (!accessors[section].has(key)) {
+        errors.push(`${path}: libs.${reference} is not defined in gradle/libs.versions.toml`);
+      }
+    }
+  }
+  checked.push('version catalog references');
+
+  // Manifest classes and resources must exist
+  const appBuild = file('app/build.gradle.kts') || '';
+  const namespace = appBuild.match(/namespace\s*=\s*"([^"]+)"/)?.[1];
+  const manifest = file('app/src/main/AndroidManifest.xml') || '';
+  if (namespace) {
+    const sourceRoot = `app/src/main/java/${namespace.replace(/\./g, '/')}`;
+    for (const match of manifest.matchAll(/android:name="\.([A-Za-z0-9_.]+)"/g)) {
+      const classPath = `${sourceRoot}/${match[1].replace(/\./g, '/')}`;
+      if (!file(`${classPath}.kt`) && !file(`${classPath}.java`)) {
+        errors.push(`AndroidManifest.xml declares .${match[1]} but neither ${classPath}.kt nor .java exists`);
+      }
+    }
+  }
+  const strings = resourceNames(projectFiles, 'string');
+  const styles = resourceNames(projectFiles, 'style');
+  for (const match of manifest.matchAll(/"@(string|style|drawable|mipmap|xml)\/([A-Za-z0-9_.]+)"/g)) {
+    const [, type, name] = match;
+    const exists = type === 'string'
+      ? strings.has(name)
+      : type === 'style' ? styles.has(name) : hasResourceFile(projectFiles, type, name);
+    if (!exists) errors.push(`AndroidManifest.xml references missing resource @${type}/${name}`);
+  }
+  checked.push('manifest classes and resources');
+
+  // Layouts and navigation graphs referenced from code and other resources must exist
+  const resourceReferences = [];
+  for (const [path, content] of Object.entries(projectFiles)) {
+    if (/^app\/src\/main\/.*\.(kt|java)$/.test(path)) {
+      for (const match of content.matchAll(/\bR\.(layout|navigation)\.([A-Za-z0-9_]+)/g)) {
+        resourceReferences.push({ path, type: match[1], name: match[2] });
+      }
+    } else if (/^app\/src\/main\/res\/.*\.xml$/.test(path)) {
+      for (const match of content.matchAll(/"@(layout|navigation)\/([A-Za-z0-9_]+)"/g)) {
+        resourceReferences.push({ path, type: match[1], name: match[2] });
+      }
+    }
+  }
+  for (const { path, type, name } of resourceReferences) {
+    if (!hasResourceFile(projectFiles, type, name)) {
+      errors.push(`${path} references missing resource @${type}/${name}`);
+    }
+  }
+  checked.push('layout and navigation resources');
+
+  // Annotation processors and compiler features the sources depend on
+  const sources = Object.entries(projectFiles).filter(([path]) => /^app\/src\/main\/.*\.(kt|java)$/.test(path));
+  const usesHilt = sources.some(([, content]) => /@(HiltAndroidApp|AndroidEntryPoint|HiltViewModel)\b/.test(content));
+  if (usesHilt && !/libs\.plugins\.hilt\b/.test(appBuild)) {
+    errors.push('Sources use Hilt but app/build.gradle.kts does not apply the Hilt plugin');
+  }
+  const usesCompose = sources.some(([, content]) => /^import\s+androidx\.compose\./m.test(content));
+  if (usesCompose && !/compose\s*=\s*true/.test(appBuild)) {
+    errors.push('Sources use Jetpack Compose but buildFeatures.compose is not enabled');
+  }
+  const usesViewBinding = sources.some(([, content]) => /^import\s+[\w.]+\.databinding\./m.test(content));
+  if (usesViewBinding && !/viewBinding\s*=\s*true/.test(appBuild)) {
+    errors.push('Sources use ViewBinding but buildFeatures.viewBinding is not enabled');
+  }
+  if (sources.some(([path]) => path.endsWith('.kt')) && !/libs\.plugins\.kotlin\.android\b/.test(appBuild)) {
+    errors.push('Project has Kotlin sources but app/build.gradle.kts does not apply the Kotlin Android plugin');
+  }
+  for (const [feature, pattern] of Object.entries(FEATURE_IMPORTS)) {
+    const library = LIBRARIES.find(entry => entry.feature === feature);
+    if (sources.some(([, content]) => pattern.test(content)) && !appBuild.includes(`libs.${accessor(library.alias)}`)) {
+      errors.push(`Sources import ${feature} libraries that app/build.gradle.kts does not declare`);
+    }
+  }
+  checked.push('plugins and libraries used by sources');
+
+  return { valid: errors.length === 0, errors, checked };
+}
+
+/**
+ * Whether a file map is a generated Android project
+ * @param {Object} projectFiles - Map of file path to contents
+ * @returns {boolean}
+ */
+export function isAndroidProject(projectFiles) {
+  return Boolean(projectFiles && typeof projectFiles === 'object' && projectFiles['app/src/main/AndroidManifest.xml']);
+}
@@ -0,0 +1,236 @@
+/**
+ * Android Screen Flow
+ * Per-screen Compose names and paths, the Navigation Compose graph built from the
+ * screen flow and strings.xml resources read from each screenshot's OCR text
+ */
+
+import { screenNavigationTargets, toRouteSegment } from './screen-flow.js';
+
+const MAX_STRINGS_PER_SCREEN = 40;
+const MAX_RESOURCE_WORDS = 4;
+
+// Strings every generated app keeps, whatever its screens show
+export const BASE_STRINGS = [
+  { name: 'app_name', value: 'Digital Studio App' },
+  { name: 'app_description', value: 'Generated with Digital Studio VM' },
+  { name: 'welcome_message', value: 'Welcome to your generated Android app!' },
+  { name: 'error_generic', value: 'Something went wrong. Please try again.' },
+  { name: 'loading', value: 'Loading...' },
+  { name: 'retry', value: 'Retry' },
+  { name: 'cancel', value: 'Cancel' },
+  { name: 'ok', value: 'OK' }
+];
+
+function snakeCase(text) {
+  return String(text)
+    .replace(/['’]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Compose names and file paths for one screen of the flow
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @param {string} packageName - Application package, e.g. com.digitalstudio.app
+ * @returns {Object} - { base, composable, viewModel, uiState, route, resourcePrefix, screenPath, viewModelPath }
+ */
+export function androidScreenNames(screen, packageName) {
+  // "LoginScreen.png" is already named as a screen; avoid LoginScreenScreen
+  const base = screen.name.replace(/(Screen|Page|View)$/, '') || screen.name;
+  const packagePath = `app/src/main/java/${packageName.replace(/\./g, '/')}`;
+
+  return {
+    base,
+    composable: `${base}Screen`,
+    viewModel: `${base}ViewModel`,
+    uiState: `${base}UiState`,
+    route: toRouteSegment(base),
+    resourcePrefix: snakeCase(base),
+    screenPath: `${packagePath}/ui/screens/${base}Screen.kt`,
+    viewModelPath: `${packagePath}/ui/viewmodel/${base}ViewModel.kt`
+  };
+}
+
+/**
+ * Screens a screen navigates to: its explicit routing rules, otherwise the next screen in the flow
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} screen - Screen from the flow
+ * @returns {Array} - [{ screen, trigger, callback }] with callback the Composable's lambda parameter
+ */
+export function androidNavigationTargets(flow, screen) {
+  return screenNavigationTargets(flow, screen).map(target => {
+    const { base } = androidScreenNames(target.screen, 'app');
+    return { ...target, callback: `onNavigateTo${base}` };
+  });
+}
+
+// Android string resources need apostrophes, quotes and leading @/? escaped
+function escapeResourceString(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/^([@?])/, '\\$1');
+}
+
+/**
+ * Turn a screen's OCR text into named string resources
+ * @param {Object} ocr - CVAnalysis.extractText result ({ fullText, blocks })
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @returns {Array} - [{ name, value }], starting with <prefix>_title
+ */
+export function extractScreenStrings(ocr, screen) {
+  const { resourcePrefix } = androidScreenNames(screen, 'app');
+  const strings = [{ name: `${resourcePrefix}_title`, value: screen.title }];
+  const usedNames = new Set(strings.map(entry => entry.name));
+  const usedValues = new Set([screen.title.toLowerCase()]);
+
+  const lines = String(ocr?.fullText || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    // OCR noise is mostly short fragments and stray symbols
+    .filter(line => line.length >= 2 && /[a-zA-Z]{2}/.test(line));
+
+  for (const line of lines) {
+    if (strings.length > MAX_STRINGS_PER_SCREEN) break;
+    if (usedValues.has(line.toLowerCase())) continue;
+
+    const words = snakeCase(line).split('_').filter(Boolean).slice(0, MAX_RESOURCE_WORDS);
+    const baseName = `${resourcePrefix}_${words.join('_') || 'text'}`;
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${baseName}_${suffix}`;
+    }
+
+    usedNames.add(name);
+    usedValues.add(line.toLowerCase());
+    strings.push({ name, value: line });
+  }
+
+  return strings;
+}
+
+/**
+ * Emit res/values/strings.xml with the base strings and one commented group per screen
+ * @param {Array} screenStrings - [{ screen, strings }] in flow order
+ * @returns {string} - XML
+ */
+export function emitStringsXml(screenStrings = []) {
+  const line = ({ name, value }) => {
+    const formatted = value.includes('%') ? ' formatted="false"' : '';
+    return `    <string name="${name}"${formatted}>${escapeResourceString(value)}</string>`;
+  };
+
+  const groups = screenStrings.map(({ screen, strings }) => {
+    const source = screen.image?.originalname ? ` (${screen.image.originalname.replace(/--/g, '-')})` : '';
+    return `
+
+    <!-- ${screen.title}${source} -->
+${strings.map(line).join('\n')}`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+${BASE_STRINGS.map(line).join('\n')}${groups.join('')}
+</resources>`;
+}
+
+/**
+ * Emit ui/navigation/AppNavHost.kt: a route per screen and a NavHost wiring each
+ * screen's navigation callbacks to the screens it leads to
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {string} packageName - Application package
+ * @returns {string} - Kotlin source
+ */
+export function emitNavGraph(flow, packageName) {
+  const screens = flow.screens.map(screen => ({ screen, names: androidScreenNames(screen, packageName) }));
+
+  const destinations = screens.map(({ screen, names }) => {
+    const targets = androidNavigationTargets(flow, screen);
+    if (targets.length === 0) {
+      return `        composable(Screen.${names.base}.route) {
+            ${names.composable}()
+        }`;
+    }
+
+    const args = targets.map(target => {
+      const targetNames = androidScreenNames(target.screen, packageName);
+      const comment = target.trigger ? `                // ${target.trigger}\n` : '';
+      return `${comment}                ${target.callback} = { navController.navigate(Screen.${targetNames.base}.route) }`;
+    });
+
+    return `        composable(Screen.${names.base}.route) {
+            ${names.composable}(
+${args.join(',\n')}
+            )
+        }`;
+  });
+
+  return `package ${packageName}.ui.navigation
+
+import androidx.compose.runtime.Composable
+import androidx.navigation.NavHostController
+import androidx.navigation.compose.NavHost
+import androidx.navigation.compose.composable
+import androidx.navigation.compose.rememberNavController
+${screens.map(({ names }) => `import ${packageName}.ui.screens.${names.composable}`).join('\n')}
+
+sealed class Screen(val route: String) {
+${screens.map(({ names }) => `    object ${names.base} : Screen("${names.route}")`).join('\n')}
+}
+
+@Composable
+fun AppNavHost(
+    navController: NavHostController = rememberNavController(),
+    startDestination: String = Screen.${screens[0].names.base}.route
+) {
+    NavHost(navController = navController, startDestination = startDestination) {
+${destinations.join('\n')}
+    }
+}
+`;
+}
+
+/**
+ * Emit a MainActivity that hosts the generated navigation graph inside the app theme
+ * @param {string} packageName - Application package
+ * @param {string} themeName - Composable from ui/theme/Theme.kt
+ * @returns {string} - Kotlin source
+ */
+export function emitNavHostActivity(packageName, themeName = 'DigitalStudioAppTheme') {
+  return `package ${packageName}
+
+import android.os.Bundle
+import androidx.activity.ComponentActivity
+import androidx.activity.compose.setContent
+import androidx.compose.foundation.layout.fillMaxSize
+import androidx.compose.material3.MaterialTheme
+import androidx.compose.material3.Surface
+import androidx.compose.ui.Modifier
+import ${packageName}.ui.navigation.AppNavHost
+import ${packageName}.ui.theme.${themeName}
+import dagger.hilt.android.AndroidEntryPoint
+
+@AndroidEntryPoint
+class MainActivity : ComponentActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContent {
+            ${themeName} {
+                Surface(
+                    modifier = Modifier.fillMaxSize(),
+                    color = MaterialTheme.colorScheme.background
+                ) {
+                    AppNavHost()
+                }
+            }
+        }
+    }
+}
+`;
+}
@@ -0,0 +1,556 @@
+/**
+ * Android View System Screens
+ * Fragment names, XML layouts built from each screenshot's detected elements, the
+ * Navigation component graph and app scaffolding for projects that use XML layouts
+ * with ViewBinding, written in Kotlin or Java
+ */
+
+import { ValidationError } from '../validation.js';
+import { ANDROID_LANGUAGE } from './android-gradle.js';
+import { androidScreenNames } from './android-screens.js';
+import { screenNavigationTargets } from './screen-flow.js';
+
+export const ANDROID_INTERFACE = {
+  COMPOSE: 'compose',
+  VIEWS: 'views',
+  JAVA: 'java'
+};
+
+// Detected controls kept per layout; CV detection over-reports on busy screenshots
+const MAX_LAYOUT_CONTROLS = 12;
+const CONTROL_TYPES = ['button', 'input-field', 'horizontal-separator'];
+
+const ANDROID_LANGUAGE_ALIASES = {
+  kotlin: ANDROID_LANGUAGE.KOTLIN,
+  kt: ANDROID_LANGUAGE.KOTLIN,
+  java: ANDROID_LANGUAGE.JAVA
+};
+
+/**
+ * Validate the `language` field of an Android request
+ * @param {string} value - Kotlin or Java, in any case
+ * @returns {string|null} - ANDROID_LANGUAGE value, null when not given
+ */
+export function resolveAndroidLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const language = ANDROID_LANGUAGE_ALIASES[String(value).trim().toLowerCase()];
+  if (!language) {
+    throw new ValidationError(
+      `Invalid language for android: ${value}. Valid options: Kotlin, Java`,
+      'language',
+      'INVALID_LANGUAGE'
+    );
+  }
+  return language;
+}
+
+/**
+ * Pick the Android output mode from the `language` (or the lab flow's `framework`) and `uiFramework` fields
+ * Compose needs Kotlin, so Java always produces XML layouts
+ * @param {Object} body - Request body
+ * @returns {string} - ANDROID_INTERFACE value
+ */
+export function resolveAndroidInterface(body = {}) {
+  // Web requests use `language` for JavaScript/TypeScript
+  const language = body.platform === 'android' ? resolveAndroidLanguage(body.language) : null;
+  if (language ? language === ANDROID_LANGUAGE.JAVA : String(body.framework || '').trim().toLowerCase() === 'java') {
+    return ANDROID_INTERFACE.JAVA;
+  }
+  return /^(xml( layouts?)?|views?)$/.test(String(body.uiFramework || '').trim().toLowerCase())
+    ? ANDROID_INTERFACE.VIEWS
+    : ANDROID_INTERFACE.COMPOSE;
+}
+
+/**
+ * Source language of an Android output mode
+ * @param {string} androidInterface - ANDROID_INTERFACE value
+ * @returns {string} - ANDROID_LANGUAGE value
+ */
+export function androidLanguage(androidInterface) {
+  return androidInterface === ANDROID_INTERFACE.JAVA ? ANDROID_LANGUAGE.JAVA : ANDROID_LANGUAGE.KOTLIN;
+}
+
+// fragment_home_settings -> FragmentHomeSettingsBinding
+function bindingClassName(layoutName) {
+  return `${layoutName.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}Binding`;
+}
+
+// button_sign_in -> buttonSignIn, the field ViewBinding generates for the id
+function bindingFieldName(id) {
+  return id.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Fragment, layout and navigation names and file paths for one screen of the flow
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @param {Object} config - { packageName, language }
+ * @returns {Object} - { base, fragment, viewModel, uiState, layout, binding, destinationId, fragmentPath, viewModelPath, layoutPath }
+ */
+export function androidViewNames(screen, { packageName, language = ANDROID_LANGUAGE.KOTLIN }) {
+  const { base, viewModel, uiState, resourcePrefix } = androidScreenNames(screen, packageName);
+  const packagePath = `app/src/main/java/${packageName.replace(/\./g, '/')}`;
+  const extension = language === ANDROID_LANGUAGE.JAVA ? 'java' : 'kt';
+  const layout = `fragment_${resourcePrefix}`;
+
+  return {
+    base,
+    fragment: `${base}Fragment`,
+    viewModel,
+    uiState,
+    resourcePrefix,
+    layout,
+    binding: bindingClassName(layout),
+    destinationId: `${base.charAt(0).toLowerCase()}${base.slice(1)}Fragment`,
+    fragmentPath: `${packagePath}/ui/screens/${base}Fragment.${extension}`,
+    viewModelPath: `${packagePath}/ui/viewmodel/${base}ViewModel.${extension}`,
+    layoutPath: `app/src/main/res/layout/${layout}.xml`
+  };
+}
+
+/**
+ * Screens a fragment opens, with the navigation graph action that leads to each
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} screen - Screen from the flow
+ * @returns {Array} - [{ screen, trigger, action, destinationId }]
+ */
+export function androidViewNavigationTargets(flow, screen) {
+  const { resourcePrefix } = androidScreenNames(screen, 'app');
+  return screenNavigationTargets(flow, screen).map(target => {
+    const names = androidViewNames(target.screen, { packageName: 'app' });
+    return { ...target, action: `action_${resourcePrefix}_to_${names.resourcePrefix}`, destinationId: names.destinationId };
+  });
+}
+
+function escapeXmlAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function overlapRatio(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  return (width * height) / Math.min(a.width * a.height, b.width * b.height);
+}
+
+function contains(bounds, point) {
+  return point.x >= bounds.x && point.x <= bounds.x + bounds.width && point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+}
+
+// Tesseract bbox { x0, y0, x1, y1 } -> { x, y, width, height }
+function blockBounds(bbox = {}) {
+  return { x: bbox.x0 || 0, y: bbox.y0 || 0, width: (bbox.x1 || 0) - (bbox.x0 || 0), height: (bbox.y1 || 0) - (bbox.y0 || 0) };
+}
+
+function textAppearance(fontSize) {
+  if (fontSize >= 24) return '?attr/textAppearanceHeadlineSmall';
+  if (fontSize >= 18) return '?attr/textAppearanceTitleMedium';
+  return '?attr/textAppearanceBodyMedium';
+}
+
+/**
+ * Build a screen's fragment layout from its detected elements: OCR text lines become
+ * TextViews bound to the screen's string resources, and detected buttons, input fields
+ * and separators become Material components, stacked top to bottom in a scroll view
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @param {Object} detection - { elements, ocr, width } from CV analysis of the screenshot
+ * @param {Array} strings - The screen's string resources from extractScreenStrings
+ * @returns {Object} - { xml, views: [{ id, field, widget, label }], strings: [added string resources] }
+ */
+export function emitFragmentLayout(screen, { elements = [], ocr = null, width = 0 } = {}, strings = []) {
+  const { resourcePrefix } = androidScreenNames(screen, 'app');
+  const stringNames = new Map(strings.map(({ name, value }) => [value.toLowerCase(), name]));
+  const addedStrings = [];
+  const usedIds = new Set();
+
+  const uniqueId = (prefix, label) => {
+    // home_sign_in -> text_sign_in; placeholder labels like home_button_1 -> button_1
+    const words = label ? label.replace(new RegExp(`^${resourcePrefix}_`), '').replace(new RegExp(`^${prefix}_`), '') : '';
+    let id = words ? `${prefix}_${words}` : `${prefix}_1`;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${words ? `${prefix}_${words}` : prefix}_${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+  };
+
+  // Strongest detections first, dropping overlapping duplicates
+  const controls = [];
+  for (const element of [...elements].filter(entry => CONTROL_TYPES.includes(entry.type) && entry.bounds)
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))) {
+    if (controls.length >= MAX_LAYOUT_CONTROLS) break;
+    if (controls.some(existing => overlapRatio(existing.bounds, element.bounds) > 0.5)) continue;
+    controls.push({ type: element.type, bounds: element.bounds, labels: [] });
+  }
+
+  // OCR lines inside a button or field label it; the rest are standalone text
+  const texts = [];
+  for (const block of ocr?.blocks || []) {
+    const bounds = blockBounds(block.bbox);
+    const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    const owner = controls.find(control => control.type !== 'horizontal-separator' && contains(control.bounds, center));
+    for (const line of String(block.text || '').split('\n').map(text => text.replace(/\s+/g, ' ').trim())) {
+      const name = stringNames.get(line.toLowerCase());
+      if (!name || name === `${resourcePrefix}_title`) continue;
+      if (owner) {
+        owner.labels.push(name);
+      } else {
+        texts.push({ type: 'text', bounds, name, fontSize: block.fontSize || 14 });
+      }
+    }
+  }
+
+  const items = [...texts, ...controls].sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+  const views = [{ id: 'title', field: 'title', widget: 'TextView', label: `${resourcePrefix}_title` }];
+  usedIds.add('title');
+  const xml = [`        <TextView
+            android:id="@+id/title"
+            android:layout_width="match_parent"
+            android:layout_height="wrap_content"
+            android:layout_marginBottom="16dp"
+            android:text="@string/${resourcePrefix}_title"
+            android:textAppearance="?attr/textAppearanceHeadlineSmall" />`];
+
+  const takenNames = new Set(strings.map(({ name }) => name));
+  let unlabeled = 0;
+  const labelFor = (control) => {
+    if (control.labels.length > 0) return control.labels[0];
+    const kind = control.type === 'button' ? 'Button' : 'Field';
+    let name;
+    do {
+      unlabeled += 1;
+      name = `${resourcePrefix}_${kind.toLowerCase()}_${unlabeled}`;
+    } while (takenNames.has(name));
+    takenNames.add(name);
+    addedStrings.push({ name, value: `${kind} ${unlabeled}` });
+    return name;
+  };
+  const widthOf = (bounds) => (width > 0 && bounds.width < width * 0.6 ? 'wrap_content' : 'match_parent');
+
+  for (const item of items) {
+    if (item.type === 'text') {
+      const id = uniqueId('text', item.name);
+      views.push({ id, field: bindingFieldName(id), widget: 'TextView', label: item.name });
+      xml.push(`        <TextView
+            android:id="@+id/${id}"
+            android:layout_width="match_parent"
+            android:layout_height="wrap_content"
+            android:layout_marginBottom="8dp"
+            android:text="@string/${item.name}"
+            android:textAppearance="${textAppearance(item.fontSize)}" />`);
+    } else if (item.type === 'button') {
+      const label = labelFor(item);
+      const id = uniqueId('button', label);
+      views.push({ id, field: bindingFieldName(id), widget: 'MaterialButton', label });
+      xml.push(`        <com.google.android.material.button.MaterialButton
+            android:id="@+id/${id}"
+            android:layout_width="${widthOf(item.bounds)}"
+            android:layout_height="wrap_content"
+            android:layout_marginBottom="8dp"
+            android:text="@string/${label}" />`);
+    } else if (item.type === 'input-field') {
+      const label = labelFor(item);
+      const id = uniqueId('input', label);
+      views.push({ id, field: bindingFieldName(id), widget: 'TextInputEditText', label });
+      xml.push(`        <com.google.android.material.textfield.TextInputLayout
+            android:layout_width="match_parent"
+            android:layout_height="wrap_content"
+            android:layout_marginBottom="8dp"
+            android:hint="@string/${label}">
+
+            <com.google.android.material.textfield.TextInputEditText
+                android:id="@+id/${id}"
+                android:layout_width="match_parent"
+                android:layout_height="wrap_content"
+                android:inputType="text" />
+        </com.google.android.material.textfield.TextInputLayout>`);
+    } else {
+      const id = uniqueId('divider');
+      views.push({ id, field: bindingFieldName(id), widget: 'MaterialDivider', label: null });
+      xml.push(`        <com.google.android.material.divider.MaterialDivider
+            android:id="@+id/${id}"
+            android:layout_width="match_parent"
+            android:layout_height="wrap_content"
+            android:layout_marginVertical="8dp" />`);
+    }
+  }
+
+  const source = screen.image?.originalname ? ` (${screen.image.originalname})` : '';
+  // XML comments cannot contain a double hyphen
+  const comment = escapeXmlAttribute(`${screen.title}${source}`).replace(/-{2,}/g, '-');
+  return {
+    xml: `<?xml version="1.0" encoding="utf-8"?>
+<!-- ${comment}: laid out from the elements detected in the screenshot -->
+<androidx.core.widget.NestedScrollView xmlns:android="http://schemas.android.com/apk/res/android"
+    android:layout_width="match_parent"
+    android:layout_height="match_parent"
+    android:fillViewport="true">
+
+    <LinearLayout
+        android:id="@+id/content"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:orientation="vertical"
+        android:padding="16dp">
+
+${xml.join('\n\n')}
+    </LinearLayout>
+</androidx.core.widget.NestedScrollView>
+`,
+    views: [{ id: 'content', field: 'content', widget: 'LinearLayout', label: null }, ...views],
+    strings: addedStrings
+  };
+}
+
+/**
+ * Emit res/navigation/nav_graph.xml: a destination per screen and an action per transition
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {string} packageName - Application package
+ * @returns {string} - XML
+ */
+export function emitNavigationGraph(flow, packageName) {
+  const destinations = flow.screens.map(screen => {
+    const names = androidViewNames(screen, { packageName });
+    const actions = androidViewNavigationTargets(flow, screen).map(target => {
+      const comment = target.trigger ? `        <!-- ${escapeXmlAttribute(target.trigger).replace(/-{2,}/g, '-')} -->\n` : '';
+      return `${comment}        <action
+            android:id="@+id/${target.action}"
+            app:destination="@id/${target.destinationId}" />`;
+    });
+
+    return `    <fragment
+        android:id="@+id/${names.destinationId}"
+        android:name="${packageName}.ui.screens.${names.fragment}"
+        android:label="@string/${names.resourcePrefix}_title"
+        tools:layout="@layout/${names.layout}"${actions.length > 0 ? `>
+${actions.join('\n')}
+    </fragment>` : ' />'}`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<navigation xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:app="http://schemas.android.com/apk/res-auto"
+    xmlns:tools="http://schemas.android.com/tools"
+    android:id="@+id/nav_graph"
+    app:startDestination="@id/${androidViewNames(flow.screens[0], { packageName }).destinationId}">
+
+${destinations.join('\n\n')}
+</navigation>
+`;
+}
+
+/**
+ * Emit res/layout/activity_main.xml: a toolbar above the NavHostFragment that shows the graph
+ * @returns {string} - XML
+ */
+export function emitActivityLayout() {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<LinearLayout xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:app="http://schemas.android.com/apk/res-auto"
+    android:layout_width="match_parent"
+    android:layout_height="match_parent"
+    android:orientation="vertical">
+
+    <com.google.android.material.appbar.MaterialToolbar
+        android:id="@+id/toolbar"
+        android:layout_width="match_parent"
+        android:layout_height="?attr/actionBarSize" />
+
+    <androidx.fragment.app.FragmentContainerView
+        android:id="@+id/nav_host_fragment"
+        android:name="androidx.navigation.fragment.NavHostFragment"
+        android:layout_width="match_parent"
+        android:layout_height="0dp"
+        android:layout_weight="1"
+        app:defaultNavHost="true"
+        app:navGraph="@navigation/nav_graph" />
+</LinearLayout>
+`;
+}
+
+/**
+ * Emit a MainActivity that inflates activity_main with ViewBinding and ties the toolbar to the nav graph
+ * @param {string} packageName - Application package
+ * @param {string} language - ANDROID_LANGUAGE value
+ * @returns {string} - Kotlin or Java source
+ */
+export function emitViewsMainActivity(packageName, language = ANDROID_LANGUAGE.KOTLIN) {
+  if (language === ANDROID_LANGUAGE.JAVA) {
+    return `package ${packageName};
+
+import android.os.Bundle;
+
+import androidx.appcompat.app.AppCompatActivity;
+import androidx.navigation.fragment.NavHostFragment;
+import androidx.navigation.ui.NavigationUI;
+
+import ${packageName}.databinding.ActivityMainBinding;
+
+import dagger.hilt.android.AndroidEntryPoint;
+
+@AndroidEntryPoint
+public class MainActivity extends AppCompatActivity {
+
+    @Override
+    protected void onCreate(Bundle savedInstanceState) {
+        super.onCreate(savedInstanceState);
+        ActivityMainBinding binding = ActivityMainBinding.inflate(getLayoutInflater());
+        setContentView(binding.getRoot());
+
+        NavHostFragment navHostFragment =
+                (NavHostFragment) getSupportFragmentManager().findFragmentById(R.id.nav_host_fragment);
+        NavigationUI.setupWithNavController(binding.toolbar, navHostFragment.getNavController());
+    }
+}
+`;
+  }
+
+  return `package ${packageName}
+
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+import androidx.navigation.fragment.NavHostFragment
+import androidx.navigation.ui.setupWithNavController
+import ${packageName}.databinding.ActivityMainBinding
+import dagger.hilt.android.AndroidEntryPoint
+
+@AndroidEntryPoint
+class MainActivity : AppCompatActivity() {
+    private lateinit var binding: ActivityMainBinding
+
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        binding = ActivityMainBinding.inflate(layoutInflater)
+        setContentView(binding.root)
+
+        val navHostFragment = supportFragmentManager.findFragmentById(R.id.nav_host_fragment) as NavHostFragment
+        binding.toolbar.setupWithNavController(navHostFragment.navController)
+    }
+}
+`;
+}
+
+/**
+ * Java versions of the application class, repository, Hilt module and example tests
+ * @param {string} packageName - Application package
+ * @returns {Object} - Map of file path to Java source
+ */
+export function emitJavaAppFiles(packageName) {
+  const packagePath = packageName.replace(/\./g, '/');
+
+  return {
+    [`app/src/main/java/${packagePath}/DigitalStudioApplication.java`]: `package ${packageName};
+
+import android.app.Application;
+
+import dagger.hilt.android.HiltAndroidApp;
+
+@HiltAndroidApp
+public class DigitalStudioApplication extends Application {
+}
+`,
+
+    [`app/src/main/java/${packagePath}/data/repository/Repository.java`]: `package ${packageName}.data.repository;
+
+import androidx.lifecycle.LiveData;
+import androidx.lifecycle.MutableLiveData;
+
+import java.util.Arrays;
+import java.util.List;
+
+import javax.inject.Inject;
+import javax.inject.Singleton;
+
+@Singleton
+public class Repository {
+
+    @Inject
+    public Repository() {
+        // Add data sources here (API, Database, etc.)
+    }
+
+    public LiveData<List<String>> getData() {
+        // Implement data fetching logic
+        MutableLiveData<List<String>> data = new MutableLiveData<>();
+        data.setValue(Arrays.asList("Sample Data 1", "Sample Data 2"));
+        return data;
+    }
+}
+`,
+
+    [`app/src/main/java/${packagePath}/di/AppModule.java`]: `package ${packageName}.di;
+
+import ${packageName}.data.repository.Repository;
+
+import javax.inject.Singleton;
+
+import dagger.Module;
+import dagger.Provides;
+import dagger.hilt.InstallIn;
+import dagger.hilt.components.SingletonComponent;
+
+@Module
+@InstallIn(SingletonComponent.class)
+public final class AppModule {
+
+    private AppModule() {
+    }
+
+    @Provides
+    @Singleton
+    static Repository provideRepository() {
+        return new Repository();
+    }
+}
+`,
+
+    [`app/src/test/java/${packagePath}/ExampleUnitTest.java`]: `package ${packageName};
+
+import static org.junit.Assert.assertEquals;
+
+import org.junit.Test;
+
+/**
+ * Example local unit test, which will execute on the development machine (host).
+ *
+ * @see <a href="http://d.android.com/tools/testing">Testing documentation</a>
+ */
+public class ExampleUnitTest {
+    @Test
+    public void addition_isCorrect() {
+        assertEquals(4, 2 + 2);
+    }
+}
+`,
+
+    [`app/src/androidTest/java/${packagePath}/ExampleInstrumentedTest.java`]: `package ${packageName};
+
+import static org.junit.Assert.assertEquals;
+
+import android.content.Context;
+
+import androidx.test.ext.junit.runners.AndroidJUnit4;
+import androidx.test.platform.app.InstrumentationRegistry;
+
+import org.junit.Test;
+import org.junit.runner.RunWith;
+
+/**
+ * Instrumented test, which will execute on an Android device.
+ *
+ * @see <a href="http://d.android.com/tools/testing">Testing documentation</a>
+ */
+@RunWith(AndroidJUnit4.class)
+public class ExampleInstrumentedTest {
+    @Test
+    public void useAppContext() {
+        // Context of the app under test.
+        Context appContext = InstrumentationRegistry.getInstrumentation().getTargetContext();
+        assertEquals("${packageName}", appContext.getPackageName());
+    }
+}
+`
+  };
+}
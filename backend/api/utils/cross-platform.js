@@ -0,0 +1,351 @@
+/**
+ * Cross-Platform Scaffolds
+ * Screen locations, prompt rules and project files for the cross-platform generators:
+ * Flutter (Dart widgets behind named routes) and React Native (Expo with a React Navigation stack)
+ */
+
+import { toRouteSegment } from './screen-flow.js';
+import { emitFlutterTheme, emitReactNativeTokens, emitTailwindConfig } from './token-emitters.js';
+
+export const REACT_NATIVE_STYLING = {
+  STYLESHEET: 'StyleSheet',
+  NATIVEWIND: 'NativeWind'
+};
+
+/**
+ * Pick the React Native styling approach from the `styling` field
+ * Tailwind is only available through NativeWind, so both names select it; everything else uses StyleSheet
+ * @param {string} styling - Requested styling
+ * @returns {string} - REACT_NATIVE_STYLING value
+ */
+export function resolveReactNativeStyling(styling) {
+  return /^(nativewind|tailwind( css)?)$/i.test(String(styling || '').trim())
+    ? REACT_NATIVE_STYLING.NATIVEWIND
+    : REACT_NATIVE_STYLING.STYLESHEET;
+}
+
+// "LoginScreen.png" is already named as a screen; avoid LoginScreenScreen
+function screenBase(screen) {
+  return screen.name.replace(/(Screen|Page|View)$/, '') || screen.name;
+}
+
+// Dart keywords a lowerCamel route constant could collide with
+const DART_RESERVED_WORDS = new Set([
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+]);
+
+function flutterRouteConstant(screen) {
+  const base = screenBase(screen);
+  const name = base.charAt(0).toLowerCase() + base.slice(1);
+  return DART_RESERVED_WORDS.has(name) ? `${name}Route` : name;
+}
+
+function readme(title, platform, commands, details, readmeExtra) {
+  return `# Digital Studio Project
+
+This ${title} project was generated using Digital Studio VM.
+
+## Getting Started
+
+${commands.map(([command, description]) => `### \`${command}\`
+
+${description}`).join('\n\n')}
+
+## Generated Features
+
+- Framework: ${title}
+- Platform: ${platform}
+${details.map(line => `- ${line}`).join('\n')}
+${readmeExtra}
+Generated on: ${new Date().toISOString()}
+`;
+}
+
+const flutter = {
+  title: 'Flutter',
+  mainFile: 'lib/main.dart',
+
+  screenName: (screen) => `${screenBase(screen)}Screen`,
+
+  screenPath: (screen) => `lib/screens/${toRouteSegment(screenBase(screen)).replace(/-/g, '_')}_screen.dart`,
+
+  navigateCall: (screen) => `Navigator.pushNamed(context, AppRoutes.${flutterRouteConstant(screen)})`,
+
+  screenRules: (screen, { architecture, colorNames }) => [
+    `Start with import 'package:flutter/material.dart'; then import '../routes.dart' and '../theme/app_theme.dart' as needed`,
+    `Declare class ${flutter.screenName(screen)} (StatelessWidget, or StatefulWidget when it holds state) with a const constructor taking only {super.key}`,
+    `The widget is shown by the named route AppRoutes.${flutterRouteConstant(screen)} ("${screen.route}"); do not create a MaterialApp or a main() function`,
+    'Return a Scaffold; use SafeArea and SingleChildScrollView where content can overflow',
+    `Colors come from AppColors (${colorNames}), spacing from AppSpacing, corner radii from AppRadius and text styles from Theme.of(context).textTheme`,
+    `Follow the ${architecture} pattern; a view model or controller may live in the same file`,
+    'Use only the Flutter SDK; there are no other packages in pubspec.yaml',
+    'Give icon-only buttons a tooltip or Semantics label'
+  ],
+
+  createProjectFiles({ flow, screenFiles, tokens, options, readmeExtra }) {
+    const first = flow.screens[0];
+    const screens = flow.screens.map(screen => ({
+      screen,
+      widget: flutter.screenName(screen),
+      constant: flutterRouteConstant(screen),
+      file: flutter.screenPath(screen).slice('lib/'.length)
+    }));
+
+    return {
+      'pubspec.yaml': `name: digital_studio_app
+description: Generated Flutter app by Digital Studio VM
+publish_to: 'none'
+version: 1.0.0+1
+
+environment:
+  sdk: '>=3.2.0 <4.0.0'
+
+dependencies:
+  flutter:
+    sdk: flutter
+  cupertino_icons: ^1.0.6
+
+dev_dependencies:
+  flutter_test:
+    sdk: flutter
+  flutter_lints: ^3.0.1
+
+flutter:
+  uses-material-design: true
+`,
+
+      'analysis_options.yaml': `include: package:flutter_lints/flutter.yaml
+`,
+
+      '.gitignore': `.dart_tool/
+.flutter-plugins
+.flutter-plugins-dependencies
+.packages
+build/
+.idea/
+*.iml
+.DS_Store
+`,
+
+      'lib/main.dart': `import 'package:flutter/material.dart';
+
+import 'routes.dart';
+${screens.map(({ file }) => `import '${file}';`).join('\n')}
+import 'theme/app_theme.dart';
+
+void main() {
+  runApp(const DigitalStudioApp());
+}
+
+class DigitalStudioApp extends StatelessWidget {
+  const DigitalStudioApp({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return MaterialApp(
+      title: 'Digital Studio App',
+      debugShowCheckedModeBanner: false,
+      theme: AppTheme.light,
+      initialRoute: AppRoutes.${flutterRouteConstant(first)},
+      routes: {
+${screens.map(({ widget, constant }) => `        AppRoutes.${constant}: (context) => const ${widget}(),`).join('\n')}
+      },
+    );
+  }
+}
+`,
+
+      'lib/routes.dart': `/// Named routes in screen order; the first one is the initial route
+class AppRoutes {
+  AppRoutes._();
+
+${screens.map(({ screen, constant }) => `  static const ${constant} = '${screen.route}';`).join('\n')}
+}
+`,
+
+      'lib/theme/app_theme.dart': emitFlutterTheme(tokens),
+      ...screenFiles,
+
+      'test/widget_test.dart': `import 'package:flutter_test/flutter_test.dart';
+
+import 'package:digital_studio_app/main.dart';
+import 'package:digital_studio_app/${screens[0].file}';
+
+void main() {
+  testWidgets('opens on the first screen', (WidgetTester tester) async {
+    await tester.pumpWidget(const DigitalStudioApp());
+
+    expect(find.byType(${screens[0].widget}), findsOneWidget);
+  });
+}
+`,
+
+      'README.md': readme('Flutter', 'flutter', [
+        ['flutter create --project-name digital_studio_app --org com.digitalstudio --platforms=android,ios .', 'Adds the Android and iOS host projects. Existing files in `lib/` and `test/` are kept.'],
+        ['flutter pub get', 'Installs the dependencies from `pubspec.yaml`.'],
+        ['flutter run', 'Runs the app on a connected device or simulator.'],
+        ['flutter test', 'Runs the widget tests.']
+      ], [
+        'UI: Material 3 widgets themed from the design tokens (`lib/theme/app_theme.dart`)',
+        'Navigation: named routes in `lib/routes.dart`',
+        `Architecture: ${options.architecture}`
+      ], readmeExtra)
+    };
+  }
+};
+
+const reactNative = {
+  title: 'React Native',
+  mainFile: 'App.js',
+
+  screenName: (screen) => `${screenBase(screen)}Screen`,
+
+  screenPath: (screen) => `src/screens/${screenBase(screen)}Screen.js`,
+
+  navigateCall: (screen) => `navigation.navigate('${screenBase(screen)}')`,
+
+  screenRules: (screen, { architecture, colorNames, styling }) => [
+    `Export the screen as export default function ${reactNative.screenName(screen)}({ navigation })`,
+    `The screen is registered in the stack navigator as "${screenBase(screen)}"; do not create a NavigationContainer, a navigator or an App component`,
+    "Import components from 'react-native' and SafeAreaView from 'react-native-safe-area-context'; use ScrollView where content can overflow",
+    styling === REACT_NATIVE_STYLING.NATIVEWIND
+      ? 'Style with NativeWind className props using the theme keys from tailwind.config.js (bg-primary, text-text-primary, p-md, rounded-md, text-lg); no StyleSheet'
+      : `Style with StyleSheet.create at the bottom of the file, taking colors (${colorNames}), spacing, radius, fontSize, fontWeight and shadow from '../theme/tokens'`,
+    `Follow the ${architecture} pattern with function components and hooks`,
+    'Use only react, react-native, react-native-safe-area-context and @react-navigation/native; no other packages are installed',
+    'Set accessibilityRole and accessibilityLabel on touchable elements'
+  ],
+
+  createProjectFiles({ flow, screenFiles, tokens, options, readmeExtra }) {
+    const nativeWind = options.styling === REACT_NATIVE_STYLING.NATIVEWIND;
+    const screens = flow.screens.map(screen => ({
+      screen,
+      routeName: screenBase(screen),
+      component: reactNative.screenName(screen),
+      path: reactNative.screenPath(screen)
+    }));
+
+    const files = {
+      'package.json': JSON.stringify({
+        name: 'digital-studio-app',
+        version: '1.0.0',
+        private: true,
+        main: 'node_modules/expo/AppEntry.js',
+        scripts: {
+          start: 'expo start',
+          android: 'expo start --android',
+          ios: 'expo start --ios'
+        },
+        dependencies: {
+          '@react-navigation/native': '^6.1.17',
+          '@react-navigation/native-stack': '^6.9.26',
+          expo: '~50.0.14',
+          'expo-status-bar': '~1.11.1',
+          react: '18.2.0',
+          'react-native': '0.73.6',
+          'react-native-safe-area-context': '4.8.2',
+          'react-native-screens': '~3.29.0',
+          ...(nativeWind && { nativewind: '^2.0.11' })
+        },
+        devDependencies: {
+          '@babel/core': '^7.20.0',
+          ...(nativeWind && { tailwindcss: '3.3.2' })
+        }
+      }, null, 2),
+
+      'app.json': JSON.stringify({
+        expo: {
+          name: 'Digital Studio App',
+          slug: 'digital-studio-app',
+          version: '1.0.0',
+          orientation: 'portrait',
+          userInterfaceStyle: 'light',
+          ios: { supportsTablet: true, bundleIdentifier: 'com.digitalstudio.app' },
+          android: { package: 'com.digitalstudio.app' }
+        }
+      }, null, 2),
+
+      'babel.config.js': `module.exports = function (api) {
+  api.cache(true);
+  return {
+    presets: ['babel-preset-expo'],${nativeWind ? `
+    plugins: ['nativewind/babel'],` : ''}
+  };
+};
+`,
+
+      '.gitignore': `node_modules/
+.expo/
+dist/
+web-build/
+npm-debug.*
+*.jks
+*.p8
+*.p12
+*.key
+*.mobileprovision
+.DS_Store
+`,
+
+      'App.js': `import { NavigationContainer, DefaultTheme } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { StatusBar } from 'expo-status-bar';
+import { colors } from './src/theme/tokens';
+${screens.map(({ component, path }) => `import ${component} from './${path.replace(/\.js$/, '')}';`).join('\n')}
+
+const Stack = createNativeStackNavigator();
+
+// React Navigation chrome uses the same design tokens as the screens
+const navigationTheme = {
+  ...DefaultTheme,
+  colors: {
+    ...DefaultTheme.colors,
+    primary: colors.primary,
+    background: colors.background,
+    card: colors.surface,
+    text: colors.textPrimary,
+    border: colors.border,
+  },
+};
+
+export default function App() {
+  return (
+    <NavigationContainer theme={navigationTheme}>
+      <StatusBar style="dark" />
+      <Stack.Navigator initialRouteName="${screens[0].routeName}">
+${screens.map(({ screen, routeName, component }) => `        <Stack.Screen name="${routeName}" component={${component}} options={{ title: '${screen.title}' }} />`).join('\n')}
+      </Stack.Navigator>
+    </NavigationContainer>
+  );
+}
+`,
+
+      'src/theme/tokens.js': emitReactNativeTokens(tokens),
+      ...screenFiles,
+
+      'README.md': readme('React Native', 'react-native', [
+        ['npm install', 'Installs Expo, React Navigation and the other dependencies.'],
+        ['npx expo start', 'Starts the Expo dev server; open the app in Expo Go or a simulator.'],
+        ['npm run android', 'Starts Expo and opens the app on an Android emulator or device.'],
+        ['npm run ios', 'Starts Expo and opens the app in the iOS simulator.']
+      ], [
+        `Styling: ${nativeWind ? 'NativeWind (Tailwind classes, `tailwind.config.js`)' : 'StyleSheet'} with design tokens from \`src/theme/tokens.js\``,
+        'Navigation: React Navigation native stack in screen order (`App.js`)',
+        `Architecture: ${options.architecture}`
+      ], readmeExtra)
+    };
+
+    if (nativeWind) {
+      files['tailwind.config.js'] = emitTailwindConfig(tokens, { content: ['./App.{js,jsx}', './src/**/*.{js,jsx}'], literal: true });
+    }
+
+    return files;
+  }
+};
+
+export const CROSS_PLATFORM_TARGETS = {
+  flutter,
+  'react-native': reactNative
+};
@@ -16,8 +16,20 @@ export class CVAnalysis {
    * Initialize OCR worker
    */
   async initializeOCR() {
+    if (this.ocrError) {
+      throw this.ocrError;
+    }
     if (!this.ocrWorker) {
-      this.ocrWorker = await createWorker('eng');
+      // tesseract rethrows worker failures (e.g. a failed language download) outside createWorker's promise
+      // unless an errorHandler is set, and with one createWorker never settles, so the handler rejects here
+      try {
+        this.ocrWorker = await new Promise((resolve, reject) => {
+          createWorker('eng', 1, { errorHandler: (error) => reject(new Error(String(error))) }).then(resolve, reject);
+        });
+      } catch (error) {
+        this.ocrError = error;
+        throw error;
+      }
     }
     return this.ocrWorker;
   }
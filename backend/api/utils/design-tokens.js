@@ -0,0 +1,471 @@
+/**
+ * Design Token Utilities
+ * Canonical W3C Design Tokens (DTCG) set built from CV and LLM screenshot analysis.
+ * Every generator derives its theme files from this one structure.
+ */
+
+export const TOKEN_SOURCE = {
+  CV: 'cv',
+  LLM: 'llm',
+  MERGED: 'cv+llm',
+  USER: 'user',
+  FIGMA: 'figma',
+  DEFAULT: 'default'
+};
+
+// Custom property names generated components (and user stylesheets) already use
+export const CSS_VARIABLE_ALIASES = {
+  '--primary-color': 'color.primary',
+  '--secondary-color': 'color.secondary',
+  '--accent-color': 'color.accent',
+  '--warning-color': 'color.warning',
+  '--background': 'color.background',
+  '--surface': 'color.surface',
+  '--text-primary': 'color.text.primary',
+  '--text-secondary': 'color.text.secondary',
+  '--border-color': 'color.border',
+  '--font-primary': 'font.family.base',
+  '--font-family': 'font.family.base',
+  '--border-radius': 'radius.md'
+};
+
+export const FONT_STACKS = {
+  modern: ['-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', 'sans-serif'],
+  classic: ['Georgia', 'Times New Roman', 'Times', 'serif'],
+  bold: ['Inter', 'Helvetica Neue', 'Arial', 'sans-serif'],
+  minimal: ['Source Sans Pro', '-apple-system', 'sans-serif']
+};
+
+// Role order matches the positional colors array returned by analyzeImageMetadata
+const BRAND_ROLES = ['primary', 'secondary', 'accent', 'warning'];
+
+const BRAND_DEFAULTS = {
+  primary: '#1f2937',
+  secondary: '#3b82f6',
+  accent: '#10b981',
+  warning: '#f59e0b'
+};
+
+const SURFACE_DEFAULTS = {
+  light: { background: '#ffffff', surface: '#f8fafc', text: { primary: '#1e293b', secondary: '#64748b' }, border: '#e2e8f0' },
+  dark: { background: '#0f172a', surface: '#1e293b', text: { primary: '#f1f5f9', secondary: '#94a3b8' }, border: '#334155' }
+};
+
+const SPACING_BASE = { tight: 4, comfortable: 8, loose: 12 };
+const SPACING_STEPS = { xs: 0.5, sm: 1, md: 2, lg: 3, xl: 4, '2xl': 6 };
+
+const RADIUS_DEFAULTS = { none: 0, sm: 4, md: 8, lg: 16, full: 9999 };
+
+const FONT_SIZE_DEFAULTS = { xs: 12, sm: 14, md: 16, lg: 18, xl: 20, '2xl': 24, '3xl': 30 };
+
+const FONT_WEIGHT_DEFAULTS = { regular: 400, medium: 500, semibold: 600, bold: 700 };
+
+const SHADOW_DEFAULTS = {
+  sm: { color: '#0000000d', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' },
+  md: { color: '#0000001a', offsetX: '0px', offsetY: '4px', blur: '6px', spread: '-1px' },
+  lg: { color: '#0000001a', offsetX: '0px', offsetY: '10px', blur: '15px', spread: '-3px' }
+};
+
+/**
+ * Normalize #rgb, #rrggbb, #rrggbbaa and rgb()/rgba() strings to lowercase hex
+ * @param {string} value - Color string
+ * @returns {string|null} - #rrggbb or #rrggbbaa, null when unparseable
+ */
+export function normalizeHex(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+
+  const short = text.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (short) {
+    return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+  }
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(text)) {
+    return text;
+  }
+
+  const rgb = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map(channel => Math.min(255, Number(channel)));
+    const alpha = rgb[4] !== undefined ? Math.round(Math.min(1, Number(rgb[4])) * 255) : null;
+    const hex = channels.map(channel => channel.toString(16).padStart(2, '0')).join('');
+    return `#${hex}${alpha !== null && alpha < 255 ? alpha.toString(16).padStart(2, '0') : ''}`;
+  }
+
+  return null;
+}
+
+/**
+ * Split a hex color into 0-255 channels and 0-1 alpha
+ * @param {string} hex - Normalized hex color
+ * @returns {Object} - { r, g, b, a }
+ */
+export function hexToRgb(hex) {
+  const normalized = normalizeHex(hex) || '#000000';
+  return {
+    r: parseInt(normalized.slice(1, 3), 16),
+    g: parseInt(normalized.slice(3, 5), 16),
+    b: parseInt(normalized.slice(5, 7), 16),
+    a: normalized.length === 9 ? parseInt(normalized.slice(7, 9), 16) / 255 : 1
+  };
+}
+
+function colorDistance(a, b) {
+  const x = hexToRgb(a);
+  const y = hexToRgb(b);
+  return Math.sqrt((x.r - y.r) ** 2 + (x.g - y.g) ** 2 + (x.b - y.b) ** 2);
+}
+
+function luminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+function saturation(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+function toPx(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const match = String(value ?? '').trim().match(/^(-?[\d.]+)\s*(px|rem)?$/);
+  if (!match) return null;
+  return match[2] === 'rem' ? Number(match[1]) * 16 : Number(match[1]);
+}
+
+function token(type, value, source, description) {
+  const entry = { $type: type, $value: value };
+  if (description) entry.$description = description;
+  return { entry, source };
+}
+
+/**
+ * Pick a value from LLM output, snapping to a close CV color when one exists
+ * @param {string} llmColor - Color proposed by the model
+ * @param {Array} cvColors - Hex colors measured from pixels
+ * @param {Object} fallback - { value, source } used when the model gave nothing usable
+ * @returns {Object} - { value, source }
+ */
+function resolveColor(llmColor, cvColors, fallback) {
+  const proposed = normalizeHex(llmColor);
+  if (proposed) {
+    // The model names colors well but misreads exact values; prefer the measured pixel
+    const nearest = cvColors
+      .map(hex => ({ hex, distance: colorDistance(hex, proposed) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (nearest && nearest.distance < 40) {
+      return { value: nearest.hex, source: TOKEN_SOURCE.MERGED };
+    }
+    return { value: proposed, source: TOKEN_SOURCE.LLM };
+  }
+  return fallback;
+}
+
+/**
+ * Build the canonical token set from CV measurements and LLM analysis
+ * @param {Object} cv - { colors: [{ hex, frequency }], spacing: { padding }, fontSizes: [px], dimensions }
+ * @param {Object} llm - Parsed model output (roles, scales, or the loose analyzeImageMetadata shape)
+ * @returns {Object} - DTCG token set with per-token sources under $extensions
+ */
+export function buildTokenSet(cv = {}, llm = {}) {
+  const theme = ['light', 'dark'].includes(llm?.theme) ? llm.theme : inferTheme(cv.colors);
+  const surfaces = SURFACE_DEFAULTS[theme];
+
+  const cvColors = (cv.colors || [])
+    .slice()
+    .sort((a, b) => (b.frequency || 0) - (a.frequency || 0))
+    .map(color => normalizeHex(color.hex))
+    .filter(Boolean);
+  const cvBrand = cvColors.filter(hex => saturation(hex) > 0.25);
+
+  const tokens = {
+    $description: 'Design tokens extracted by Digital Studio',
+    color: {},
+    spacing: {},
+    radius: {},
+    font: {},
+    shadow: {}
+  };
+
+  const sources = {};
+  const set = (group, name, result) => {
+    let node = tokens;
+    for (const key of group) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+    node[name] = result.entry;
+    sources[[...group, name].join('.')] = result.source;
+  };
+
+  // Brand colors: explicit roles, then the positional array, then saturated CV colors
+  const llmRoles = llm?.colors && !Array.isArray(llm.colors) ? llm.colors : {};
+  const llmList = Array.isArray(llm?.colors) ? llm.colors : [];
+  BRAND_ROLES.forEach((role, index) => {
+    const cvFallback = cvBrand[index]
+      ? { value: cvBrand[index], source: TOKEN_SOURCE.CV }
+      : { value: BRAND_DEFAULTS[role], source: TOKEN_SOURCE.DEFAULT };
+    const { value, source } = resolveColor(llmRoles[role] ?? llmList[index], cvColors, cvFallback);
+    set(['color'], role, token('color', value, source));
+  });
+
+  const surfaceRoles = {
+    background: llmRoles.background,
+    surface: llmRoles.surface,
+    border: llmRoles.border
+  };
+  for (const [role, proposed] of Object.entries(surfaceRoles)) {
+    const { value, source } = resolveColor(proposed, cvColors, { value: surfaces[role], source: TOKEN_SOURCE.DEFAULT });
+    set(['color'], role, token('color', value, source));
+  }
+
+  const textRoles = {
+    primary: llmRoles.textPrimary ?? llmRoles.text?.primary ?? llmRoles.text,
+    secondary: llmRoles.textSecondary ?? llmRoles.text?.secondary
+  };
+  for (const [role, proposed] of Object.entries(textRoles)) {
+    const { value, source } = resolveColor(
+      typeof proposed === 'string' ? proposed : null,
+      cvColors,
+      { value: surfaces.text[role], source: TOKEN_SOURCE.DEFAULT }
+    );
+    set(['color', 'text'], role, token('color', value, source));
+  }
+
+  cvColors.slice(0, 8).forEach((hex, index) => {
+    set(['color', 'palette'], String(index + 1), token('color', hex, TOKEN_SOURCE.CV, 'Measured from screenshot pixels'));
+  });
+
+  // Spacing: explicit base or word from the model, otherwise derived from measured padding
+  let spacingBase = { value: SPACING_BASE.comfortable, source: TOKEN_SOURCE.DEFAULT };
+  const llmBase = toPx(llm?.spacing?.base ?? llm?.spacingBase);
+  if (llmBase) {
+    spacingBase = { value: llmBase, source: TOKEN_SOURCE.LLM };
+  } else if (SPACING_BASE[llm?.spacing]) {
+    spacingBase = { value: SPACING_BASE[llm.spacing], source: TOKEN_SOURCE.LLM };
+  }
+  if (cv.spacing?.padding) {
+    const measured = Math.min(16, Math.max(4, Math.round(cv.spacing.padding / 2 / 4) * 4));
+    spacingBase = spacingBase.source === TOKEN_SOURCE.DEFAULT
+      ? { value: measured, source: TOKEN_SOURCE.CV }
+      : { value: Math.round((spacingBase.value + measured) / 2 / 2) * 2, source: TOKEN_SOURCE.MERGED };
+  }
+  for (const [step, multiplier] of Object.entries(SPACING_STEPS)) {
+    set(['spacing'], step, token('dimension', `${spacingBase.value * multiplier}px`, spacingBase.source));
+  }
+
+  const llmRadii = llm?.radii || llm?.radius || {};
+  for (const [name, fallback] of Object.entries(RADIUS_DEFAULTS)) {
+    const proposed = toPx(llmRadii[name]);
+    set(['radius'], name, proposed !== null
+      ? token('dimension', `${proposed}px`, TOKEN_SOURCE.LLM)
+      : token('dimension', `${fallback}px`, TOKEN_SOURCE.DEFAULT));
+  }
+
+  // Font sizes: OCR text heights snap onto the scale, model values fill the rest
+  const typography = typeof llm?.typography === 'string' ? llm.typography : 'modern';
+  const family = Array.isArray(llm?.fontFamily) ? llm.fontFamily
+    : (typeof llm?.fontFamily === 'string' ? [llm.fontFamily, ...FONT_STACKS.modern.slice(-1)] : null);
+  set(['font', 'family'], 'base', family
+    ? token('fontFamily', family, TOKEN_SOURCE.LLM)
+    : token('fontFamily', FONT_STACKS[typography] || FONT_STACKS.modern, llm?.typography ? TOKEN_SOURCE.LLM : TOKEN_SOURCE.DEFAULT));
+
+  const measuredSizes = snapFontSizes(cv.fontSizes || []);
+  const llmSizes = llm?.fontSizes || {};
+  for (const [name, fallback] of Object.entries(FONT_SIZE_DEFAULTS)) {
+    const proposed = toPx(llmSizes[name]);
+    let result = token('dimension', `${fallback}px`, TOKEN_SOURCE.DEFAULT);
+    if (measuredSizes[name] && proposed) {
+      result = token('dimension', `${Math.round((measuredSizes[name] + proposed) / 2)}px`, TOKEN_SOURCE.MERGED);
+    } else if (measuredSizes[name]) {
+      result = token('dimension', `${measuredSizes[name]}px`, TOKEN_SOURCE.CV);
+    } else if (proposed) {
+      result = token('dimension', `${proposed}px`, TOKEN_SOURCE.LLM);
+    }
+    set(['font', 'size'], name, result);
+  }
+
+  for (const [name, weight] of Object.entries(FONT_WEIGHT_DEFAULTS)) {
+    const boldShift = typography === 'bold' && name !== 'regular' ? 100 : 0;
+    set(['font', 'weight'], name, token('fontWeight', Math.min(900, weight + boldShift), llm?.typography ? TOKEN_SOURCE.LLM : TOKEN_SOURCE.DEFAULT));
+  }
+
+  const llmShadows = llm?.shadows || {};
+  for (const [name, fallback] of Object.entries(SHADOW_DEFAULTS)) {
+    const proposed = llmShadows[name];
+    const valid = proposed && typeof proposed === 'object' && normalizeHex(proposed.color);
+    set(['shadow'], name, valid
+      ? token('shadow', { ...fallback, ...proposed, color: normalizeHex(proposed.color) }, TOKEN_SOURCE.LLM)
+      : token('shadow', fallback, TOKEN_SOURCE.DEFAULT));
+  }
+
+  tokens.$extensions = {
+    'com.digitalstudio': {
+      theme,
+      sources,
+      ...(cv.dimensions && { dimensions: cv.dimensions })
+    }
+  };
+
+  return tokens;
+}
+
+function inferTheme(cvColors = []) {
+  const dominant = normalizeHex(cvColors[0]?.hex);
+  return dominant && luminance(dominant) < 0.35 ? 'dark' : 'light';
+}
+
+// Map measured text heights onto the named scale, largest heights to the largest steps
+function snapFontSizes(sizes) {
+  const distinct = [...new Set(sizes.map(size => Math.round(size)).filter(size => size >= 8 && size <= 96))]
+    .sort((a, b) => a - b);
+  const names = Object.keys(FONT_SIZE_DEFAULTS);
+  const snapped = {};
+
+  for (const size of distinct) {
+    const closest = names.reduce((best, name) =>
+      Math.abs(FONT_SIZE_DEFAULTS[name] - size) < Math.abs(FONT_SIZE_DEFAULTS[best] - size) ? name : best
+    );
+    if (!snapped[closest]) {
+      snapped[closest] = size;
+    }
+  }
+  return snapped;
+}
+
+/**
+ * Derive tokens from the loose analysis object used by the generators
+ * @param {Object} imageAnalysis - { colors: [], spacing, typography, theme } or null
+ * @returns {Object} - DTCG token set
+ */
+export function tokensFromAnalysis(imageAnalysis = null) {
+  return buildTokenSet({}, imageAnalysis || {});
+}
+
+/**
+ * Walk a token set and list every token with its dotted path
+ * @param {Object} tokens - DTCG token set
+ * @returns {Array} - [{ path: ['color', 'primary'], name: 'color.primary', type, value }]
+ */
+export function flattenTokens(tokens, parentPath = [], inheritedType = null) {
+  const result = [];
+  for (const [key, node] of Object.entries(tokens || {})) {
+    if (key.startsWith('$') || !node || typeof node !== 'object') continue;
+    const path = [...parentPath, key];
+    const type = node.$type || inheritedType;
+    if ('$value' in node) {
+      result.push({ path, name: path.join('.'), type, value: node.$value });
+    } else {
+      result.push(...flattenTokens(node, path, type));
+    }
+  }
+  return result;
+}
+
+/**
+ * Read a single token value by dotted path
+ * @param {Object} tokens - DTCG token set
+ * @param {string} name - e.g. 'color.primary'
+ * @returns {*} - Token $value or undefined
+ */
+export function getTokenValue(tokens, name) {
+  const node = name.split('.').reduce((current, key) => current?.[key], tokens);
+  return node?.$value;
+}
+
+/**
+ * Theme modes a token set carries besides its default values (Figma variable modes)
+ * @param {Object} tokens - DTCG token set
+ * @returns {Array} - [{ name: 'dark', values: { 'color.background': '#0f172a' } }], empty for single-mode sets
+ */
+export function listTokenModes(tokens) {
+  const modes = tokens?.$extensions?.['com.digitalstudio']?.modes || {};
+  return Object.entries(modes).map(([name, values]) => ({ name, values }));
+}
+
+/**
+ * CSS custom property name for a token path
+ * @param {Array} path - e.g. ['color', 'text', 'primary']
+ * @returns {string} - e.g. '--color-text-primary'
+ */
+export function tokenCSSVariable(path) {
+  return `--${path.join('-').replace(/[^a-zA-Z0-9-]/g, '-')}`;
+}
+
+// Coerce a user-supplied value to the token's type, null when it does not fit
+function coerceTokenValue(type, value) {
+  if (type === 'color') {
+    return normalizeHex(String(value));
+  }
+  if (type === 'dimension') {
+    const px = toPx(value);
+    return px !== null && px >= 0 ? `${px}px` : null;
+  }
+  if (type === 'fontFamily') {
+    const families = (Array.isArray(value) ? value : String(value).split(','))
+      .map(family => String(family).trim().replace(/^['"]|['"]$/g, '').trim())
+      .filter(Boolean);
+    return families.length > 0 && families.every(family => /^[\w\s-]+$/.test(family)) ? families : null;
+  }
+  if (type === 'fontWeight') {
+    const weight = { normal: 400, bold: 700 }[value] ?? Number(value);
+    return Number.isInteger(weight) && weight >= 1 && weight <= 1000 ? weight : null;
+  }
+  if (type === 'shadow') {
+    return value && typeof value === 'object' && normalizeHex(value.color)
+      ? { ...value, color: normalizeHex(value.color) }
+      : null;
+  }
+  return null;
+}
+
+/**
+ * Apply user overrides to a token set, earlier overrides taking precedence over later ones
+ * @param {Object} tokens - DTCG token set
+ * @param {Array} overrides - [{ name: 'color.primary' | '--primary-color', value, source }]
+ * @returns {Object} - { tokens, report: { applied, overridden, ignored } }
+ */
+export function applyTokenOverrides(tokens, overrides = []) {
+  const result = structuredClone(tokens);
+  const report = { applied: [], overridden: [], ignored: [] };
+  const known = new Map(flattenTokens(tokens).map(entry => [entry.name, entry]));
+  const byVariable = new Map([...known.values()].map(entry => [tokenCSSVariable(entry.path), entry.name]));
+  const winners = new Map();
+
+  for (const { name, value, source } of overrides) {
+    const target = name.startsWith('--')
+      ? (CSS_VARIABLE_ALIASES[name] || byVariable.get(name))
+      : name;
+    const entry = known.get(target);
+
+    if (!entry) {
+      report.ignored.push({ name, value, source, reason: 'No matching design token' });
+      continue;
+    }
+    if (winners.has(target)) {
+      report.ignored.push({ name, token: target, value, source, reason: `Superseded by ${winners.get(target)}` });
+      continue;
+    }
+
+    const coerced = coerceTokenValue(entry.type, value);
+    if (coerced === null) {
+      report.ignored.push({ name, value, source, reason: `Invalid ${entry.type} value` });
+      continue;
+    }
+
+    winners.set(target, source);
+    const node = target.split('.').reduce((current, key) => current[key], result);
+    node.$value = coerced;
+    if (result.$extensions?.['com.digitalstudio']?.sources) {
+      result.$extensions['com.digitalstudio'].sources[target] = TOKEN_SOURCE.USER;
+    }
+
+    report.applied.push({ token: target, type: entry.type, value: coerced, source });
+    if (JSON.stringify(coerced) !== JSON.stringify(entry.value)) {
+      report.overridden.push({ token: target, extracted: entry.value, value: coerced, source });
+    }
+  }
+
+  return { tokens: result, report };
+}
@@ -0,0 +1,194 @@
+/**
+ * Figma Components
+ * Component sets and standalone components of a Figma file as reusable component
+ * definitions: variant properties become props with a fixed set of options, text
+ * and boolean properties become value props, and every variant keeps its own
+ * layout tree. Instances in frames resolve to a usage of their definition.
+ */
+
+import { buildFigmaLayout } from './figma-layout.js';
+import { toComponentName } from './screen-flow.js';
+
+// Names that would shadow a UI primitive in React, Compose or SwiftUI get an App prefix
+const RESERVED_COMPONENT_NAMES = new Set([
+  'App', 'Box', 'Brush', 'Button', 'Canvas', 'Capsule', 'Card', 'Checkbox', 'Circle', 'Color', 'Column',
+  'Divider', 'Ellipse', 'Form', 'Fragment', 'Group', 'HStack', 'Icon', 'Image', 'Label', 'Link', 'List',
+  'Menu', 'Modifier', 'Path', 'Picker', 'Rectangle', 'Row', 'Section', 'Shape', 'Slider', 'Spacer',
+  'Surface', 'Switch', 'Text', 'Toggle', 'View', 'VStack', 'ZStack'
+]);
+
+// Keywords of JavaScript, Kotlin and Swift plus the parameters the emitters add themselves
+const RESERVED_PROP_NAMES = new Set([
+  'as', 'break', 'case', 'class', 'className', 'default', 'do', 'else', 'enum', 'for', 'fun', 'func', 'if',
+  'in', 'init', 'is', 'let', 'modifier', 'new', 'null', 'object', 'onClick', 'private', 'public', 'return',
+  'self', 'static', 'struct', 'super', 'switch', 'this', 'true', 'false', 'typealias', 'val', 'var', 'when', 'while'
+]);
+
+const PROPERTY_TYPES = { VARIANT: 'variant', TEXT: 'text', BOOLEAN: 'boolean' };
+
+// "Show icon#3:1" -> "showIcon"
+function toPropName(key, used) {
+  const pascal = toComponentName(String(key).replace(/#[^#]*$/, ''), 'Prop');
+  const base = pascal.charAt(0).toLowerCase() + pascal.slice(1);
+  let name = RESERVED_PROP_NAMES.has(base) ? `${base}Value` : base;
+  for (let suffix = 2; used.has(name); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  used.add(name);
+  return name;
+}
+
+// Older files carry variant values only in the component name: "Size=Large, State=Default"
+function parseVariantName(name) {
+  const values = {};
+  for (const pair of String(name || '').split(',')) {
+    const [key, ...rest] = pair.split('=');
+    if (rest.length > 0 && key.trim()) values[key.trim()] = rest.join('=').trim();
+  }
+  return values;
+}
+
+function definitionProps(node, variants) {
+  const used = new Set();
+  const definitions = node.componentPropertyDefinitions || {};
+  const props = [];
+
+  for (const [key, definition] of Object.entries(definitions)) {
+    const type = PROPERTY_TYPES[definition.type];
+    if (!type) continue;
+    props.push({
+      key,
+      name: toPropName(key, used),
+      type,
+      options: type === 'variant' ? definition.variantOptions || [] : null,
+      defaultValue: definition.defaultValue
+    });
+  }
+
+  // Without property definitions the variant names are the only source of props
+  if (!props.some(prop => prop.type === 'variant') && variants.length > 1) {
+    const keys = [];
+    for (const variant of variants) {
+      for (const key of Object.keys(parseVariantName(variant.name))) {
+        if (!keys.includes(key)) keys.push(key);
+      }
+    }
+    for (const key of keys) {
+      const options = [...new Set(variants.map(variant => parseVariantName(variant.name)[key]).filter(Boolean))];
+      props.push({ key, name: toPropName(key, used), type: 'variant', options, defaultValue: options[0] });
+    }
+  }
+
+  return props;
+}
+
+/**
+ * Collect the reusable components of a Figma file
+ * @param {Object} document - The `document` node of a Figma file response
+ * @param {Object} options - buildFigmaLayout options (imagePath) used for the variant trees
+ * @returns {Object} - { definitions: [{ id, name, figmaName, props, variants: [{ id, values, layout }], defaultVariant }], resolveInstance(node) }
+ */
+export function collectFigmaComponents(document, options = {}) {
+  const sources = [];
+  const walk = (node, parent) => {
+    if (node.type === 'COMPONENT_SET') {
+      sources.push({ node, variants: (node.children || []).filter(child => child.type === 'COMPONENT') });
+      return;
+    }
+    if (node.type === 'COMPONENT' && parent?.type !== 'COMPONENT_SET') {
+      sources.push({ node, variants: [node] });
+    }
+    (node.children || []).forEach(child => walk(child, node));
+  };
+  walk(document || {}, null);
+
+  const usedNames = new Set();
+  const byComponentId = {};
+  const definitions = sources.filter(source => source.variants.length > 0).map(({ node, variants }) => {
+    let base = toComponentName(node.name, 'Component');
+    if (RESERVED_COMPONENT_NAMES.has(base)) base = `App${base}`;
+    let name = base;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${base}${suffix}`;
+    }
+    usedNames.add(name);
+
+    const props = definitionProps(node, variants);
+    const definition = {
+      id: node.id,
+      name,
+      figmaName: node.name,
+      description: node.description || '',
+      props,
+      variants: variants.map(variant => {
+        const parsed = parseVariantName(variant.name);
+        const values = {};
+        for (const prop of props.filter(candidate => candidate.type === 'variant')) {
+          values[prop.name] = parsed[prop.key] ?? prop.defaultValue;
+        }
+        return { id: variant.id, node: variant, values, layout: null };
+      })
+    };
+
+    const variantProps = props.filter(prop => prop.type === 'variant');
+    definition.defaultVariant = definition.variants.find(variant =>
+      variantProps.every(prop => variant.values[prop.name] === prop.defaultValue)
+    ) || definition.variants[0];
+
+    for (const variant of definition.variants) {
+      byComponentId[variant.id] = { definition, variant };
+    }
+    return definition;
+  });
+
+  // Only props that differ from the component's defaults are written at the usage
+  const resolveInstance = (node) => {
+    const entry = byComponentId[node.componentId];
+    if (!entry) return null;
+
+    const props = {};
+    for (const prop of entry.definition.props) {
+      const value = prop.type === 'variant'
+        ? entry.variant.values[prop.name]
+        : node.componentProperties?.[prop.key]?.value ?? prop.defaultValue;
+      if (value !== undefined && value !== prop.defaultValue) props[prop.name] = value;
+    }
+    return { component: entry.definition.name, props };
+  };
+
+  // Variant trees are built last so instances nested in components resolve too
+  for (const definition of definitions) {
+    for (const variant of definition.variants) {
+      variant.layout = buildFigmaLayout(variant.node, { ...options, resolveInstance });
+      delete variant.node;
+    }
+  }
+
+  return { definitions, resolveInstance };
+}
+
+/**
+ * Definitions a layout tree uses directly, in first-use order
+ * @param {Object} layout - Layout tree
+ * @param {Array} definitions - Definitions from collectFigmaComponents
+ * @returns {Array} - Definitions whose instances appear in the tree
+ */
+export function usedFigmaComponents(layout, definitions) {
+  const names = [];
+  const walk = (node) => {
+    if (node.instance && !names.includes(node.instance.component)) names.push(node.instance.component);
+    node.children.forEach(walk);
+  };
+  walk(layout);
+  return names.map(name => definitions.find(definition => definition.name === name)).filter(Boolean);
+}
+
+/**
+ * Resolve a layer's component property binding to the definition's prop
+ * @param {Object} definition - Component definition
+ * @param {string|null} key - Property key from componentPropertyReferences
+ * @returns {Object|null} - Prop, or null when the layer is not bound
+ */
+export function figmaPropForKey(definition, key) {
+  return key ? definition?.props.find(prop => prop.key === key) || null : null;
+}
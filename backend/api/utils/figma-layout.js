@@ -0,0 +1,966 @@
+/**
+ * Figma Layout Translation
+ * Walks the document JSON returned by GET /v1/files/:key and turns each top-level
+ * frame into a layout tree (auto-layout, constraints, fills, strokes, effects and
+ * text styles) and then into a React page with a matching stylesheet. Everything
+ * here is a pure function of the file JSON, so saved API responses translate the
+ * same way every time; the model only contributes names and interaction hints
+ * through the annotations object.
+ */
+
+import { toComponentName, toRouteSegment } from './screen-flow.js';
+
+const CONTAINER_TYPES = new Set(['FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION']);
+const VECTOR_TYPES = new Set(['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'REGULAR_POLYGON', 'LINE']);
+const SCREEN_TYPES = new Set(['FRAME', 'COMPONENT', 'INSTANCE']);
+
+// Elements the annotations may ask for; anything else falls back to the node's default
+const ANNOTATION_ELEMENTS = new Set(['button', 'a', 'input', 'label', 'h1', 'h2', 'h3', 'p', 'span', 'nav', 'header', 'footer', 'main', 'section', 'ul', 'li', 'form', 'img']);
+
+const PRIMARY_ALIGN = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', SPACE_BETWEEN: 'space-between' };
+const COUNTER_ALIGN = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', BASELINE: 'baseline' };
+const TEXT_ALIGN = { LEFT: 'left', CENTER: 'center', RIGHT: 'right', JUSTIFIED: 'justify' };
+const TEXT_CASE = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+const TEXT_DECORATION = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+const IMAGE_SCALE = { FILL: 'cover', FIT: 'contain', CROP: 'cover', TILE: 'auto' };
+
+/**
+ * Top-level frames of every page, in document order; sections are searched for the frames they hold
+ * @param {Object} document - The `document` node of a Figma file response
+ * @returns {Array} - Frame nodes that become screens
+ */
+export function figmaScreenFrames(document) {
+  const frames = [];
+  const collect = (node) => {
+    for (const child of node.children || []) {
+      if (child.visible === false) continue;
+      if (SCREEN_TYPES.has(child.type)) {
+        frames.push(child);
+      } else if (child.type === 'SECTION') {
+        collect(child);
+      }
+    }
+  };
+
+  for (const page of document?.children || []) {
+    if (page.type === 'CANVAS') collect(page);
+  }
+  return frames;
+}
+
+// Round to at most two decimals so measurements stay readable in CSS
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function px(value) {
+  return `${round(value)}px`;
+}
+
+/**
+ * Convert a Figma RGBA color (channels 0-1) into a CSS color
+ * @param {Object} color - { r, g, b, a }
+ * @param {number} opacity - Paint opacity multiplied into the alpha channel
+ * @returns {string} - #rrggbb when opaque, rgba() otherwise
+ */
+export function figmaColor(color, opacity = 1) {
+  const channel = (value) => Math.round(Math.min(Math.max(value ?? 0, 0), 1) * 255);
+  const alpha = round((color?.a ?? 1) * opacity);
+  const [r, g, b] = [channel(color?.r), channel(color?.g), channel(color?.b)];
+
+  if (alpha >= 1) {
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function visiblePaints(paints) {
+  return (paints || []).filter(paint => paint.visible !== false);
+}
+
+// Gradient stops kept as data for the native emitters, which cannot reuse the CSS string
+function gradientStops(paint) {
+  return (paint.gradientStops || []).map(stop => ({ color: figmaColor(stop.color, paint.opacity ?? 1), position: round(stop.position) }));
+}
+
+// One CSS background layer for a paint; solid colors become flat gradients so they can stack
+function paintLayer(paint, imagePath) {
+  const stops = () => (paint.gradientStops || [])
+    .map(stop => `${figmaColor(stop.color, paint.opacity ?? 1)} ${round(stop.position * 100)}%`)
+    .join(', ');
+
+  switch (paint.type) {
+    case 'SOLID': {
+      const color = figmaColor(paint.color, paint.opacity ?? 1);
+      return { color, image: `linear-gradient(${color}, ${color})` };
+    }
+    case 'GRADIENT_LINEAR': {
+      const [start, end] = paint.gradientHandlePositions || [{ x: 0.5, y: 0 }, { x: 0.5, y: 1 }];
+      // Handle positions are normalized with y pointing down; CSS measures 0deg as "to top"
+      const angle = round((Math.atan2(end.x - start.x, -(end.y - start.y)) * 180 / Math.PI + 360) % 360);
+      return { image: `linear-gradient(${angle}deg, ${stops()})`, gradient: { kind: 'linear', angle, stops: gradientStops(paint) } };
+    }
+    case 'GRADIENT_RADIAL':
+    case 'GRADIENT_DIAMOND':
+      return { image: `radial-gradient(${stops()})`, gradient: { kind: 'radial', stops: gradientStops(paint) } };
+    case 'GRADIENT_ANGULAR':
+      return { image: `conic-gradient(${stops()})`, gradient: { kind: 'conic', stops: gradientStops(paint) } };
+    case 'IMAGE':
+      return {
+        image: `url("${imagePath(paint.imageRef)}")`,
+        ref: paint.imageRef,
+        size: IMAGE_SCALE[paint.scaleMode] || 'cover',
+        repeat: paint.scaleMode === 'TILE'
+      };
+    default:
+      return null;
+  }
+}
+
+function resolveFill(paints, imagePath) {
+  const layers = visiblePaints(paints).map(paint => paintLayer(paint, imagePath)).filter(Boolean);
+  if (layers.length === 0) return null;
+
+  // A single solid fill stays a plain color; Figma lists paints bottom-up, CSS top-down
+  if (layers.length === 1 && layers[0].color) {
+    return { color: layers[0].color };
+  }
+  return {
+    layers: layers.reverse().map(layer => ({
+      image: layer.image,
+      color: layer.color || null,
+      gradient: layer.gradient || null,
+      ref: layer.ref || null,
+      size: layer.size || null,
+      repeat: Boolean(layer.repeat)
+    }))
+  };
+}
+
+function resolveBorder(node) {
+  const stroke = visiblePaints(node.strokes).find(paint => paint.type === 'SOLID');
+  if (!stroke || !node.strokeWeight) return null;
+
+  const weights = node.individualStrokeWeights;
+  return {
+    color: figmaColor(stroke.color, stroke.opacity ?? 1),
+    width: node.strokeWeight,
+    sides: weights ? { top: weights.top, right: weights.right, bottom: weights.bottom, left: weights.left } : null,
+    style: node.strokeDashes?.length ? 'dashed' : 'solid',
+    outside: node.strokeAlign === 'OUTSIDE'
+  };
+}
+
+function resolveRadius(node) {
+  if (node.type === 'ELLIPSE') return '50%';
+  if (Array.isArray(node.rectangleCornerRadii) && node.rectangleCornerRadii.some(Boolean)) {
+    return node.rectangleCornerRadii.map(px).join(' ');
+  }
+  return node.cornerRadius ? px(node.cornerRadius) : null;
+}
+
+function resolveEffects(node) {
+  const effects = (node.effects || []).filter(effect => effect.visible !== false);
+  const shadows = effects
+    .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    .map(effect => ({
+      inset: effect.type === 'INNER_SHADOW',
+      x: effect.offset?.x || 0,
+      y: effect.offset?.y || 0,
+      blur: effect.radius || 0,
+      spread: effect.spread || 0,
+      color: figmaColor(effect.color)
+    }));
+  const layerBlur = effects.find(effect => effect.type === 'LAYER_BLUR');
+  const backgroundBlur = effects.find(effect => effect.type === 'BACKGROUND_BLUR');
+
+  return {
+    shadows,
+    // Figma blur radii are roughly twice the CSS blur() length
+    blur: layerBlur ? layerBlur.radius / 2 : null,
+    backdropBlur: backgroundBlur ? backgroundBlur.radius / 2 : null
+  };
+}
+
+function resolveTextStyle(style = {}) {
+  let lineHeight = null;
+  if (style.lineHeightUnit === 'FONT_SIZE_%' && style.lineHeightPercentFontSize) {
+    lineHeight = `${round(style.lineHeightPercentFontSize / 100)}`;
+  } else if (style.lineHeightUnit !== 'INTRINSIC_%' && style.lineHeightPx) {
+    lineHeight = px(style.lineHeightPx);
+  }
+
+  return {
+    fontFamily: style.fontFamily || null,
+    fontSize: style.fontSize ?? null,
+    fontWeight: style.fontWeight ?? null,
+    italic: Boolean(style.italic),
+    lineHeight,
+    letterSpacing: style.letterSpacing ? round(style.letterSpacing) : null,
+    textAlign: TEXT_ALIGN[style.textAlignHorizontal] || null,
+    textCase: TEXT_CASE[style.textCase] || null,
+    textDecoration: TEXT_DECORATION[style.textDecoration] || null
+  };
+}
+
+// Split mixed-style text into runs that share one character style override
+function textRuns(node) {
+  const characters = node.characters || '';
+  const overrides = node.characterStyleOverrides || [];
+  if (overrides.length === 0) {
+    return [{ text: characters, style: null }];
+  }
+
+  const runs = [];
+  for (let index = 0; index < characters.length; index++) {
+    const id = overrides[index] || 0;
+    const last = runs[runs.length - 1];
+    if (last && last.id === id) {
+      last.text += characters[index];
+    } else {
+      runs.push({ id, text: characters[index] });
+    }
+  }
+
+  return runs.map(run => {
+    const override = run.id ? node.styleOverrideTable?.[run.id] : null;
+    if (!override) return { text: run.text, style: null };
+    const style = resolveTextStyle({ ...node.style, ...override });
+    const fill = override.fills ? resolveFill(override.fills, () => '') : null;
+    return { text: run.text, style, color: fill?.color || null };
+  });
+}
+
+// FIXED, HUG or FILL on each axis, from the explicit sizing fields or the older auto-layout flags
+function resolveSizing(node, parent) {
+  const parentAxis = parent?.layoutMode === 'HORIZONTAL' ? 'horizontal' : parent?.layoutMode === 'VERTICAL' ? 'vertical' : null;
+  const fromParent = (axis) => {
+    if (!parentAxis || node.layoutPositioning === 'ABSOLUTE') return null;
+    if (axis === parentAxis) return node.layoutGrow === 1 ? 'FILL' : null;
+    return node.layoutAlign === 'STRETCH' ? 'FILL' : null;
+  };
+  const fromSelf = (axis) => {
+    if (node.type === 'TEXT') {
+      if (node.style?.textAutoResize === 'WIDTH_AND_HEIGHT') return 'HUG';
+      if (node.style?.textAutoResize === 'HEIGHT' && axis === 'vertical') return 'HUG';
+      return null;
+    }
+    if (!node.layoutMode || node.layoutMode === 'NONE') return null;
+    const primary = node.layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical';
+    const mode = axis === primary ? node.primaryAxisSizingMode : node.counterAxisSizingMode;
+    return mode === 'AUTO' ? 'HUG' : null;
+  };
+
+  return {
+    horizontal: node.layoutSizingHorizontal || fromParent('horizontal') || fromSelf('horizontal') || 'FIXED',
+    vertical: node.layoutSizingVertical || fromParent('vertical') || fromSelf('vertical') || 'FIXED'
+  };
+}
+
+function resolveAutoLayout(node) {
+  if (node.layoutMode !== 'HORIZONTAL' && node.layoutMode !== 'VERTICAL') return null;
+  const spaceBetween = node.primaryAxisAlignItems === 'SPACE_BETWEEN';
+
+  return {
+    direction: node.layoutMode === 'HORIZONTAL' ? 'row' : 'column',
+    gap: spaceBetween ? 0 : node.itemSpacing || 0,
+    padding: [node.paddingTop || 0, node.paddingRight || 0, node.paddingBottom || 0, node.paddingLeft || 0],
+    justify: PRIMARY_ALIGN[node.primaryAxisAlignItems] || 'flex-start',
+    align: COUNTER_ALIGN[node.counterAxisAlignItems] || 'flex-start',
+    wrap: node.layoutWrap === 'WRAP',
+    wrapGap: node.layoutWrap === 'WRAP' ? node.counterAxisSpacing || 0 : 0
+  };
+}
+
+// Offsets for a child placed freely inside its parent, honouring its constraints
+function resolvePosition(node, parentBox) {
+  const box = node.absoluteBoundingBox;
+  if (!box || !parentBox) return null;
+
+  const x = box.x - parentBox.x;
+  const y = box.y - parentBox.y;
+  const axis = (constraint, offset, size, parentSize) => {
+    switch (constraint) {
+      case 'RIGHT':
+      case 'BOTTOM':
+        return { end: parentSize - offset - size };
+      case 'LEFT_RIGHT':
+      case 'TOP_BOTTOM':
+        return { start: offset, end: parentSize - offset - size, stretch: true };
+      case 'CENTER':
+        return { center: offset + size / 2 - parentSize / 2 };
+      case 'SCALE':
+        return { startPercent: offset / parentSize * 100, sizePercent: size / parentSize * 100 };
+      default:
+        return { start: offset };
+    }
+  };
+
+  return {
+    horizontal: axis(node.constraints?.horizontal, x, box.width, parentBox.width),
+    vertical: axis(node.constraints?.vertical, y, box.height, parentBox.height)
+  };
+}
+
+function nodeKind(node) {
+  if (node.type === 'TEXT') return 'text';
+  if (VECTOR_TYPES.has(node.type)) return 'vector';
+  if (CONTAINER_TYPES.has(node.type) && node.children?.length) return 'container';
+  if (visiblePaints(node.fills).some(paint => paint.type === 'IMAGE')) return 'image';
+  return CONTAINER_TYPES.has(node.type) ? 'container' : 'shape';
+}
+
+// Prototype destination of a node, from the legacy field or the first navigate action
+function prototypeDestination(node) {
+  if (node.transitionNodeID) return node.transitionNodeID;
+  for (const interaction of node.interactions || []) {
+    const action = (interaction.actions || []).find(candidate => candidate?.type === 'NODE' && candidate.navigation === 'NAVIGATE');
+    if (action?.destinationId) return action.destinationId;
+  }
+  return null;
+}
+
+/**
+ * Build the layout tree for one frame
+ * @param {Object} node - Figma node (usually a top-level frame)
+ * @param {Object} options - { imagePath(imageRef), resolveInstance(node) } for image fills and component instances
+ * @param {Object} parent - Parent Figma node, used for sizing and positioning
+ * @returns {Object|null} - Layout node, or null for hidden nodes
+ */
+export function buildFigmaLayout(node, options = {}, parent = null) {
+  // Layers a boolean component property shows and hides stay in the tree either way
+  const references = node?.componentPropertyReferences || {};
+  if (!node || (node.visible === false && !references.visible)) return null;
+
+  const imagePath = options.imagePath || (imageRef => `/figma/${imageRef}.png`);
+  const kind = nodeKind(node);
+  const box = node.absoluteBoundingBox || null;
+  const autoLayout = resolveAutoLayout(node);
+  const parentAutoLayout = parent && (parent.layoutMode === 'HORIZONTAL' || parent.layoutMode === 'VERTICAL');
+  const absolute = Boolean(parent) && (!parentAutoLayout || node.layoutPositioning === 'ABSOLUTE');
+  const effects = resolveEffects(node);
+
+  const layout = {
+    id: node.id,
+    name: node.name || node.type,
+    type: node.type,
+    kind,
+    width: box ? box.width : null,
+    height: box ? box.height : null,
+    sizing: resolveSizing(node, parent),
+    minWidth: node.minWidth ?? null,
+    maxWidth: node.maxWidth ?? null,
+    autoLayout,
+    position: absolute ? resolvePosition(node, parent.absoluteBoundingBox) : null,
+    fill: kind === 'text' ? null : resolveFill(node.fills, imagePath),
+    border: kind === 'text' ? null : resolveBorder(node),
+    radius: resolveRadius(node),
+    shadows: effects.shadows,
+    blur: effects.blur,
+    backdropBlur: effects.backdropBlur,
+    opacity: node.opacity !== undefined && node.opacity < 1 ? round(node.opacity) : null,
+    clips: Boolean(node.clipsContent),
+    x: box && parent?.absoluteBoundingBox ? box.x - parent.absoluteBoundingBox.x : 0,
+    y: box && parent?.absoluteBoundingBox ? box.y - parent.absoluteBoundingBox.y : 0,
+    destination: prototypeDestination(node),
+    visibleProp: references.visible || null,
+    hidden: node.visible === false,
+    textProp: references.characters || null,
+    instance: node.type === 'INSTANCE' && options.resolveInstance ? options.resolveInstance(node) : null,
+    children: []
+  };
+
+  if (layout.instance) {
+    // The component draws the instance's content; the frame only places it
+    return layout;
+  }
+
+  if (kind === 'text') {
+    layout.text = {
+      characters: node.characters || '',
+      style: resolveTextStyle(node.style),
+      color: resolveFill(node.fills, imagePath)?.color || null,
+      runs: textRuns(node)
+    };
+  } else if (kind !== 'image') {
+    layout.children = (node.children || [])
+      .map(child => buildFigmaLayout(child, options, node))
+      .filter(Boolean);
+  }
+
+  return layout;
+}
+
+/**
+ * Collect the image fills a set of layout trees refers to
+ * @param {Array} trees - Layout trees from buildFigmaLayout
+ * @returns {Array} - Distinct image refs in first-use order
+ */
+export function figmaImageRefs(trees) {
+  const refs = [];
+  const walk = (layout) => {
+    for (const layer of layout.fill?.layers || []) {
+      if (layer.ref && !refs.includes(layer.ref)) refs.push(layer.ref);
+    }
+    layout.children.forEach(walk);
+  };
+  trees.forEach(walk);
+  return refs;
+}
+
+/**
+ * Compact outline of a layout tree for the naming prompt
+ * @param {Object} layout - Layout tree
+ * @param {number} depth - Indentation level
+ * @returns {string} - One line per node: id, type, name, size and text
+ */
+export function describeFigmaLayout(layout, depth = 0) {
+  const size = layout.width !== null ? ` ${Math.round(layout.width)}x${Math.round(layout.height)}` : '';
+  const text = layout.text ? ` text=${JSON.stringify(layout.text.characters.slice(0, 60))}` : '';
+  const link = layout.destination ? ` links-to=${layout.destination}` : '';
+  const line = `${'  '.repeat(depth)}- [${layout.id}] ${layout.type} "${layout.name}"${size}${text}${link}`;
+  return [line, ...layout.children.map(child => describeFigmaLayout(child, depth + 1))].join('\n');
+}
+
+/**
+ * Keep only well-formed naming and interaction hints from the model
+ * @param {Object} raw - Parsed model output ({ screens: { id: name }, nodes: { id: { name, element, action, navigate } } })
+ * @param {Array} trees - Layout trees the hints refer to
+ * @returns {Object} - { screens, nodes } limited to known ids and allowed values
+ */
+export function normalizeFigmaAnnotations(raw, trees) {
+  const ids = new Set();
+  const walk = (layout) => {
+    ids.add(layout.id);
+    layout.children.forEach(walk);
+  };
+  trees.forEach(walk);
+
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const screens = {};
+  const nodes = {};
+
+  for (const [id, name] of Object.entries(raw?.screens || {})) {
+    const componentName = toComponentName(text(name, 60), null);
+    if (ids.has(id) && componentName) screens[id] = componentName;
+  }
+
+  for (const [id, hint] of Object.entries(raw?.nodes || {})) {
+    if (!ids.has(id) || !hint || typeof hint !== 'object') continue;
+    const element = text(hint.element, 20)?.toLowerCase();
+    nodes[id] = {
+      name: text(hint.name, 60),
+      element: ANNOTATION_ELEMENTS.has(element) ? element : null,
+      action: text(hint.action, 200),
+      navigate: text(hint.navigate, 60)
+    };
+  }
+
+  return { screens, nodes };
+}
+
+
+/**
+ * Identifier for one option of a variant prop: PascalCase, numbered when the option has no letters
+ * @param {Object} prop - Variant prop from collectFigmaComponents
+ * @param {string} value - Option as written in Figma
+ * @returns {string} - PascalCase identifier
+ */
+export function figmaVariantCase(prop, value) {
+  return toComponentName(value, `Option${(prop.options || []).indexOf(value) + 1}`);
+}
+
+// kebab-case class fragment for a node name
+function classFragment(name) {
+  const fragment = toRouteSegment(toComponentName(name, 'Node'));
+  return fragment || 'node';
+}
+
+function fontStack(family) {
+  return /\s/.test(family) ? `"${family}", sans-serif` : `${family}, sans-serif`;
+}
+
+function textDeclarations(style, color) {
+  const declarations = [];
+  if (style.fontFamily) declarations.push(['font-family', fontStack(style.fontFamily)]);
+  if (style.fontSize !== null) declarations.push(['font-size', px(style.fontSize)]);
+  if (style.fontWeight !== null) declarations.push(['font-weight', String(style.fontWeight)]);
+  if (style.italic) declarations.push(['font-style', 'italic']);
+  if (style.lineHeight) declarations.push(['line-height', style.lineHeight]);
+  if (style.letterSpacing) declarations.push(['letter-spacing', px(style.letterSpacing)]);
+  if (style.textAlign) declarations.push(['text-align', style.textAlign]);
+  if (style.textCase) declarations.push(['text-transform', style.textCase]);
+  if (style.textDecoration) declarations.push(['text-decoration', style.textDecoration]);
+  if (color) declarations.push(['color', color]);
+  return declarations;
+}
+
+function axisDeclarations(position, startProp, endProp, sizeProp, size) {
+  if (!position) return [];
+  if (position.startPercent !== undefined) {
+    return [[startProp, `${round(position.startPercent)}%`], [sizeProp, `${round(position.sizePercent)}%`]];
+  }
+  if (position.center !== undefined) {
+    return [[startProp, `calc(50% - ${px(size / 2 - position.center)})`]];
+  }
+
+  const declarations = [];
+  if (position.start !== undefined) declarations.push([startProp, px(position.start)]);
+  if (position.end !== undefined && (position.stretch || position.start === undefined)) declarations.push([endProp, px(position.end)]);
+  return declarations;
+}
+
+/**
+ * Declarations that place a node inside its parent: offsets, size and flex behaviour
+ * @param {Object} layout - Layout node
+ * @param {Object} parent - Parent layout node
+ * @returns {Array} - [property, value] pairs
+ */
+function placementDeclarations(layout, parent) {
+  const declarations = [];
+  const add = (property, value) => declarations.push([property, value]);
+  const { sizing, position } = layout;
+
+  if (position) {
+    add('position', 'absolute');
+    declarations.push(...axisDeclarations(position.horizontal, 'left', 'right', 'width', layout.width));
+    declarations.push(...axisDeclarations(position.vertical, 'top', 'bottom', 'height', layout.height));
+  }
+
+  const parentDirection = !position && parent.autoLayout ? parent.autoLayout.direction : null;
+  const sizeAxis = (axis, property, size) => {
+    const stretches = position?.[axis]?.stretch || position?.[axis]?.sizePercent !== undefined;
+    if (stretches) return;
+    const mode = sizing[axis];
+    const primary = parentDirection === (axis === 'horizontal' ? 'row' : 'column');
+    if (mode === 'FILL' && parentDirection) {
+      if (primary) {
+        add('flex', '1 1 0');
+        add(`min-${property}`, '0');
+      } else {
+        add('align-self', 'stretch');
+      }
+    } else if (mode === 'FILL') {
+      add(property, '100%');
+    } else if (mode === 'FIXED' && size !== null) {
+      add(property, px(size));
+    }
+  };
+  sizeAxis('horizontal', 'width', layout.width);
+  sizeAxis('vertical', 'height', layout.height);
+  // Fixed-size items keep their measured size along the parent's main axis instead of shrinking
+  if (parentDirection && sizing[parentDirection === 'row' ? 'horizontal' : 'vertical'] === 'FIXED') add('flex-shrink', '0');
+  if (layout.minWidth !== null) add('min-width', px(layout.minWidth));
+  if (layout.maxWidth !== null) add('max-width', px(layout.maxWidth));
+
+  return declarations;
+}
+
+/**
+ * Declarations a node draws itself with: auto-layout, fills, strokes, text and effects
+ * @param {Object} layout - Layout node
+ * @param {string} role - 'screen', 'component' or 'child'
+ * @returns {Array} - [property, value] pairs
+ */
+function appearanceDeclarations(layout, role) {
+  const declarations = [];
+  const add = (property, value) => declarations.push([property, value]);
+  const { autoLayout } = layout;
+
+  if (role === 'screen') {
+    add('position', 'relative');
+    add('width', '100%');
+    if (layout.width) add('max-width', px(layout.width));
+    if (layout.height) add('min-height', px(layout.height));
+    add('margin', '0 auto');
+  } else if (!layout.position && layout.children.some(child => child.position)) {
+    add('position', 'relative');
+  }
+
+  if (autoLayout) {
+    add('display', 'flex');
+    add('flex-direction', autoLayout.direction);
+    if (autoLayout.wrap) add('flex-wrap', 'wrap');
+    if (autoLayout.justify !== 'flex-start') add('justify-content', autoLayout.justify);
+    add('align-items', autoLayout.align);
+    if (autoLayout.gap) add(autoLayout.wrap ? 'column-gap' : 'gap', px(autoLayout.gap));
+    if (autoLayout.wrapGap) add('row-gap', px(autoLayout.wrapGap));
+    if (autoLayout.padding.some(Boolean)) add('padding', autoLayout.padding.map(px).join(' '));
+  }
+
+  if (layout.fill?.color) {
+    add('background-color', layout.fill.color);
+  } else if (layout.fill?.layers) {
+    add('background-image', layout.fill.layers.map(layer => layer.image).join(', '));
+    if (layout.fill.layers.some(layer => layer.size)) {
+      add('background-size', layout.fill.layers.map(layer => layer.size || 'auto').join(', '));
+      add('background-position', 'center');
+      add('background-repeat', layout.fill.layers.map(layer => (layer.repeat ? 'repeat' : 'no-repeat')).join(', '));
+    }
+  }
+
+  if (layout.border) {
+    const { color, width, sides, style, outside } = layout.border;
+    if (outside) {
+      add('outline', `${px(width)} ${style} ${color}`);
+    } else if (sides) {
+      for (const side of ['top', 'right', 'bottom', 'left']) {
+        if (sides[side]) add(`border-${side}`, `${px(sides[side])} ${style} ${color}`);
+      }
+    } else {
+      add('border', `${px(width)} ${style} ${color}`);
+    }
+  }
+
+  if (layout.type === 'LINE' && !layout.border) add('height', '0');
+  if (layout.radius) add('border-radius', layout.radius);
+
+  if (layout.text) {
+    declarations.push(...textDeclarations(layout.text.style, layout.text.color));
+    add('margin', '0');
+    add('white-space', 'pre-wrap');
+  }
+
+  if (layout.shadows.length) {
+    const shadowProperty = layout.text ? 'text-shadow' : 'box-shadow';
+    add(shadowProperty, layout.shadows
+      .filter(shadow => !(layout.text && shadow.inset))
+      .map(shadow => layout.text
+        ? `${px(shadow.x)} ${px(shadow.y)} ${px(shadow.blur)} ${shadow.color}`
+        : `${shadow.inset ? 'inset ' : ''}${px(shadow.x)} ${px(shadow.y)} ${px(shadow.blur)} ${px(shadow.spread)} ${shadow.color}`)
+      .join(', '));
+  }
+
+  if (layout.blur) add('filter', `blur(${px(layout.blur)})`);
+  if (layout.backdropBlur) add('backdrop-filter', `blur(${px(layout.backdropBlur)})`);
+  if (layout.opacity !== null) add('opacity', String(layout.opacity));
+  if (layout.clips) add('overflow', 'hidden');
+
+  return declarations;
+}
+
+/**
+ * CSS declarations for one layout node
+ * @param {Object} layout - Layout node
+ * @param {Object} parent - Parent layout node, null for a root
+ * @param {string} role - 'screen' for a page root, 'component' for a component root, 'child' otherwise
+ * @returns {Array} - [property, value] pairs in a stable order
+ */
+export function figmaLayoutDeclarations(layout, parent, role = parent ? 'child' : 'screen') {
+  // Instances only get placed here; the component stylesheet draws them
+  const placement = parent ? placementDeclarations(layout, parent) : [];
+  const appearance = layout.instance ? [] : appearanceDeclarations(layout, role);
+  return [...placement, ...appearance].filter(([, value]) => value !== '');
+}
+
+// JSX child for a run of text; anything JSX would interpret is emitted as a string expression
+function jsxText(text) {
+  return text.split('\n').map(line => (/[{}<>&"'`]/.test(line) || /^\s|\s$/.test(line) ? `{${JSON.stringify(line)}}` : line)).join('<br />');
+}
+
+// JSX string attributes have no escapes, so awkward values go through an expression
+function attribute(name, value) {
+  return /["\\\n]/.test(value) ? `${name}={${JSON.stringify(value)}}` : `${name}="${value}"`;
+}
+
+function cssRule(selector, declarations) {
+  return `${selector} {\n${declarations.map(([property, value]) => `  ${property}: ${value};`).join('\n')}\n}`;
+}
+
+// Figma sizes include padding and inside strokes, which is the border-box model
+function boxSizingRule(rootClass) {
+  return cssRule(`.${rootClass},\n.${rootClass} *`, [['box-sizing', 'border-box']]);
+}
+
+function variantModifier(rootClass, prop, value) {
+  return `${rootClass}--${toRouteSegment(prop.name)}-${toRouteSegment(figmaVariantCase(prop, value))}`;
+}
+
+// JSX attributes for the props an instance sets
+function instanceAttributes(instance, definition) {
+  return Object.entries(instance.props).map(([name, value]) => {
+    const prop = definition?.props.find(candidate => candidate.name === name);
+    if (prop?.type === 'variant') return attribute(name, toRouteSegment(figmaVariantCase(prop, value)));
+    if (typeof value === 'boolean') return `${name}={${value}}`;
+    return attribute(name, String(value));
+  });
+}
+
+/**
+ * Shared JSX renderer for pages and components: assigns BEM class names, collects CSS rules,
+ * click handlers, prototype links and the components a tree uses
+ * @param {Object} config - { rootClass, annotations, routes, components, definition }
+ * @returns {Object} - { render, rules, handlers, links, imports, classes, state }
+ */
+function createReactRenderer({ rootClass, annotations = { screens: {}, nodes: {} }, routes = {}, components = [], definition = null }) {
+  const usedClasses = new Set([rootClass]);
+  const usedHandlers = new Set();
+  const rules = [];
+  const handlers = [];
+  const links = [];
+  const imports = [];
+  // Class name per structural path, so component variants can target the same layer
+  const classes = {};
+  const state = { usesNavigate: false };
+
+  const className = (node) => {
+    const base = `${rootClass}__${classFragment(annotations.nodes[node.id]?.name || node.name)}`;
+    let name = base;
+    for (let suffix = 2; usedClasses.has(name); suffix++) {
+      name = `${base}-${suffix}`;
+    }
+    usedClasses.add(name);
+    return name;
+  };
+
+  const handlerName = (label) => {
+    const base = `handle${toComponentName(label, 'Element')}Click`;
+    let name = base;
+    for (let suffix = 2; usedHandlers.has(name); suffix++) {
+      name = `${base.replace(/Click$/, '')}${suffix}Click`;
+    }
+    usedHandlers.add(name);
+    return name;
+  };
+
+  const firstText = (node) => node.text?.characters || node.children.map(firstText).find(Boolean) || null;
+  const boundProp = (key) => (key && definition ? definition.props.find(prop => prop.key === key) || null : null);
+
+  const render = (node, parent, depth, { path = '', insideControl = false, rootAttributes = null } = {}) => {
+    // Hidden layers only matter when a boolean prop can show them
+    if (node.hidden && !boundProp(node.visibleProp)) return null;
+
+    const indent = '  '.repeat(depth);
+    const hint = annotations.nodes[node.id] || {};
+    const cls = parent ? className(node) : rootClass;
+    classes[path] = cls;
+    const declarations = figmaLayoutDeclarations(node, parent, parent ? 'child' : (definition ? 'component' : 'screen'));
+    const route = routes[node.destination] || routes[hint.navigate] || null;
+    const interactive = Boolean(route || hint.action);
+
+    const clickAttributes = [];
+    if (route) links.push({ id: node.id, name: node.name, route });
+    if (hint.action) {
+      const name = handlerName(hint.name || node.name);
+      const navigates = Boolean(route) && hint.element !== 'a';
+      handlers.push({ name, action: hint.action, route: navigates ? route : null });
+      clickAttributes.push(`onClick={${name}}`);
+      state.usesNavigate = state.usesNavigate || navigates;
+    } else if (route && hint.element !== 'a') {
+      clickAttributes.push(`onClick={() => navigate('${route}')}`);
+      state.usesNavigate = true;
+    }
+
+    const wrapVisibility = (markup) => {
+      const prop = boundProp(node.visibleProp);
+      if (!prop) return markup;
+      return `${indent}{${prop.name} && (\n${markup.split('\n').map(line => `  ${line}`).join('\n')}\n${indent})}`;
+    };
+
+    if (node.instance) {
+      const instanceDefinition = components.find(candidate => candidate.name === node.instance.component);
+      if (!imports.includes(node.instance.component)) imports.push(node.instance.component);
+      if (declarations.length > 0) rules.push(cssRule(`.${cls}`, declarations));
+      const attributes = [
+        ...(declarations.length > 0 ? [attribute('className', cls)] : []),
+        ...instanceAttributes(node.instance, instanceDefinition),
+        ...clickAttributes
+      ];
+      return wrapVisibility(`${indent}<${node.instance.component}${attributes.length ? ` ${attributes.join(' ')}` : ''} />`);
+    }
+
+    // Buttons only allow phrasing content, so text inside them becomes a span
+    let element = hint.element || (node.text ? (insideControl ? 'span' : 'p') : 'div');
+    if (!parent) {
+      element = definition ? 'div' : 'main';
+    } else if (interactive && !hint.element) {
+      element = 'button';
+    }
+
+    if (element === 'button') {
+      if (!node.fill) declarations.push(['background', 'none']);
+      if (!node.border) declarations.push(['border', 'none']);
+      declarations.push(['font', 'inherit'], ['color', 'inherit'], ['text-align', 'inherit'], ['cursor', 'pointer']);
+    }
+    rules.push(cssRule(`.${cls}`, declarations));
+
+    const attributes = rootAttributes || [attribute('className', cls)];
+    if (element === 'button') attributes.push(attribute('type', 'button'));
+    if (node.kind === 'image' && element !== 'img') attributes.push(attribute('role', 'img'), attribute('aria-label', node.name));
+    if (node.kind === 'vector') attributes.push(interactive ? attribute('aria-label', node.name) : 'aria-hidden="true"');
+    if (element === 'a') attributes.push(attribute('href', route || '#'));
+    attributes.push(...clickAttributes);
+
+    if (element === 'input' || element === 'img') {
+      if (element === 'img') attributes.push(attribute('alt', node.name));
+      if (element === 'input' && hint.inputType) attributes.push(attribute('type', hint.inputType));
+      if (element === 'input' && firstText(node)) attributes.push(attribute('placeholder', firstText(node)));
+      return wrapVisibility(`${indent}<${element} ${attributes.join(' ')} />`);
+    }
+
+    if (node.text) {
+      const textProp = boundProp(node.textProp);
+      // Styled runs only restate what differs from the text node they sit in
+      const inherited = new Map(textDeclarations(node.text.style, node.text.color));
+      let styledRuns = 0;
+      const content = textProp ? `{${textProp.name}}` : node.text.runs.map(run => {
+        if (!run.style) return jsxText(run.text);
+        const runName = `${cls}-run-${++styledRuns}`;
+        const overrides = textDeclarations(run.style, run.color).filter(([property, value]) => inherited.get(property) !== value);
+        rules.push(cssRule(`.${runName}`, overrides));
+        return `<span className="${runName}">${jsxText(run.text)}</span>`;
+      }).join('');
+      return wrapVisibility(`${indent}<${element} ${attributes.join(' ')}>${content}</${element}>`);
+    }
+
+    const seen = {};
+    const childMarkup = node.children.map(child => {
+      seen[child.name] = (seen[child.name] || 0) + 1;
+      return render(child, node, depth + 1, {
+        path: `${path}/${child.name}#${seen[child.name]}`,
+        insideControl: insideControl || element === 'button' || element === 'a'
+      });
+    }).filter(markup => markup !== null);
+
+    if (childMarkup.length === 0) {
+      return wrapVisibility(`${indent}<${element} ${attributes.join(' ')}${element === 'div' ? ' />' : `></${element}>`}`);
+    }
+
+    return wrapVisibility([
+      `${indent}<${element} ${attributes.join(' ')}>`,
+      ...childMarkup,
+      `${indent}</${element}>`
+    ].join('\n'));
+  };
+
+  return { render, rules, handlers, links, imports, classes, state };
+}
+
+/**
+ * Emit a React page and its stylesheet for one screen's layout tree
+ * @param {Object} layout - Layout tree of the screen frame
+ * @param {Object} options - { componentName, cssPath, annotations, routes: { frameId|screenName: route }, components, source }
+ * @returns {Object} - { code, css, handlers, links }
+ */
+export function emitFigmaReactPage(layout, { componentName, cssPath, annotations = { screens: {}, nodes: {} }, routes = {}, components = [], source = 'the Figma frame' } = {}) {
+  const rootClass = toRouteSegment(componentName);
+  const renderer = createReactRenderer({ rootClass, annotations, routes, components });
+  const markup = renderer.render(layout, null, 2);
+  const { handlers, links, imports, rules } = renderer;
+  const usesNavigate = renderer.state.usesNavigate;
+  const frameName = layout.name.replace(/\s+/g, ' ');
+
+  const handlerCode = handlers.map(handler => `  const ${handler.name} = () => {
+    // ${handler.action.replace(/\s+/g, ' ')}${handler.route ? `\n    navigate('${handler.route}');` : ''}
+  };`).join('\n\n');
+
+  const code = `import React from 'react';
+${usesNavigate ? "import { useNavigate } from 'react-router-dom';\n" : ''}${imports.map(name => `import ${name} from '../components/${name}';\n`).join('')}import './${cssPath.split('/').pop()}';
+
+// Translated from ${source} "${frameName}" (${layout.id})
+export default function ${componentName}() {
+${usesNavigate ? '  const navigate = useNavigate();\n\n' : ''}${handlerCode ? `${handlerCode}\n\n` : ''}  return (
+${markup}
+  );
+}
+`;
+
+  const css = `/* Layout, spacing, color and type measured from ${source} "${frameName.replace(/\*\//g, '* /')}" */
+
+${[boxSizingRule(rootClass), ...rules].join('\n\n')}
+`;
+
+  return { code, css, handlers, links };
+}
+
+/**
+ * Emit a reusable React component for a Figma component set: variant props select
+ * modifier classes, text and boolean props fill in and toggle the bound layers
+ * @param {Object} definition - Definition from collectFigmaComponents
+ * @param {Object} options - { components, typescript }
+ * @returns {Object} - { code, css }
+ */
+export function emitFigmaReactComponent(definition, { components = [], typescript = false } = {}) {
+  const rootClass = toRouteSegment(definition.name);
+  const variantProps = definition.props.filter(prop => prop.type === 'variant');
+  const base = definition.defaultVariant;
+
+  const renderer = createReactRenderer({ rootClass, components, definition });
+  const markup = renderer.render(base.layout, null, 2, {
+    rootAttributes: ['className={classes}', 'onClick={onClick}', "role={onClick ? 'button' : undefined}", 'tabIndex={onClick ? 0 : undefined}']
+  });
+  const { rules, imports, classes } = renderer;
+
+  // Other variants restate only what differs from the default, on the layers they share with it
+  const overrides = [];
+  for (const variant of definition.variants.filter(candidate => candidate !== base)) {
+    const modifiers = variantProps.map(prop => `.${variantModifier(rootClass, prop, variant.values[prop.name])}`).join('');
+    const walk = (node, parent, path, baseNode, baseParent) => {
+      if (!baseNode) return;
+      const role = parent ? 'child' : 'component';
+      const current = new Map(figmaLayoutDeclarations(node, parent, role));
+      const original = new Map(figmaLayoutDeclarations(baseNode, baseParent, role));
+      const changed = [...current].filter(([property, value]) => original.get(property) !== value);
+      for (const property of original.keys()) {
+        if (!current.has(property)) changed.push([property, 'unset']);
+      }
+      if (changed.length > 0 && classes[path]) {
+        overrides.push(cssRule(`.${rootClass}${modifiers}${parent ? ` .${classes[path]}` : ''}`, changed));
+      }
+
+      const seen = {};
+      for (const child of node.children) {
+        seen[child.name] = (seen[child.name] || 0) + 1;
+        const count = seen[child.name];
+        const baseChild = baseNode.children.filter(candidate => candidate.name === child.name)[count - 1];
+        walk(child, node, `${path}/${child.name}#${count}`, baseChild, baseNode);
+      }
+    };
+    walk(variant.layout, null, '', base.layout, null);
+  }
+
+  const defaultLiteral = (prop) => {
+    if (prop.type === 'variant') return `'${toRouteSegment(figmaVariantCase(prop, prop.defaultValue))}'`;
+    if (prop.type === 'boolean') return String(Boolean(prop.defaultValue));
+    return `'${String(prop.defaultValue ?? '').replace(/[\\']/g, '\\$&').replace(/\n/g, '\\n')}'`;
+  };
+  const params = [...definition.props.map(prop => `${prop.name} = ${defaultLiteral(prop)}`), "className = ''", 'onClick'];
+  const classList = [
+    `'${rootClass}'`,
+    ...variantProps.map(prop => `\`${rootClass}--${toRouteSegment(prop.name)}-\${${prop.name}}\``),
+    'className'
+  ];
+
+  const propsType = typescript ? `type ${definition.name}Props = {
+${definition.props.map(prop => {
+    const type = prop.type === 'variant'
+      ? prop.options.map(option => `'${toRouteSegment(figmaVariantCase(prop, option))}'`).join(' | ')
+      : prop.type === 'boolean' ? 'boolean' : 'string';
+    return `  ${prop.name}?: ${type};`;
+  }).join('\n')}${definition.props.length ? '\n' : ''}  className?: string;
+  onClick?: () => void;
+};
+
+` : '';
+
+  const summary = variantProps.length > 0 ? `; variants: ${variantProps.map(prop => prop.name).join(', ')}` : '';
+  const code = `import React from 'react';
+${imports.filter(name => name !== definition.name).map(name => `import ${name} from './${name}';\n`).join('')}import './${definition.name}.css';
+
+${propsType}// Figma component${variantProps.length > 0 ? ' set' : ''} "${definition.figmaName.replace(/\s+/g, ' ')}" (${definition.id})${summary}
+export default function ${definition.name}({ ${params.join(', ')} }${typescript ? `: ${definition.name}Props` : ''}) {
+  const classes = [${classList.join(', ')}].filter(Boolean).join(' ');
+
+  return (
+${markup}
+  );
+}
+`;
+
+  const css = `/* Measured from the Figma component "${definition.figmaName.replace(/\s+/g, ' ').replace(/\*\//g, '* /')}"${variantProps.length > 0 ? '; variant rules only restate what differs from the default variant' : ''} */
+
+${[boxSizingRule(rootClass), ...rules, ...overrides].join('\n\n')}
+`;
+
+  return { code, css };
+}
@@ -0,0 +1,1178 @@
+/**
+ * Figma Native Translation
+ * Emits Jetpack Compose and SwiftUI sources from the layout trees of figma-layout.js.
+ * Auto-layout frames become Row/Column and HStack/VStack, freely placed layers sit in
+ * a Box or ZStack anchored by their constraints, and every component set becomes one
+ * composable or view with an enum per variant property. Like the React emitter the
+ * output depends only on the file JSON and the annotations.
+ */
+
+import { hexToRgb } from './design-tokens.js';
+import { figmaPropForKey } from './figma-components.js';
+import { figmaVariantCase } from './figma-layout.js';
+import { iosNavigationTargets, iosScreenNames } from './ios-uikit.js';
+import { composeColor } from './token-emitters.js';
+
+const EMPTY_ANNOTATIONS = { screens: {}, nodes: {} };
+
+// Drawn for image fills whose bytes are not in the asset catalog, so no view names a missing image set
+const SWIFTUI_IMAGE_PLACEHOLDER = 'Color(.secondarySystemFill)';
+
+const COMPOSE_IMPORTS = {
+  Alignment: 'androidx.compose.ui.Alignment',
+  Arrangement: 'androidx.compose.foundation.layout.Arrangement',
+  Box: 'androidx.compose.foundation.layout.Box',
+  Brush: 'androidx.compose.ui.graphics.Brush',
+  CircleShape: 'androidx.compose.foundation.shape.CircleShape',
+  Color: 'androidx.compose.ui.graphics.Color',
+  Column: 'androidx.compose.foundation.layout.Column',
+  Composable: 'androidx.compose.runtime.Composable',
+  ContentScale: 'androidx.compose.ui.layout.ContentScale',
+  ExperimentalLayoutApi: 'androidx.compose.foundation.layout.ExperimentalLayoutApi',
+  FlowRow: 'androidx.compose.foundation.layout.FlowRow',
+  FontStyle: 'androidx.compose.ui.text.font.FontStyle',
+  FontWeight: 'androidx.compose.ui.text.font.FontWeight',
+  Image: 'androidx.compose.foundation.Image',
+  Modifier: 'androidx.compose.ui.Modifier',
+  Offset: 'androidx.compose.ui.geometry.Offset',
+  Preview: 'androidx.compose.ui.tooling.preview.Preview',
+  RoundedCornerShape: 'androidx.compose.foundation.shape.RoundedCornerShape',
+  Row: 'androidx.compose.foundation.layout.Row',
+  SpanStyle: 'androidx.compose.ui.text.SpanStyle',
+  Text: 'androidx.compose.material3.Text',
+  TextAlign: 'androidx.compose.ui.text.style.TextAlign',
+  TextDecoration: 'androidx.compose.ui.text.style.TextDecoration',
+  alpha: 'androidx.compose.ui.draw.alpha',
+  background: 'androidx.compose.foundation.background',
+  blur: 'androidx.compose.ui.draw.blur',
+  border: 'androidx.compose.foundation.border',
+  buildAnnotatedString: 'androidx.compose.ui.text.buildAnnotatedString',
+  clickable: 'androidx.compose.foundation.clickable',
+  clip: 'androidx.compose.ui.draw.clip',
+  clipToBounds: 'androidx.compose.ui.draw.clipToBounds',
+  dp: 'androidx.compose.ui.unit.dp',
+  drawBehind: 'androidx.compose.ui.draw.drawBehind',
+  fillMaxHeight: 'androidx.compose.foundation.layout.fillMaxHeight',
+  fillMaxSize: 'androidx.compose.foundation.layout.fillMaxSize',
+  fillMaxWidth: 'androidx.compose.foundation.layout.fillMaxWidth',
+  height: 'androidx.compose.foundation.layout.height',
+  offset: 'androidx.compose.foundation.layout.offset',
+  padding: 'androidx.compose.foundation.layout.padding',
+  paint: 'androidx.compose.ui.draw.paint',
+  painterResource: 'androidx.compose.ui.res.painterResource',
+  shadow: 'androidx.compose.ui.draw.shadow',
+  size: 'androidx.compose.foundation.layout.size',
+  sp: 'androidx.compose.ui.unit.sp',
+  stringResource: 'androidx.compose.ui.res.stringResource',
+  width: 'androidx.compose.foundation.layout.width',
+  widthIn: 'androidx.compose.foundation.layout.widthIn',
+  withStyle: 'androidx.compose.ui.text.withStyle'
+};
+
+const SWIFT_KEYWORDS = new Set([
+  'as', 'associatedtype', 'break', 'case', 'catch', 'class', 'continue', 'default', 'defer', 'deinit', 'do', 'else',
+  'enum', 'extension', 'fallthrough', 'false', 'fileprivate', 'for', 'func', 'guard', 'if', 'import', 'in', 'init',
+  'inout', 'internal', 'is', 'let', 'nil', 'operator', 'private', 'protocol', 'public', 'repeat', 'rethrows',
+  'return', 'self', 'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'typealias',
+  'var', 'where', 'while'
+]);
+
+const SWIFT_FONT_WEIGHTS = { 100: 'ultraLight', 200: 'thin', 300: 'light', 500: 'medium', 600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black' };
+
+const SWIFT_UNIT_POINTS = {
+  '0,0': 'topLeading', '0.5,0': 'top', '1,0': 'topTrailing',
+  '0,0.5': 'leading', '0.5,0.5': 'center', '1,0.5': 'trailing',
+  '0,1': 'bottomLeading', '0.5,1': 'bottom', '1,1': 'bottomTrailing'
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function indentLines(text, indent) {
+  return text.split('\n').map(line => (line ? `${indent}${line}` : line)).join('\n');
+}
+
+/**
+ * Resource name of a downloaded image fill, shared by res/drawable and the asset catalog
+ * @param {string} imageRef - Image ref from the Figma file
+ * @returns {string} - e.g. figma_3f2a…
+ */
+export function figmaImageResourceName(imageRef) {
+  return `figma_${String(imageRef).toLowerCase().replace(/[^a-z0-9_]/g, '_')}`;
+}
+
+// One number, four numbers (top-left clockwise) or 'ellipse'
+function cornerRadii(radius) {
+  if (!radius) return null;
+  if (radius === '50%') return 'ellipse';
+  const values = radius.split(' ').map(parseFloat);
+  return values.length === 4 && new Set(values).size > 1 ? values : values[0];
+}
+
+// Native gradients take end points instead of an angle; snap the CSS angle to eight directions
+function gradientDirection(angle = 180) {
+  const radians = (Math.round((((angle % 360) + 360) % 360) / 45) % 8) * Math.PI / 4;
+  const dx = Math.round(Math.sin(radians));
+  const dy = Math.round(-Math.cos(radians));
+  return {
+    start: { x: (1 - dx) / 2, y: (1 - dy) / 2 },
+    end: { x: (1 + dx) / 2, y: (1 + dy) / 2 }
+  };
+}
+
+function lineHeightPx(style) {
+  if (!style.lineHeight) return null;
+  return style.lineHeight.endsWith('px')
+    ? parseFloat(style.lineHeight)
+    : round(parseFloat(style.lineHeight) * (style.fontSize || 16));
+}
+
+// Neither toolkit has a title-case text transform, so static text is cased here
+function applyTextCase(text, textCase) {
+  if (textCase === 'uppercase') return text.toUpperCase();
+  if (textCase === 'lowercase') return text.toLowerCase();
+  if (textCase === 'capitalize') return text.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+  return text;
+}
+
+// Which edge of the parent a freely placed layer follows, and its offset from there
+function anchoredOffset(node) {
+  const axis = (position, start) => {
+    if (position.center !== undefined) return { edge: 'center', offset: round(position.center) };
+    if (position.end !== undefined && position.start === undefined) return { edge: 'end', offset: -round(position.end) };
+    return { edge: 'start', offset: round(start) };
+  };
+  return {
+    horizontal: axis(node.position.horizontal, node.x),
+    vertical: axis(node.position.vertical, node.y)
+  };
+}
+
+function staticText(node) {
+  return node.text.runs.some(run => run.style) ? null : applyTextCase(node.text.characters, node.text.style.textCase);
+}
+
+/**
+ * Plain texts of a screen in layer order, for string resources
+ * @param {Object} layout - Layout tree of a screen
+ * @returns {Array} - Texts as the screen shows them
+ */
+export function figmaScreenTexts(layout) {
+  const texts = [];
+  const walk = (node) => {
+    if (node.hidden || node.instance) return;
+    if (node.text && staticText(node)) texts.push(staticText(node));
+    node.children.forEach(walk);
+  };
+  walk(layout);
+  return texts;
+}
+
+function variantTypeName(definition, prop) {
+  return `${definition.name}${prop.name.charAt(0).toUpperCase()}${prop.name.slice(1)}`;
+}
+
+function clickTarget(node, annotations, callbacks) {
+  const hint = annotations.nodes[node.id] || {};
+  return {
+    callback: callbacks[node.destination] || callbacks[hint.navigate] || null,
+    action: hint.action ? hint.action.replace(/\s+/g, ' ') : null
+  };
+}
+
+// Callback per frame id and screen name, for the screens a screen can open
+function targetCallbacks(targets) {
+  const callbacks = {};
+  for (const target of targets) {
+    if (target.screen.image?.frameId) callbacks[target.screen.image.frameId] = target.callback;
+    callbacks[target.screen.name] = target.callback;
+  }
+  return callbacks;
+}
+
+function kotlinString(text) {
+  return JSON.stringify(text).replace(/\$/g, '\\$');
+}
+
+function dp(value) {
+  return value < 0 ? `(${round(value)}).dp` : `${round(value)}.dp`;
+}
+
+function sp(value) {
+  return value < 0 ? `(${round(value)}).sp` : `${round(value)}.sp`;
+}
+
+function kotlinFloat(value) {
+  return `${round(value)}f`;
+}
+
+function composeFontWeight(weight) {
+  return weight % 100 === 0 && weight >= 100 && weight <= 900 ? `FontWeight.W${weight}` : `FontWeight(${weight})`;
+}
+
+/**
+ * Compose renderer shared by screens and components; tracks the imports the markup needs
+ * @param {Object} config - { packageName, definition, components, annotations, callbacks, strings }
+ * @returns {Object} - { render, imports, state }
+ */
+function createComposeRenderer({ packageName, definition = null, components = [], annotations = EMPTY_ANNOTATIONS, callbacks = {}, strings = {} }) {
+  const imports = new Set([COMPOSE_IMPORTS.Composable]);
+  const state = { optIn: false };
+  const use = (...names) => names.forEach(name => imports.add(COMPOSE_IMPORTS[name] || name));
+  const resources = `${packageName}.R`;
+
+  const color = (value) => {
+    use('Color');
+    return composeColor(value);
+  };
+
+  const shapeOf = (node) => {
+    const radii = cornerRadii(node.radius);
+    if (!radii) return null;
+    if (radii === 'ellipse') {
+      use('CircleShape');
+      return 'CircleShape';
+    }
+    use('RoundedCornerShape', 'dp');
+    if (Array.isArray(radii)) {
+      const [topStart, topEnd, bottomEnd, bottomStart] = radii.map(dp);
+      return `RoundedCornerShape(topStart = ${topStart}, topEnd = ${topEnd}, bottomEnd = ${bottomEnd}, bottomStart = ${bottomStart})`;
+    }
+    return `RoundedCornerShape(${dp(radii)})`;
+  };
+
+  const brush = (gradient) => {
+    use('Brush');
+    const stops = (list) => list.map(stop => `${kotlinFloat(stop.position)} to ${color(stop.color)}`).join(', ');
+    if (gradient.kind === 'radial') return `Brush.radialGradient(${stops(gradient.stops)})`;
+    if (gradient.kind === 'conic') return `Brush.sweepGradient(${stops(gradient.stops)})`;
+
+    // Vertical and horizontal gradients run top-down and left-right; the other way round reverses the stops
+    const { start, end } = gradientDirection(gradient.angle);
+    const reversed = gradient.stops.map(stop => ({ ...stop, position: round(1 - stop.position) })).reverse();
+    if (start.x === end.x) return `Brush.verticalGradient(${stops(start.y < end.y ? gradient.stops : reversed)})`;
+    if (start.y === end.y) return `Brush.horizontalGradient(${stops(start.x < end.x ? gradient.stops : reversed)})`;
+    use('Offset');
+    const point = ({ x, y }) => `Offset(${x ? 'Float.POSITIVE_INFINITY' : '0f'}, ${y ? 'Float.POSITIVE_INFINITY' : '0f'})`;
+    return `Brush.linearGradient(${stops(gradient.stops)}, start = ${point(start)}, end = ${point(end)})`;
+  };
+
+  const painter = (ref) => {
+    use('painterResource', resources);
+    return `painterResource(R.drawable.${figmaImageResourceName(ref)})`;
+  };
+
+  const sideBorders = ({ color: borderColor, sides }) => {
+    use('drawBehind', 'Offset', 'dp');
+    const stroke = color(borderColor);
+    const lines = [];
+    if (sides.top) lines.push(`drawLine(${stroke}, Offset(0f, ${dp(sides.top / 2)}.toPx()), Offset(size.width, ${dp(sides.top / 2)}.toPx()), ${dp(sides.top)}.toPx())`);
+    if (sides.right) lines.push(`drawLine(${stroke}, Offset(size.width - ${dp(sides.right / 2)}.toPx(), 0f), Offset(size.width - ${dp(sides.right / 2)}.toPx(), size.height), ${dp(sides.right)}.toPx())`);
+    if (sides.bottom) lines.push(`drawLine(${stroke}, Offset(0f, size.height - ${dp(sides.bottom / 2)}.toPx()), Offset(size.width, size.height - ${dp(sides.bottom / 2)}.toPx()), ${dp(sides.bottom)}.toPx())`);
+    if (sides.left) lines.push(`drawLine(${stroke}, Offset(${dp(sides.left / 2)}.toPx(), 0f), Offset(${dp(sides.left / 2)}.toPx(), size.height), ${dp(sides.left)}.toPx())`);
+    return `.drawBehind {\n${lines.map(line => `    ${line}`).join('\n')}\n}`;
+  };
+
+  const paddingSegment = ([top, right, bottom, left]) => {
+    use('padding', 'dp');
+    if (top === right && right === bottom && bottom === left) return `.padding(${dp(top)})`;
+    if (top === bottom && left === right) return `.padding(horizontal = ${dp(left)}, vertical = ${dp(top)})`;
+    const sides = [['start', left], ['top', top], ['end', right], ['bottom', bottom]].filter(([, value]) => value);
+    return `.padding(${sides.map(([side, value]) => `${side} = ${dp(value)}`).join(', ')})`;
+  };
+
+  // Modifier order matters in Compose: placement, size, shadow, clip, background, border, alpha, click, then padding
+  const modifierSegments = (node, parent, { root = false, click = null, placementOnly = false, padding = true }) => {
+    const segments = [];
+    const add = (segment, ...names) => {
+      use(...names);
+      segments.push(segment);
+    };
+
+    if (node.position) {
+      const { horizontal, vertical } = anchoredOffset(node);
+      const alignment = `${{ start: 'Top', center: 'Center', end: 'Bottom' }[vertical.edge]}${{ start: 'Start', center: 'Center', end: 'End' }[horizontal.edge]}`;
+      if (alignment !== 'TopStart') add(`.align(Alignment.${alignment === 'CenterCenter' ? 'Center' : alignment})`, 'Alignment');
+      if (horizontal.offset || vertical.offset) add(`.offset(x = ${dp(horizontal.offset)}, y = ${dp(vertical.offset)})`, 'offset', 'dp');
+    }
+
+    if (root && !definition) {
+      add('.fillMaxSize()', 'fillMaxSize');
+    } else {
+      const parentDirection = !node.position && parent?.autoLayout ? parent.autoLayout.direction : null;
+      const size = (axis, direction, value) => {
+        const mode = node.sizing[axis];
+        if (mode === 'FILL') return parentDirection === direction ? 'weight' : 'fill';
+        // Fixed text heights would clip the last line whenever the font renders taller
+        if (mode === 'FIXED' && value !== null && !(node.text && axis === 'vertical')) return value;
+        return null;
+      };
+      const width = size('horizontal', 'row', node.width);
+      const height = size('vertical', 'column', node.height);
+
+      if (width === 'weight' || height === 'weight') add('.weight(1f)');
+      if (width === 'fill' && height === 'fill') {
+        add('.fillMaxSize()', 'fillMaxSize');
+      } else {
+        if (width === 'fill') add('.fillMaxWidth()', 'fillMaxWidth');
+        if (height === 'fill') add('.fillMaxHeight()', 'fillMaxHeight');
+      }
+      if (typeof width === 'number' && typeof height === 'number') {
+        add(`.size(${dp(width)}, ${dp(height)})`, 'size', 'dp');
+      } else {
+        if (typeof width === 'number') add(`.width(${dp(width)})`, 'width', 'dp');
+        if (typeof height === 'number') add(`.height(${dp(height)})`, 'height', 'dp');
+      }
+    }
+    if (node.minWidth !== null || node.maxWidth !== null) {
+      const bounds = [node.minWidth !== null && `min = ${dp(node.minWidth)}`, node.maxWidth !== null && `max = ${dp(node.maxWidth)}`].filter(Boolean);
+      add(`.widthIn(${bounds.join(', ')})`, 'widthIn', 'dp');
+    }
+
+    if (!placementOnly) {
+      const shape = shapeOf(node);
+      const layers = [...(node.fill?.layers || [])].reverse();
+      // Layer effects come first so they also cover the background, border and shadow drawn below them
+      if (node.opacity !== null) add(`.alpha(${kotlinFloat(node.opacity)})`, 'alpha');
+      if (node.blur) add(`.blur(${dp(node.blur)})`, 'blur', 'dp');
+
+      const shadow = node.text ? null : node.shadows.find(candidate => !candidate.inset);
+      if (shadow) add(`.shadow(elevation = ${dp(shadow.blur / 2)}${shape ? `, shape = ${shape}` : ''}, spotColor = ${color(shadow.color)})`, 'shadow', 'dp');
+
+      const clips = node.clips || (shape && (node.kind === 'image' || layers.some(layer => layer.ref)));
+      if (clips) add(shape ? `.clip(${shape})` : '.clipToBounds()', shape ? 'clip' : 'clipToBounds');
+
+      const background = (paint) => add(`.background(${paint}${shape && !clips ? `, ${shape}` : ''})`, 'background');
+      if (node.fill?.color) background(color(node.fill.color));
+      for (const layer of layers) {
+        if (layer.gradient) {
+          background(brush(layer.gradient));
+        } else if (layer.color) {
+          background(color(layer.color));
+        } else if (layer.ref && node.kind !== 'image') {
+          add(`.paint(${painter(layer.ref)}, contentScale = ContentScale.${layer.size === 'contain' ? 'Fit' : 'Crop'})`, 'paint', 'ContentScale');
+        }
+      }
+
+      if (node.border) {
+        const { sides } = node.border;
+        const uniform = !sides || (new Set([sides.top, sides.right, sides.bottom, sides.left]).size === 1);
+        if (uniform) {
+          add(`.border(${dp(sides ? sides.top : node.border.width)}, ${color(node.border.color)}${shape ? `, ${shape}` : ''})`, 'border', 'dp');
+        } else {
+          segments.push(sideBorders(node.border));
+        }
+      }
+    }
+
+    if (click !== null) add(`.clickable { ${click} }`, 'clickable');
+    if (!placementOnly && padding && node.autoLayout?.padding.some(Boolean)) segments.push(paddingSegment(node.autoLayout.padding));
+
+    return segments;
+  };
+
+  // `modifier = Modifier...` argument, continuation lines indented under the argument
+  const modifierArgument = (segments, indent, base = 'Modifier') => {
+    if (base === 'Modifier') use('Modifier');
+    if (segments.length === 0) return `modifier = ${base}`;
+    if (segments.length === 1 && !segments[0].includes('\n')) return `modifier = ${base}${segments[0]}`;
+    return `modifier = ${base}\n${segments.map(segment => indentLines(segment, `${indent}    `)).join('\n')}`;
+  };
+
+  const call = (name, args, indent, body = null) => {
+    const single = args.length === 1 && !args[0].includes('\n') && `${indent}${name}(${args[0]})`.length <= 100;
+    let head;
+    if (args.length === 0) {
+      head = body === null ? `${indent}${name}()` : `${indent}${name}`;
+    } else if (single) {
+      head = `${indent}${name}(${args[0]})`;
+    } else {
+      head = `${indent}${name}(\n${args.map(arg => `${indent}    ${arg}`).join(',\n')}\n${indent})`;
+    }
+    return body === null ? head : `${head} {\n${body}\n${indent}}`;
+  };
+
+  const textStyleArgs = (style, textColor) => {
+    const args = [];
+    if (textColor) args.push(`color = ${color(textColor)}`);
+    if (style.fontSize !== null) {
+      use('sp');
+      args.push(`fontSize = ${sp(style.fontSize)}`);
+    }
+    if (style.fontWeight !== null) {
+      use('FontWeight');
+      args.push(`fontWeight = ${composeFontWeight(style.fontWeight)}`);
+    }
+    if (style.italic) {
+      use('FontStyle');
+      args.push('fontStyle = FontStyle.Italic');
+    }
+    if (style.letterSpacing) {
+      use('sp');
+      args.push(`letterSpacing = ${sp(style.letterSpacing)}`);
+    }
+    if (style.textDecoration) {
+      use('TextDecoration');
+      args.push(`textDecoration = TextDecoration.${style.textDecoration === 'underline' ? 'Underline' : 'LineThrough'}`);
+    }
+    return args;
+  };
+
+  const textExpression = (node, indent) => {
+    const prop = figmaPropForKey(definition, node.textProp);
+    const { textCase } = node.text.style;
+    if (prop) {
+      return textCase === 'uppercase' ? `${prop.name}.uppercase()` : textCase === 'lowercase' ? `${prop.name}.lowercase()` : prop.name;
+    }
+
+    const plain = staticText(node);
+    if (plain !== null) {
+      if (!strings[plain]) return kotlinString(plain);
+      use('stringResource', resources);
+      return `stringResource(R.string.${strings[plain]})`;
+    }
+
+    // Styled runs restate only what differs from the text node they sit in
+    use('buildAnnotatedString');
+    const inherited = new Set(textStyleArgs(node.text.style, node.text.color));
+    const lines = node.text.runs.map(run => {
+      const append = `append(${kotlinString(applyTextCase(run.text, textCase))})`;
+      const overrides = run.style ? textStyleArgs(run.style, run.color).filter(arg => !inherited.has(arg)) : [];
+      if (overrides.length === 0) return `    ${append}`;
+      use('withStyle', 'SpanStyle');
+      return `    withStyle(SpanStyle(${overrides.join(', ')})) {\n        ${append}\n    }`;
+    });
+    return `buildAnnotatedString {\n${indentLines(lines.join('\n'), indent)}\n${indent}}`;
+  };
+
+  const renderText = (node, parent, indent, { root, click, base }) => {
+    const { style } = node.text;
+    const args = [`text = ${textExpression(node, `${indent}    `)}`];
+    const segments = modifierSegments(node, parent, { root, click });
+    if (segments.length > 0 || base !== 'Modifier') args.push(modifierArgument(segments, `${indent}    `, base));
+    // Weight 400 is the default and is only restated where a run needs it
+    args.push(...textStyleArgs(style, node.text.color).filter(arg => arg !== 'fontWeight = FontWeight.W400'));
+    const lineHeight = lineHeightPx(style);
+    if (lineHeight) args.push(`lineHeight = ${sp(lineHeight)}`);
+    if (style.textAlign && style.textAlign !== 'left') {
+      use('TextAlign');
+      args.push(`textAlign = TextAlign.${{ center: 'Center', right: 'End', justify: 'Justify' }[style.textAlign]}`);
+    }
+    use('Text');
+    return call('Text', args, indent);
+  };
+
+  const renderInstance = (node, parent, indent, { click, base }) => {
+    const instanceDefinition = components.find(candidate => candidate.name === node.instance.component);
+    use(`${packageName}.ui.components.${node.instance.component}`);
+    const args = Object.entries(node.instance.props).map(([name, value]) => {
+      const prop = instanceDefinition?.props.find(candidate => candidate.name === name);
+      if (prop?.type === 'variant') {
+        const type = variantTypeName(instanceDefinition, prop);
+        use(`${packageName}.ui.components.${type}`);
+        return `${name} = ${type}.${figmaVariantCase(prop, value)}`;
+      }
+      return `${name} = ${typeof value === 'boolean' ? value : kotlinString(String(value))}`;
+    });
+    const segments = modifierSegments(node, parent, { click, placementOnly: true });
+    if (segments.length > 0 || base !== 'Modifier') args.push(modifierArgument(segments, `${indent}    `, base));
+    return call(node.instance.component, args, indent);
+  };
+
+  const arrangement = (autoLayout, direction) => {
+    const { justify, gap } = autoLayout;
+    use('Arrangement');
+    if (justify === 'space-between') return 'Arrangement.SpaceBetween';
+    const row = direction === 'row';
+    if (gap) {
+      use('dp');
+      const alignment = { center: row ? 'CenterHorizontally' : 'CenterVertically', 'flex-end': row ? 'End' : 'Bottom' }[justify];
+      if (alignment) use('Alignment');
+      return `Arrangement.spacedBy(${dp(gap)}${alignment ? `, Alignment.${alignment}` : ''})`;
+    }
+    if (justify === 'flex-start') return null;
+    return `Arrangement.${{ center: 'Center', 'flex-end': row ? 'End' : 'Bottom' }[justify]}`;
+  };
+
+  const stackArguments = (autoLayout) => {
+    const { direction, align, wrap, wrapGap } = autoLayout;
+    const args = [];
+    const main = arrangement(autoLayout, direction);
+    if (direction === 'row') {
+      if (main) args.push(`horizontalArrangement = ${main}`);
+      if (wrap && wrapGap) {
+        use('dp');
+        args.push(`verticalArrangement = Arrangement.spacedBy(${dp(wrapGap)})`);
+      }
+      // Rows cannot align children on their baselines as a group; the bottom edge is closest for single lines
+      const cross = { center: 'CenterVertically', 'flex-end': 'Bottom', baseline: 'Bottom' }[align];
+      if (cross && !wrap) {
+        use('Alignment');
+        args.push(`verticalAlignment = Alignment.${cross}`);
+      }
+    } else {
+      if (main) args.push(`verticalArrangement = ${main}`);
+      const cross = { center: 'CenterHorizontally', 'flex-end': 'End' }[align];
+      if (cross) {
+        use('Alignment');
+        args.push(`horizontalAlignment = Alignment.${cross}`);
+      }
+    }
+    return args;
+  };
+
+  const renderContainer = (node, parent, indent, { root, click, base }) => {
+    const childIndent = `${indent}    `;
+    const renderChildren = (children, childIndentation) => children
+      .map(child => render(child, node, childIndentation))
+      .filter(markup => markup !== null);
+
+    if (node.kind === 'image') {
+      const ref = node.fill.layers.find(layer => layer.ref).ref;
+      use('Image', 'ContentScale');
+      const fit = node.fill.layers.find(layer => layer.ref).size === 'contain';
+      return call('Image', [
+        `painter = ${painter(ref)}`,
+        `contentDescription = ${kotlinString(node.name)}`,
+        modifierArgument(modifierSegments(node, parent, { root, click }), childIndent, base),
+        `contentScale = ContentScale.${fit ? 'Fit' : 'Crop'}`
+      ], indent);
+    }
+
+    const flow = node.children.filter(child => !child.position);
+    const placed = node.children.filter(child => child.position);
+
+    if (!node.autoLayout || flow.length === 0) {
+      const children = renderChildren(node.children, childIndent);
+      use('Box');
+      const args = [modifierArgument(modifierSegments(node, parent, { root, click }), childIndent, base)];
+      return call('Box', args, indent, children.length > 0 ? children.join('\n') : null);
+    }
+
+    const stack = node.autoLayout.direction === 'row' ? (node.autoLayout.wrap ? 'FlowRow' : 'Row') : 'Column';
+    use(stack);
+    if (stack === 'FlowRow') {
+      use('ExperimentalLayoutApi');
+      state.optIn = true;
+    }
+
+    if (placed.length === 0) {
+      const args = [modifierArgument(modifierSegments(node, parent, { root, click }), childIndent, base), ...stackArguments(node.autoLayout)];
+      return call(stack, args, indent, renderChildren(flow, childIndent).join('\n') || null);
+    }
+
+    // Absolutely positioned layers leave the auto-layout flow; a Box holds both and offsets them from the frame
+    use('Box');
+    const innerIndent = `${childIndent}    `;
+    const inner = call(stack, [
+      ...(node.autoLayout.padding.some(Boolean) ? [modifierArgument([paddingSegment(node.autoLayout.padding)], innerIndent)] : []),
+      ...stackArguments(node.autoLayout)
+    ], childIndent, renderChildren(flow, innerIndent).join('\n') || null);
+    const args = [modifierArgument(modifierSegments(node, parent, { root, click, padding: false }), childIndent, base)];
+    return call('Box', args, indent, [inner, ...renderChildren(placed, childIndent)].join('\n'));
+  };
+
+  // A component root starts from the caller's `modifier` instead of Modifier
+  const render = (node, parent, indent, { root = false, base = 'Modifier' } = {}) => {
+    const visibility = figmaPropForKey(definition, node.visibleProp);
+    if (node.hidden && !visibility) return null;
+
+    const { callback, action } = clickTarget(node, annotations, callbacks);
+    const click = callback ? `${callback}()` : (action ? '' : null);
+    const inner = visibility ? `${indent}    ` : indent;
+    const options = { root, click, base };
+
+    let markup;
+    if (node.instance) {
+      markup = renderInstance(node, parent, inner, options);
+    } else if (node.text) {
+      markup = renderText(node, parent, inner, options);
+    } else {
+      markup = renderContainer(node, parent, inner, options);
+    }
+    if (action) markup = `${inner}// ${action}\n${markup}`;
+
+    return visibility ? `${indent}if (${visibility.name}) {\n${markup}\n${indent}}` : markup;
+  };
+
+  return { render, imports, state, use, modifierArgument };
+}
+
+function kotlinImports(imports) {
+  return [...imports].sort().map(path => `import ${path}`).join('\n');
+}
+
+/**
+ * Emit a Compose screen for one frame; navigation goes through callback parameters
+ * @param {Object} layout - Layout tree of the screen frame
+ * @param {Object} options - { packageName, functionName, targets: [{ screen, callback }], annotations, components, strings: { text: resourceName }, source }
+ * @returns {string} - Kotlin source
+ */
+export function emitComposeScreen(layout, { packageName, functionName, targets = [], annotations = EMPTY_ANNOTATIONS, components = [], strings = {}, source = 'the Figma frame' }) {
+  const renderer = createComposeRenderer({ packageName, components, annotations, callbacks: targetCallbacks(targets), strings });
+  const body = renderer.render(layout, null, '    ', { root: true });
+  renderer.use('Preview');
+
+  const signature = targets.length > 0
+    ? `(\n${targets.map(target => `    ${target.callback}: () -> Unit = {}`).join(',\n')}\n)`
+    : '()';
+
+  return `package ${packageName}.ui.screens
+
+${kotlinImports(renderer.imports)}
+
+// Translated from ${source} "${layout.name.replace(/\s+/g, ' ')}" (${layout.id})
+${renderer.state.optIn ? '@OptIn(ExperimentalLayoutApi::class)\n' : ''}@Composable
+fun ${functionName}${signature} {
+${body}
+}
+
+@Preview(showBackground = true)
+@Composable
+private fun ${functionName}Preview() {
+    ${functionName}()
+}
+`;
+}
+
+/**
+ * Emit a composable for a Figma component set: an enum per variant property and one
+ * branch per variant, with text and boolean properties as parameters
+ * @param {Object} definition - Definition from collectFigmaComponents
+ * @param {Object} options - { packageName, components }
+ * @returns {string} - Kotlin source
+ */
+export function emitComposeComponent(definition, { packageName, components = [] }) {
+  const renderer = createComposeRenderer({ packageName, definition, components });
+  const variantProps = definition.props.filter(prop => prop.type === 'variant');
+  const base = definition.defaultVariant;
+
+  const renderVariant = (variant, indent) => renderer.render(variant.layout, null, indent, { root: true, base: 'modifier' });
+
+  let body;
+  const others = definition.variants.filter(variant => variant !== base);
+  if (others.length === 0) {
+    body = renderVariant(base, '    ');
+  } else {
+    const condition = (variant) => variantProps
+      .map(prop => `${prop.name} == ${variantTypeName(definition, prop)}.${figmaVariantCase(prop, variant.values[prop.name])}`)
+      .join(' && ');
+    body = `    when {
+${others.map(variant => `        ${condition(variant)} -> {\n${renderVariant(variant, '            ')}\n        }`).join('\n')}
+        else -> {
+${renderVariant(base, '            ')}
+        }
+    }`;
+  }
+  renderer.use('Modifier', 'Preview');
+
+  const defaultValue = (prop) => {
+    if (prop.type === 'variant') return `${variantTypeName(definition, prop)}.${figmaVariantCase(prop, prop.defaultValue)}`;
+    if (prop.type === 'boolean') return String(Boolean(prop.defaultValue));
+    return kotlinString(String(prop.defaultValue ?? ''));
+  };
+  const parameterType = (prop) => (prop.type === 'variant' ? variantTypeName(definition, prop) : prop.type === 'boolean' ? 'Boolean' : 'String');
+  const parameters = [
+    'modifier: Modifier = Modifier',
+    ...definition.props.map(prop => `${prop.name}: ${parameterType(prop)} = ${defaultValue(prop)}`)
+  ];
+
+  const enums = variantProps.map(prop => `enum class ${variantTypeName(definition, prop)} {
+    ${prop.options.map(option => figmaVariantCase(prop, option)).join(',\n    ')}
+}
+
+`).join('');
+  const summary = variantProps.length > 0 ? `; variants: ${variantProps.map(prop => prop.name).join(', ')}` : '';
+
+  return `package ${packageName}.ui.components
+
+${kotlinImports(renderer.imports)}
+
+${enums}// Figma component${variantProps.length > 0 ? ' set' : ''} "${definition.figmaName.replace(/\s+/g, ' ')}" (${definition.id})${summary}
+${renderer.state.optIn ? '@OptIn(ExperimentalLayoutApi::class)\n' : ''}@Composable
+fun ${definition.name}(
+${parameters.map(parameter => `    ${parameter}`).join(',\n')}
+) {
+${body}
+}
+
+@Preview
+@Composable
+private fun ${definition.name}Preview() {
+    ${definition.name}()
+}
+`;
+}
+
+function swiftString(text) {
+  return JSON.stringify(text).replace(/\\u([0-9a-fA-F]{4})/g, '\\u{$1}');
+}
+
+function swiftCase(prop, value) {
+  const pascal = figmaVariantCase(prop, value);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function swiftCaseDeclaration(name) {
+  return SWIFT_KEYWORDS.has(name) ? `\`${name}\`` : name;
+}
+
+function swiftNumber(value) {
+  return String(round(value));
+}
+
+function swiftColor(value) {
+  const { r, g, b, a } = hexToRgb(value);
+  const channel = (component) => String(Math.round(component / 255 * 1000) / 1000);
+  return `Color(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}${a < 1 ? `, opacity: ${round(a)}` : ''})`;
+}
+
+function swiftGradient(gradient, node) {
+  const stops = `[${gradient.stops.map(stop => `.init(color: ${swiftColor(stop.color)}, location: ${swiftNumber(stop.position)})`).join(', ')}]`;
+  if (gradient.kind === 'radial') {
+    return `RadialGradient(stops: ${stops}, center: .center, startRadius: 0, endRadius: ${swiftNumber(Math.max(node.width || 0, node.height || 0) / 2)})`;
+  }
+  if (gradient.kind === 'conic') return `AngularGradient(stops: ${stops}, center: .center)`;
+  const { start, end } = gradientDirection(gradient.angle);
+  return `LinearGradient(stops: ${stops}, startPoint: .${SWIFT_UNIT_POINTS[`${start.x},${start.y}`]}, endPoint: .${SWIFT_UNIT_POINTS[`${end.x},${end.y}`]})`;
+}
+
+// SwiftUI before iOS 17 has no per-corner shape, so the largest corner stands in for all four
+function swiftShape(node) {
+  const radii = cornerRadii(node.radius);
+  if (!radii) return null;
+  if (radii === 'ellipse') return 'Ellipse()';
+  return `RoundedRectangle(cornerRadius: ${swiftNumber(Array.isArray(radii) ? Math.max(...radii) : radii)})`;
+}
+
+function swiftFont(style) {
+  const weight = SWIFT_FONT_WEIGHTS[Math.round((style.fontWeight || 400) / 100) * 100];
+  const size = swiftNumber(style.fontSize ?? 17);
+  // Custom families fall back to the system font until the font files are added to the app
+  if (style.fontFamily) return `.font(.custom(${swiftString(style.fontFamily)}, size: ${size})${weight ? `.weight(.${weight})` : ''})`;
+  return `.font(.system(size: ${size}${weight ? `, weight: .${weight}` : ''}))`;
+}
+
+// Modifiers that keep a Text a Text, so styled runs can be concatenated
+function swiftTextModifiers(style, textColor) {
+  const modifiers = [];
+  if (style.fontSize !== null || style.fontWeight !== null || style.fontFamily) modifiers.push(swiftFont(style));
+  if (style.italic) modifiers.push('.italic()');
+  if (style.letterSpacing) modifiers.push(`.kerning(${swiftNumber(style.letterSpacing)})`);
+  if (style.textDecoration === 'underline') modifiers.push('.underline()');
+  if (style.textDecoration === 'line-through') modifiers.push('.strikethrough()');
+  if (textColor) modifiers.push(`.foregroundColor(${swiftColor(textColor)})`);
+  return modifiers;
+}
+
+function frameAlignment(node) {
+  let horizontal = 'leading';
+  let vertical = 'top';
+  if (node.text) {
+    horizontal = { center: 'center', right: 'trailing' }[node.text.style.textAlign] || 'leading';
+  } else if (node.autoLayout) {
+    const { direction, justify, align } = node.autoLayout;
+    const main = { center: 'center', 'flex-end': 'end' }[justify] || 'start';
+    const cross = { center: 'center', 'flex-end': 'end' }[align] || 'start';
+    const [h, v] = direction === 'row' ? [main, cross] : [cross, main];
+    horizontal = { start: 'leading', center: 'center', end: 'trailing' }[h];
+    vertical = { start: 'top', center: 'center', end: 'bottom' }[v];
+  }
+  if (horizontal === 'center' && vertical === 'center') return 'center';
+  if (horizontal === 'center') return vertical;
+  if (vertical === 'center') return horizontal;
+  return `${vertical}${horizontal.charAt(0).toUpperCase()}${horizontal.slice(1)}`;
+}
+
+/**
+ * SwiftUI renderer shared by screens and components
+ * @param {Object} config - { definition, components, annotations, callbacks, images: image refs bundled in the asset catalog }
+ * @returns {Object} - { render }
+ */
+function createSwiftUIRenderer({ definition = null, components = [], annotations = EMPTY_ANNOTATIONS, callbacks = {}, images = [] }) {
+  const frameModifier = (node, root, alignment = frameAlignment(node)) => {
+    const axis = (sizing, value, skipFixed) => {
+      if (root && !definition) return 'fill';
+      if (sizing === 'FILL') return 'fill';
+      if (sizing === 'FIXED' && value !== null && !skipFixed) return value;
+      return null;
+    };
+    const width = axis(node.sizing.horizontal, node.width, false);
+    const height = axis(node.sizing.vertical, node.height, Boolean(node.text));
+    if (width === null && height === null && node.minWidth === null && node.maxWidth === null) return null;
+
+    const alignmentArg = alignment === 'center' ? '' : `, alignment: .${alignment}`;
+    if (width !== 'fill' && height !== 'fill' && node.minWidth === null && node.maxWidth === null) {
+      const args = [width !== null && `width: ${swiftNumber(width)}`, height !== null && `height: ${swiftNumber(height)}`].filter(Boolean);
+      return `.frame(${args.join(', ')}${alignmentArg})`;
+    }
+
+    const args = [];
+    if (width === 'fill') {
+      if (node.minWidth !== null) args.push(`minWidth: ${swiftNumber(node.minWidth)}`);
+      args.push(`maxWidth: ${node.maxWidth !== null ? swiftNumber(node.maxWidth) : '.infinity'}`);
+    } else if (width !== null) {
+      args.push(`minWidth: ${swiftNumber(width)}`, `maxWidth: ${swiftNumber(width)}`);
+    } else {
+      if (node.minWidth !== null) args.push(`minWidth: ${swiftNumber(node.minWidth)}`);
+      if (node.maxWidth !== null) args.push(`maxWidth: ${swiftNumber(node.maxWidth)}`);
+    }
+    if (height === 'fill') {
+      args.push('maxHeight: .infinity');
+    } else if (height !== null) {
+      args.push(`minHeight: ${swiftNumber(height)}`, `maxHeight: ${swiftNumber(height)}`);
+    }
+    return `.frame(${args.join(', ')}${alignmentArg})`;
+  };
+
+  const paddingModifier = ([top, right, bottom, left]) => {
+    if (top === right && right === bottom && bottom === left) return `.padding(${swiftNumber(top)})`;
+    return `.padding(EdgeInsets(top: ${swiftNumber(top)}, leading: ${swiftNumber(left)}, bottom: ${swiftNumber(bottom)}, trailing: ${swiftNumber(right)}))`;
+  };
+
+  const placementModifiers = (node) => {
+    if (!node.position) return [];
+    const { horizontal, vertical } = anchoredOffset(node);
+    const modifiers = [];
+    if (horizontal.offset || vertical.offset) modifiers.push(`.offset(x: ${swiftNumber(horizontal.offset)}, y: ${swiftNumber(vertical.offset)})`);
+    // Layers pinned to another edge span the parent and align inside it
+    if (horizontal.edge !== 'start' || vertical.edge !== 'start') {
+      const h = { start: 'leading', center: 'center', end: 'trailing' }[horizontal.edge];
+      const v = { start: 'top', center: 'center', end: 'bottom' }[vertical.edge];
+      const alignment = h === 'center' && v === 'center' ? 'center' : h === 'center' ? v : v === 'center' ? h : `${v}${h.charAt(0).toUpperCase()}${h.slice(1)}`;
+      modifiers.push(`.frame(maxWidth: .infinity, maxHeight: .infinity, alignment: .${alignment})`);
+    }
+    return modifiers;
+  };
+
+  const interactionModifiers = (click) => {
+    if (click === null) return [];
+    return ['.contentShape(Rectangle())', `.onTapGesture {${click ? ` ${click} ` : ''}}`, '.accessibilityAddTraits(.isButton)'];
+  };
+
+  const appearanceModifiers = (node) => {
+    const modifiers = [];
+    const shape = swiftShape(node);
+    const fill = (paint) => modifiers.push(shape ? `.background(${shape}.fill(${paint}))` : `.background(${paint})`);
+    let imageLayer = false;
+
+    if (node.fill?.color) fill(swiftColor(node.fill.color));
+    for (const layer of node.fill?.layers || []) {
+      if (layer.gradient) {
+        fill(swiftGradient(layer.gradient, node));
+      } else if (layer.color) {
+        fill(swiftColor(layer.color));
+      } else if (layer.ref && node.kind !== 'image' && images.includes(layer.ref)) {
+        imageLayer = true;
+        modifiers.push(`.background(Image(${swiftString(figmaImageResourceName(layer.ref))}).resizable().${layer.size === 'contain' ? 'scaledToFit' : 'scaledToFill'}())`);
+      } else if (layer.ref && node.kind !== 'image') {
+        fill(SWIFTUI_IMAGE_PLACEHOLDER);
+      }
+    }
+
+    if (node.border) {
+      const { color, width, sides } = node.border;
+      const uniform = !sides || (new Set([sides.top, sides.right, sides.bottom, sides.left]).size === 1);
+      if (uniform) {
+        modifiers.push(`.overlay(${shape || 'Rectangle()'}.strokeBorder(${swiftColor(color)}, lineWidth: ${swiftNumber(sides ? sides.top : width)}))`);
+      } else {
+        for (const [side, alignment, frame] of [['top', 'top', 'height'], ['right', 'trailing', 'width'], ['bottom', 'bottom', 'height'], ['left', 'leading', 'width']]) {
+          if (sides[side]) modifiers.push(`.overlay(alignment: .${alignment}) { Rectangle().fill(${swiftColor(color)}).frame(${frame}: ${swiftNumber(sides[side])}) }`);
+        }
+      }
+    }
+
+    if (node.clips || node.kind === 'image' || imageLayer) modifiers.push(shape ? `.clipShape(${shape})` : '.clipped()');
+    for (const shadow of node.shadows.filter(candidate => !candidate.inset)) {
+      modifiers.push(`.shadow(color: ${swiftColor(shadow.color)}, radius: ${swiftNumber(shadow.blur / 2)}, x: ${swiftNumber(shadow.x)}, y: ${swiftNumber(shadow.y)})`);
+    }
+    if (node.opacity !== null) modifiers.push(`.opacity(${swiftNumber(node.opacity)})`);
+    if (node.blur) modifiers.push(`.blur(radius: ${swiftNumber(node.blur)})`);
+    return modifiers;
+  };
+
+  const withModifiers = (view, modifiers, indent) => [view, ...modifiers.map(modifier => `${indent}    ${modifier}`)].join('\n');
+
+  const textView = (node, indent) => {
+    const prop = figmaPropForKey(definition, node.textProp);
+    const { style } = node.text;
+    if (prop) return { view: `${indent}Text(${prop.name})`, modifiers: swiftTextModifiers(style, node.text.color), textCase: style.textCase };
+
+    // Verbatim text, so asterisks and brackets in a design are not read as Markdown
+    const plain = staticText(node);
+    if (plain !== null) return { view: `${indent}Text(verbatim: ${swiftString(plain)})`, modifiers: swiftTextModifiers(style, node.text.color), textCase: null };
+
+    const inherited = new Set(swiftTextModifiers(style, node.text.color));
+    const runs = node.text.runs.map(run => {
+      const text = `Text(verbatim: ${swiftString(applyTextCase(run.text, style.textCase))})`;
+      if (!run.style) return text;
+      const overrides = swiftTextModifiers(run.style, run.color).filter(modifier => !inherited.has(modifier));
+      return `${text}${overrides.join('')}`;
+    });
+    return { view: `${indent}(${runs.join(' + ')})`, modifiers: [...inherited], textCase: null };
+  };
+
+  const stackView = (node, indent, children) => {
+    const { direction, gap, align, justify } = node.autoLayout;
+    const alignment = direction === 'row'
+      ? { center: '', 'flex-end': '.bottom', baseline: '.firstTextBaseline' }[align] ?? '.top'
+      : { center: '', 'flex-end': '.trailing' }[align] ?? '.leading';
+    const args = [alignment && `alignment: ${alignment}`, `spacing: ${swiftNumber(gap)}`].filter(Boolean);
+    // Space-between puts the free space between children instead of a fixed gap
+    const spaced = justify === 'space-between'
+      ? children.flatMap((child, index) => (index === 0 ? [child] : [`${indent}    Spacer(minLength: 0)`, child]))
+      : children;
+    return `${indent}${direction === 'row' ? 'HStack' : 'VStack'}(${args.join(', ')}) {\n${spaced.join('\n')}\n${indent}}`;
+  };
+
+  const render = (node, parent, indent, { root = false } = {}) => {
+    const visibility = figmaPropForKey(definition, node.visibleProp);
+    if (node.hidden && !visibility) return null;
+
+    const { callback, action } = clickTarget(node, annotations, callbacks);
+    const click = callback ? `${callback}()` : (action ? '' : null);
+    const inner = visibility ? `${indent}    ` : indent;
+    const childIndent = `${inner}    `;
+    const renderChildren = (children, childIndentation) => children
+      .map(child => render(child, node, childIndentation))
+      .filter(markup => markup !== null);
+
+    let markup;
+    if (node.instance) {
+      const instanceDefinition = components.find(candidate => candidate.name === node.instance.component);
+      // Memberwise initializers take their arguments in declaration order
+      const args = (instanceDefinition?.props || [])
+        .filter(prop => prop.name in node.instance.props)
+        .map(prop => {
+          const value = node.instance.props[prop.name];
+          if (prop.type === 'variant') return `${prop.name}: .${swiftCase(prop, value)}`;
+          return `${prop.name}: ${typeof value === 'boolean' ? value : swiftString(String(value))}`;
+        });
+      // The component lays out its own content, so the instance frame only sizes it
+      const size = frameModifier(node, false, 'center');
+      markup = withModifiers(`${inner}${node.instance.component}(${args.join(', ')})`, [
+        ...(size ? [size] : []),
+        ...interactionModifiers(click),
+        ...placementModifiers(node)
+      ], inner);
+    } else if (node.text) {
+      const { view, modifiers, textCase } = textView(node, inner);
+      const { textAlign } = node.text.style;
+      const lineHeight = lineHeightPx(node.text.style);
+      const fontSize = node.text.style.fontSize ?? 17;
+      const frame = frameModifier(node, root);
+      markup = withModifiers(view, [
+        ...modifiers,
+        ...(lineHeight && lineHeight > fontSize * 1.2 ? [`.lineSpacing(${swiftNumber(lineHeight - fontSize * 1.2)})`] : []),
+        ...(textAlign === 'center' || textAlign === 'right' ? [`.multilineTextAlignment(.${textAlign === 'center' ? 'center' : 'trailing'})`] : []),
+        ...(textCase === 'uppercase' || textCase === 'lowercase' ? [`.textCase(.${textCase})`] : []),
+        ...(frame ? [frame] : []),
+        ...appearanceModifiers(node),
+        ...interactionModifiers(click),
+        ...placementModifiers(node)
+      ], inner);
+    } else {
+      let view;
+      const flow = node.children.filter(child => !child.position);
+      const placed = node.children.filter(child => child.position);
+      if (node.kind === 'image') {
+        const layer = node.fill.layers.find(candidate => candidate.ref);
+        view = images.includes(layer.ref)
+          ? `${inner}Image(${swiftString(figmaImageResourceName(layer.ref))})\n${inner}    .resizable()\n${inner}    .aspectRatio(contentMode: .${layer.size === 'contain' ? 'fit' : 'fill'})\n${inner}    .accessibilityLabel(${swiftString(node.name)})`
+          : `${inner}${SWIFTUI_IMAGE_PLACEHOLDER}\n${inner}    .accessibilityLabel(${swiftString(node.name)})`;
+      } else if (node.autoLayout && flow.length > 0 && placed.length === 0) {
+        view = stackView(node, inner, renderChildren(flow, childIndent));
+      } else if (node.autoLayout && flow.length > 0) {
+        // Absolutely positioned layers leave the auto-layout flow and sit on top of it
+        const stack = stackView(node, childIndent, renderChildren(flow, `${childIndent}    `));
+        const padding = node.autoLayout.padding.some(Boolean) ? `\n${childIndent}    ${paddingModifier(node.autoLayout.padding)}` : '';
+        view = `${inner}ZStack(alignment: .topLeading) {\n${stack}${padding}\n${renderChildren(placed, childIndent).join('\n')}\n${inner}}`;
+      } else if (node.children.length > 0) {
+        const children = renderChildren(node.children, childIndent);
+        view = children.length > 0 ? `${inner}ZStack(alignment: .topLeading) {\n${children.join('\n')}\n${inner}}` : `${inner}Color.clear`;
+      } else {
+        view = `${inner}Color.clear`;
+      }
+
+      const padded = node.autoLayout?.padding.some(Boolean) && !(placed.length > 0 && flow.length > 0);
+      const frame = frameModifier(node, root);
+      markup = withModifiers(view, [
+        ...(padded ? [paddingModifier(node.autoLayout.padding)] : []),
+        ...(frame ? [frame] : []),
+        ...appearanceModifiers(node),
+        ...interactionModifiers(click),
+        ...placementModifiers(node)
+      ], inner);
+    }
+    if (action) markup = `${inner}// ${action}\n${markup}`;
+
+    return visibility ? `${indent}if ${visibility.name} {\n${markup}\n${indent}}` : markup;
+  };
+
+  return { render };
+}
+
+/**
+ * SwiftUI names for one screen of the flow
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @param {string} projectName - Xcode project name
+ * @returns {Object} - { base, view, route, path }
+ */
+export function swiftUIScreenNames(screen, projectName) {
+  const { base } = iosScreenNames(screen, { projectName });
+  // ContentView hosts the navigation stack, so a "Content" frame needs another name
+  const view = base === 'Content' ? 'ContentScreenView' : `${base}View`;
+  const route = base.charAt(0).toLowerCase() + base.slice(1);
+  return { base, view, route: SWIFT_KEYWORDS.has(route) ? `${route}Screen` : route, path: `${projectName}/Views/${view}.swift` };
+}
+
+/**
+ * Emit a SwiftUI view for one frame; navigation goes through closure properties
+ * @param {Object} layout - Layout tree of the screen frame
+ * @param {Object} options - { viewName, targets: [{ screen, callback }], annotations, components, images, source }
+ * @returns {string} - Swift source
+ */
+export function emitSwiftUIScreen(layout, { viewName, targets = [], annotations = EMPTY_ANNOTATIONS, components = [], images = [], source = 'the Figma frame' }) {
+  const renderer = createSwiftUIRenderer({ components, annotations, callbacks: targetCallbacks(targets), images });
+  const body = renderer.render(layout, null, '        ', { root: true });
+  const properties = targets.map(target => `    var ${target.callback}: () -> Void = {}`).join('\n');
+
+  return `import SwiftUI
+
+// Translated from ${source} "${layout.name.replace(/\s+/g, ' ')}" (${layout.id})
+struct ${viewName}: View {
+${properties ? `${properties}\n\n` : ''}    var body: some View {
+${body}
+    }
+}
+
+#Preview {
+    ${viewName}()
+}
+`;
+}
+
+/**
+ * Emit a SwiftUI view for a Figma component set: an enum per variant property and a
+ * switch over the variants, with text and boolean properties as stored properties
+ * @param {Object} definition - Definition from collectFigmaComponents
+ * @param {Object} options - { components, images }
+ * @returns {string} - Swift source
+ */
+export function emitSwiftUIComponent(definition, { components = [], images = [] } = {}) {
+  const renderer = createSwiftUIRenderer({ definition, components, images });
+  const variantProps = definition.props.filter(prop => prop.type === 'variant');
+  const base = definition.defaultVariant;
+  const others = definition.variants.filter(variant => variant !== base);
+
+  let body;
+  if (others.length === 0) {
+    body = renderer.render(base.layout, null, '        ', { root: true });
+  } else {
+    const subject = variantProps.length === 1 ? variantProps[0].name : `(${variantProps.map(prop => prop.name).join(', ')})`;
+    const pattern = (variant) => {
+      const cases = variantProps.map(prop => `.${swiftCase(prop, variant.values[prop.name])}`);
+      return cases.length === 1 ? cases[0] : `(${cases.join(', ')})`;
+    };
+    body = `        switch ${subject} {
+${others.map(variant => `        case ${pattern(variant)}:\n${renderer.render(variant.layout, null, '            ', { root: true })}`).join('\n')}
+        default:
+${renderer.render(base.layout, null, '            ', { root: true })}
+        }`;
+  }
+
+  const defaultValue = (prop) => {
+    if (prop.type === 'variant') return `.${swiftCase(prop, prop.defaultValue)}`;
+    if (prop.type === 'boolean') return String(Boolean(prop.defaultValue));
+    return swiftString(String(prop.defaultValue ?? ''));
+  };
+  const propertyType = (prop) => (prop.type === 'variant' ? variantTypeName(definition, prop) : prop.type === 'boolean' ? 'Bool' : 'String');
+  const properties = definition.props.map(prop => `    var ${prop.name}: ${propertyType(prop)} = ${defaultValue(prop)}`).join('\n');
+
+  const enums = variantProps.map(prop => `enum ${variantTypeName(definition, prop)} {
+${prop.options.map(option => `    case ${swiftCaseDeclaration(swiftCase(prop, option))}`).join('\n')}
+}
+
+`).join('');
+  const summary = variantProps.length > 0 ? `; variants: ${variantProps.map(prop => prop.name).join(', ')}` : '';
+
+  return `import SwiftUI
+
+${enums}// Figma component${variantProps.length > 0 ? ' set' : ''} "${definition.figmaName.replace(/\s+/g, ' ')}" (${definition.id})${summary}
+struct ${definition.name}: View {
+${properties ? `${properties}\n\n` : ''}    var body: some View {
+${body}
+    }
+}
+
+#Preview {
+    ${definition.name}()
+}
+`;
+}
+
+/**
+ * Emit ContentView.swift: a NavigationStack rooted at the first screen, with a route per other screen
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {string} projectName - Xcode project name
+ * @returns {string} - Swift source
+ */
+export function emitSwiftUIContentView(flow, projectName) {
+  const [first, ...rest] = flow.screens;
+  const names = (screen) => swiftUIScreenNames(screen, projectName);
+
+  // Opening the first screen pops back to the root instead of stacking it again
+  const screenView = (screen, indent) => {
+    const targets = iosNavigationTargets(flow, screen);
+    if (targets.length === 0) return `${indent}${names(screen).view}()`;
+    const args = targets.map(target => {
+      const action = target.screen === first ? 'path.removeAll()' : `path.append(.${names(target.screen).route})`;
+      return `${indent}    ${target.callback}: { ${action} }`;
+    });
+    return `${indent}${names(screen).view}(\n${args.join(',\n')}\n${indent})`;
+  };
+
+  if (rest.length === 0) {
+    return `import SwiftUI
+
+struct ContentView: View {
+    var body: some View {
+        NavigationStack {
+${screenView(first, '            ')}
+        }
+    }
+}
+
+#Preview {
+    ContentView()
+}
+`;
+  }
+
+  return `import SwiftUI
+
+enum Route: Hashable {
+${rest.map(screen => `    case ${names(screen).route}`).join('\n')}
+}
+
+struct ContentView: View {
+    @State private var path: [Route] = []
+
+    var body: some View {
+        NavigationStack(path: $path) {
+${screenView(first, '            ')}
+                .navigationDestination(for: Route.self) { route in
+                    switch route {
+${rest.map(screen => `                    case .${names(screen).route}:\n${screenView(screen, '                        ')}`).join('\n')}
+                    }
+                }
+        }
+    }
+}
+
+#Preview {
+    ContentView()
+}
+`;
+}
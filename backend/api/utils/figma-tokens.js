@@ -0,0 +1,378 @@
+/**
+ * Figma Tokens
+ * Local variables and styles of a Figma file as a DTCG token set in the shape the
+ * generators use: names that match a built-in token (color/primary, text/primary…)
+ * replace it, everything else is added next to it. Variable modes are kept as themes,
+ * and two imports of the same file can be diffed token by token.
+ */
+
+import { TOKEN_SOURCE, flattenTokens, listTokenModes, normalizeHex, tokensFromAnalysis } from './design-tokens.js';
+import { figmaColor } from './figma-layout.js';
+
+// Aliases resolve through at most this many variables before the chain is treated as broken
+const MAX_ALIAS_DEPTH = 10;
+
+// First name segments that already say which token group a variable or style belongs to
+const GROUP_ALIASES = {
+  color: ['color'],
+  colors: ['color'],
+  colour: ['color'],
+  colours: ['color'],
+  spacing: ['spacing'],
+  space: ['spacing'],
+  radius: ['radius'],
+  radii: ['radius'],
+  corner: ['radius'],
+  shadow: ['shadow'],
+  shadows: ['shadow'],
+  elevation: ['shadow'],
+  font: ['font'],
+  fonts: ['font'],
+  typography: ['font']
+};
+
+// Variable scopes that decide the group of a FLOAT variable, in priority order
+const FLOAT_SCOPES = [
+  ['CORNER_RADIUS', ['radius'], 'dimension'],
+  ['GAP', ['spacing'], 'dimension'],
+  ['FONT_SIZE', ['font', 'size'], 'dimension'],
+  ['FONT_WEIGHT', ['font', 'weight'], 'fontWeight'],
+  ['LINE_HEIGHT', ['font', 'line-height'], 'dimension'],
+  ['LETTER_SPACING', ['font', 'letter-spacing'], 'dimension'],
+  ['OPACITY', ['opacity'], 'number'],
+  ['STROKE_FLOAT', ['border', 'width'], 'dimension'],
+  ['WIDTH_HEIGHT', ['size'], 'dimension']
+];
+
+// "Brand / Primary 500" -> ['brand', 'primary-500']
+function nameSegments(name) {
+  return String(name || '')
+    .split('/')
+    .map(segment => segment.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean);
+}
+
+// Prefix the group unless the name already starts with it ("Colors/Text/Primary" -> color.text.primary)
+function tokenPath(name, group) {
+  const segments = nameSegments(name);
+  const named = GROUP_ALIASES[segments[0]];
+  if (named && named[0] === group[0]) {
+    const rest = segments.slice(1);
+    const matches = group.slice(1).every((segment, index) => rest[index] === segment);
+    return [...group, ...(matches ? rest.slice(group.length - 1) : rest)];
+  }
+  return [...group, ...segments];
+}
+
+function px(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+function hex(color, opacity = 1) {
+  return normalizeHex(figmaColor(color, opacity));
+}
+
+// GET /v1/files/:key/variables/local response, or just its `meta`
+function variableMeta(variables) {
+  const meta = variables?.meta || variables || {};
+  return {
+    variables: meta.variables || {},
+    collections: meta.variableCollections || {}
+  };
+}
+
+// Group and type of a FLOAT variable from its scopes, then from its name
+function floatGroup(variable) {
+  const scopes = variable.scopes || [];
+  const scoped = FLOAT_SCOPES.find(([scope]) => scopes.includes(scope));
+  if (scoped) return { group: scoped[1], type: scoped[2] };
+
+  const named = GROUP_ALIASES[nameSegments(variable.name)[0]];
+  if (named && named[0] !== 'color' && named[0] !== 'shadow') return { group: named, type: 'dimension' };
+  return { group: ['size'], type: 'dimension' };
+}
+
+function variableToken(variable) {
+  if (variable.resolvedType === 'COLOR') return { group: ['color'], type: 'color' };
+  if (variable.resolvedType === 'FLOAT') return floatGroup(variable);
+  if (variable.resolvedType === 'STRING' && (variable.scopes || []).includes('FONT_FAMILY')) {
+    return { group: ['font', 'family'], type: 'fontFamily' };
+  }
+  return null;
+}
+
+function variableValue(type, raw) {
+  if (type === 'color') return raw && typeof raw === 'object' ? hex(raw) : null;
+  if (type === 'fontFamily') return typeof raw === 'string' && raw.trim() ? [raw.trim()] : null;
+  if (typeof raw !== 'number' || !Number.isFinite(raw)) return null;
+  if (type === 'dimension') return px(raw);
+  return Math.round(raw * 100) / 100;
+}
+
+// Resolve aliases in the mode of the same name when the target collection has one
+function createAliasResolver(variables, collections) {
+  const modeName = (collectionId, modeId) => collections[collectionId]?.modes?.find(mode => mode.modeId === modeId)?.name;
+
+  const resolve = (variable, modeId, depth = 0) => {
+    const raw = variable?.valuesByMode?.[modeId];
+    if (raw?.type !== 'VARIABLE_ALIAS') return raw;
+    if (depth >= MAX_ALIAS_DEPTH) return undefined;
+
+    const target = variables[raw.id];
+    if (!target) return undefined;
+    const collection = collections[target.variableCollectionId];
+    const name = modeName(variable.variableCollectionId, modeId);
+    const targetMode = target.valuesByMode?.[modeId] !== undefined
+      ? modeId
+      : collection?.modes?.find(mode => mode.name === name)?.modeId ?? collection?.defaultModeId ?? Object.keys(target.valuesByMode || {})[0];
+    return resolve(target, targetMode, depth + 1);
+  };
+
+  return resolve;
+}
+
+// Styles only carry metadata; their values come from the first layer that uses them
+function collectStyleValues(document, styles) {
+  const values = {};
+  const walk = (node) => {
+    for (const [kind, styleId] of Object.entries(node.styles || {})) {
+      if (values[styleId] || !styles[styleId]) continue;
+      const paints = kind === 'stroke' || kind === 'strokes' ? node.strokes : node.fills;
+      values[styleId] = { node, paints: paints || [] };
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(document || {});
+  return values;
+}
+
+function styleTokens(style, usage) {
+  const segments = nameSegments(style.name);
+  if (style.styleType === 'FILL') {
+    const paint = usage.paints.find(candidate => candidate.visible !== false);
+    if (!paint) return { reason: 'No visible fill' };
+    if (paint.type !== 'SOLID') {
+      const kind = paint.type.startsWith('GRADIENT_') ? `${paint.type.slice('GRADIENT_'.length).toLowerCase()} gradient` : paint.type.toLowerCase();
+      return { reason: `${kind} fills have no token type` };
+    }
+    return { tokens: [{ path: tokenPath(style.name, ['color']), type: 'color', value: hex(paint.color, paint.opacity ?? 1) }] };
+  }
+
+  if (style.styleType === 'TEXT') {
+    const text = usage.node.style;
+    if (!text) return { reason: 'Not applied to a text layer' };
+    // Text styles spread over the font groups so the type scale and Tailwind fontSize pick them up
+    const named = GROUP_ALIASES[segments[0]]?.[0] === 'font' ? segments.slice(1) : segments;
+    const tokens = [];
+    if (text.fontFamily) tokens.push({ path: ['font', 'family', ...named], type: 'fontFamily', value: [text.fontFamily] });
+    if (text.fontSize) tokens.push({ path: ['font', 'size', ...named], type: 'dimension', value: px(text.fontSize) });
+    if (text.fontWeight) tokens.push({ path: ['font', 'weight', ...named], type: 'fontWeight', value: text.fontWeight });
+    if (text.lineHeightPx && text.lineHeightUnit !== 'INTRINSIC_%') {
+      tokens.push({ path: ['font', 'line-height', ...named], type: 'dimension', value: px(text.lineHeightPx) });
+    }
+    if (text.letterSpacing) tokens.push({ path: ['font', 'letter-spacing', ...named], type: 'dimension', value: px(text.letterSpacing) });
+    return tokens.length > 0 ? { tokens } : { reason: 'No font properties' };
+  }
+
+  if (style.styleType === 'EFFECT') {
+    const shadow = (usage.node.effects || []).find(effect => effect.visible !== false && effect.type === 'DROP_SHADOW');
+    if (!shadow) return { reason: 'Only drop shadows have a token type' };
+    return {
+      tokens: [{
+        path: tokenPath(style.name, ['shadow']),
+        type: 'shadow',
+        value: {
+          color: hex(shadow.color),
+          offsetX: px(shadow.offset?.x || 0),
+          offsetY: px(shadow.offset?.y || 0),
+          blur: px(shadow.radius || 0),
+          spread: px(shadow.spread || 0)
+        }
+      }]
+    };
+  }
+
+  return { reason: `${String(style.styleType).toLowerCase()} styles have no token type` };
+}
+
+/**
+ * Build the token set for a Figma file from its variables and local styles
+ * @param {Object} sources - { file: GET /v1/files/:key response, variables: GET /v1/files/:key/variables/local response or null }
+ * @returns {Object} - { tokens, report: { variables, styles, modes, defaultMode, tokens: [{ token, figmaName, kind, replaces }], skipped: [{ figmaName, kind, reason }] } }
+ */
+export function figmaTokenSet({ file, variables } = {}) {
+  const tokens = tokensFromAnalysis(null);
+  const extension = tokens.$extensions['com.digitalstudio'];
+  const builtIn = new Set(flattenTokens(tokens).map(entry => entry.name));
+  const report = { variables: 0, styles: 0, modes: [], defaultMode: null, tokens: [], skipped: [] };
+  const modes = {};
+  const owners = {};
+
+  // A token and a group cannot share a name: "primary/hover" under a primary token becomes
+  // primary-hover, and a token named like an existing group moves into it as "default"
+  const place = (path) => {
+    let node = tokens;
+    for (let index = 0; index < path.length - 1; index++) {
+      const child = node[path[index]];
+      if (child && '$value' in child) return [...path.slice(0, index), path.slice(index).join('-')];
+      if (!child) break;
+      node = child;
+    }
+    const leaf = node[path[path.length - 1]];
+    return leaf && !('$value' in leaf) ? [...path, 'default'] : path;
+  };
+
+  const set = (path, type, value, description) => {
+    let node = tokens;
+    for (const key of path.slice(0, -1)) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+    node[path[path.length - 1]] = { $type: type, $value: value, ...(description && { $description: description }) };
+    extension.sources[path.join('.')] = TOKEN_SOURCE.FIGMA;
+  };
+
+  // Variables first: they are the newer system and win over a style with the same name
+  const { variables: byId, collections } = variableMeta(variables);
+  const resolve = createAliasResolver(byId, collections);
+  const modeSlug = (mode) => nameSegments(mode.name).join('-') || mode.modeId;
+  const defaultModes = [];
+
+  for (const variable of Object.values(byId)) {
+    if (variable.remote) continue;
+    const collection = collections[variable.variableCollectionId];
+    const mapping = variableToken(variable);
+    if (!mapping) {
+      report.skipped.push({ figmaName: variable.name, kind: 'variable', reason: `${String(variable.resolvedType).toLowerCase()} variables have no token type` });
+      continue;
+    }
+
+    const defaultModeId = collection?.defaultModeId ?? Object.keys(variable.valuesByMode || {})[0];
+    const value = variableValue(mapping.type, resolve(variable, defaultModeId));
+    if (value === null) {
+      report.skipped.push({ figmaName: variable.name, kind: 'variable', reason: 'Value or alias could not be resolved' });
+      continue;
+    }
+
+    const path = place(tokenPath(variable.name, mapping.group));
+    const name = path.join('.');
+    if (owners[name]) {
+      report.skipped.push({ figmaName: variable.name, kind: 'variable', reason: `Same token name as "${owners[name]}"` });
+      continue;
+    }
+    owners[name] = variable.name;
+    set(path, mapping.type, value, variable.description);
+    report.variables++;
+    report.tokens.push({ token: name, figmaName: variable.name, kind: 'variable', replaces: builtIn.has(name) });
+
+    // Every other mode of the collection becomes a theme holding this token's value in it
+    const collectionModes = collection?.modes || [];
+    if (collectionModes.length > 1) {
+      const defaultMode = collectionModes.find(mode => mode.modeId === defaultModeId);
+      if (defaultMode && !defaultModes.includes(modeSlug(defaultMode))) defaultModes.push(modeSlug(defaultMode));
+      for (const mode of collectionModes) {
+        if (mode.modeId === defaultModeId) continue;
+        const modeValue = variableValue(mapping.type, resolve(variable, mode.modeId));
+        if (modeValue === null) continue;
+        const slug = modeSlug(mode);
+        modes[slug] = modes[slug] || {};
+        modes[slug][name] = modeValue;
+      }
+    }
+  }
+
+  const styles = file?.styles || {};
+  const usages = collectStyleValues(file?.document, styles);
+  for (const [styleId, style] of Object.entries(styles)) {
+    if (style.remote) continue;
+    const usage = usages[styleId];
+    if (!usage) {
+      report.skipped.push({ figmaName: style.name, kind: 'style', reason: 'Not used by any layer in the file' });
+      continue;
+    }
+
+    const result = styleTokens(style, usage);
+    if (!result.tokens) {
+      report.skipped.push({ figmaName: style.name, kind: 'style', reason: result.reason });
+      continue;
+    }
+
+    let emitted = 0;
+    for (const token of result.tokens) {
+      const path = place(token.path);
+      const name = path.join('.');
+      if (owners[name]) {
+        report.skipped.push({ figmaName: style.name, kind: 'style', reason: `Same token name as "${owners[name]}"` });
+        continue;
+      }
+      owners[name] = style.name;
+      set(path, token.type, token.value, style.description);
+      report.tokens.push({ token: name, figmaName: style.name, kind: 'style', replaces: builtIn.has(name) });
+      emitted++;
+    }
+    if (emitted > 0) report.styles++;
+  }
+
+  tokens.$description = file?.name ? `Design tokens imported from the Figma file "${file.name}"` : 'Design tokens imported from Figma';
+  if (Object.keys(modes).length > 0) {
+    extension.modes = modes;
+    extension.defaultMode = defaultModes[0];
+    if (/dark/.test(defaultModes[0]) || /light/.test(defaultModes[0])) {
+      extension.theme = /dark/.test(defaultModes[0]) ? 'dark' : 'light';
+    }
+  }
+  report.modes = [...defaultModes.slice(0, 1), ...Object.keys(modes)];
+  report.defaultMode = defaultModes[0] || null;
+
+  return { tokens, report };
+}
+
+// 'color.primary' -> value for the tokens the file defines, plus 'dark:color.primary' -> value for every mode
+function tokenValues(tokens) {
+  const sources = tokens?.$extensions?.['com.digitalstudio']?.sources || {};
+  const values = new Map(flattenTokens(tokens)
+    .filter(entry => sources[entry.name] === TOKEN_SOURCE.FIGMA)
+    .map(entry => [entry.name, entry.value]));
+  for (const { name, values: modeValues } of listTokenModes(tokens)) {
+    for (const [token, value] of Object.entries(modeValues)) {
+      values.set(`${name}:${token}`, value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Compare the tokens two imports of the same Figma file define; built-in defaults are left out
+ * @param {Object} previous - Token set from the earlier import
+ * @param {Object} next - Token set from this import
+ * @returns {Object} - { added, removed, changed: [{ token, mode, from, to }], modes: { added, removed }, unchanged }
+ */
+export function diffFigmaTokens(previous, next) {
+  const before = tokenValues(previous);
+  const after = tokenValues(next);
+  const split = (key) => {
+    const [mode, token] = key.includes(':') ? key.split(':') : [null, key];
+    return { token, mode };
+  };
+  const diff = { added: [], removed: [], changed: [], modes: { added: [], removed: [] }, unchanged: 0 };
+
+  for (const [key, value] of after) {
+    if (!before.has(key)) {
+      diff.added.push({ ...split(key), value });
+    } else if (JSON.stringify(before.get(key)) !== JSON.stringify(value)) {
+      diff.changed.push({ ...split(key), from: before.get(key), to: value });
+    } else {
+      diff.unchanged++;
+    }
+  }
+  for (const [key, value] of before) {
+    if (!after.has(key)) diff.removed.push({ ...split(key), value });
+  }
+
+  const beforeModes = listTokenModes(previous).map(mode => mode.name);
+  const afterModes = listTokenModes(next).map(mode => mode.name);
+  diff.modes.added = afterModes.filter(mode => !beforeModes.includes(mode));
+  diff.modes.removed = beforeModes.filter(mode => !afterModes.includes(mode));
+
+  return diff;
+}
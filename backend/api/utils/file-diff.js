@@ -0,0 +1,228 @@
+/**
+ * File Diff Utilities
+ * Line diffs between two sets of generated files: added and removed paths, and per-file
+ * hunks with a unified diff that patch tools and the code viewer can both read
+ */
+
+const DEFAULT_CONTEXT = 3;
+// Past this many edits a file is reported as fully replaced instead of searched further
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+  if (text === undefined || text === null || text === '') return [];
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Myers' O(ND) search; each step keeps a snapshot of the furthest x per diagonal for the walk back
+function shortestEdit(a, b, limit) {
+  const n = a.length;
+  const m = b.length;
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'context', a: --x, b: --y });
+    }
+    if (prevK === k + 1) {
+      edits.push({ type: 'add', b: --y });
+    } else {
+      edits.push({ type: 'remove', a: --x });
+    }
+  }
+  while (x > 0 && y > 0) {
+    edits.push({ type: 'context', a: --x, b: --y });
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Line-by-line diff of two texts
+ * @param {string} oldText - Previous content
+ * @param {string} newText - Current content
+ * @returns {Array} Lines as { type: 'context'|'add'|'remove', text, oldNumber, newNumber }, numbers 1-based
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // The search only covers the changed middle; shared leading and trailing lines are context
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const edits = shortestEdit(middleA, middleB, Math.min(middleA.length + middleB.length, MAX_EDIT_DISTANCE)) || [
+    ...middleA.map((_, index) => ({ type: 'remove', a: index })),
+    ...middleB.map((_, index) => ({ type: 'add', b: index }))
+  ];
+
+  const lines = [];
+  for (let i = 0; i < start; i++) {
+    lines.push({ type: 'context', text: a[i], oldNumber: i + 1, newNumber: i + 1 });
+  }
+  for (const edit of edits) {
+    lines.push({
+      type: edit.type,
+      text: edit.type === 'add' ? middleB[edit.b] : middleA[edit.a],
+      oldNumber: edit.type === 'add' ? null : start + edit.a + 1,
+      newNumber: edit.type === 'remove' ? null : start + edit.b + 1
+    });
+  }
+  for (let i = endA, j = endB; i < a.length; i++, j++) {
+    lines.push({ type: 'context', text: a[i], oldNumber: i + 1, newNumber: j + 1 });
+  }
+
+  return lines;
+}
+
+/**
+ * Group diff lines into hunks with surrounding context
+ * @param {Array} lines - Output of diffLines
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Array} Hunks as { oldStart, oldLines, newStart, newLines, lines }
+ */
+export function buildHunks(lines, context = DEFAULT_CONTEXT) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  lines.forEach((line, index) => {
+    if (line.type === 'context') return;
+
+    if (current && index - lastChange <= 2 * context + 1) {
+      current.end = index + 1;
+    } else {
+      if (current) hunks.push(current);
+      current = { start: Math.max(0, index - context), end: index + 1 };
+    }
+    lastChange = index;
+  });
+  if (current) hunks.push(current);
+
+  return hunks.map(({ start, end }) => {
+    const hunkLines = lines.slice(start, Math.min(lines.length, end + context));
+    const oldBefore = lines.slice(0, start).filter(line => line.type !== 'add').length;
+    const newBefore = lines.slice(0, start).filter(line => line.type !== 'remove').length;
+    const oldLines = hunkLines.filter(line => line.type !== 'add').length;
+    const newLines = hunkLines.filter(line => line.type !== 'remove').length;
+
+    return {
+      oldStart: oldLines ? oldBefore + 1 : oldBefore,
+      oldLines,
+      newStart: newLines ? newBefore + 1 : newBefore,
+      newLines,
+      lines: hunkLines
+    };
+  });
+}
+
+/**
+ * Render hunks as a unified diff
+ * @param {string} filePath - Path shown in the headers
+ * @param {Array} hunks - Output of buildHunks
+ * @param {string} status - 'added', 'removed' or 'modified'
+ * @returns {string} Unified diff text, empty when there are no hunks
+ */
+export function formatUnifiedDiff(filePath, hunks, status = 'modified') {
+  if (!hunks.length) return '';
+
+  const prefixes = { context: ' ', add: '+', remove: '-' };
+  const output = [
+    `--- ${status === 'added' ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${status === 'removed' ? '/dev/null' : `b/${filePath}`}`
+  ];
+  for (const hunk of hunks) {
+    output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const line of hunk.lines) {
+      output.push(`${prefixes[line.type]}${line.text}`);
+    }
+  }
+
+  return `${output.join('\n')}\n`;
+}
+
+/**
+ * Diff two file maps
+ * @param {Object} fromFiles - Path to content before
+ * @param {Object} toFiles - Path to content after
+ * @param {Object} options - { context } lines around each change
+ * @returns {Object} { added, removed, modified, unchanged, additions, deletions, files }
+ */
+export function diffFiles(fromFiles = {}, toFiles = {}, options = {}) {
+  const context = options.context ?? DEFAULT_CONTEXT;
+  const paths = [...new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)])].sort();
+  const result = { added: [], removed: [], modified: [], unchanged: 0, additions: 0, deletions: 0, files: [] };
+
+  for (const filePath of paths) {
+    const inFrom = Object.prototype.hasOwnProperty.call(fromFiles, filePath);
+    const inTo = Object.prototype.hasOwnProperty.call(toFiles, filePath);
+    const before = inFrom ? String(fromFiles[filePath] ?? '') : '';
+    const after = inTo ? String(toFiles[filePath] ?? '') : '';
+
+    if (inFrom && inTo && before === after) {
+      result.unchanged++;
+      continue;
+    }
+
+    const status = !inFrom ? 'added' : !inTo ? 'removed' : 'modified';
+    const lines = diffLines(before, after);
+    const hunks = buildHunks(lines, context);
+    const additions = lines.filter(line => line.type === 'add').length;
+    const deletions = lines.filter(line => line.type === 'remove').length;
+
+    result[status].push(filePath);
+    result.additions += additions;
+    result.deletions += deletions;
+    result.files.push({
+      path: filePath,
+      status,
+      additions,
+      deletions,
+      hunks,
+      diff: formatUnifiedDiff(filePath, hunks, status)
+    });
+  }
+
+  return result;
+}
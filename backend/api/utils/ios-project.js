@@ -0,0 +1,536 @@
+/**
+ * iOS Project Files
+ * Writes the Xcode project (project.pbxproj and a shared scheme) for a generated
+ * iOS app and its unit test target, or lays the same sources out as a Swift package
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from '../validation.js';
+
+export const IOS_LAYOUT = {
+  XCODE: 'xcodeproj',
+  SWIFT_PACKAGE: 'spm'
+};
+
+const IOS_LAYOUT_ALIASES = {
+  xcodeproj: IOS_LAYOUT.XCODE,
+  xcode: IOS_LAYOUT.XCODE,
+  spm: IOS_LAYOUT.SWIFT_PACKAGE,
+  swiftpm: IOS_LAYOUT.SWIFT_PACKAGE,
+  package: IOS_LAYOUT.SWIFT_PACKAGE
+};
+
+const DEPLOYMENT_TARGET = '16.0';
+
+// How Xcode types a file and which build phase compiles or copies it
+const FILE_TYPES = {
+  swift: { type: 'sourcecode.swift', phase: 'sources' },
+  m: { type: 'sourcecode.c.objc', phase: 'sources' },
+  h: { type: 'sourcecode.c.h' },
+  plist: { type: 'text.plist.xml' },
+  xcassets: { type: 'folder.assetcatalog', phase: 'resources' },
+  storyboard: { type: 'file.storyboard', phase: 'resources' },
+  xib: { type: 'file.xib', phase: 'resources' },
+  strings: { type: 'text.plist.strings', phase: 'resources' },
+  json: { type: 'text.json', phase: 'resources' }
+};
+
+/**
+ * Validate the `iosLayout` request field
+ * @param {string} value - xcodeproj (default) or spm, with their aliases
+ * @param {Object} config - { objectiveC } when the project is written in Objective-C
+ * @returns {string} - IOS_LAYOUT value
+ */
+export function resolveIOSLayout(value, { objectiveC = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return IOS_LAYOUT.XCODE;
+  }
+
+  const layout = IOS_LAYOUT_ALIASES[String(value).trim().toLowerCase()];
+  if (!layout) {
+    throw new ValidationError(
+      `Invalid iOS layout: ${value}. Valid options: ${Object.values(IOS_LAYOUT).join(', ')}`,
+      'iosLayout',
+      'INVALID_IOS_LAYOUT'
+    );
+  }
+  if (layout === IOS_LAYOUT.SWIFT_PACKAGE && objectiveC) {
+    throw new ValidationError(
+      'The Swift package layout is only available for Swift projects',
+      'iosLayout',
+      'UNSUPPORTED_IOS_LAYOUT'
+    );
+  }
+  return layout;
+}
+
+// Stable 24-digit object IDs, so regenerating the same project gives the same pbxproj
+function objectId(key) {
+  return crypto.createHash('md5').update(key).digest('hex').slice(0, 24).toUpperCase();
+}
+
+function fileType(path) {
+  return FILE_TYPES[path.split('.').pop()] || { type: 'text' };
+}
+
+function basename(path) {
+  return path.split('/').pop();
+}
+
+// Files of one target folder as Xcode sees them: an asset catalog is a single reference
+function collectTargetFiles(projectFiles, folder) {
+  const files = new Set();
+  for (const path of Object.keys(projectFiles)) {
+    if (!path.startsWith(`${folder}/`)) continue;
+    const catalog = path.match(/^(.*?\.xcassets)\//);
+    files.add(catalog ? catalog[1] : path);
+  }
+  return [...files].sort();
+}
+
+// Old-style ASCII plist as Xcode writes it; ids listed in `comments` get a /* name */ annotation
+function serialize(value, comments, indent = '', inline = false) {
+  const nl = inline ? ' ' : '\n';
+  const pad = inline ? '' : `${indent}\t`;
+  const end = inline ? '' : indent;
+
+  if (Array.isArray(value)) {
+    return `(${nl}${value.map(item => `${pad}${serialize(item, comments, `${indent}\t`, inline)},${nl}`).join('')}${end})`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) =>
+      `${pad}${quote(key)} = ${serialize(item, comments, `${indent}\t`, inline)};${nl}`
+    );
+    return `{${nl}${entries.join('')}${end}}`;
+  }
+  const text = String(value);
+  return comments[text] ? `${text} /* ${comments[text]} */` : quote(text);
+}
+
+function quote(text) {
+  if (/^[A-Za-z0-9_./]+$/.test(text)) return text;
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function projectBuildSettings(debug) {
+  const shared = {
+    ALWAYS_SEARCH_USER_PATHS: 'NO',
+    ASSETCATALOG_COMPILER_GENERATE_SWIFT_ASSET_SYMBOL_EXTENSIONS: 'YES',
+    CLANG_ANALYZER_NONNULL: 'YES',
+    CLANG_CXX_LANGUAGE_STANDARD: 'gnu++20',
+    CLANG_ENABLE_MODULES: 'YES',
+    CLANG_ENABLE_OBJC_ARC: 'YES',
+    CLANG_WARN_UNGUARDED_AVAILABILITY: 'YES_AGGRESSIVE',
+    COPY_PHASE_STRIP: 'NO',
+    ENABLE_STRICT_OBJC_MSGSEND: 'YES',
+    ENABLE_USER_SCRIPT_SANDBOXING: 'YES',
+    GCC_C_LANGUAGE_STANDARD: 'gnu17',
+    GCC_WARN_UNDECLARED_SELECTOR: 'YES',
+    GCC_WARN_UNUSED_VARIABLE: 'YES',
+    IPHONEOS_DEPLOYMENT_TARGET: DEPLOYMENT_TARGET,
+    SDKROOT: 'iphoneos'
+  };
+
+  if (debug) {
+    return {
+      ...shared,
+      DEBUG_INFORMATION_FORMAT: 'dwarf',
+      ENABLE_TESTABILITY: 'YES',
+      GCC_DYNAMIC_NO_PIC: 'NO',
+      GCC_OPTIMIZATION_LEVEL: '0',
+      GCC_PREPROCESSOR_DEFINITIONS: ['DEBUG=1', '$(inherited)'],
+      MTL_ENABLE_DEBUG_INFO: 'INCLUDE_SOURCE',
+      ONLY_ACTIVE_ARCH: 'YES',
+      SWIFT_ACTIVE_COMPILATION_CONDITIONS: 'DEBUG $(inherited)',
+      SWIFT_OPTIMIZATION_LEVEL: '-Onone'
+    };
+  }
+  return {
+    ...shared,
+    DEBUG_INFORMATION_FORMAT: 'dwarf-with-dsym',
+    ENABLE_NS_ASSERTIONS: 'NO',
+    MTL_ENABLE_DEBUG_INFO: 'NO',
+    SWIFT_COMPILATION_MODE: 'wholemodule',
+    VALIDATE_PRODUCT: 'YES'
+  };
+}
+
+/**
+ * Write project.pbxproj for an app target in `<projectName>/` and a unit test target in `<projectName>Tests/`
+ * @param {Object} projectFiles - Generated files; every file under the two folders is registered
+ * @param {Object} config - { projectName, bundleId }
+ * @returns {string} - pbxproj contents
+ */
+export function emitXcodeProject(projectFiles, { projectName, bundleId }) {
+  const objects = {};
+  const comments = {};
+  const add = (key, comment, object) => {
+    const id = objectId(`${projectName}:${key}`);
+    objects[id] = object;
+    comments[id] = comment;
+    return id;
+  };
+
+  const testName = `${projectName}Tests`;
+  const appProduct = add('product:app', `${projectName}.app`, {
+    isa: 'PBXFileReference', explicitFileType: 'wrapper.application', includeInIndex: '0', path: `${projectName}.app`, sourceTree: 'BUILT_PRODUCTS_DIR'
+  });
+  const testProduct = add('product:tests', `${testName}.xctest`, {
+    isa: 'PBXFileReference', explicitFileType: 'wrapper.cfbundle', includeInIndex: '0', path: `${testName}.xctest`, sourceTree: 'BUILT_PRODUCTS_DIR'
+  });
+
+  // One group per folder, one file reference per file, and a build file per compiled or copied file
+  const buildTarget = (folder) => {
+    const phases = { sources: [], resources: [] };
+    const groups = new Map();
+
+    const groupFor = (dir) => {
+      if (groups.has(dir)) return groups.get(dir);
+      const group = { id: add(`group:${dir}`, basename(dir), null), children: [], name: basename(dir) };
+      groups.set(dir, group);
+      if (dir !== folder) {
+        groupFor(dir.slice(0, dir.lastIndexOf('/'))).children.push(group.id);
+      }
+      return group;
+    };
+    groupFor(folder);
+
+    for (const path of collectTargetFiles(projectFiles, folder)) {
+      const { type, phase } = fileType(path);
+      const ref = add(`file:${path}`, basename(path), {
+        isa: 'PBXFileReference', lastKnownFileType: type, path: basename(path), sourceTree: '<group>'
+      });
+      groupFor(path.slice(0, path.lastIndexOf('/'))).children.push(ref);
+
+      if (phase) {
+        const phaseName = phase === 'sources' ? 'Sources' : 'Resources';
+        phases[phase].push(add(`build:${path}`, `${basename(path)} in ${phaseName}`, { isa: 'PBXBuildFile', fileRef: ref }));
+      }
+    }
+
+    for (const [dir, group] of groups) {
+      objects[group.id] = { isa: 'PBXGroup', children: group.children, path: basename(dir), sourceTree: '<group>' };
+    }
+
+    return {
+      group: groups.get(folder).id,
+      phases: [
+        add(`phase:${folder}:sources`, 'Sources', { isa: 'PBXSourcesBuildPhase', buildActionMask: '2147483647', files: phases.sources, runOnlyForDeploymentPostprocessing: '0' }),
+        add(`phase:${folder}:frameworks`, 'Frameworks', { isa: 'PBXFrameworksBuildPhase', buildActionMask: '2147483647', files: [], runOnlyForDeploymentPostprocessing: '0' }),
+        add(`phase:${folder}:resources`, 'Resources', { isa: 'PBXResourcesBuildPhase', buildActionMask: '2147483647', files: phases.resources, runOnlyForDeploymentPostprocessing: '0' })
+      ]
+    };
+  };
+
+  const app = buildTarget(projectName);
+  const tests = buildTarget(testName);
+
+  const configurationList = (key, comment, settings) => {
+    const configurations = ['Debug', 'Release'].map(name =>
+      add(`config:${key}:${name}`, name, { isa: 'XCBuildConfiguration', buildSettings: settings(name === 'Debug'), name })
+    );
+    return add(`configList:${key}`, comment, {
+      isa: 'XCConfigurationList', buildConfigurations: configurations, defaultConfigurationIsVisible: '0', defaultConfigurationName: 'Release'
+    });
+  };
+
+  const hasAccentColor = Object.keys(projectFiles).some(path => path.startsWith(`${projectName}/Assets.xcassets/AccentColor.colorset/`));
+  const appSettings = () => ({
+    ASSETCATALOG_COMPILER_APPICON_NAME: 'AppIcon',
+    ...(hasAccentColor && { ASSETCATALOG_COMPILER_GLOBAL_ACCENT_COLOR_NAME: 'AccentColor' }),
+    CODE_SIGN_STYLE: 'Automatic',
+    CURRENT_PROJECT_VERSION: '1',
+    ENABLE_PREVIEWS: 'YES',
+    GENERATE_INFOPLIST_FILE: 'NO',
+    INFOPLIST_FILE: `${projectName}/Info.plist`,
+    LD_RUNPATH_SEARCH_PATHS: ['$(inherited)', '@executable_path/Frameworks'],
+    MARKETING_VERSION: '1.0',
+    PRODUCT_BUNDLE_IDENTIFIER: bundleId,
+    PRODUCT_NAME: '$(TARGET_NAME)',
+    SWIFT_EMIT_LOC_STRINGS: 'YES',
+    SWIFT_VERSION: '5.0',
+    TARGETED_DEVICE_FAMILY: '1,2'
+  });
+  const testSettings = () => ({
+    BUNDLE_LOADER: '$(TEST_HOST)',
+    CODE_SIGN_STYLE: 'Automatic',
+    CURRENT_PROJECT_VERSION: '1',
+    GENERATE_INFOPLIST_FILE: 'YES',
+    MARKETING_VERSION: '1.0',
+    PRODUCT_BUNDLE_IDENTIFIER: `${bundleId}.tests`,
+    PRODUCT_NAME: '$(TARGET_NAME)',
+    SWIFT_EMIT_LOC_STRINGS: 'NO',
+    SWIFT_VERSION: '5.0',
+    TARGETED_DEVICE_FAMILY: '1,2',
+    TEST_HOST: `$(BUILT_PRODUCTS_DIR)/${projectName}.app/$(BUNDLE_EXECUTABLE_FOLDER_PATH)/${projectName}`
+  });
+
+  const project = objectId(`${projectName}:project`);
+  const appTarget = add('target:app', projectName, {
+    isa: 'PBXNativeTarget',
+    buildConfigurationList: configurationList('app', `Build configuration list for PBXNativeTarget "${projectName}"`, appSettings),
+    buildPhases: app.phases,
+    buildRules: [],
+    dependencies: [],
+    name: projectName,
+    productName: projectName,
+    productReference: appProduct,
+    productType: 'com.apple.product-type.application'
+  });
+
+  const proxy = add('proxy:app', 'PBXContainerItemProxy', {
+    isa: 'PBXContainerItemProxy', containerPortal: project, proxyType: '1', remoteGlobalIDString: appTarget, remoteInfo: projectName
+  });
+  const dependency = add('dependency:app', 'PBXTargetDependency', { isa: 'PBXTargetDependency', target: appTarget, targetProxy: proxy });
+
+  const testTarget = add('target:tests', testName, {
+    isa: 'PBXNativeTarget',
+    buildConfigurationList: configurationList('tests', `Build configuration list for PBXNativeTarget "${testName}"`, testSettings),
+    buildPhases: tests.phases,
+    buildRules: [],
+    dependencies: [dependency],
+    name: testName,
+    productName: testName,
+    productReference: testProduct,
+    productType: 'com.apple.product-type.bundle.unit-test'
+  });
+
+  const productsGroup = add('group:Products', 'Products', { isa: 'PBXGroup', children: [appProduct, testProduct], name: 'Products', sourceTree: '<group>' });
+  const mainGroup = add('group:main', null, { isa: 'PBXGroup', children: [app.group, tests.group, productsGroup], sourceTree: '<group>' });
+  delete comments[mainGroup];
+
+  objects[project] = {
+    isa: 'PBXProject',
+    attributes: {
+      BuildIndependentTargetsInParallel: '1',
+      LastSwiftUpdateCheck: '1500',
+      LastUpgradeCheck: '1500',
+      TargetAttributes: {
+        [appTarget]: { CreatedOnToolsVersion: '15.0' },
+        [testTarget]: { CreatedOnToolsVersion: '15.0', TestTargetID: appTarget }
+      }
+    },
+    buildConfigurationList: configurationList('project', `Build configuration list for PBXProject "${projectName}"`, projectBuildSettings),
+    compatibilityVersion: 'Xcode 14.0',
+    developmentRegion: 'en',
+    hasScannedForEncodings: '0',
+    knownRegions: ['en', 'Base'],
+    mainGroup,
+    productRefGroup: productsGroup,
+    projectDirPath: '',
+    projectRoot: '',
+    targets: [appTarget, testTarget]
+  };
+  comments[project] = 'Project object';
+
+  // Xcode lists objects by isa in sections; build files and file references sit on one line each
+  const sections = {};
+  for (const [id, object] of Object.entries(objects)) {
+    (sections[object.isa] ||= []).push(id);
+  }
+  const body = Object.keys(sections).sort().map(isa => {
+    const inline = isa === 'PBXBuildFile' || isa === 'PBXFileReference';
+    const lines = sections[isa].sort().map(id => {
+      const key = comments[id] ? `${id} /* ${comments[id]} */` : id;
+      return `\t\t${key} = ${serialize(objects[id], comments, '\t\t', inline)};`;
+    });
+    return `\n/* Begin ${isa} section */\n${lines.join('\n')}\n/* End ${isa} section */\n`;
+  });
+
+  return `// !$*UTF8*$!
+{
+	archiveVersion = 1;
+	classes = {
+	};
+	objectVersion = 56;
+	objects = {
+${body.join('')}	};
+	rootObject = ${project} /* Project object */;
+}
+`;
+}
+
+/**
+ * Shared scheme that builds the app and runs its unit tests (xcodebuild test -scheme <projectName>)
+ * @param {Object} config - { projectName }
+ * @returns {string} - xcscheme XML
+ */
+export function emitXcodeScheme({ projectName }) {
+  const reference = (key, name, product) => `<BuildableReference
+               BuildableIdentifier = "primary"
+               BlueprintIdentifier = "${objectId(`${projectName}:${key}`)}"
+               BuildableName = "${product}"
+               BlueprintName = "${name}"
+               ReferencedContainer = "container:${projectName}.xcodeproj">
+            </BuildableReference>`;
+  const app = reference('target:app', projectName, `${projectName}.app`);
+  const tests = reference('target:tests', `${projectName}Tests`, `${projectName}Tests.xctest`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Scheme
+   LastUpgradeVersion = "1500"
+   version = "1.7">
+   <BuildAction
+      parallelizeBuildables = "YES"
+      buildImplicitDependencies = "YES">
+      <BuildActionEntries>
+         <BuildActionEntry
+            buildForTesting = "YES"
+            buildForRunning = "YES"
+            buildForProfiling = "YES"
+            buildForArchiving = "YES"
+            buildForAnalyzing = "YES">
+            ${app}
+         </BuildActionEntry>
+      </BuildActionEntries>
+   </BuildAction>
+   <TestAction
+      buildConfiguration = "Debug"
+      selectedDebuggerIdentifier = "Xcode.DebuggerFoundation.Debugger.LLDB"
+      selectedLauncherIdentifier = "Xcode.DebuggerFoundation.Launcher.LLDB"
+      shouldUseLaunchSchemeArgsEnv = "YES">
+      <Testables>
+         <TestableReference
+            skipped = "NO">
+            ${tests}
+         </TestableReference>
+      </Testables>
+   </TestAction>
+   <LaunchAction
+      buildConfiguration = "Debug"
+      selectedDebuggerIdentifier = "Xcode.DebuggerFoundation.Debugger.LLDB"
+      selectedLauncherIdentifier = "Xcode.DebuggerFoundation.Launcher.LLDB"
+      launchStyle = "0"
+      useCustomWorkingDirectory = "NO"
+      ignoresPersistentStateOnLaunch = "NO"
+      debugDocumentVersioning = "YES"
+      debugServiceExtension = "internal"
+      allowLocationSimulation = "YES">
+      <BuildableProductRunnable
+         runnableDebuggingMode = "0">
+         ${app}
+      </BuildableProductRunnable>
+   </LaunchAction>
+   <ArchiveAction
+      buildConfiguration = "Release"
+      revealArchiveInOrganizer = "YES">
+   </ArchiveAction>
+</Scheme>
+`;
+}
+
+/**
+ * XCTest case covering the generated AppState model
+ * @param {string} moduleName - Module the tests import with @testable
+ * @returns {string} - Swift source
+ */
+export function emitUnitTests(moduleName) {
+  return `import XCTest
+@testable import ${moduleName}
+
+final class ${moduleName}Tests: XCTestCase {
+    func testAppStateStartsIdle() {
+        let state = AppState()
+
+        XCTAssertFalse(state.isLoading)
+        XCTAssertNil(state.errorMessage)
+        XCTAssertTrue(state.items.isEmpty)
+    }
+}
+`;
+}
+
+/**
+ * Xcode project files for the generated app: project.pbxproj and the shared scheme
+ * @param {Object} projectFiles - Generated files, including the test target's sources
+ * @param {Object} config - { projectName, bundleId }
+ * @returns {Object} - Map of file path to contents
+ */
+export function emitXcodeProjectFiles(projectFiles, config) {
+  const { projectName } = config;
+  return {
+    [`${projectName}.xcodeproj/project.pbxproj`]: emitXcodeProject(projectFiles, config),
+    [`${projectName}.xcodeproj/xcshareddata/xcschemes/${projectName}.xcscheme`]: emitXcodeScheme(config)
+  };
+}
+
+/**
+ * Move an app laid out for Xcode into a Swift package: screens, view models and models
+ * become the <projectName>Kit library, tests its test target, and a thin App/ shell
+ * keeps the entry point, Info.plist and asset catalog for the app target
+ * SwiftUI apps get a public RootView and an @main App struct; UIKit apps keep their
+ * AppDelegate and SceneDelegate in the shell, importing the library's AppCoordinator
+ * @param {Object} projectFiles - Files under <projectName>/ and <projectName>Tests/, plus root files
+ * @param {Object} config - { projectName }
+ * @returns {Object} - Map of file path to contents
+ */
+export function toSwiftPackageLayout(projectFiles, { projectName }) {
+  const moduleName = `${projectName}Kit`;
+  const uikit = Boolean(projectFiles[`${projectName}/SceneDelegate.swift`]);
+  const shellFiles = [`${projectName}/AppDelegate.swift`, `${projectName}/SceneDelegate.swift`];
+  const files = {};
+
+  for (const [path, content] of Object.entries(projectFiles)) {
+    if (path === `${projectName}/App.swift`) continue;
+
+    if (path.startsWith(`${projectName}Tests/`)) {
+      files[`Tests/${moduleName}Tests/${path.slice(`${projectName}Tests/`.length)}`] = content
+        .replace(`@testable import ${projectName}\n`, `@testable import ${moduleName}\n`);
+    } else if (uikit && shellFiles.includes(path)) {
+      files[`App/${basename(path)}`] = content.replace('import UIKit\n', `import UIKit\nimport ${moduleName}\n`);
+    } else if (path === `${projectName}/Info.plist` || path.startsWith(`${projectName}/Assets.xcassets/`)) {
+      files[`App/${path.slice(projectName.length + 1)}`] = content;
+    } else if (path.startsWith(`${projectName}/`)) {
+      files[`Sources/${moduleName}/${path.slice(projectName.length + 1)}`] = content;
+    } else {
+      files[path] = content;
+    }
+  }
+
+  if (!uikit) {
+    files[`Sources/${moduleName}/RootView.swift`] = `import SwiftUI
+
+/// Entry view of the package; the app target shows it in its WindowGroup
+public struct RootView: View {
+    public init() {}
+
+    public var body: some View {
+        ContentView()
+    }
+}
+`;
+
+    files[`App/${projectName}App.swift`] = `import SwiftUI
+import ${moduleName}
+
+@main
+struct ${projectName}App: App {
+    var body: some Scene {
+        WindowGroup {
+            RootView()
+        }
+    }
+}
+`;
+  }
+
+  files['Package.swift'] = `// swift-tools-version: 5.9
+import PackageDescription
+
+let package = Package(
+    name: "${projectName}",
+    platforms: [
+        .iOS(.v16)
+    ],
+    products: [
+        .library(name: "${moduleName}", targets: ["${moduleName}"])
+    ],
+    targets: [
+        .target(name: "${moduleName}"),
+        .testTarget(name: "${moduleName}Tests", dependencies: ["${moduleName}"])
+    ]
+)
+`;
+
+  return files;
+}
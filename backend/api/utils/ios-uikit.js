@@ -0,0 +1,433 @@
+/**
+ * iOS UIKit Screens
+ * Names, navigation wiring and app scaffolding (AppDelegate, SceneDelegate, a
+ * coordinator and unit tests) for UIKit projects written in Swift or Objective-C,
+ * with one view controller per screen of the flow
+ */
+
+import { ValidationError } from '../validation.js';
+import { screenNavigationTargets } from './screen-flow.js';
+
+export const IOS_INTERFACE = {
+  SWIFTUI: 'swiftui',
+  UIKIT: 'uikit',
+  OBJC: 'objc'
+};
+
+const OBJECTIVE_C_NAMES = ['objective-c', 'objectivec', 'objc'];
+
+/**
+ * Validate the `language` field of an iOS request
+ * @param {string} value - Swift or Objective-C, in any case
+ * @returns {string|null} - 'swift' or 'objc', null when not given
+ */
+export function resolveIOSLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const language = String(value).trim().toLowerCase();
+  if (language === 'swift') return 'swift';
+  if (OBJECTIVE_C_NAMES.includes(language)) return 'objc';
+  throw new ValidationError(
+    `Invalid language for ios: ${value}. Valid options: Swift, Objective-C`,
+    'language',
+    'INVALID_LANGUAGE'
+  );
+}
+
+/**
+ * Pick the iOS output mode from the `language` (or the lab flow's `framework`) and `uiFramework` fields
+ * Objective-C has no SwiftUI, so it always produces UIKit view controllers
+ * @param {Object} body - Request body
+ * @returns {string} - IOS_INTERFACE value
+ */
+export function resolveIOSInterface(body = {}) {
+  // Web requests use `language` for JavaScript/TypeScript
+  const language = body.platform === 'ios' ? resolveIOSLanguage(body.language) : null;
+  if (language ? language === 'objc' : OBJECTIVE_C_NAMES.includes(String(body.framework || '').trim().toLowerCase())) {
+    return IOS_INTERFACE.OBJC;
+  }
+  return String(body.uiFramework || '').trim().toLowerCase() === 'uikit'
+    ? IOS_INTERFACE.UIKIT
+    : IOS_INTERFACE.SWIFTUI;
+}
+
+/**
+ * View controller name and file paths for one screen of the flow
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @param {Object} config - { projectName, objectiveC }
+ * @returns {Object} - { base, viewController, sourcePath, headerPath }
+ */
+export function iosScreenNames(screen, { projectName, objectiveC = false }) {
+  // "LoginScreen.png" is already named as a screen; avoid LoginScreenViewController
+  const base = screen.name.replace(/(Screen|Page|View)$/, '') || screen.name;
+  const viewController = `${base}ViewController`;
+  const folder = `${projectName}/Screens`;
+
+  return {
+    base,
+    viewController,
+    sourcePath: `${folder}/${viewController}.${objectiveC ? 'm' : 'swift'}`,
+    headerPath: objectiveC ? `${folder}/${viewController}.h` : null
+  };
+}
+
+/**
+ * Screens a view controller opens, with the navigation callback it exposes for each
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} screen - Screen from the flow
+ * @returns {Array} - [{ screen, trigger, callback }]
+ */
+export function iosNavigationTargets(flow, screen) {
+  return screenNavigationTargets(flow, screen).map(target => {
+    const { base } = iosScreenNames(target.screen, { projectName: '' });
+    return { ...target, callback: `onNavigateTo${base}` };
+  });
+}
+
+/**
+ * UIApplicationSceneManifest entry of Info.plist
+ * @param {string|null} delegateClassName - UIKit scene delegate class; null for the SwiftUI App lifecycle
+ * @returns {string} - Plist fragment, indented for the top-level dict
+ */
+export function emitSceneManifest(delegateClassName = null) {
+  if (!delegateClassName) {
+    return `	<key>UIApplicationSceneManifest</key>
+	<dict>
+		<key>UIApplicationSupportsMultipleScenes</key>
+		<true/>
+	</dict>`;
+  }
+
+  return `	<key>UIApplicationSceneManifest</key>
+	<dict>
+		<key>UIApplicationSupportsMultipleScenes</key>
+		<false/>
+		<key>UISceneConfigurations</key>
+		<dict>
+			<key>UIWindowSceneSessionRoleApplication</key>
+			<array>
+				<dict>
+					<key>UISceneConfigurationName</key>
+					<string>Default Configuration</string>
+					<key>UISceneDelegateClassName</key>
+					<string>${delegateClassName}</string>
+				</dict>
+			</array>
+		</dict>
+	</dict>`;
+}
+
+function screensWithNames(flow, projectName, objectiveC) {
+  return flow.screens.map(screen => ({
+    screen,
+    names: iosScreenNames(screen, { projectName, objectiveC }),
+    targets: iosNavigationTargets(flow, screen).map(target => ({
+      ...target,
+      names: iosScreenNames(target.screen, { projectName, objectiveC })
+    }))
+  }));
+}
+
+function firstTransition(screens) {
+  const from = screens.find(entry => entry.targets.length > 0);
+  return from ? { from, target: from.targets[0] } : null;
+}
+
+/**
+ * Swift UIKit scaffolding: AppDelegate, SceneDelegate, AppCoordinator and the unit tests
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} config - { projectName }
+ * @returns {Object} - Map of file path to contents
+ */
+export function emitUIKitAppFiles(flow, { projectName }) {
+  const screens = screensWithNames(flow, projectName, false);
+  const root = screens[0].names;
+
+  const factories = screens.map(({ names, targets }) => {
+    const wiring = targets.map(target => {
+      const comment = target.trigger ? `        // ${target.trigger}\n` : '';
+      return `${comment}        viewController.${target.callback} = { [weak self] in
+            guard let self else { return }
+            self.navigationController.pushViewController(self.make${target.names.viewController}(), animated: true)
+        }`;
+    });
+
+    return `    func make${names.viewController}() -> ${names.viewController} {
+        let viewController = ${names.viewController}()
+${wiring.length > 0 ? `${wiring.join('\n')}\n` : ''}        return viewController
+    }`;
+  });
+
+  const transition = firstTransition(screens);
+  const navigationTest = transition ? `
+
+    func test${transition.from.names.base}NavigatesTo${transition.target.names.base}() {
+        let coordinator = AppCoordinator()
+        let navigationController = coordinator.start() as? UINavigationController
+        let source = coordinator.make${transition.from.names.viewController}()
+        navigationController?.setViewControllers([source], animated: false)
+
+        source.${transition.target.callback}?()
+
+        XCTAssertTrue(navigationController?.viewControllers.last is ${transition.target.names.viewController})
+    }` : '';
+
+  return {
+    [`${projectName}/AppDelegate.swift`]: `import UIKit
+
+@main
+final class AppDelegate: UIResponder, UIApplicationDelegate {
+    func application(_ application: UIApplication, didFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]?) -> Bool {
+        true
+    }
+
+    func application(_ application: UIApplication, configurationForConnecting connectingSceneSession: UISceneSession, options: UIScene.ConnectionOptions) -> UISceneConfiguration {
+        UISceneConfiguration(name: "Default Configuration", sessionRole: connectingSceneSession.role)
+    }
+}
+`,
+
+    [`${projectName}/SceneDelegate.swift`]: `import UIKit
+
+final class SceneDelegate: UIResponder, UIWindowSceneDelegate {
+    var window: UIWindow?
+    private let coordinator = AppCoordinator()
+
+    func scene(_ scene: UIScene, willConnectTo session: UISceneSession, options connectionOptions: UIScene.ConnectionOptions) {
+        guard let windowScene = scene as? UIWindowScene else { return }
+
+        let window = UIWindow(windowScene: windowScene)
+        window.rootViewController = coordinator.start()
+        window.tintColor = UIColor(named: "AccentColor")
+        window.makeKeyAndVisible()
+        self.window = window
+    }
+}
+`,
+
+    [`${projectName}/AppCoordinator.swift`]: `import UIKit
+
+/// Creates each screen's view controller and turns its navigation callbacks into pushes on one navigation stack
+public final class AppCoordinator {
+    private let navigationController = UINavigationController()
+
+    public init() {}
+
+    public func start() -> UIViewController {
+        navigationController.setViewControllers([make${root.viewController}()], animated: false)
+        return navigationController
+    }
+
+${factories.join('\n\n')}
+}
+`,
+
+    [`${projectName}Tests/${projectName}Tests.swift`]: `import XCTest
+@testable import ${projectName}
+
+final class ${projectName}Tests: XCTestCase {
+    func testStartShows${root.base}() {
+        let navigationController = AppCoordinator().start() as? UINavigationController
+        XCTAssertTrue(navigationController?.viewControllers.first is ${root.viewController})
+    }${navigationTest}
+}
+`
+  };
+}
+
+/**
+ * Objective-C UIKit scaffolding: main.m, AppDelegate, SceneDelegate, AppCoordinator,
+ * a header per view controller declaring its navigation blocks, and the unit tests
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} config - { projectName }
+ * @returns {Object} - Map of file path to contents
+ */
+export function emitObjCAppFiles(flow, { projectName }) {
+  const screens = screensWithNames(flow, projectName, true);
+  const root = screens[0].names;
+  const files = {};
+
+  for (const { screen, names, targets } of screens) {
+    const source = screen.image?.originalname ? ` (${screen.image.originalname})` : '';
+    const properties = targets.map(target =>
+      `/// Opens ${target.screen.title}${target.trigger ? ` (${target.trigger})` : ''}\n@property (nonatomic, copy, nullable) void (^${target.callback})(void);`
+    );
+
+    files[names.headerPath] = `#import <UIKit/UIKit.h>
+
+NS_ASSUME_NONNULL_BEGIN
+
+/// ${screen.title} screen${source}
+@interface ${names.viewController} : UIViewController
+${properties.length > 0 ? `\n${properties.join('\n\n')}\n` : ''}
+@end
+
+NS_ASSUME_NONNULL_END
+`;
+  }
+
+  const factories = screens.map(({ names, targets }) => {
+    const wiring = targets.map(target => {
+      const comment = target.trigger ? `    // ${target.trigger}\n` : '';
+      return `${comment}    viewController.${target.callback} = ^{
+        [weakSelf.navigationController pushViewController:[weakSelf make${target.names.viewController}] animated:YES];
+    };`;
+    });
+
+    return `- (${names.viewController} *)make${names.viewController} {
+    ${names.viewController} *viewController = [[${names.viewController} alloc] init];
+${wiring.length > 0 ? `    __weak typeof(self) weakSelf = self;\n${wiring.join('\n')}\n` : ''}    return viewController;
+}`;
+  });
+
+  files[`${projectName}/main.m`] = `#import <UIKit/UIKit.h>
+#import "AppDelegate.h"
+
+int main(int argc, char * argv[]) {
+    NSString *appDelegateClassName;
+    @autoreleasepool {
+        appDelegateClassName = NSStringFromClass([AppDelegate class]);
+    }
+    return UIApplicationMain(argc, argv, nil, appDelegateClassName);
+}
+`;
+
+  files[`${projectName}/AppDelegate.h`] = `#import <UIKit/UIKit.h>
+
+@interface AppDelegate : UIResponder <UIApplicationDelegate>
+
+@end
+`;
+
+  files[`${projectName}/AppDelegate.m`] = `#import "AppDelegate.h"
+
+@implementation AppDelegate
+
+- (BOOL)application:(UIApplication *)application didFinishLaunchingWithOptions:(NSDictionary *)launchOptions {
+    return YES;
+}
+
+- (UISceneConfiguration *)application:(UIApplication *)application configurationForConnectingSceneSession:(UISceneSession *)connectingSceneSession options:(UISceneConnectionOptions *)options {
+    return [[UISceneConfiguration alloc] initWithName:@"Default Configuration" sessionRole:connectingSceneSession.role];
+}
+
+@end
+`;
+
+  files[`${projectName}/SceneDelegate.h`] = `#import <UIKit/UIKit.h>
+
+@interface SceneDelegate : UIResponder <UIWindowSceneDelegate>
+
+@property (strong, nonatomic) UIWindow *window;
+
+@end
+`;
+
+  files[`${projectName}/SceneDelegate.m`] = `#import "SceneDelegate.h"
+#import "AppCoordinator.h"
+
+@interface SceneDelegate ()
+
+@property (strong, nonatomic) AppCoordinator *coordinator;
+
+@end
+
+@implementation SceneDelegate
+
+- (void)scene:(UIScene *)scene willConnectToSession:(UISceneSession *)session options:(UISceneConnectionOptions *)connectionOptions {
+    if (![scene isKindOfClass:[UIWindowScene class]]) {
+        return;
+    }
+
+    self.coordinator = [[AppCoordinator alloc] init];
+    self.window = [[UIWindow alloc] initWithWindowScene:(UIWindowScene *)scene];
+    self.window.rootViewController = [self.coordinator start];
+    self.window.tintColor = [UIColor colorNamed:@"AccentColor"];
+    [self.window makeKeyAndVisible];
+}
+
+@end
+`;
+
+  files[`${projectName}/AppCoordinator.h`] = `#import <UIKit/UIKit.h>
+
+NS_ASSUME_NONNULL_BEGIN
+
+${screens.map(({ names }) => `@class ${names.viewController};`).join('\n')}
+
+/// Creates each screen's view controller and turns its navigation blocks into pushes on one navigation stack
+@interface AppCoordinator : NSObject
+
+- (UIViewController *)start;
+${screens.map(({ names }) => `- (${names.viewController} *)make${names.viewController};`).join('\n')}
+
+@end
+
+NS_ASSUME_NONNULL_END
+`;
+
+  files[`${projectName}/AppCoordinator.m`] = `#import "AppCoordinator.h"
+${screens.map(({ names }) => `#import "${names.viewController}.h"`).join('\n')}
+
+@interface AppCoordinator ()
+
+@property (nonatomic, strong) UINavigationController *navigationController;
+
+@end
+
+@implementation AppCoordinator
+
+- (instancetype)init {
+    self = [super init];
+    if (self) {
+        _navigationController = [[UINavigationController alloc] init];
+    }
+    return self;
+}
+
+- (UIViewController *)start {
+    [self.navigationController setViewControllers:@[[self make${root.viewController}]] animated:NO];
+    return self.navigationController;
+}
+
+${factories.join('\n\n')}
+
+@end
+`;
+
+  const transition = firstTransition(screens);
+  const navigationTest = transition ? `
+
+- (void)test${transition.from.names.base}NavigatesTo${transition.target.names.base} {
+    AppCoordinator *coordinator = [[AppCoordinator alloc] init];
+    UINavigationController *navigationController = (UINavigationController *)[coordinator start];
+    ${transition.from.names.viewController} *source = [coordinator make${transition.from.names.viewController}];
+    [navigationController setViewControllers:@[source] animated:NO];
+
+    source.${transition.target.callback}();
+
+    XCTAssertTrue([navigationController.viewControllers.lastObject isKindOfClass:[${transition.target.names.viewController} class]]);
+}` : '';
+
+  files[`${projectName}Tests/${projectName}Tests.m`] = `#import <XCTest/XCTest.h>
+#import "AppCoordinator.h"
+${[...new Set([root.viewController, ...(transition ? [transition.from.names.viewController, transition.target.names.viewController] : [])])].map(name => `#import "${name}.h"`).join('\n')}
+
+@interface ${projectName}Tests : XCTestCase
+
+@end
+
+@implementation ${projectName}Tests
+
+- (void)testStartShows${root.base} {
+    UINavigationController *navigationController = (UINavigationController *)[[[AppCoordinator alloc] init] start];
+    XCTAssertTrue([navigationController.viewControllers.firstObject isKindOfClass:[${root.viewController} class]]);
+}${navigationTest}
+
+@end
+`;
+
+  return files;
+}
@@ -0,0 +1,477 @@
+/**
+ * LLM Provider Layer
+ * Uniform access to Gemini, OpenAI, local OpenAI-compatible endpoints and a
+ * deterministic fake provider, so handlers never talk to a vendor SDK directly
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { ValidationError } from '../validation.js';
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  local: 'llama3',
+  fake: 'fake-model'
+};
+
+/**
+ * Normalize the inputs accepted by Gemini's generateContent into a flat part list
+ * @param {string|Array|Object} input - Prompt string, part array or { contents, generationConfig }
+ * @returns {Object} - { parts, generationConfig }
+ */
+export function normalizeContent(input) {
+  if (typeof input === 'string') {
+    return { parts: [{ text: input }], generationConfig: {} };
+  }
+
+  if (Array.isArray(input)) {
+    return {
+      parts: input.map(part => (typeof part === 'string' ? { text: part } : part)),
+      generationConfig: {}
+    };
+  }
+
+  const parts = (input?.contents || []).flatMap(content => content.parts || []);
+  return {
+    parts: parts.map(part => (typeof part === 'string' ? { text: part } : part)),
+    generationConfig: input?.generationConfig || {}
+  };
+}
+
+/**
+ * Raised when a model call is cancelled through an AbortSignal
+ */
+export class GenerationAbortedError extends Error {
+  constructor(message = 'Generation cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Check whether an error came from a cancelled generation
+ * @param {Error} error - Error thrown by a model call
+ * @returns {boolean} - True for abort errors
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Raised when a provider is selected but its credentials or endpoint are not configured
+ */
+export class ProviderConfigurationError extends Error {
+  constructor(provider, message) {
+    super(message);
+    this.name = 'ProviderConfigurationError';
+    this.code = 'PROVIDER_NOT_CONFIGURED';
+    this.provider = provider;
+  }
+}
+
+/**
+ * Wrap plain text in the response shape returned by the Gemini SDK
+ * @param {string} text - Generated text
+ * @returns {Object} - { response: { text() } }
+ */
+function toGenerateContentResult(text) {
+  return {
+    response: {
+      text: () => text
+    }
+  };
+}
+
+export class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Get a model handle exposing generateContent(input) like the Gemini SDK
+   * @param {string} modelName - Provider specific model identifier
+   * @returns {Object} - Model with generateContent
+   */
+  getModel(modelName) {
+    throw new Error(`Provider ${this.name} does not implement getModel(${modelName})`);
+  }
+
+  get defaultModel() {
+    return this.config.model || DEFAULT_MODELS[this.name];
+  }
+
+  /**
+   * Describe what is missing before the provider can be called
+   * @returns {ProviderConfigurationError|null} - Error for a misconfigured provider, null when ready
+   */
+  configurationError() {
+    return null;
+  }
+}
+
+export class GeminiProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('gemini', config);
+    this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  configurationError() {
+    return this.client
+      ? null
+      : new ProviderConfigurationError('gemini', 'Gemini provider is not configured: set GEMINI_API_KEY');
+  }
+
+  getModel(modelName) {
+    const error = this.configurationError();
+    if (error) throw error;
+    return this.client.getGenerativeModel({ model: modelName || this.defaultModel });
+  }
+}
+
+export class OpenAIProvider extends LLMProvider {
+  constructor(config = {}, name = 'openai') {
+    super(name, config);
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  }
+
+  configurationError() {
+    return this.apiKey
+      ? null
+      : new ProviderConfigurationError(this.name, 'OpenAI provider is not configured: set OPENAI_API_KEY');
+  }
+
+  getModel(modelName) {
+    const error = this.configurationError();
+    if (error) throw error;
+    const model = modelName || this.defaultModel;
+    return {
+      model,
+      generateContent: async (input, requestOptions = {}) =>
+        toGenerateContentResult(await this.chat(model, input, requestOptions.signal))
+    };
+  }
+
+  /**
+   * Send a chat completion request, translating Gemini parts to OpenAI messages
+   * @param {string} model - Model identifier
+   * @param {string|Array|Object} input - Gemini-style content
+   * @param {AbortSignal} signal - Optional signal that aborts the HTTP request
+   * @returns {string} - Generated text
+   */
+  async chat(model, input, signal = undefined) {
+    const { parts, generationConfig } = normalizeContent(input);
+
+    const content = parts.map(part => {
+      if (part.inlineData) {
+        return {
+          type: 'image_url',
+          image_url: { url: `data:${part.inlineData.mimeType || 'image/png'};base64,${part.inlineData.data}` }
+        };
+      }
+      return { type: 'text', text: part.text || '' };
+    });
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content }],
+      temperature: generationConfig.temperature ?? 0.3
+    };
+    if (generationConfig.responseMimeType === 'application/json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      const error = new Error(`${this.name} request failed (${response.status}): ${errText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+}
+
+export class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseUrl: config.baseUrl || process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      apiKey: config.apiKey || process.env.LOCAL_LLM_API_KEY,
+      model: config.model || process.env.LOCAL_LLM_MODEL
+    }, 'local');
+  }
+
+  // Local OpenAI-compatible servers usually run without a key
+  configurationError() {
+    return null;
+  }
+}
+
+export class FakeProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('fake', config);
+    this.responder = config.responder || null;
+    // Simulated latency lets cancellation and timeouts be exercised offline
+    this.delayMs = config.delayMs ?? Number(process.env.FAKE_LLM_DELAY_MS || 0);
+    this.calls = [];
+  }
+
+  getModel(modelName) {
+    const model = modelName || this.defaultModel;
+    return {
+      model,
+      generateContent: async (input) => {
+        const { parts } = normalizeContent(input);
+        const prompt = parts.filter(part => part.text).map(part => part.text).join('\n');
+        const images = parts.filter(part => part.inlineData).length;
+
+        this.calls.push({ model, prompt, images });
+        if (this.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+
+        const text = this.responder
+          ? await this.responder(prompt, parts)
+          : this.defaultResponse(prompt);
+        return toGenerateContentResult(text);
+      },
+      generateContentStream: async function (input) {
+        const result = await this.generateContent(input);
+        const lines = result.response.text().split(/(?<=\n)/);
+        return {
+          stream: (async function* () {
+            for (const line of lines) {
+              yield { text: () => line };
+            }
+          })(),
+          response: Promise.resolve(result.response)
+        };
+      }
+    };
+  }
+
+  /**
+   * Deterministic output keyed on the prompt hash so repeated runs are identical
+   * @param {string} prompt - Prompt text
+   * @returns {string} - A patch set for edit prompts, JSON for other prompts that ask for JSON, a component otherwise
+   */
+  defaultResponse(prompt) {
+    const hash = crypto.createHash('md5').update(prompt).digest('hex').slice(0, 8);
+
+    // Edit prompts get a patch set that marks the first file they show
+    const shown = prompt.match(/^CURRENT CONTENTS:\n=== (.+) ===\n([\s\S]*?)(?=\n\n=== |\n\nReturn a JSON object)/m);
+    if (shown) {
+      return JSON.stringify({
+        summary: `Marked ${shown[1]}`,
+        edits: [{ path: shown[1], action: 'modify', content: `${shown[2]}\n// fake-provider edit ${hash}\n`, reason: 'Requested change' }]
+      }, null, 2);
+    }
+
+    if (/\bJSON\b/.test(prompt)) {
+      return JSON.stringify({
+        colors: ['#1f2937', '#3b82f6', '#10b981', '#f59e0b'],
+        alignment: 'center',
+        spacing: 'comfortable',
+        typography: 'modern',
+        icons: [],
+        layout: 'flex',
+        theme: 'light',
+        components: ['header', 'main', 'footer'],
+        fakeResponseId: hash
+      }, null, 2);
+    }
+
+    return `// fake-provider response ${hash}
+import React from 'react';
+
+export default function App() {
+  return (
+    <main className="App" aria-label="Generated screen">
+      <h1>Generated screen</h1>
+    </main>
+  );
+}`;
+  }
+
+  reset() {
+    this.calls = [];
+  }
+}
+
+export class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  /**
+   * Get (and memoize) a provider instance by name
+   * @param {string} name - Provider name
+   * @returns {LLMProvider} - Provider instance
+   */
+  get(name) {
+    if (!this.factories.has(name)) {
+      throw new ValidationError(
+        `Unknown LLM provider: ${name}. Available providers: ${this.listProviders().join(', ')}`,
+        'provider',
+        'INVALID_PROVIDER'
+      );
+    }
+
+    if (!this.instances.has(name)) {
+      this.instances.set(name, this.factories.get(name)());
+    }
+    return this.instances.get(name);
+  }
+
+  listProviders() {
+    return [...this.factories.keys()];
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
+providerRegistry.register('gemini', () => new GeminiProvider());
+providerRegistry.register('openai', () => new OpenAIProvider());
+providerRegistry.register('local', () => new LocalProvider());
+providerRegistry.register('fake', () => new FakeProvider());
+
+export function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'gemini';
+}
+
+/**
+ * Pick the provider/model selection out of a request body or options object
+ * @param {Object} source - Object that may carry provider and model fields
+ * @returns {Object} - { provider, model }
+ */
+export function resolveLLMSelection(source = {}) {
+  // LLM_MODEL only applies to the configured default provider
+  const model = source.model || (source.provider ? undefined : process.env.LLM_MODEL);
+  return {
+    provider: source.provider || getDefaultProviderName(),
+    model: model || undefined
+  };
+}
+
+/**
+ * Generate text, streaming chunks to onChunk when the model supports it
+ * @param {Object} model - Model returned by createModel
+ * @param {string|Array|Object} input - Gemini-style content
+ * @param {Function} onChunk - Called with each text delta
+ * @returns {string} - Full generated text
+ */
+export async function generateText(model, input, onChunk = null) {
+  if (!onChunk || typeof model.generateContentStream !== 'function') {
+    const result = await model.generateContent(input);
+    const text = result.response.text();
+    if (onChunk) onChunk(text);
+    return text;
+  }
+
+  const result = await model.generateContentStream(input);
+  let text = '';
+  for await (const chunk of result.stream) {
+    const delta = chunk.text();
+    if (delta) {
+      text += delta;
+      onChunk(delta);
+    }
+  }
+  return text;
+}
+
+/**
+ * Bind an AbortSignal to a model so cancelling rejects in-flight and later calls
+ * @param {Object} model - Model with generateContent
+ * @param {AbortSignal} signal - Signal to observe
+ * @returns {Object} - Model whose calls reject with GenerationAbortedError once aborted
+ */
+export function withAbortSignal(model, signal) {
+  if (!signal) {
+    return model;
+  }
+
+  const throwIfAborted = () => {
+    if (signal.aborted) {
+      throw new GenerationAbortedError();
+    }
+  };
+
+  const guard = async (call) => {
+    throwIfAborted();
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(new GenerationAbortedError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([call(), aborted]);
+    } catch (error) {
+      // Vendor SDKs wrap fetch aborts in their own error types
+      if (signal.aborted) {
+        throw new GenerationAbortedError();
+      }
+      throw error;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const bound = {
+    model: model.model,
+    generateContent: (input) => guard(() => model.generateContent(input, { signal }))
+  };
+
+  if (typeof model.generateContentStream === 'function') {
+    bound.generateContentStream = async (input) => {
+      const result = await guard(() => model.generateContentStream(input, { signal }));
+      return {
+        ...result,
+        stream: (async function* () {
+          for await (const chunk of result.stream) {
+            throwIfAborted();
+            yield chunk;
+          }
+        })()
+      };
+    };
+  }
+
+  return bound;
+}
+
+/**
+ * Create a model handle for the given selection, falling back to config
+ * @param {Object} selection - { provider, model, signal }
+ * @returns {Object} - Model with generateContent
+ */
+export function createModel(selection = {}) {
+  const { provider, model } = resolveLLMSelection(selection);
+  return withAbortSignal(providerRegistry.get(provider).getModel(model), selection.signal);
+}
+
+export default providerRegistry;
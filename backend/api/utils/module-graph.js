@@ -0,0 +1,130 @@
+/**
+ * Module Graph Utilities
+ * Relative imports and exports between the source files of a generated web project, so a
+ * file regenerated on its own can be checked against the files that depend on it
+ */
+
+const SOURCE_FILE = /\.(jsx?|tsx?)$/;
+const RESOLVE_SUFFIXES = ['', '.jsx', '.js', '.tsx', '.ts', '/index.jsx', '/index.js', '/index.tsx', '/index.ts'];
+const IMPORT_PATTERN = /\bimport\s+(?:type\s+)?([^'";]*?)\s*from\s*['"]([^'"]+)['"]|\bimport\s*['"]([^'"]+)['"]|\bexport\s+(?:type\s+)?(\{[^}]*\}|\*(?:\s+as\s+[\w$]+)?)\s*from\s*['"]([^'"]+)['"]/g;
+
+export function isSourceFile(filePath) {
+  return SOURCE_FILE.test(filePath);
+}
+
+// Names a clause binds: "React, { useState as useLocal }" -> default + useState
+function parseClause(clause) {
+  const named = [];
+  const braces = clause.match(/\{([^}]*)\}/);
+  if (braces) {
+    for (const part of braces[1].split(',')) {
+      const name = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0].trim();
+      if (name) named.push(name);
+    }
+  }
+  const head = clause.replace(/\{[^}]*\}/, '').replace(/\*\s*as\s+[\w$]+/, '').replace(/,/g, ' ').trim();
+
+  return {
+    default: /^[\w$]+$/.test(head) || named.includes('default'),
+    named: named.filter(name => name !== 'default'),
+    namespace: /\*/.test(clause)
+  };
+}
+
+/**
+ * Static imports and re-exports of a module
+ * @param {string} code - Module source
+ * @returns {Array} - [{ specifier, default, named, namespace }]
+ */
+export function parseImports(code = '') {
+  const imports = [];
+  for (const match of String(code).matchAll(IMPORT_PATTERN)) {
+    if (match[3]) {
+      imports.push({ specifier: match[3], default: false, named: [], namespace: false });
+    } else if (match[5]) {
+      imports.push({ specifier: match[5], ...parseClause(match[4]) });
+    } else {
+      imports.push({ specifier: match[2], ...parseClause(match[1]) });
+    }
+  }
+  return imports;
+}
+
+/**
+ * Resolve a relative import the way bundlers do, against the project's file paths
+ * @param {string} fromPath - Importing file
+ * @param {string} specifier - Import specifier
+ * @param {Object} files - Path to content
+ * @returns {string|null|undefined} - Resolved path, null when missing, undefined for packages
+ */
+export function resolveImport(fromPath, specifier, files) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return undefined;
+  }
+
+  const segments = fromPath.split('/').slice(0, -1);
+  for (const segment of specifier.split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.') segments.push(segment);
+  }
+  const base = segments.join('/');
+
+  return RESOLVE_SUFFIXES.map(suffix => `${base}${suffix}`).find(candidate => candidate in files) || null;
+}
+
+/**
+ * Exports other files import from a module
+ * @param {Object} files - Path to content
+ * @param {string} targetPath - Module whose importers are collected
+ * @returns {Object} - { default, named: [], importers: [] }
+ */
+export function requiredExports(files, targetPath) {
+  const required = { default: false, named: new Set(), importers: [] };
+
+  for (const [filePath, code] of Object.entries(files)) {
+    if (filePath === targetPath || !isSourceFile(filePath)) continue;
+
+    for (const entry of parseImports(code)) {
+      if (resolveImport(filePath, entry.specifier, files) !== targetPath) continue;
+      if (!required.importers.includes(filePath)) required.importers.push(filePath);
+      if (entry.default) required.default = true;
+      entry.named.forEach(name => required.named.add(name));
+    }
+  }
+
+  return { ...required, named: [...required.named] };
+}
+
+/**
+ * Required exports a module no longer provides
+ * @param {string} code - Module source
+ * @param {Object} required - Result of requiredExports
+ * @returns {Array} - Missing names, 'default' for the default export
+ */
+export function missingExports(code = '', required) {
+  const exportLists = [...String(code).matchAll(/\bexport\s*\{([^}]*)\}/g)]
+    .flatMap(match => match[1].split(',').map(part => part.trim().split(/\s+as\s+/).pop().trim()));
+  const declares = (name) => new RegExp(`\\bexport\\s+(?:declare\\s+)?(?:async\\s+)?(?:const|let|var|function\\*?|class|type|interface|enum)\\s+${name.replace(/\$/g, '\\$')}(?![\\w$])`).test(code)
+    || exportLists.includes(name);
+
+  const missing = [];
+  if (required.default && !/\bexport\s+default\b/.test(code) && !exportLists.includes('default')) {
+    missing.push('default');
+  }
+  for (const name of required.named) {
+    if (!declares(name)) missing.push(name);
+  }
+  return missing;
+}
+
+/**
+ * Relative imports of a file that point at nothing in the project
+ * @param {Object} files - Path to content
+ * @param {string} filePath - File to check
+ * @returns {Array} - Unresolved specifiers
+ */
+export function unresolvedImports(files, filePath) {
+  return parseImports(files[filePath])
+    .map(entry => entry.specifier)
+    .filter(specifier => resolveImport(filePath, specifier, files) === null);
+}
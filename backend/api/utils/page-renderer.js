@@ -0,0 +1,244 @@
+/**
+ * Headless Page Renderer
+ * Bundles a generated React project in memory and screenshots one page in a local
+ * headless Chrome, so generated output can be compared with its source screen
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as esbuild from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+import puppeteer from 'puppeteer-core';
+import { emitTailwindThemeExtend } from './token-emitters.js';
+
+const BACKEND_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const PROJECT_ROOT = '/project';
+const RESOLVE_EXTENSIONS = ['', '.jsx', '.js', '.tsx', '.ts', '.css', '/index.jsx', '/index.js'];
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS || 30000);
+
+export class RendererUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RendererUnavailableError';
+    this.code = 'RENDERER_UNAVAILABLE';
+  }
+}
+
+/**
+ * Locate a Chrome/Chromium binary: CHROME_PATH, then puppeteer's cache, then system installs
+ * @returns {string} - Executable path
+ */
+export function findChromeExecutable() {
+  if (process.env.CHROME_PATH) {
+    return process.env.CHROME_PATH;
+  }
+
+  const cacheDir = process.env.PUPPETEER_CACHE_DIR || path.join(os.homedir(), '.cache', 'puppeteer');
+  const cached = [
+    ['chrome-headless-shell', 'chrome-headless-shell-linux64/chrome-headless-shell'],
+    ['chrome', 'chrome-linux64/chrome']
+  ].flatMap(([product, binary]) => {
+    const productDir = path.join(cacheDir, product);
+    if (!fs.existsSync(productDir)) return [];
+    return fs.readdirSync(productDir).sort().reverse().map(version => path.join(productDir, version, binary));
+  });
+
+  const candidates = [
+    ...cached,
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/google-chrome',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+  ];
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new RendererUnavailableError('No headless Chrome found. Install Chrome or set CHROME_PATH.');
+  }
+  return found;
+}
+
+function resolveProjectFile(projectFiles, absolutePath) {
+  const relative = absolutePath.slice(PROJECT_ROOT.length + 1);
+  return RESOLVE_EXTENSIONS.map(extension => `${relative}${extension}`).find(candidate => candidate in projectFiles);
+}
+
+// Compile @tailwind directives against the project's sources and design tokens
+async function compileTailwind(css, projectFiles) {
+  const raw = Object.entries(projectFiles)
+    .filter(([file]) => /\.(jsx?|tsx?)$/.test(file))
+    .map(([, content]) => content)
+    .join('\n');
+
+  let extend = {};
+  if (projectFiles['src/design-tokens.json']) {
+    try {
+      extend = emitTailwindThemeExtend(JSON.parse(projectFiles['src/design-tokens.json']));
+    } catch {
+      // Malformed token file; render with Tailwind's defaults
+    }
+  }
+
+  const result = await postcss([
+    tailwindcss({ content: [{ raw, extension: 'jsx' }], theme: { extend } })
+  ]).process(css, { from: undefined });
+  return result.css;
+}
+
+// Serve project files from memory; imports the project cannot satisfy render as empty modules
+function projectFilesPlugin(projectFiles) {
+  return {
+    name: 'project-files',
+    setup(build) {
+      build.onResolve({ filter: /^\.{1,2}\// }, (args) => {
+        const absolute = path.posix.resolve(args.resolveDir, args.path);
+        const file = resolveProjectFile(projectFiles, absolute);
+        return file
+          ? { path: `${PROJECT_ROOT}/${file}`, namespace: 'project' }
+          : { path: absolute, namespace: 'missing' };
+      });
+
+      build.onResolve({ filter: /^[^./]/ }, async (args) => {
+        if (args.pluginData?.bare) return undefined;
+        const resolved = await build.resolve(args.path, {
+          kind: args.kind,
+          resolveDir: BACKEND_ROOT,
+          pluginData: { bare: true }
+        });
+        return resolved.errors.length > 0
+          ? { path: args.path, namespace: 'missing' }
+          : { path: resolved.path };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'project' }, async (args) => {
+        const file = args.path.slice(PROJECT_ROOT.length + 1);
+        let contents = projectFiles[file];
+        const extension = path.extname(file);
+
+        if (extension === '.css' && contents.includes('@tailwind')) {
+          contents = await compileTailwind(contents, projectFiles);
+        }
+
+        return {
+          contents,
+          loader: extension === '.css' ? 'css' : (extension.startsWith('.ts') ? 'tsx' : 'jsx'),
+          resolveDir: path.posix.dirname(args.path)
+        };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: 'missing' }, (args) => (
+        /\.css$/.test(args.path)
+          ? { contents: '', loader: 'css' }
+          : {
+            // Any named import resolves to a component that renders nothing
+            contents: 'module.exports = new Proxy(function Missing() { return null; }, { get: (target, key) => key === "__esModule" ? false : target });',
+            loader: 'js'
+          }
+      ));
+    }
+  };
+}
+
+/**
+ * Bundle one page of a generated React project into a standalone HTML document
+ * @param {Object} projectFiles - Map of file path to contents
+ * @param {Object} options - { entry: 'src/App.jsx' | 'src/App.tsx' | 'src/pages/X.jsx' | 'src/pages/X.tsx' }
+ * @returns {Object} - { html, warnings }
+ */
+export async function bundleReactPage(projectFiles, { entry = 'src/App.jsx' } = {}) {
+  if (!projectFiles[entry]) {
+    throw new Error(`Entry file not found in project: ${entry}`);
+  }
+
+  // Pages call useNavigate and friends, so they need a router around them when rendered alone
+  const needsRouter = !/^src\/App\.[jt]sx$/.test(entry) && Boolean(projectFiles['package.json']?.includes('react-router-dom'));
+  const styles = ['src/index.css', 'src/App.css'].filter(file => projectFiles[file]);
+
+  const bootstrap = `import { createRoot } from 'react-dom/client';
+${needsRouter ? "import { MemoryRouter } from 'react-router-dom';" : ''}
+${styles.map(file => `import './${file}';`).join('\n')}
+import Page from './${entry}';
+
+const page = <Page />;
+createRoot(document.getElementById('root')).render(${needsRouter ? '<MemoryRouter>{page}</MemoryRouter>' : 'page'});
+`;
+
+  const result = await esbuild.build({
+    stdin: { contents: bootstrap, resolveDir: PROJECT_ROOT, loader: 'jsx' },
+    bundle: true,
+    write: false,
+    outdir: '/out',
+    format: 'iife',
+    jsx: 'automatic',
+    logLevel: 'silent',
+    define: { 'process.env.NODE_ENV': '"production"' },
+    plugins: [projectFilesPlugin(projectFiles)]
+  });
+
+  const js = result.outputFiles.find(file => file.path.endsWith('.js'))?.text || '';
+  const css = result.outputFiles.find(file => file.path.endsWith('.css'))?.text || '';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<style>${css}</style>
+</head>
+<body>
+<div id="root"></div>
+<script>${js.replace(/<\/script/gi, '<\\/script')}</script>
+</body>
+</html>`;
+
+  return { html, warnings: result.warnings.map(warning => warning.text) };
+}
+
+/**
+ * Screenshot an HTML document at a fixed viewport in headless Chrome
+ * @param {string} html - Document to render
+ * @param {Object} viewport - { width, height }
+ * @returns {Object} - { screenshot: PNG Buffer, errors: [page errors] }
+ */
+export async function renderHTML(html, { width, height }) {
+  const browser = await puppeteer.launch({
+    executablePath: findChromeExecutable(),
+    headless: true,
+    args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage']
+  }).catch(error => {
+    throw new RendererUnavailableError(`Headless Chrome failed to start: ${error.message}`);
+  });
+
+  try {
+    const page = await browser.newPage();
+    const errors = [];
+    page.on('pageerror', error => errors.push(error.message));
+
+    // Generated pages may reference remote fonts or images; keep rendering offline and deterministic
+    await page.setRequestInterception(true);
+    page.on('request', request => (request.url().startsWith('data:') ? request.continue() : request.abort()));
+
+    await page.setViewport({ width, height, deviceScaleFactor: 1 });
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+    await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+    const screenshot = Buffer.from(await page.screenshot({ type: 'png' }));
+    return { screenshot, errors };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Bundle and screenshot one page of a generated React project
+ * @param {Object} projectFiles - Map of file path to contents
+ * @param {Object} options - { entry, width, height }
+ * @returns {Object} - { screenshot, errors, warnings }
+ */
+export async function renderReactPage(projectFiles, { entry = 'src/App.jsx', width, height }) {
+  const { html, warnings } = await bundleReactPage(projectFiles, { entry });
+  const { screenshot, errors } = await renderHTML(html, { width, height });
+  return { screenshot, errors, warnings };
+}
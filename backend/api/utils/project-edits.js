@@ -0,0 +1,242 @@
+/**
+ * Project Edit Utilities
+ * Turn a natural-language instruction into whole-file edits of a stored project: the prompt with the
+ * relevant files and the conversation so far, validation of the model's patch set, and its preview diffs
+ */
+
+import { ValidationError } from '../validation.js';
+import { diffFiles } from './file-diff.js';
+import { isSourceFile, missingExports, requiredExports, unresolvedImports } from './module-graph.js';
+
+// File contents shown to the model; the rest of the project is listed by path only
+const CONTEXT_CHARS = 60000;
+const HISTORY_TURNS = 10;
+const MAX_INSTRUCTION_LENGTH = 2000;
+const EDIT_ACTIONS = ['modify', 'create', 'delete'];
+const SKIPPED_CONTEXT = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|gradlew(\.bat)?)$|\.(png|jpe?g|gif|webp|ico|jar|pbxproj)$/;
+
+/**
+ * Raised when the model's reply to an edit prompt is not a patch set
+ */
+export class InvalidPatchSetError extends Error {
+  constructor(message = 'The model did not return a valid patch set') {
+    super(message);
+    this.name = 'InvalidPatchSetError';
+    this.code = 'INVALID_PATCH_SET';
+  }
+}
+
+export function validateEditInstruction(value) {
+  const instruction = typeof value === 'string' ? value.trim() : '';
+  if (!instruction) {
+    throw new ValidationError('instruction is required', 'instruction', 'EDIT_INSTRUCTION_REQUIRED');
+  }
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new ValidationError(`instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`, 'instruction', 'INVALID_EDIT_INSTRUCTION');
+  }
+  return instruction;
+}
+
+function baseName(filePath) {
+  return filePath.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+/**
+ * Files the model sees in full: those the instruction names, then the main file, then the smallest others
+ * @param {Object} files - Path to content
+ * @param {string} instruction - User instruction
+ * @param {string|null} mainPath - Path of the project's main file
+ * @returns {Array} - Paths within the context budget
+ */
+export function selectEditContext(files, instruction, mainPath = null) {
+  const words = instruction.toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+  const mentioned = (filePath) => {
+    const name = baseName(filePath);
+    return name.length >= 3 && words.some(word => name.includes(word) || word.includes(name));
+  };
+  const candidates = Object.keys(files).filter(filePath => !SKIPPED_CONTEXT.test(filePath));
+  const ordered = [
+    ...candidates.filter(mentioned),
+    ...(mainPath && candidates.includes(mainPath) ? [mainPath] : []),
+    ...candidates.sort((a, b) => String(files[a]).length - String(files[b]).length)
+  ];
+
+  const selected = [];
+  let budget = CONTEXT_CHARS;
+  for (const filePath of new Set(ordered)) {
+    const size = String(files[filePath]).length;
+    if (size > budget) continue;
+    selected.push(filePath);
+    budget -= size;
+  }
+  return selected;
+}
+
+function describeTurn(turn) {
+  const accepted = turn.edits.filter(edit => edit.status === 'accepted').map(edit => edit.path);
+  const rejected = turn.edits.filter(edit => edit.status === 'rejected').map(edit => edit.path);
+  const outcome = turn.status === 'pending'
+    ? 'not reviewed yet'
+    : turn.status === 'no_changes'
+      ? 'no files changed'
+      : `accepted: ${accepted.join(', ') || 'none'}; rejected: ${rejected.join(', ') || 'none'}`;
+  return `- User: ${turn.instruction}\n  You proposed: ${turn.summary || 'no summary'} (${outcome})`;
+}
+
+/**
+ * Prompt asking for a patch set of whole-file edits
+ * @param {Object} params - { version, contextPaths, turns, instruction }
+ * @returns {string} - Prompt text
+ */
+export function buildEditPrompt({ version, contextPaths, turns = [], instruction }) {
+  const files = version.files;
+  const shown = new Set(contextPaths);
+  const options = version.options || {};
+
+  let prompt = `You are editing an existing ${version.framework} ${version.platform} project. Apply the user's instruction with the smallest set of whole-file edits.
+
+PROJECT:
+- Platform: ${version.platform}
+- Framework: ${version.framework}${options.styling ? `\n- Styling: ${options.styling}` : ''}${options.architecture ? `\n- Architecture: ${options.architecture}` : ''}
+
+FILES:
+${Object.keys(files).map(filePath => `- ${filePath} (${String(files[filePath]).length} chars${shown.has(filePath) ? '' : ', not shown'})`).join('\n')}`;
+
+  const history = turns.slice(-HISTORY_TURNS);
+  if (history.length) {
+    prompt += `
+
+CONVERSATION SO FAR:
+${history.map(describeTurn).join('\n')}`;
+  }
+
+  prompt += `
+
+INSTRUCTION:
+${instruction}
+
+CURRENT CONTENTS:
+${contextPaths.map(filePath => `=== ${filePath} ===\n${files[filePath]}`).join('\n\n')}
+
+Return a JSON object with this structure:
+{
+  "summary": "One or two sentences describing the change",
+  "edits": [
+    { "path": "src/App.jsx", "action": "modify|create|delete", "content": "complete new file content for modify and create", "reason": "why this file changes" }
+  ]
+}
+
+RULES:
+- Only modify or delete files whose contents are shown above
+- Give the complete file for every modify and create; never partial snippets or placeholders
+- Keep every export other files import, and only import files that exist or that you create
+- Leave files the instruction does not need untouched`;
+
+  return prompt;
+}
+
+function normalizePath(value) {
+  const filePath = String(value || '').trim().replace(/^\.?\//, '');
+  if (!filePath || filePath.startsWith('/') || filePath.split('/').some(segment => segment === '..' || segment === '')) {
+    return null;
+  }
+  return filePath;
+}
+
+/**
+ * Parse the model's patch set against the project's files; invalid and no-op edits are dropped
+ * @param {string} text - Model response
+ * @param {Object} files - Path to content
+ * @returns {Object} - { summary, edits: [{ id, path, action, content, reason }] }
+ */
+export function parseEditResponse(text, files) {
+  let patch;
+  try {
+    patch = JSON.parse(String(text).match(/\{[\s\S]*\}/)?.[0]);
+  } catch {
+    patch = null;
+  }
+  if (!patch || typeof patch !== 'object' || !Array.isArray(patch.edits)) {
+    throw new InvalidPatchSetError();
+  }
+
+  const byPath = new Map();
+  for (const edit of patch.edits) {
+    const filePath = normalizePath(edit?.path);
+    if (!filePath) continue;
+
+    const exists = Object.prototype.hasOwnProperty.call(files, filePath);
+    const requested = EDIT_ACTIONS.includes(edit.action) ? edit.action : 'modify';
+    if (requested === 'delete') {
+      if (exists) byPath.set(filePath, { path: filePath, action: 'delete', content: null, reason: String(edit.reason || '') });
+      continue;
+    }
+    if (typeof edit.content !== 'string' || (exists && edit.content === files[filePath])) continue;
+    byPath.set(filePath, { path: filePath, action: exists ? 'modify' : 'create', content: edit.content, reason: String(edit.reason || '') });
+  }
+
+  return {
+    summary: typeof patch.summary === 'string' ? patch.summary.trim() : '',
+    edits: [...byPath.values()].map((edit, index) => ({ id: `edit-${index + 1}`, ...edit }))
+  };
+}
+
+export function applyEdits(files, edits) {
+  const result = { ...files };
+  for (const edit of edits) {
+    if (edit.action === 'delete') {
+      delete result[edit.path];
+    } else {
+      result[edit.path] = edit.content;
+    }
+  }
+  return result;
+}
+
+/**
+ * Imports and exports a set of edits would break, for JavaScript and TypeScript sources
+ * @param {Object} files - Path to content before the edits
+ * @param {Array} edits - Edits to check together
+ * @returns {Object} - { byPath: { [path]: [warning] }, project: [warning] } for edited and other files
+ */
+export function patchWarnings(files, edits) {
+  const patched = applyEdits(files, edits);
+  const edited = new Set(edits.map(edit => edit.path));
+  const byPath = {};
+  const project = [];
+
+  for (const filePath of Object.keys(patched).filter(isSourceFile)) {
+    const before = new Set(filePath in files ? unresolvedImports(files, filePath) : []);
+    const broken = unresolvedImports(patched, filePath).filter(specifier => !before.has(specifier));
+    const missing = edited.has(filePath) ? missingExports(patched[filePath], requiredExports(patched, filePath)) : [];
+    const warnings = [
+      ...broken.map(specifier => `${filePath} imports ${specifier}, which does not exist`),
+      ...missing.map(name => `${filePath} no longer exports ${name === 'default' ? 'a default export' : name}, which other files import`)
+    ];
+    if (!warnings.length) continue;
+    if (edited.has(filePath)) byPath[filePath] = warnings;
+    else project.push(...warnings);
+  }
+
+  return { byPath, project };
+}
+
+/**
+ * Preview of a patch set: each edit with its diff and warnings
+ * @param {Object} files - Path to content before the edits
+ * @param {Array} edits - Parsed edits
+ * @returns {Object} - { edits, warnings } where edits carry additions, deletions, hunks and diff
+ */
+export function describeEdits(files, edits) {
+  const { byPath, project } = patchWarnings(files, edits);
+
+  return {
+    edits: edits.map(edit => {
+      const before = edit.action === 'create' ? {} : { [edit.path]: files[edit.path] };
+      const after = edit.action === 'delete' ? {} : { [edit.path]: edit.content };
+      const { additions, deletions, hunks, diff } = diffFiles(before, after).files[0] || { additions: 0, deletions: 0, hunks: [], diff: '' };
+      return { ...edit, additions, deletions, hunks, diff, warnings: byPath[edit.path] || [] };
+    }),
+    warnings: project
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Screen Flow Utilities
+ * Turns ordered screen uploads and the free-text `routing` option into named
+ * screens, routes and navigation transitions shared by the multi-screen generators
+ */
+
+// Identifiers the generated router shells declare or import next to the page imports
+const RESERVED_SCREEN_NAMES = new Set(['App', 'React', 'ReactDOM', 'BrowserRouter', 'Routes', 'Route', 'NavLink', 'Navigate', 'Link', 'Outlet']);
+
+/**
+ * Convert an arbitrary label (usually a file name) into a PascalCase identifier
+ * @param {string} label - Source text
+ * @param {string} fallback - Name used when nothing usable remains
+ * @returns {string} - Identifier safe for components and file names
+ */
+export function toComponentName(label, fallback) {
+  const words = String(label || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+
+  const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+  return /^[A-Z]/.test(name) ? name : fallback;
+}
+
+/**
+ * Convert a component name into a kebab-case route segment
+ * @param {string} name - PascalCase name
+ * @returns {string} - Route segment
+ */
+export function toRouteSegment(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+// Loose key for matching user-typed screen references against generated names
+function normalizeKey(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resolve a screen reference typed in the routing text ("login", "Screen 2", "dashboard page")
+ * @param {string} reference - Text naming a screen
+ * @param {Array} screens - Screens from buildScreenFlow
+ * @returns {Object|null} - Matching screen
+ */
+export function findScreen(reference, screens) {
+  const trimmed = String(reference || '').trim();
+  const indexMatch = trimmed.match(/^(?:screen|page|step)?\s*#?(\d+)$/i);
+  if (indexMatch) {
+    return screens[Number(indexMatch[1]) - 1] || null;
+  }
+
+  const key = normalizeKey(trimmed.replace(/\b(?:the|screen|page|view)\b/gi, ''));
+  if (!key) return null;
+
+  return screens.find(screen => normalizeKey(screen.name) === key)
+    || screens.find(screen => normalizeKey(screen.name).replace(/(screen|page|view)$/, '') === key)
+    || screens.find(screen => normalizeKey(screen.name).startsWith(key) || key.startsWith(normalizeKey(screen.name)))
+    || null;
+}
+
+/**
+ * Parse navigation rules such as "Login -> Dashboard on submit" or "from Home to Settings"
+ * @param {string} routing - Free-text routing option
+ * @param {Array} screens - Screens from buildScreenFlow
+ * @returns {Object} - { transitions: [{ from, to, trigger }], notes: [unparsed lines] }
+ */
+export function parseRoutingText(routing, screens) {
+  const transitions = [];
+  const notes = [];
+
+  const segments = String(routing || '')
+    .split(/[\n;,]+/)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  for (const segment of segments) {
+    let steps = segment.split(/\s*(?:->|→|=>)\s*/);
+    if (steps.length < 2) {
+      const wordForm = segment.match(/^(?:from\s+)?(.+?)\s+(?:to|goes to|navigates to|leads to)\s+(.+)$/i);
+      steps = wordForm ? [wordForm[1], wordForm[2]] : [];
+    }
+
+    const resolved = [];
+    let trigger = '';
+    steps.forEach((step, index) => {
+      let reference = step.replace(/^from\s+/i, '');
+      // The trigger ("on submit", "when the user taps Login") trails the last screen
+      if (index === steps.length - 1) {
+        const triggerMatch = reference.match(/^(.+?)\s+(?:on|when|after|via|by|if)\s+(.+)$/i);
+        if (triggerMatch) {
+          reference = triggerMatch[1];
+          trigger = triggerMatch[2].trim();
+        }
+      }
+      resolved.push(findScreen(reference, screens));
+    });
+
+    if (resolved.length < 2 || resolved.some(screen => !screen)) {
+      notes.push(segment);
+      continue;
+    }
+
+    for (let i = 0; i < resolved.length - 1; i++) {
+      if (resolved[i] !== resolved[i + 1]) {
+        transitions.push({ from: resolved[i].name, to: resolved[i + 1].name, trigger });
+      }
+    }
+  }
+
+  return { transitions, notes };
+}
+
+/**
+ * Build the ordered screen flow for a set of uploaded images
+ * @param {Array} images - Images in flow order ({ originalname, ... })
+ * @param {string} routing - Free-text routing option
+ * @returns {Object} - { screens: [{ index, name, route, title, image }], transitions, notes }
+ */
+export function buildScreenFlow(images = [], routing = '') {
+  const used = new Set();
+
+  const screens = images.map((image, index) => {
+    const label = toComponentName(image.screenName || image.originalname, `Screen${index + 1}`);
+    // A page named App or Routes would redeclare an identifier of the router shell
+    const base = RESERVED_SCREEN_NAMES.has(label) ? `${label}Page` : label;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base}${suffix}`;
+    }
+    used.add(name);
+
+    return {
+      index,
+      name,
+      route: index === 0 ? '/' : `/${toRouteSegment(name)}`,
+      title: name.replace(/([a-z0-9])([A-Z])/g, '$1 $2'),
+      image
+    };
+  });
+
+  const { transitions, notes } = parseRoutingText(routing, screens);
+  return { screens, transitions, notes };
+}
+
+/**
+ * Screens a screen navigates to: its explicit routing rules, otherwise the next screen in the flow
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} screen - Screen from the flow
+ * @returns {Array} - [{ screen, trigger }] without duplicate targets
+ */
+export function screenNavigationTargets(flow, screen) {
+  const explicit = flow.transitions.filter(transition => transition.from === screen.name);
+  const targets = explicit.length > 0
+    ? explicit.map(transition => ({ name: transition.to, trigger: transition.trigger }))
+    : (flow.screens[screen.index + 1] ? [{ name: flow.screens[screen.index + 1].name, trigger: '' }] : []);
+
+  const seen = new Set();
+  return targets
+    .filter(target => !seen.has(target.name) && seen.add(target.name))
+    .map(target => ({ screen: flow.screens.find(candidate => candidate.name === target.name), trigger: target.trigger }));
+}
+
+/**
+ * Describe where a screen can navigate, for inclusion in its generation prompt
+ * @param {Object} flow - Result of buildScreenFlow
+ * @param {Object} screen - Screen being generated
+ * @returns {string} - Prompt lines
+ */
+export function describeScreenNavigation(flow, screen) {
+  const outgoing = flow.transitions.filter(transition => transition.from === screen.name);
+  const routeOf = (name) => flow.screens.find(candidate => candidate.name === name).route;
+
+  if (outgoing.length > 0) {
+    return outgoing
+      .map(transition => `- Navigate to ${transition.to} (${routeOf(transition.to)})${transition.trigger ? ` when ${transition.trigger}` : ''}`)
+      .join('\n');
+  }
+
+  const next = flow.screens[screen.index + 1];
+  return next
+    ? `- No explicit rule; the next screen in the flow is ${next.name} (${next.route}) if this screen has a primary action`
+    : '- No outgoing navigation required';
+}
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events Utilities
+ * Streams generation progress to clients that asked for text/event-stream
+ */
+
+/**
+ * Progress reporter used when nobody is listening
+ */
+export const noopProgress = () => {};
+
+/**
+ * Decide whether a request asked for a streamed response
+ * @param {Object} req - Incoming request (after body parsing)
+ * @returns {boolean} - True when SSE should be used
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  const flag = req.body?.stream ?? req.query?.stream;
+  return accept.includes('text/event-stream') || flag === true || flag === 'true' || flag === '1';
+}
+
+/**
+ * Switch a response into SSE mode
+ * @param {Object} res - Node/Vercel response
+ * @returns {Object} - { send(event, data), end() }
+ */
+export function createSSEStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  let sequence = 0;
+  let closed = false;
+
+  const send = (event, data = {}) => {
+    if (closed) return;
+    sequence++;
+    const payload = JSON.stringify({ ...data, timestamp: new Date().toISOString() });
+    res.write(`id: ${sequence}\nevent: ${event}\ndata: ${payload}\n\n`);
+  };
+
+  const end = () => {
+    if (closed) return;
+    closed = true;
+    res.end();
+  };
+
+  return { send, end };
+}
@@ -0,0 +1,616 @@
+/**
+ * Design Token Emitters
+ * Turns one DTCG token set into the theme files each platform expects:
+ * CSS custom properties, Tailwind theme.extend, a typed TypeScript module, Compose Color.kt/Type.kt,
+ * Android colors.xml/themes.xml for XML layouts, iOS colorsets, a Flutter theme and React Native constants
+ */
+
+import { CSS_VARIABLE_ALIASES, flattenTokens, getTokenValue, hexToRgb, listTokenModes, normalizeHex, tokenCSSVariable } from './design-tokens.js';
+
+/**
+ * Format a token value as a CSS property value
+ * @param {string} type - DTCG token type
+ * @param {*} value - Token $value
+ * @returns {string} - CSS value
+ */
+export function toCSSValue(type, value) {
+  if (type === 'fontFamily') {
+    return (Array.isArray(value) ? value : [value])
+      .map(family => (/\s/.test(family) && !family.startsWith('-') ? `"${family}"` : family))
+      .join(', ');
+  }
+  if (type === 'shadow') {
+    return `${value.offsetX} ${value.offsetY} ${value.blur} ${value.spread} ${value.color}`;
+  }
+  return String(value);
+}
+
+function pascalName(path) {
+  return path
+    .flatMap(segment => String(segment).split(/[^a-zA-Z0-9]+/))
+    .filter(Boolean)
+    .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+    .join('');
+}
+
+// Values of the mode shown in dark appearance, e.g. a Figma "Dark" variable mode
+function darkModeValues(tokens) {
+  return listTokenModes(tokens).find(mode => /dark/.test(mode.name))?.values || {};
+}
+
+/**
+ * Emit a :root block with one custom property per token plus the legacy aliases, and a
+ * [data-theme] block per theme mode restating the tokens that differ in it
+ * @param {Object} tokens - DTCG token set
+ * @returns {string} - CSS
+ */
+export function emitCSSVariables(tokens) {
+  const entries = flattenTokens(tokens);
+  const lines = entries.map(({ path, type, value }) =>
+    `  ${tokenCSSVariable(path)}: ${toCSSValue(type, value)};`
+  );
+  const aliases = Object.entries(CSS_VARIABLE_ALIASES).map(([alias, target]) => `  ${alias}: var(${tokenCSSVariable(target.split('.'))});`);
+  const modes = listTokenModes(tokens).map(({ name, values }) => `
+
+[data-theme="${name}"] {
+${entries.filter(entry => entry.name in values).map(({ path, type, name: token }) => `  ${tokenCSSVariable(path)}: ${toCSSValue(type, values[token])};`).join('\n')}
+}`);
+
+  return `:root {
+${lines.join('\n')}
+
+  /* Aliases kept for generated components */
+${aliases.join('\n')}
+}${modes.join('')}`;
+}
+
+/**
+ * Map the token set onto Tailwind's theme.extend, referencing the CSS variables
+ * @param {Object} tokens - DTCG token set
+ * @param {Object} options - { literal: inline the values instead, for NativeWind where CSS variables do not exist }
+ * @returns {Object} - theme.extend object
+ */
+export function emitTailwindThemeExtend(tokens, { literal = false } = {}) {
+  const extend = {
+    colors: {},
+    spacing: {},
+    borderRadius: {},
+    fontSize: {},
+    fontFamily: {},
+    fontWeight: {},
+    boxShadow: {}
+  };
+
+  for (const { path, type, value } of flattenTokens(tokens)) {
+    const [group, ...rest] = path;
+    const variable = literal ? toCSSValue(type, value) : `var(${tokenCSSVariable(path)})`;
+
+    if (group === 'color') {
+      // color.text.primary -> colors.text.primary, usable as text-text-primary / bg-primary
+      let node = extend.colors;
+      rest.slice(0, -1).forEach(key => {
+        node[key] = node[key] || {};
+        node = node[key];
+      });
+      node[rest[rest.length - 1]] = variable;
+    } else if (group === 'spacing') {
+      extend.spacing[rest.join('-')] = variable;
+    } else if (group === 'radius') {
+      extend.borderRadius[rest.join('-')] = variable;
+    } else if (group === 'font' && rest[0] === 'size') {
+      extend.fontSize[rest.slice(1).join('-')] = variable;
+    } else if (group === 'font' && rest[0] === 'family') {
+      extend.fontFamily[rest.slice(1).join('-')] = variable;
+    } else if (group === 'font' && rest[0] === 'weight') {
+      extend.fontWeight[rest.slice(1).join('-')] = variable;
+    } else if (group === 'shadow' || type === 'shadow') {
+      extend.boxShadow[rest.join('-')] = variable;
+    }
+  }
+
+  // React Native has no font stacks or CSS box-shadow
+  if (literal) {
+    delete extend.fontFamily;
+    delete extend.boxShadow;
+  }
+  return extend;
+}
+
+/**
+ * Emit a complete tailwind.config.js whose theme.extend comes from the token set
+ * @param {Object} tokens - DTCG token set
+ * @param {Object} options - { content: source globs, esm: export default for "type": "module" projects, literal: inline values }
+ * @returns {string} - Config file contents
+ */
+export function emitTailwindConfig(tokens, { content = ['./src/**/*.{js,jsx,ts,tsx}'], esm = false, literal = false } = {}) {
+  const extend = JSON.stringify(emitTailwindThemeExtend(tokens, { literal }), null, 2).replace(/\n/g, '\n  ');
+  return `/** @type {import('tailwindcss').Config} */
+${esm ? 'export default' : 'module.exports ='} {
+  content: [
+${content.map(glob => `    "${glob}",`).join('\n')}
+  ],
+  theme: {
+    extend: ${extend},
+  },
+  plugins: [],
+}`;
+}
+
+/**
+ * Emit src/design-tokens.ts: the flattened token values, a TokenName union and a
+ * tokenVar() helper that returns the matching CSS custom property reference
+ * @param {Object} tokens - DTCG token set
+ * @returns {string} - TypeScript module
+ */
+export function emitTypeScriptTokens(tokens) {
+  const entries = flattenTokens(tokens);
+  const values = entries.map(({ name, type, value }) => `  ${JSON.stringify(name)}: ${JSON.stringify(toCSSValue(type, value))},`);
+  const variables = entries.map(({ name, path }) => `  ${JSON.stringify(name)}: 'var(${tokenCSSVariable(path)})',`);
+
+  return `// Generated from src/design-tokens.json
+export const tokens = {
+${values.join('\n')}
+} as const;
+
+export type TokenName = keyof typeof tokens;
+
+export const cssVariables: Record<TokenName, string> = {
+${variables.join('\n')}
+};
+
+export function tokenVar(name: TokenName): string {
+  return cssVariables[name];
+}
+`;
+}
+
+// Material 3 text styles as [style, font.size step, font.weight name]; Compose and Flutter share the names
+const MATERIAL_TEXT_STYLES = [
+  ['displaySmall', '3xl', 'bold'],
+  ['headlineMedium', '2xl', 'semibold'],
+  ['titleLarge', 'xl', 'semibold'],
+  ['titleMedium', 'lg', 'medium'],
+  ['bodyLarge', 'md', 'regular'],
+  ['bodyMedium', 'sm', 'regular'],
+  ['labelSmall', 'xs', 'medium']
+];
+
+/**
+ * Compose Color literal; Compose and Dart share the 0xAARRGGBB form
+ * @param {string} hex - Hex or rgba() color
+ * @returns {string} - e.g. Color(0xFF2563EB)
+ */
+export function composeColor(hex) {
+  const { r, g, b, a } = hexToRgb(hex);
+  const channels = [Math.round(a * 255), r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+  return `Color(0x${channels.toUpperCase()})`;
+}
+
+/**
+ * Emit Compose Color.kt with one val per color token
+ * @param {Object} tokens - DTCG token set
+ * @param {string} packageName - Android application package
+ * @returns {string} - Kotlin source
+ */
+export function emitComposeColors(tokens, packageName) {
+  const colors = flattenTokens(tokens).filter(entry => entry.type === 'color');
+  const dark = darkModeValues(tokens);
+  const darkColors = colors.filter(entry => normalizeHex(dark[entry.name]));
+  return `package ${packageName}.ui.theme
+
+import androidx.compose.ui.graphics.Color
+
+// Generated from design tokens
+${colors.map(({ path, value }) => `val ${pascalName(path)} = ${composeColor(value)}`).join('\n')}
+${darkColors.length > 0 ? `
+// Dark theme mode
+${darkColors.map(({ path, name }) => `val ${pascalName(path)}Dark = ${composeColor(dark[name])}`).join('\n')}
+` : ''}`;
+}
+
+/**
+ * Emit Compose Type.kt mapping the font size scale onto Material 3 text styles
+ * @param {Object} tokens - DTCG token set
+ * @param {string} packageName - Android application package
+ * @returns {string} - Kotlin source
+ */
+export function emitComposeTypography(tokens, packageName) {
+  const size = (name) => parseFloat(getTokenValue(tokens, `font.size.${name}`)) || 16;
+  const weight = (name) => {
+    const value = Number(getTokenValue(tokens, `font.weight.${name}`)) || 400;
+    return `FontWeight(${value})`;
+  };
+
+  return `package ${packageName}.ui.theme
+
+import androidx.compose.material3.Typography
+import androidx.compose.ui.text.TextStyle
+import androidx.compose.ui.text.font.FontFamily
+import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.unit.sp
+
+// Generated from design tokens
+val Typography = Typography(
+${MATERIAL_TEXT_STYLES.map(([style, scale, weightName]) => `    ${style} = TextStyle(
+        fontFamily = FontFamily.Default,
+        fontWeight = ${weight(weightName)},
+        fontSize = ${size(scale)}.sp,
+        lineHeight = ${Math.round(size(scale) * 1.5)}.sp
+    )`).join(',\n')}
+)
+`;
+}
+
+/**
+ * Emit Compose Theme.kt wiring the token colors into Material 3 color schemes
+ * @param {Object} tokens - DTCG token set
+ * @param {string} packageName - Android application package
+ * @param {string} themeName - Composable theme function name
+ * @returns {string} - Kotlin source
+ */
+export function emitComposeTheme(tokens, packageName, themeName = 'DigitalStudioAppTheme') {
+  // Tokens with a dark mode value use their *Dark val from Color.kt in the dark scheme
+  const dark = darkModeValues(tokens);
+  const darkColor = (name, fallback) => (normalizeHex(dark[name]) ? `${pascalName(name.split('.'))}Dark` : fallback);
+
+  return `package ${packageName}.ui.theme
+
+import android.app.Activity
+import androidx.compose.foundation.isSystemInDarkTheme
+import androidx.compose.material3.MaterialTheme
+import androidx.compose.material3.darkColorScheme
+import androidx.compose.material3.lightColorScheme
+import androidx.compose.runtime.Composable
+import androidx.compose.runtime.SideEffect
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.graphics.toArgb
+import androidx.compose.ui.platform.LocalView
+import androidx.core.view.WindowCompat
+
+private val LightColorScheme = lightColorScheme(
+    primary = ColorPrimary,
+    secondary = ColorSecondary,
+    tertiary = ColorAccent,
+    background = ColorBackground,
+    surface = ColorSurface,
+    onBackground = ColorTextPrimary,
+    onSurface = ColorTextPrimary,
+    onSurfaceVariant = ColorTextSecondary,
+    outline = ColorBorder
+)
+
+private val DarkColorScheme = darkColorScheme(
+    primary = ${darkColor('color.primary', 'ColorPrimary')},
+    secondary = ${darkColor('color.secondary', 'ColorSecondary')},
+    tertiary = ${darkColor('color.accent', 'ColorAccent')},
+    background = ${darkColor('color.background', 'Color(0xFF0F172A)')},
+    surface = ${darkColor('color.surface', 'Color(0xFF1E293B)')},
+    onBackground = ${darkColor('color.text.primary', 'Color(0xFFF1F5F9)')},
+    onSurface = ${darkColor('color.text.primary', 'Color(0xFFF1F5F9)')}${normalizeHex(dark['color.text.secondary']) ? ',\n    onSurfaceVariant = ColorTextSecondaryDark' : ''}${normalizeHex(dark['color.border']) ? ',\n    outline = ColorBorderDark' : ''}
+)
+
+@Composable
+fun ${themeName}(
+    darkTheme: Boolean = isSystemInDarkTheme(),
+    content: @Composable () -> Unit
+) {
+    // Dynamic color is off so the extracted design tokens are what users see
+    val colorScheme = if (darkTheme) DarkColorScheme else LightColorScheme
+    val view = LocalView.current
+    if (!view.isInEditMode) {
+        SideEffect {
+            val window = (view.context as Activity).window
+            window.statusBarColor = colorScheme.primary.toArgb()
+            WindowCompat.getInsetsController(window, view).isAppearanceLightStatusBars = !darkTheme
+        }
+    }
+
+    MaterialTheme(
+        colorScheme = colorScheme,
+        typography = Typography,
+        content = content
+    )
+}
+`;
+}
+
+// Android color resource names: color.text.primary -> color_text_primary
+function resourceName(path) {
+  return path
+    .flatMap(segment => String(segment).split(/[^a-zA-Z0-9]+/))
+    .filter(Boolean)
+    .map(segment => segment.toLowerCase())
+    .join('_');
+}
+
+function androidColor(hex) {
+  const { r, g, b, a } = hexToRgb(hex);
+  const channels = (a < 1 ? [Math.round(a * 255)] : []).concat([r, g, b]);
+  return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * Emit res/values/colors.xml with one color resource per color token
+ * @param {Object} tokens - DTCG token set
+ * @returns {string} - XML
+ */
+export function emitAndroidColorResources(tokens) {
+  const colors = flattenTokens(tokens).filter(entry => entry.type === 'color' && normalizeHex(entry.value));
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated from design tokens -->
+<resources>
+${colors.map(({ path, value }) => `    <color name="${resourceName(path)}">${androidColor(value)}</color>`).join('\n')}
+</resources>
+`;
+}
+
+/**
+ * Emit res/values/themes.xml: a Material 3 theme for XML layouts colored from the token resources
+ * @param {string} themeName - Theme style name, e.g. Theme.DigitalStudioApp
+ * @returns {string} - XML
+ */
+export function emitAndroidViewTheme(themeName = 'Theme.DigitalStudioApp') {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <!-- Colors come from res/values/colors.xml, generated from the design tokens -->
+    <style name="Base.${themeName}" parent="Theme.Material3.Light.NoActionBar">
+        <item name="colorPrimary">@color/color_primary</item>
+        <item name="colorSecondary">@color/color_secondary</item>
+        <item name="colorTertiary">@color/color_accent</item>
+        <item name="android:colorBackground">@color/color_background</item>
+        <item name="colorSurface">@color/color_surface</item>
+        <item name="colorOnBackground">@color/color_text_primary</item>
+        <item name="colorOnSurface">@color/color_text_primary</item>
+        <item name="colorOnSurfaceVariant">@color/color_text_secondary</item>
+        <item name="colorOutline">@color/color_border</item>
+        <item name="android:statusBarColor">@color/color_primary</item>
+    </style>
+
+    <style name="${themeName}" parent="Base.${themeName}" />
+</resources>
+`;
+}
+
+function colorsetContents(hex, darkHex = null) {
+  const component = (value) => (value / 255).toFixed(3);
+  const color = (value) => {
+    const { r, g, b, a } = hexToRgb(value);
+    return {
+      'color-space': 'srgb',
+      components: {
+        alpha: a.toFixed(3),
+        blue: component(b),
+        green: component(g),
+        red: component(r)
+      }
+    };
+  };
+  return JSON.stringify({
+    colors: [
+      {
+        color: color(hex),
+        idiom: 'universal'
+      },
+      ...(darkHex ? [{
+        appearances: [{ appearance: 'luminosity', value: 'dark' }],
+        color: color(darkHex),
+        idiom: 'universal'
+      }] : [])
+    ],
+    info: { author: 'xcode', version: 1 }
+  }, null, 2);
+}
+
+/**
+ * Emit one asset catalog colorset per color token (plus AccentColor from color.primary),
+ * with a dark appearance when the token has a value in a dark theme mode
+ * @param {Object} tokens - DTCG token set
+ * @param {string} assetsPath - Path of the .xcassets folder
+ * @returns {Object} - Map of file path to Contents.json
+ */
+export function emitIOSColorsets(tokens, assetsPath) {
+  const files = {};
+  const dark = darkModeValues(tokens);
+  for (const { path, name, type, value } of flattenTokens(tokens)) {
+    if (type !== 'color' || !normalizeHex(value)) continue;
+    files[`${assetsPath}/${pascalName(path)}.colorset/Contents.json`] = colorsetContents(value, normalizeHex(dark[name]));
+  }
+  files[`${assetsPath}/AccentColor.colorset/Contents.json`] = colorsetContents(getTokenValue(tokens, 'color.primary'), normalizeHex(dark['color.primary']));
+  return files;
+}
+
+/**
+ * Names of the colorsets emitted for a token set, for use in SwiftUI prompts
+ * @param {Object} tokens - DTCG token set
+ * @returns {Array} - Asset names, e.g. ['ColorPrimary', 'ColorTextPrimary']
+ */
+export function listIOSColorNames(tokens) {
+  return flattenTokens(tokens).filter(entry => entry.type === 'color').map(entry => pascalName(entry.path));
+}
+
+// Dart/JS member names below a token group: ['color', 'text', 'primary'] -> textPrimary, ['spacing', '2xl'] -> xxl
+function memberName(path, depth = 1) {
+  return path.slice(depth)
+    .flatMap(segment => String(segment).split(/[^a-zA-Z0-9]+/))
+    .filter(Boolean)
+    .map(word => word.replace(/^(\d)xl$/, (match, count) => `${'x'.repeat(Number(count))}l`))
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+// [member, number] pairs for the dimension tokens under a path prefix such as 'spacing' or 'font.size'
+function dimensionMembers(tokens, prefix) {
+  const depth = prefix.split('.').length;
+  return flattenTokens(tokens)
+    .filter(({ name, type }) => type === 'dimension' && name.startsWith(`${prefix}.`))
+    .map(({ path, value }) => [memberName(path, depth), parseFloat(value) || 0]);
+}
+
+/**
+ * Member names of the color tokens in AppColors (Flutter) and colors (React Native), for use in prompts
+ * @param {Object} tokens - DTCG token set
+ * @returns {Array} - e.g. ['primary', 'textPrimary']
+ */
+export function listColorMemberNames(tokens) {
+  return flattenTokens(tokens)
+    .filter(entry => entry.type === 'color' && normalizeHex(entry.value))
+    .map(entry => memberName(entry.path));
+}
+
+/**
+ * Emit lib/theme/app_theme.dart: AppColors, AppSpacing and AppRadius constants plus a
+ * Material 3 ThemeData whose color scheme and text theme come from the tokens
+ * @param {Object} tokens - DTCG token set
+ * @returns {string} - Dart source
+ */
+export function emitFlutterTheme(tokens) {
+  const colors = flattenTokens(tokens).filter(entry => entry.type === 'color' && normalizeHex(entry.value));
+  const size = (name) => parseFloat(getTokenValue(tokens, `font.size.${name}`)) || 16;
+  const weight = (name) => {
+    const value = Number(getTokenValue(tokens, `font.weight.${name}`)) || 400;
+    return `FontWeight.w${Math.min(900, Math.max(100, Math.round(value / 100) * 100))}`;
+  };
+  const constants = (members) => members.map(([name, value]) => `  static const double ${name} = ${value};`).join('\n');
+
+  return `import 'package:flutter/material.dart';
+
+// Generated from design tokens
+class AppColors {
+  AppColors._();
+
+${colors.map(({ path, value }) => `  static const Color ${memberName(path)} = ${composeColor(value)};`).join('\n')}
+}
+
+class AppSpacing {
+  AppSpacing._();
+
+${constants(dimensionMembers(tokens, 'spacing'))}
+}
+
+class AppRadius {
+  AppRadius._();
+
+${constants(dimensionMembers(tokens, 'radius'))}
+}
+
+class AppTheme {
+  AppTheme._();
+
+  static ThemeData get light {
+    const colorScheme = ColorScheme.light(
+      primary: AppColors.primary,
+      secondary: AppColors.secondary,
+      tertiary: AppColors.accent,
+      surface: AppColors.surface,
+      onSurface: AppColors.textPrimary,
+      onSurfaceVariant: AppColors.textSecondary,
+      outline: AppColors.border,
+    );
+
+    return ThemeData(
+      useMaterial3: true,
+      colorScheme: colorScheme,
+      scaffoldBackgroundColor: AppColors.background,
+      dividerColor: AppColors.border,
+      textTheme: const TextTheme(
+${MATERIAL_TEXT_STYLES.map(([style, scale, weightName]) => `        ${style}: TextStyle(fontSize: ${size(scale)}, fontWeight: ${weight(weightName)}, height: 1.5),`).join('\n')}
+      ).apply(
+        bodyColor: AppColors.textPrimary,
+        displayColor: AppColors.textPrimary,
+      ),
+      inputDecorationTheme: const InputDecorationTheme(
+        border: OutlineInputBorder(
+          borderRadius: BorderRadius.all(Radius.circular(AppRadius.md)),
+        ),
+      ),
+    );
+  }
+}
+`;
+}
+
+// React Native style object for a shadow token; elevation approximates it on Android
+function reactNativeShadow({ offsetX, offsetY, blur, color }) {
+  const { r, g, b, a } = hexToRgb(color);
+  const radius = (parseFloat(blur) || 0) / 2;
+  const shadowColor = `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  return `{
+    shadowColor: '${shadowColor}',
+    shadowOffset: { width: ${parseFloat(offsetX) || 0}, height: ${parseFloat(offsetY) || 0} },
+    shadowOpacity: ${Number(a.toFixed(2))},
+    shadowRadius: ${radius},
+    elevation: ${Math.round(radius)},
+  }`;
+}
+
+/**
+ * Emit src/theme/tokens.js for React Native: colors, spacing, radius, font sizes and
+ * weights as plain values StyleSheet.create accepts, plus shadow style objects
+ * @param {Object} tokens - DTCG token set
+ * @returns {string} - JavaScript module
+ */
+export function emitReactNativeTokens(tokens) {
+  const entries = flattenTokens(tokens);
+  // Numbers and preformatted shadow objects go in as-is, everything else is a string
+  const literal = (value) => (typeof value === 'number' || value.startsWith('{') ? value : `'${value}'`);
+  const group = (members) => `{\n${members.map(([name, value]) => `  ${name}: ${literal(value)},`).join('\n')}\n}`;
+
+  const colors = entries
+    .filter(entry => entry.type === 'color' && normalizeHex(entry.value))
+    .map(({ path, value }) => [memberName(path), normalizeHex(value)]);
+  const fontWeight = entries
+    .filter(({ name, type }) => type === 'fontWeight' && name.startsWith('font.weight.'))
+    .map(({ path, value }) => [memberName(path, 2), String(value)]);
+  const shadow = entries
+    .filter(entry => entry.type === 'shadow' && normalizeHex(entry.value?.color))
+    .map(({ path, value }) => [memberName(path), reactNativeShadow(value)]);
+
+  return `// Generated from design tokens; sizes are density-independent pixels
+export const colors = ${group(colors)};
+
+export const spacing = ${group(dimensionMembers(tokens, 'spacing'))};
+
+export const radius = ${group(dimensionMembers(tokens, 'radius'))};
+
+export const fontSize = ${group(dimensionMembers(tokens, 'font.size'))};
+
+export const fontWeight = ${group(fontWeight)};
+
+export const shadow = ${group(shadow)};
+
+export default { colors, spacing, radius, fontSize, fontWeight, shadow };
+`;
+}
+
+/**
+ * Emit every platform's theme files for a token set
+ * @param {Object} tokens - DTCG token set
+ * @param {Object} options - { packageName, iosAssetsPath }
+ * @returns {Object} - { web: {...}, android: {...}, ios: {...}, flutter: {...}, reactNative: {...} } file maps
+ */
+export function emitAllTokenFiles(tokens, options = {}) {
+  const packageName = options.packageName || 'com.digitalstudio.app';
+  const packagePath = `app/src/main/java/${packageName.replace(/\./g, '/')}/ui/theme`;
+  const iosAssetsPath = options.iosAssetsPath || 'DigitalStudioApp/Assets.xcassets';
+
+  return {
+    web: {
+      'src/design-tokens.json': JSON.stringify(tokens, null, 2),
+      'src/tokens.css': emitCSSVariables(tokens),
+      'src/design-tokens.ts': emitTypeScriptTokens(tokens),
+      'tailwind.config.js': emitTailwindConfig(tokens)
+    },
+    android: {
+      [`${packagePath}/Color.kt`]: emitComposeColors(tokens, packageName),
+      [`${packagePath}/Type.kt`]: emitComposeTypography(tokens, packageName),
+      [`${packagePath}/Theme.kt`]: emitComposeTheme(tokens, packageName)
+    },
+    ios: emitIOSColorsets(tokens, iosAssetsPath),
+    flutter: {
+      'lib/theme/app_theme.dart': emitFlutterTheme(tokens)
+    },
+    reactNative: {
+      'src/theme/tokens.js': emitReactNativeTokens(tokens)
+    }
+  };
+}
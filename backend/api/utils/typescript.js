@@ -0,0 +1,95 @@
+/**
+ * Output Language
+ * Resolves the `language` option and the file names and prompt rules that
+ * differ between JavaScript and TypeScript React output
+ */
+
+import { ValidationError } from '../validation.js';
+import { normalizeWebFramework } from './web-frameworks.js';
+
+export const LANGUAGE = {
+  JAVASCRIPT: 'javascript',
+  TYPESCRIPT: 'typescript'
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: LANGUAGE.JAVASCRIPT,
+  js: LANGUAGE.JAVASCRIPT,
+  jsx: LANGUAGE.JAVASCRIPT,
+  typescript: LANGUAGE.TYPESCRIPT,
+  ts: LANGUAGE.TYPESCRIPT,
+  tsx: LANGUAGE.TYPESCRIPT
+};
+
+// Web frameworks whose scaffolds have no TypeScript variant
+const JAVASCRIPT_ONLY_FRAMEWORKS = new Set(['Vue', 'Svelte']);
+
+/**
+ * Validate the `language` request field of a web request
+ * Native platforms read `language` as Kotlin/Java or Swift/Objective-C in their own resolvers
+ * @param {string} value - javascript (default), typescript or a js/ts alias
+ * @param {string} platform - Target platform; only web output has a JavaScript/TypeScript choice
+ * @param {string} framework - Web framework; Vue and Svelte reject typescript rather than emit JavaScript
+ * @returns {string|null} - LANGUAGE value, null for other platforms
+ */
+export function resolveLanguage(value, platform = 'web', framework = 'React') {
+  if (platform !== 'web') {
+    return null;
+  }
+  if (value === undefined || value === null || value === '') {
+    return LANGUAGE.JAVASCRIPT;
+  }
+
+  const language = LANGUAGE_ALIASES[String(value).trim().toLowerCase()];
+  if (!language) {
+    throw new ValidationError(
+      `Invalid language: ${value}. Valid options: ${Object.values(LANGUAGE).join(', ')}`,
+      'language',
+      'INVALID_LANGUAGE'
+    );
+  }
+
+  const webFramework = normalizeWebFramework(framework);
+  if (language === LANGUAGE.TYPESCRIPT && JAVASCRIPT_ONLY_FRAMEWORKS.has(webFramework)) {
+    throw new ValidationError(
+      `${webFramework} projects are generated in JavaScript only; omit language or use javascript`,
+      'language',
+      'LANGUAGE_UNSUPPORTED'
+    );
+  }
+  return language;
+}
+
+export function isTypeScript(options) {
+  return options?.language === LANGUAGE.TYPESCRIPT;
+}
+
+/**
+ * Path of a React source file in the project's language
+ * @param {string} basePath - Path without extension, e.g. 'src/App' or 'src/pages/Login'
+ * @param {Object} options - Generation options
+ * @param {boolean} jsx - Component file (.jsx/.tsx) rather than a module (.js/.ts)
+ * @returns {string} - Path with extension
+ */
+export function reactSourcePath(basePath, options, jsx = true) {
+  if (isTypeScript(options)) {
+    return `${basePath}${jsx ? '.tsx' : '.ts'}`;
+  }
+  return `${basePath}${jsx ? '.jsx' : '.js'}`;
+}
+
+/**
+ * Prompt rules for TypeScript React output; empty for JavaScript
+ * @param {Object} options - Generation options
+ * @returns {string} - Prompt section
+ */
+export function describeLanguageRules(options) {
+  if (!isTypeScript(options)) return '';
+
+  return `TYPESCRIPT:
+- Write TypeScript React (.tsx) that compiles under "strict": true
+- Declare an interface for the props of every component that takes props (e.g. interface CardProps { title: string })
+- Type state, event handlers and callbacks (useState<User | null>(null), React.ChangeEvent<HTMLInputElement>)
+- Do not use any or @ts-ignore
+- Design tokens are exported from src/design-tokens.ts as tokens and tokenVar(name)`;
+}
@@ -0,0 +1,788 @@
+/**
+ * UI IR Utilities
+ * Platform-neutral description of a screen (nodes, layout, styles, text and interactions) with its
+ * JSON schema: built from the hybrid CV + LLM analysis or edited by hand, and translated into the
+ * layout trees the React, Compose and SwiftUI layer emitters read
+ */
+
+import { normalizeHex } from './design-tokens.js';
+import { toComponentName } from './screen-flow.js';
+
+export const UI_IR_VERSION = 1;
+
+const NODE_TYPES = ['container', 'text', 'button', 'input', 'image', 'icon', 'divider'];
+const NODE_ROLES = ['header', 'nav', 'main', 'footer', 'section', 'form', 'list', 'card', 'heading'];
+const SCREEN_SOURCES = ['model', 'analysis', 'manual'];
+const DIRECTIONS = ['row', 'column', 'stack'];
+const ALIGNMENTS = ['start', 'center', 'end', 'stretch'];
+const JUSTIFICATIONS = ['start', 'center', 'end', 'space-between'];
+const INPUT_TYPES = ['text', 'email', 'password', 'number', 'search', 'tel'];
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const MAX_SCREENS = 20;
+const MAX_DEPTH = 24;
+const MAX_NODES = 1500;
+const MAX_TEXT = 500;
+
+const length = { type: 'number', minimum: 0 };
+const color = { type: 'string', pattern: '^#[0-9a-f]{6}$' };
+const axisSize = { anyOf: [length, { enum: ['fill', 'hug'] }] };
+
+export const UI_IR_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Digital Studio UI IR',
+  type: 'object',
+  required: ['version', 'screens'],
+  additionalProperties: false,
+  properties: {
+    version: { const: UI_IR_VERSION },
+    screens: { type: 'array', minItems: 1, maxItems: MAX_SCREENS, items: { $ref: '#/$defs/screen' } }
+  },
+  $defs: {
+    screen: {
+      type: 'object',
+      required: ['id', 'name', 'width', 'height', 'root'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 60 },
+        name: { type: 'string', minLength: 1, maxLength: 60 },
+        width: length,
+        height: length,
+        source: { enum: SCREEN_SOURCES },
+        root: { $ref: '#/$defs/node' }
+      }
+    },
+    node: {
+      type: 'object',
+      required: ['id', 'type'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 80 },
+        type: { enum: NODE_TYPES },
+        name: { type: 'string', maxLength: 60 },
+        role: { enum: NODE_ROLES },
+        text: { type: 'string', maxLength: MAX_TEXT },
+        inputType: { enum: INPUT_TYPES },
+        layout: { $ref: '#/$defs/layout' },
+        size: { $ref: '#/$defs/size' },
+        position: { $ref: '#/$defs/position' },
+        style: { $ref: '#/$defs/style' },
+        interaction: { $ref: '#/$defs/interaction' },
+        children: { type: 'array', items: { $ref: '#/$defs/node' } }
+      }
+    },
+    layout: {
+      type: 'object',
+      required: ['direction'],
+      additionalProperties: false,
+      properties: {
+        direction: { enum: DIRECTIONS },
+        gap: length,
+        padding: { type: 'array', items: length, minItems: 4, maxItems: 4 },
+        align: { enum: ALIGNMENTS },
+        justify: { enum: JUSTIFICATIONS },
+        wrap: { type: 'boolean' }
+      }
+    },
+    size: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { width: axisSize, height: axisSize }
+    },
+    position: {
+      type: 'object',
+      required: ['x', 'y'],
+      additionalProperties: false,
+      properties: { x: { type: 'number' }, y: { type: 'number' } }
+    },
+    style: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        background: color,
+        color,
+        borderColor: color,
+        borderWidth: length,
+        radius: length,
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        fontSize: { type: 'number', minimum: 1 },
+        fontWeight: { type: 'integer', minimum: 100, maximum: 900 },
+        textAlign: { enum: TEXT_ALIGNMENTS }
+      }
+    },
+    interaction: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        action: { type: 'string', maxLength: 200 },
+        navigate: { type: 'string', maxLength: 60 }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function resolveRef(ref) {
+  return UI_IR_SCHEMA.$defs[ref.replace('#/$defs/', '')];
+}
+
+// The subset of JSON Schema UI_IR_SCHEMA uses, reporting every failure with its path
+function checkSchema(value, schema, path, errors) {
+  if (schema.$ref) return checkSchema(value, resolveRef(schema.$ref), path, errors);
+  const at = path || 'IR';
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(option => checkSchema(value, option, path, []))) errors.push(`${at} does not match any allowed form`);
+    return errors;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type && !(actual === schema.type || (schema.type === 'number' && actual === 'integer'))) {
+    errors.push(`${at} must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}`);
+    return errors;
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  } else if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  } else if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => checkSchema(item, schema.items, `${at}[${index}]`, errors));
+  } else if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const property = schema.properties?.[key];
+      if (property) checkSchema(item, property, path ? `${path}.${key}` : key, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path ? `${path}.` : ''}${key} is not allowed`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a UI IR against the schema and the rules it cannot express: unique ids, text on text nodes,
+ * children on containers only and the depth and size limits
+ * @param {Object} ir - UI IR
+ * @returns {Object} - { valid, errors: [message] }
+ */
+export function validateUIIR(ir) {
+  const errors = checkSchema(ir, UI_IR_SCHEMA, '', []);
+  if (errors.length > 0 || typeOf(ir) !== 'object') {
+    return { valid: false, errors: errors.slice(0, 50) };
+  }
+
+  const ids = new Set();
+  const screenNames = new Set();
+  let count = 0;
+  const walk = (node, path, depth) => {
+    count++;
+    if (ids.has(node.id)) errors.push(`${path}.id "${node.id}" is used more than once`);
+    ids.add(node.id);
+    if (depth > MAX_DEPTH) errors.push(`${path} is nested deeper than ${MAX_DEPTH} levels`);
+    if ((node.type === 'text' || node.type === 'button') && !node.text?.trim()) errors.push(`${path}.text is required for ${node.type} nodes`);
+    if (node.children?.length && node.type !== 'container') errors.push(`${path}.children are only allowed on container nodes`);
+    if (node.inputType && node.type !== 'input') errors.push(`${path}.inputType is only allowed on input nodes`);
+    (node.children || []).forEach((child, index) => walk(child, `${path}.children[${index}]`, depth + 1));
+  };
+
+  ir.screens.forEach((screen, index) => {
+    const key = screen.name.toLowerCase();
+    if (screenNames.has(key)) errors.push(`screens[${index}].name "${screen.name}" is used more than once`);
+    screenNames.add(key);
+    if (screen.root.type !== 'container') errors.push(`screens[${index}].root must be a container`);
+    walk(screen.root, `screens[${index}].root`, 1);
+  });
+  if (count > MAX_NODES) errors.push(`The IR has ${count} nodes; at most ${MAX_NODES} are allowed`);
+
+  return { valid: errors.length === 0, errors: errors.slice(0, 50) };
+}
+
+function text(value, max) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+function number(value, min = 0) {
+  const parsed = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof parsed === 'number' && Number.isFinite(parsed) && parsed >= min ? Math.round(parsed * 100) / 100 : null;
+}
+
+function hexColor(value) {
+  // Alpha is dropped; translucency belongs in style.opacity
+  return normalizeHex(value)?.slice(0, 7) || null;
+}
+
+function oneOf(value, allowed, aliases = {}) {
+  const key = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  const resolved = aliases[key] || key;
+  return allowed.includes(resolved) ? resolved : null;
+}
+
+// Drop the keys a normalizer left empty so the IR only states what is known
+function compact(object) {
+  const entries = Object.entries(object).filter(([, value]) => value !== null && value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function normalizePadding(value) {
+  const values = (Array.isArray(value) ? value : [value]).map(item => number(item));
+  if (values.some(item => item === null)) return null;
+  if (values.length === 1) return [values[0], values[0], values[0], values[0]];
+  if (values.length === 2) return [values[0], values[1], values[0], values[1]];
+  return values.length === 4 ? values : null;
+}
+
+function normalizeLayout(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const direction = oneOf(raw.direction, DIRECTIONS, { horizontal: 'row', vertical: 'column', absolute: 'stack', overlay: 'stack' });
+  if (!direction) return null;
+  const edges = { 'flex-start': 'start', left: 'start', top: 'start', 'flex-end': 'end', right: 'end', bottom: 'end' };
+
+  return compact({
+    direction,
+    gap: number(raw.gap),
+    padding: normalizePadding(raw.padding),
+    align: oneOf(raw.align, ALIGNMENTS, edges),
+    justify: oneOf(raw.justify, JUSTIFICATIONS, { ...edges, between: 'space-between' }),
+    wrap: typeof raw.wrap === 'boolean' ? raw.wrap : null
+  });
+}
+
+function normalizeAxisSize(value) {
+  return oneOf(value, ['fill', 'hug'], { auto: 'hug', stretch: 'fill', '100%': 'fill' }) || number(value);
+}
+
+function normalizeStyle(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const weight = number(raw.fontWeight, 100) ?? { bold: 700, semibold: 600, medium: 500, normal: 400, regular: 400, light: 300 }[String(raw.fontWeight).toLowerCase()];
+  const opacity = number(raw.opacity);
+
+  return compact({
+    background: hexColor(raw.background ?? raw.backgroundColor),
+    color: hexColor(raw.color),
+    borderColor: hexColor(raw.borderColor),
+    borderWidth: number(raw.borderWidth),
+    radius: number(raw.radius ?? raw.borderRadius),
+    opacity: opacity !== null && opacity <= 1 ? opacity : null,
+    fontSize: number(raw.fontSize, 1),
+    fontWeight: weight ? Math.min(900, Math.round(weight / 100) * 100) : null,
+    textAlign: oneOf(raw.textAlign, TEXT_ALIGNMENTS)
+  });
+}
+
+/**
+ * Coerce a screen proposed by the model (or pasted by hand) into valid IR: unknown types and values
+ * are dropped, ids are made unique, and the tree is cut at the depth and size limits
+ * @param {Object} raw - { name?, root } as proposed
+ * @param {Object} meta - { id, name, width, height, source } of the screen
+ * @param {Set} ids - Node ids already used by other screens
+ * @returns {Object|null} - IR screen, null when nothing usable remains
+ */
+export function normalizeUIScreen(raw, { id, name, width, height, source = 'model' }, ids = new Set()) {
+  const rootInput = raw?.root && typeof raw.root === 'object' ? raw.root : null;
+  if (!rootInput) return null;
+
+  let count = 0;
+  const uniqueId = (value, fallback) => {
+    const base = text(value, 80)?.replace(/\s+/g, '-') || fallback;
+    let candidate = base;
+    for (let suffix = 2; ids.has(candidate); suffix++) candidate = `${base}-${suffix}`;
+    ids.add(candidate);
+    return candidate;
+  };
+
+  const normalizeNode = (input, depth) => {
+    if (!input || typeof input !== 'object' || count >= MAX_NODES) return null;
+    const children = Array.isArray(input.children) ? input.children : [];
+    const label = text(input.text ?? input.label ?? input.placeholder, MAX_TEXT);
+    const type = oneOf(input.type, NODE_TYPES, { view: 'container', group: 'container', frame: 'container', label: 'text', link: 'button', textfield: 'input', field: 'input', separator: 'divider' })
+      || (children.length > 0 ? 'container' : label ? 'text' : 'container');
+    if ((type === 'text' || type === 'button') && !label) return null;
+    count++;
+
+    const node = {
+      id: uniqueId(input.id, `${id}-node-${count}`),
+      type,
+      name: text(input.name, 60),
+      role: oneOf(input.role, NODE_ROLES),
+      text: ['text', 'button', 'input'].includes(type) ? label : null,
+      inputType: type === 'input' ? oneOf(input.inputType, INPUT_TYPES) : null,
+      layout: type === 'container' ? normalizeLayout(input.layout) : null,
+      size: compact({ width: normalizeAxisSize(input.size?.width), height: normalizeAxisSize(input.size?.height) }),
+      position: number(input.position?.x, -Infinity) !== null && number(input.position?.y, -Infinity) !== null
+        ? { x: number(input.position.x, -Infinity), y: number(input.position.y, -Infinity) }
+        : null,
+      style: normalizeStyle(input.style),
+      interaction: compact({ action: text(input.interaction?.action, 200), navigate: text(input.interaction?.navigate, 60) })
+    };
+
+    if (type === 'container' && depth < MAX_DEPTH) {
+      const kept = children.map(child => normalizeNode(child, depth + 1)).filter(Boolean);
+      if (kept.length > 0) {
+        node.children = kept;
+        node.layout = node.layout || { direction: 'column' };
+      }
+    }
+    return compact(node);
+  };
+
+  const root = normalizeNode({ ...rootInput, type: 'container' }, 1);
+  return {
+    id,
+    name: text(raw.name, 60) || name,
+    width,
+    height,
+    source,
+    root: { ...root, size: { width, height } }
+  };
+}
+
+// CV element types as IR node types; text regions without OCR text have nothing to show
+const ELEMENT_TYPES = {
+  button: 'button',
+  'input-field': 'input',
+  input: 'input',
+  'circular-element': 'icon',
+  icon: 'icon',
+  image: 'image',
+  'horizontal-separator': 'divider',
+  container: 'container',
+  card: 'container'
+};
+
+function area(box) {
+  return box.width * box.height;
+}
+
+function overlap(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function contains(outer, inner) {
+  return outer !== inner && area(outer.box) > area(inner.box) && overlap(outer.box, inner.box) >= area(inner.box) * 0.9;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function luminance(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return (0.2126 * (value >> 16) + 0.7152 * ((value >> 8) & 255) + 0.0722 * (value & 255)) / 255;
+}
+
+// Rows of items whose vertical extents overlap by more than half of the shorter one
+function groupRows(items) {
+  const rows = [];
+  for (const item of [...items].sort((a, b) => a.box.y - b.box.y)) {
+    const row = rows.find(candidate => candidate.some(other => {
+      const shared = Math.min(item.box.y + item.box.height, other.box.y + other.box.height) - Math.max(item.box.y, other.box.y);
+      return shared > Math.min(item.box.height, other.box.height) / 2;
+    }));
+    if (row) row.push(item);
+    else rows.push([item]);
+  }
+  return rows.map(row => row.sort((a, b) => a.box.x - b.box.x));
+}
+
+function boundsOf(items) {
+  const x = Math.min(...items.map(item => item.box.x));
+  const y = Math.min(...items.map(item => item.box.y));
+  return {
+    x,
+    y,
+    width: Math.max(...items.map(item => item.box.x + item.box.width)) - x,
+    height: Math.max(...items.map(item => item.box.y + item.box.height)) - y
+  };
+}
+
+/**
+ * Deterministic IR screen from the hybrid analysis alone, for when the model proposes nothing usable:
+ * detected elements nest by containment, siblings sharing a line become rows, and the palette styles
+ * the screen and its controls
+ * @param {Object} analysis - Result of HybridAnalysisMerger.mergeAnalysisResults
+ * @param {Object} meta - { id, name, width, height } of the screen
+ * @param {Set} ids - Node ids already used by other screens
+ * @returns {Object} - IR screen
+ */
+export function uiScreenFromAnalysis(analysis, { id, name, width, height }, ids = new Set()) {
+  // The most frequent measured color is the screen background
+  const palette = [...(analysis?.colors || [])]
+    .sort((a, b) => (b?.frequency || 0) - (a?.frequency || 0))
+    .map(entry => hexColor(entry?.hex || entry))
+    .filter(Boolean);
+  const background = palette[0] || '#ffffff';
+  const accent = palette.find(hex => hex !== background && luminance(hex) < 0.6) || '#2563eb';
+  const screenArea = width * height;
+
+  const texts = (analysis?.text?.blocks || [])
+    .filter(block => text(block.text, MAX_TEXT) && block.bbox)
+    .map(block => ({
+      type: 'text',
+      text: text(block.text, MAX_TEXT),
+      fontSize: number(block.fontSize, 1) || Math.round((block.bbox.y1 - block.bbox.y0) * 0.75),
+      box: { x: block.bbox.x0, y: block.bbox.y0, width: block.bbox.x1 - block.bbox.x0, height: block.bbox.y1 - block.bbox.y0 }
+    }));
+  const detected = [];
+  for (const element of analysis?.elements || []) {
+    const type = ELEMENT_TYPES[element.enhancedType] || ELEMENT_TYPES[element.type];
+    const box = element.bounds;
+    if (!type || !box || !(box.width > 0 && box.height > 0) || area(box) > screenArea * 0.9) continue;
+    if (detected.some(other => other.type === type && overlap(other.box, box) > Math.min(area(other.box), area(box)) * 0.7)) continue;
+    detected.push({ type, box });
+  }
+
+  // Controls take the text inside them as their label; text a container holds becomes its child
+  const items = [...detected, ...texts];
+  for (const control of detected.filter(item => item.type === 'button' || item.type === 'input')) {
+    const inside = texts.filter(item => !item.owner && contains(control, item));
+    inside.forEach(item => { item.owner = control; });
+    control.text = inside.map(item => item.text).join(' ') || null;
+  }
+  const placed = items.filter(item => !item.owner && !(item.type === 'button' && !item.text));
+  for (const item of placed) {
+    item.parent = placed
+      .filter(candidate => candidate.type === 'container' && contains(candidate, item))
+      .sort((a, b) => area(a.box) - area(b.box))[0] || null;
+  }
+
+  let count = 0;
+  const nextId = (prefix) => {
+    let candidate;
+    do {
+      candidate = `${id}-${prefix}-${++count}`;
+    } while (ids.has(candidate));
+    ids.add(candidate);
+    return candidate;
+  };
+
+  const sizeIn = (item, inner) => ({
+    width: item.type === 'text' ? 'hug' : item.box.width >= inner.width * 0.9 ? 'fill' : Math.round(item.box.width),
+    height: item.type === 'text' ? 'hug' : Math.round(item.box.height)
+  });
+
+  const toNode = (item, inner) => {
+    switch (item.type) {
+      case 'text':
+        return {
+          id: nextId('text'),
+          type: 'text',
+          ...(item.fontSize >= 24 ? { role: 'heading' } : {}),
+          text: item.text,
+          size: sizeIn(item, inner),
+          style: { color: luminance(background) > 0.5 ? '#111827' : '#ffffff', fontSize: item.fontSize }
+        };
+      case 'button':
+        return {
+          id: nextId('button'),
+          type: 'button',
+          text: item.text,
+          size: sizeIn(item, inner),
+          style: { background: accent, color: luminance(accent) > 0.6 ? '#111827' : '#ffffff', radius: 8 },
+          interaction: { action: `Handle the "${item.text}" tap` }
+        };
+      case 'input':
+        return compact({
+          id: nextId('input'),
+          type: 'input',
+          text: item.text,
+          size: sizeIn(item, inner),
+          style: { background: '#ffffff', borderColor: '#d1d5db', borderWidth: 1, radius: 6, color: '#6b7280' }
+        });
+      case 'divider':
+        return { id: nextId('divider'), type: 'divider', size: { width: 'fill', height: 1 }, style: { background: '#e5e7eb' } };
+      case 'container':
+        return {
+          id: nextId('container'),
+          type: 'container',
+          size: sizeIn(item, inner),
+          ...group(placed.filter(child => child.parent === item), item.box)
+        };
+      default:
+        return { id: nextId(item.type), type: item.type, size: sizeIn(item, inner), style: { background: '#e5e7eb', radius: item.type === 'icon' ? item.box.width / 2 : 4 } };
+    }
+  };
+
+  // Children of one box as a column of rows, with the gaps and insets measured between them
+  function group(children, box) {
+    if (children.length === 0) return {};
+    const rows = groupRows(children);
+    const rowBoxes = rows.map(boundsOf);
+    const content = boundsOf(children);
+    const inner = { width: Math.max(1, box.width - (content.x - box.x) * 2) };
+    const gaps = rowBoxes.slice(1).map((rowBox, index) => rowBox.y - (rowBoxes[index].y + rowBoxes[index].height)).filter(gap => gap >= 0);
+    const centered = rowBoxes.every(rowBox => Math.abs(rowBox.x + rowBox.width / 2 - (box.x + box.width / 2)) < 8 && rowBox.width < inner.width * 0.9);
+    const clamp = value => Math.max(0, Math.round(value));
+
+    return {
+      layout: {
+        direction: 'column',
+        gap: clamp(median(gaps)),
+        padding: [
+          clamp(content.y - box.y),
+          clamp(box.x + box.width - (content.x + content.width)),
+          clamp(box.y + box.height - (content.y + content.height)),
+          clamp(content.x - box.x)
+        ],
+        align: centered ? 'center' : 'start'
+      },
+      children: rows.map((row, index) => {
+        if (row.length === 1) return toNode(row[0], inner);
+        const rowGaps = row.slice(1).map((item, position) => item.box.x - (row[position].box.x + row[position].box.width));
+        return {
+          id: nextId('row'),
+          type: 'container',
+          size: { width: rowBoxes[index].width >= inner.width * 0.9 ? 'fill' : 'hug', height: 'hug' },
+          layout: { direction: 'row', gap: clamp(median(rowGaps)), align: 'center', justify: rowBoxes[index].width >= inner.width * 0.9 && row.length === 2 ? 'space-between' : 'start' },
+          children: row.map(item => toNode(item, { width: rowBoxes[index].width }))
+        };
+      })
+    };
+  }
+
+  return {
+    id,
+    name,
+    width,
+    height,
+    source: 'analysis',
+    root: {
+      id: nextId('root'),
+      type: 'container',
+      size: { width, height },
+      style: { background },
+      ...group(placed.filter(item => !item.parent), { x: 0, y: 0, width, height })
+    }
+  };
+}
+
+/**
+ * Hybrid analysis as prompt text: detected elements, OCR text, palette and layout, in screen pixels
+ * @param {Object} analysis - Result of HybridAnalysisMerger.mergeAnalysisResults
+ * @returns {string} - Prompt section
+ */
+export function describeHybridAnalysis(analysis) {
+  const box = bounds => `${Math.round(bounds.x)},${Math.round(bounds.y)} ${Math.round(bounds.width)}x${Math.round(bounds.height)}`;
+  const elements = (analysis?.elements || [])
+    .filter(element => element.bounds)
+    .slice(0, 60)
+    .map(element => `- ${element.enhancedType || element.type} at ${box(element.bounds)} (confidence ${Number(element.confidence || 0).toFixed(2)}${element.source ? `, ${element.source}` : ''})`);
+  const blocks = (analysis?.text?.blocks || [])
+    .filter(block => text(block.text, MAX_TEXT) && block.bbox)
+    .slice(0, 80)
+    .map(block => `- "${text(block.text, 120)}" at ${box({ x: block.bbox.x0, y: block.bbox.y0, width: block.bbox.x1 - block.bbox.x0, height: block.bbox.y1 - block.bbox.y0 })}`);
+  const palette = (analysis?.colors || []).map(entry => hexColor(entry?.hex || entry)).filter(Boolean).slice(0, 10);
+  const layout = analysis?.layout || {};
+
+  return `DETECTED ELEMENTS (computer vision, x,y widthxheight):
+${elements.join('\n') || '- none'}
+
+TEXT (OCR):
+${blocks.join('\n') || '- none read; take the text from the image'}
+
+PALETTE: ${palette.join(', ') || 'not measured'}
+LAYOUT: ${layout.structure || 'unknown'} structure, ${layout.grid?.columns || 1} column(s)`;
+}
+
+// IR values as the layout-tree vocabulary of utils/figma-layout.js
+const FLEX_ALIGN = { start: 'flex-start', center: 'center', end: 'flex-end', stretch: 'flex-start', 'space-between': 'space-between' };
+const ROLE_ELEMENTS = { header: 'header', nav: 'nav', main: 'main', footer: 'footer', section: 'section', form: 'form', list: 'ul', card: 'section', heading: 'h2' };
+
+function sizing(value, fallback) {
+  if (value === 'fill') return { mode: 'FILL', size: null };
+  if (typeof value === 'number') return { mode: 'FIXED', size: value };
+  return { mode: value === 'hug' ? 'HUG' : fallback, size: null };
+}
+
+function layoutNode(node, fields) {
+  return {
+    id: node.id,
+    name: node.name || fields.name,
+    type: fields.type,
+    kind: fields.kind,
+    width: null,
+    height: null,
+    sizing: { horizontal: 'HUG', vertical: 'HUG' },
+    minWidth: null,
+    maxWidth: null,
+    autoLayout: null,
+    position: null,
+    fill: node.style?.background ? { color: node.style.background } : null,
+    border: node.style?.borderWidth && node.style?.borderColor
+      ? { color: node.style.borderColor, width: node.style.borderWidth, sides: null, style: 'solid', outside: false }
+      : null,
+    radius: node.style?.radius ? `${node.style.radius}px` : null,
+    shadows: [],
+    blur: null,
+    backdropBlur: null,
+    opacity: node.style?.opacity ?? null,
+    clips: false,
+    x: node.position?.x || 0,
+    y: node.position?.y || 0,
+    destination: null,
+    visibleProp: null,
+    hidden: false,
+    textProp: null,
+    instance: null,
+    children: []
+  };
+}
+
+function textLayout(id, name, characters, style = {}, defaults = {}) {
+  return {
+    ...layoutNode({ id, name }, { type: 'TEXT', kind: 'text' }),
+    text: {
+      characters,
+      style: {
+        fontFamily: null,
+        fontSize: style.fontSize ?? defaults.fontSize ?? null,
+        fontWeight: style.fontWeight ?? defaults.fontWeight ?? null,
+        italic: false,
+        lineHeight: null,
+        letterSpacing: null,
+        textAlign: style.textAlign || null,
+        textCase: null,
+        textDecoration: null
+      },
+      color: style.color || defaults.color || null,
+      runs: [{ text: characters, style: null }]
+    }
+  };
+}
+
+/**
+ * Translate IR screens into layout trees and naming hints, so the Figma layer emitters produce the
+ * React, Compose and SwiftUI code: the same tree yields the same structure on every platform
+ * @param {Object} ir - Validated UI IR
+ * @returns {Object} - { trees, annotations: { screens, nodes } } keyed by IR node id
+ */
+export function uiIRToLayouts(ir) {
+  const annotations = { screens: {}, nodes: {} };
+  const hint = (node, element) => {
+    const action = node.interaction?.action || null;
+    const navigate = node.interaction?.navigate || null;
+    if (!element && !action && !navigate && node.type !== 'input') return;
+    annotations.nodes[node.id] = {
+      name: node.name || node.text?.slice(0, 60) || null,
+      element: element || null,
+      action,
+      navigate,
+      inputType: node.type === 'input' ? node.inputType || 'text' : null
+    };
+  };
+
+  const translate = (node, parent) => {
+    let layout;
+    switch (node.type) {
+      case 'text':
+        layout = textLayout(node.id, node.name || node.text.slice(0, 40), node.text, node.style);
+        hint(node, ROLE_ELEMENTS[node.role] || null);
+        break;
+      case 'button':
+      case 'input': {
+        const button = node.type === 'button';
+        layout = layoutNode(node, { name: button ? `${node.text} button` : `${node.text || 'Text'} field`, type: 'FRAME', kind: 'container' });
+        layout.autoLayout = {
+          direction: 'row',
+          gap: 8,
+          padding: button ? [12, 16, 12, 16] : [10, 12, 10, 12],
+          justify: button ? 'center' : 'flex-start',
+          align: 'center',
+          wrap: false,
+          wrapGap: 0
+        };
+        if (!button && !layout.border) layout.border = { color: '#d1d5db', width: 1, sides: null, style: 'solid', outside: false };
+        if (node.text) {
+          layout.children = [textLayout(`${node.id}-label`, button ? 'Label' : 'Placeholder', node.text, node.style, button ? { fontWeight: 600 } : { color: '#6b7280' })];
+        }
+        hint(node, button ? 'button' : 'input');
+        break;
+      }
+      case 'divider':
+        layout = layoutNode(node, { name: 'Divider', type: 'RECTANGLE', kind: 'shape' });
+        layout.fill = { color: node.style?.background || node.style?.borderColor || node.style?.color || '#e5e7eb' };
+        hint(node, null);
+        break;
+      case 'image':
+      case 'icon':
+        // No asset travels with the IR, so images are drawn as placeholders of their size
+        layout = layoutNode(node, { name: node.type === 'image' ? 'Image' : 'Icon', type: 'RECTANGLE', kind: 'shape' });
+        layout.fill = layout.fill || { color: '#e5e7eb' };
+        hint(node, null);
+        break;
+      default: {
+        layout = layoutNode(node, { name: toComponentName(node.role || 'container', 'Container'), type: 'FRAME', kind: 'container' });
+        const direction = node.layout?.direction || 'column';
+        if (direction !== 'stack') {
+          layout.autoLayout = {
+            direction,
+            gap: node.layout?.gap || 0,
+            padding: node.layout?.padding || [0, 0, 0, 0],
+            justify: FLEX_ALIGN[node.layout?.justify] || 'flex-start',
+            align: FLEX_ALIGN[node.layout?.align] || 'flex-start',
+            wrap: Boolean(node.layout?.wrap),
+            wrapGap: node.layout?.wrap ? node.layout?.gap || 0 : 0
+          };
+        }
+        layout.clips = direction === 'stack';
+        hint(node, ROLE_ELEMENTS[node.role] || null);
+      }
+    }
+
+    // Stretched children fill the cross axis unless they state a size for it
+    const direction = parent?.layout?.direction || 'column';
+    const stretched = parent && parent.layout?.align === 'stretch';
+    const fallback = (axis) => {
+      if (node.type === 'divider' && axis === (direction === 'row' ? 'vertical' : 'horizontal')) return 'FILL';
+      if (stretched && axis === (direction === 'row' ? 'vertical' : 'horizontal')) return 'FILL';
+      return 'HUG';
+    };
+    const horizontal = sizing(node.size?.width, fallback('horizontal'));
+    const vertical = sizing(node.size?.height ?? (node.type === 'divider' ? node.style?.borderWidth || 1 : undefined), fallback('vertical'));
+    layout.sizing = { horizontal: horizontal.mode, vertical: vertical.mode };
+    layout.width = horizontal.size;
+    layout.height = vertical.size;
+
+    if (parent?.layout?.direction === 'stack') {
+      layout.position = { horizontal: { start: node.position?.x || 0 }, vertical: { start: node.position?.y || 0 } };
+    }
+    layout.children = node.type === 'container' ? (node.children || []).map(child => translate(child, node)) : layout.children;
+    return layout;
+  };
+
+  const trees = ir.screens.map(screen => {
+    const root = translate(screen.root, null);
+    return {
+      ...root,
+      name: screen.name,
+      width: screen.width,
+      height: screen.height,
+      sizing: { horizontal: 'FIXED', vertical: 'FIXED' }
+    };
+  });
+
+  return { trees, annotations };
+}
@@ -0,0 +1,219 @@
+/**
+ * User Style Inputs
+ * Validates the `stylesheet` and `designTokens` fields sent with generate_code and
+ * turns them into token overrides plus prompt guidance for the generators
+ */
+
+import { ValidationError } from '../validation.js';
+import { applyTokenOverrides, tokenCSSVariable, tokensFromAnalysis } from './design-tokens.js';
+import { toCSSValue } from './token-emitters.js';
+
+const MAX_STYLESHEET_LENGTH = 200 * 1024;
+const MAX_TOKEN_ENTRIES = 500;
+// Prompts carry at most this much of the stylesheet; the full file still ships with web projects
+const MAX_PROMPT_STYLESHEET_LENGTH = 6000;
+
+export const USER_STYLE_SOURCE = {
+  DESIGN_TOKENS: 'designTokens',
+  STYLESHEET: 'stylesheet'
+};
+
+/**
+ * Check an uploaded stylesheet is plain CSS that is safe to ship and embed in prompts
+ * @param {string} css - Stylesheet text
+ * @returns {string} - The trimmed stylesheet
+ */
+export function validateStylesheet(css) {
+  if (typeof css !== 'string') {
+    throw new ValidationError('stylesheet must be CSS text', 'stylesheet', 'INVALID_STYLESHEET');
+  }
+
+  const trimmed = css.trim();
+  if (trimmed.length > MAX_STYLESHEET_LENGTH) {
+    throw new ValidationError(
+      `stylesheet must be no more than ${MAX_STYLESHEET_LENGTH / 1024}KB`,
+      'stylesheet',
+      'STYLESHEET_TOO_LARGE'
+    );
+  }
+
+  if (/@import|expression\s*\(|javascript:|<\/?(?:style|script)/i.test(trimmed)) {
+    throw new ValidationError(
+      'stylesheet must not contain @import, expression(), javascript: URLs or HTML tags',
+      'stylesheet',
+      'UNSAFE_STYLESHEET'
+    );
+  }
+
+  // Strings and comments may legitimately contain braces
+  const structure = trimmed
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '');
+  let depth = 0;
+  for (const char of structure) {
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    throw new ValidationError('stylesheet has unbalanced braces', 'stylesheet', 'INVALID_STYLESHEET');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Read custom properties declared in the stylesheet's :root blocks
+ * @param {string} css - Validated stylesheet
+ * @returns {Array} - [{ name: '--primary-color', value: '#4a90e2' }]
+ */
+export function parseStylesheetVariables(css) {
+  const variables = [];
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  for (const block of withoutComments.matchAll(/:root\s*\{([^}]*)\}/g)) {
+    for (const declaration of block[1].matchAll(/(--[\w-]+)\s*:\s*([^;]+)/g)) {
+      variables.push({ name: declaration[1], value: declaration[2].trim() });
+    }
+  }
+
+  // Later declarations win in CSS, so keep the last one per name
+  const latest = new Map(variables.map(variable => [variable.name, variable]));
+  return [...latest.values()];
+}
+
+/**
+ * Parse designTokens as a flat CSS-variable map, a dotted map or a nested DTCG document
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {Array} - [{ name, value }] where name is '--primary-color' or 'color.primary'
+ */
+export function parseDesignTokens(input) {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = JSON.parse(input);
+    } catch {
+      throw new ValidationError('designTokens must be valid JSON', 'designTokens', 'INVALID_DESIGN_TOKENS');
+    }
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ValidationError('designTokens must be a JSON object', 'designTokens', 'INVALID_DESIGN_TOKENS');
+  }
+
+  const entries = [];
+  const walk = (node, path) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith('$')) continue;
+      const name = key.startsWith('--') ? key : [...path, key].join('.');
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if ('$value' in value) {
+          entries.push({ name, value: value.$value });
+        } else if (!key.startsWith('--')) {
+          walk(value, [...path, key]);
+        }
+      } else if (value !== null && value !== undefined && value !== '') {
+        entries.push({ name, value });
+      }
+
+      if (entries.length > MAX_TOKEN_ENTRIES) {
+        throw new ValidationError(
+          `designTokens must define no more than ${MAX_TOKEN_ENTRIES} tokens`,
+          'designTokens',
+          'TOO_MANY_TOKENS'
+        );
+      }
+    }
+  };
+  walk(document, []);
+
+  return entries;
+}
+
+/**
+ * Validate and combine the user's style inputs; designTokens take precedence over stylesheet variables
+ * @param {Object} body - Request body with optional stylesheet and designTokens
+ * @returns {Object|null} - { stylesheet, overrides: [{ name, value, source }] } or null when none were sent
+ */
+export function collectUserStyles(body = {}) {
+  const hasStylesheet = typeof body.stylesheet === 'string' ? body.stylesheet.trim() !== '' : body.stylesheet != null;
+  const hasTokens = body.designTokens != null && body.designTokens !== '';
+  if (!hasStylesheet && !hasTokens) {
+    return null;
+  }
+
+  const stylesheet = hasStylesheet ? validateStylesheet(body.stylesheet) : null;
+  const overrides = [
+    ...(hasTokens ? parseDesignTokens(body.designTokens) : [])
+      .map(entry => ({ ...entry, source: USER_STYLE_SOURCE.DESIGN_TOKENS })),
+    ...(stylesheet ? parseStylesheetVariables(stylesheet) : [])
+      .map(entry => ({ ...entry, source: USER_STYLE_SOURCE.STYLESHEET }))
+  ];
+
+  return { stylesheet, overrides };
+}
+
+/**
+ * Describe the user's tokens (and stylesheet, for web) as prompt instructions
+ * @param {Object} userStyles - Result of collectUserStyles
+ * @param {string} platform - web, android or ios
+ * @returns {string} - Prompt section, empty when there is nothing to add
+ */
+export function describeUserStyles(userStyles, platform = 'web') {
+  if (!userStyles) return '';
+
+  // Resolve against the default set only to learn which names and values are valid
+  const { report } = applyTokenOverrides(tokensFromAnalysis(null), userStyles.overrides);
+  const sections = [];
+
+  if (report.applied.length > 0) {
+    const lines = report.applied.map(({ token, value }) => {
+      const shown = typeof value === 'object' ? JSON.stringify(value) : value;
+      return platform === 'web'
+        ? `- ${token}: ${shown} (CSS: var(${tokenCSSVariable(token.split('.'))}))`
+        : `- ${token}: ${shown}`;
+    });
+    sections.push(`USER DESIGN TOKENS (fixed by the user; use these instead of values read from the screenshots):
+${lines.join('\n')}`);
+  }
+
+  if (platform === 'web' && userStyles.stylesheet) {
+    const excerpt = userStyles.stylesheet.length > MAX_PROMPT_STYLESHEET_LENGTH
+      ? `${userStyles.stylesheet.slice(0, MAX_PROMPT_STYLESHEET_LENGTH)}\n/* ...truncated */`
+      : userStyles.stylesheet;
+    sections.push(`USER STYLESHEET (loaded globally after the generated styles; reuse its class names where they fit):
+\`\`\`css
+${excerpt}
+\`\`\``);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * CSS appended to a web project's index.css: the user's stylesheet, then any of its
+ * variables that designTokens superseded re-declared so the cascade agrees with the report
+ * @param {Object} userStyles - Result of collectUserStyles
+ * @param {Object} report - Report from applyTokenOverrides
+ * @returns {string} - CSS, empty when no stylesheet was sent
+ */
+export function emitUserStylesheet(userStyles, report) {
+  if (!userStyles?.stylesheet) return '';
+
+  const reasserted = report.ignored
+    .filter(entry => entry.source === USER_STYLE_SOURCE.STYLESHEET && entry.token)
+    .map(entry => {
+      const winner = report.applied.find(applied => applied.token === entry.token);
+      return `  ${entry.name}: ${toCSSValue(winner.type, winner.value)};`;
+    });
+
+  return `/* User stylesheet */
+${userStyles.stylesheet}
+${reasserted.length > 0 ? `
+/* designTokens take precedence over stylesheet variables */
+:root {
+${reasserted.join('\n')}
+}
+` : ''}`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Visual Diff Utilities
+ * Scores how closely a rendered page matches its source screenshot: per-pixel color
+ * match, SSIM, a per-region breakdown and a heatmap of where the two differ
+ */
+
+import sharp from 'sharp';
+import { renderReactPage } from './page-renderer.js';
+
+// Comparison runs on a downscaled copy; regions are reported in source pixels
+const ANALYSIS_MAX_WIDTH = 480;
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const MAX_COLOR_DISTANCE = Math.sqrt(3 * 255 ** 2);
+
+async function toRGB(image, width, height) {
+  return sharp(image)
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+function combinedScore(pixelMatch, ssim) {
+  return Math.round(100 * (0.5 * pixelMatch + 0.5 * Math.max(0, ssim)));
+}
+
+// SSIM of one window from grayscale planes
+function windowSSIM(grayA, grayB, width, x0, y0, w, h) {
+  let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+  for (let y = y0; y < y0 + h; y++) {
+    for (let x = x0; x < x0 + w; x++) {
+      const a = grayA[y * width + x];
+      const b = grayB[y * width + x];
+      sumA += a;
+      sumB += b;
+      sumAA += a * a;
+      sumBB += b * b;
+      sumAB += a * b;
+    }
+  }
+  const n = w * h;
+  const meanA = sumA / n;
+  const meanB = sumB / n;
+  const varA = sumAA / n - meanA * meanA;
+  const varB = sumBB / n - meanB * meanB;
+  const covariance = sumAB / n - meanA * meanB;
+  return ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+    / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+}
+
+/**
+ * Compare a rendered screenshot against the source screen
+ * @param {Buffer} source - Source screenshot
+ * @param {Buffer} rendered - Rendered output (resized to the source's dimensions)
+ * @param {Object} options - { rows, cols, pixelThreshold } grid size and per-pixel tolerance (0-1)
+ * @returns {Object} - { score, pixelMatch, ssim, regions, worstRegions, heatmap, dimensions }
+ */
+export async function compareImages(source, rendered, { rows = 4, cols = 4, pixelThreshold = 0.1 } = {}) {
+  const sourceMeta = await sharp(source).metadata();
+  const renderedMeta = await sharp(rendered).metadata();
+
+  const scale = Math.min(1, ANALYSIS_MAX_WIDTH / sourceMeta.width);
+  const width = Math.max(SSIM_WINDOW, Math.round(sourceMeta.width * scale));
+  const height = Math.max(SSIM_WINDOW, Math.round(sourceMeta.height * scale));
+
+  const [a, b] = await Promise.all([toRGB(source, width, height), toRGB(rendered, width, height)]);
+
+  const pixels = width * height;
+  const distance = new Float32Array(pixels);
+  const grayA = new Float32Array(pixels);
+  const grayB = new Float32Array(pixels);
+
+  const cellWidth = width / cols;
+  const cellHeight = height / rows;
+  const cells = Array.from({ length: rows * cols }, () => ({ pixels: 0, mismatched: 0, ssimSum: 0, windows: 0 }));
+  const cellIndex = (x, y) => Math.min(rows - 1, Math.floor(y / cellHeight)) * cols + Math.min(cols - 1, Math.floor(x / cellWidth));
+
+  let mismatched = 0;
+  for (let i = 0; i < pixels; i++) {
+    const o = i * 3;
+    const dr = a[o] - b[o];
+    const dg = a[o + 1] - b[o + 1];
+    const db = a[o + 2] - b[o + 2];
+    distance[i] = Math.sqrt(dr * dr + dg * dg + db * db) / MAX_COLOR_DISTANCE;
+    grayA[i] = 0.299 * a[o] + 0.587 * a[o + 1] + 0.114 * a[o + 2];
+    grayB[i] = 0.299 * b[o] + 0.587 * b[o + 1] + 0.114 * b[o + 2];
+
+    const cell = cells[cellIndex(i % width, Math.floor(i / width))];
+    cell.pixels++;
+    if (distance[i] > pixelThreshold) {
+      mismatched++;
+      cell.mismatched++;
+    }
+  }
+
+  let ssimSum = 0;
+  let windows = 0;
+  for (let y = 0; y + SSIM_WINDOW <= height; y += SSIM_WINDOW) {
+    for (let x = 0; x + SSIM_WINDOW <= width; x += SSIM_WINDOW) {
+      const value = windowSSIM(grayA, grayB, width, x, y, SSIM_WINDOW, SSIM_WINDOW);
+      ssimSum += value;
+      windows++;
+      const cell = cells[cellIndex(x + SSIM_WINDOW / 2, y + SSIM_WINDOW / 2)];
+      cell.ssimSum += value;
+      cell.windows++;
+    }
+  }
+
+  const pixelMatch = 1 - mismatched / pixels;
+  const ssim = windows > 0 ? ssimSum / windows : 1;
+
+  const toSource = 1 / scale;
+  const regions = cells.map((cell, index) => {
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    const regionPixelMatch = cell.pixels > 0 ? 1 - cell.mismatched / cell.pixels : 1;
+    const regionSSIM = cell.windows > 0 ? cell.ssimSum / cell.windows : 1;
+    return {
+      row,
+      col,
+      x: Math.round(col * cellWidth * toSource),
+      y: Math.round(row * cellHeight * toSource),
+      width: Math.round(cellWidth * toSource),
+      height: Math.round(cellHeight * toSource),
+      pixelMatch: Number(regionPixelMatch.toFixed(4)),
+      ssim: Number(regionSSIM.toFixed(4)),
+      score: combinedScore(regionPixelMatch, regionSSIM)
+    };
+  });
+
+  return {
+    score: combinedScore(pixelMatch, ssim),
+    pixelMatch: Number(pixelMatch.toFixed(4)),
+    ssim: Number(ssim.toFixed(4)),
+    regions,
+    worstRegions: [...regions].sort((x, y) => x.score - y.score).filter(region => region.score < 100).slice(0, 3),
+    heatmap: await renderHeatmap(grayA, distance, width, height),
+    dimensions: { width: sourceMeta.width, height: sourceMeta.height },
+    renderedDimensions: { width: renderedMeta.width, height: renderedMeta.height }
+  };
+}
+
+// Faded source in grayscale with mismatches painted red by magnitude
+async function renderHeatmap(gray, distance, width, height) {
+  const output = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    const base = 128 + gray[i] * 0.5;
+    const heat = Math.min(1, distance[i] * 2);
+    output[i * 3] = Math.round(base * (1 - heat) + 255 * heat);
+    output[i * 3 + 1] = Math.round(base * (1 - heat));
+    output[i * 3 + 2] = Math.round(base * (1 - heat));
+  }
+  const png = await sharp(output, { raw: { width, height, channels: 3 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * One-line explanation of a comparison, shown next to the score
+ * @param {Object} diff - Result of compareImages
+ * @returns {string} - Justification text
+ */
+export function describeAccuracy(diff) {
+  const summary = `Pixel match ${Math.round(diff.pixelMatch * 100)}%, structural similarity ${diff.ssim.toFixed(2)}.`;
+  if (diff.worstRegions.length === 0) {
+    return `${summary} The render matches the source screen.`;
+  }
+  const worst = diff.worstRegions
+    .map(region => `${region.width}x${region.height} at (${region.x}, ${region.y}) scored ${region.score}%`)
+    .join('; ');
+  return `${summary} Largest differences: ${worst}.`;
+}
+
+/**
+ * Render one page of a generated React project and score it against its source screen
+ * @param {Object} projectFiles - Map of file path to contents
+ * @param {Object} sourceImage - { data: base64, mimeType }
+ * @param {Object} options - { entry, rows, cols, pixelThreshold }
+ * @returns {Object} - Accuracy result: compareImages fields plus justification and render errors
+ */
+export async function scorePageAccuracy(projectFiles, sourceImage, { entry = 'src/App.jsx', ...compareOptions } = {}) {
+  const source = Buffer.from(sourceImage.data, 'base64');
+  const { width, height } = await sharp(source).metadata();
+
+  const { screenshot, errors, warnings } = await renderReactPage(projectFiles, { entry, width, height });
+  const diff = await compareImages(source, screenshot, compareOptions);
+
+  return {
+    ...diff,
+    entry,
+    justification: describeAccuracy(diff),
+    renderErrors: errors,
+    bundleWarnings: warnings
+  };
+}
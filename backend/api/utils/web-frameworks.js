@@ -0,0 +1,584 @@
+/**
+ * Web Framework Scaffolds
+ * Page locations, prompt rules and project files for the non-React web generators:
+ * Vue 3 (Vite + single-file components), Angular (standalone components) and SvelteKit
+ */
+
+import { toRouteSegment } from './screen-flow.js';
+import { emitTailwindConfig } from './token-emitters.js';
+
+const FRAMEWORK_ALIASES = {
+  react: 'React',
+  'react.js': 'React',
+  vue: 'Vue',
+  'vue.js': 'Vue',
+  'vue 3': 'Vue',
+  vue3: 'Vue',
+  angular: 'Angular',
+  svelte: 'Svelte',
+  sveltekit: 'Svelte'
+};
+
+const TAILWIND_DEV_DEPENDENCIES = {
+  tailwindcss: '^3.4.3',
+  autoprefixer: '^10.4.19',
+  postcss: '^8.4.38'
+};
+
+// Same navigation styles the React multi-page projects use
+const APP_NAV_CSS = `
+
+/* Navigation between generated pages */
+.app-nav {
+  display: flex;
+  gap: 1rem;
+  padding: 0.75rem 1.5rem;
+  border-bottom: 1px solid #e5e7eb;
+}
+
+.app-nav-link {
+  color: #4b5563;
+  text-decoration: none;
+}
+
+.app-nav-link.active {
+  color: #2563eb;
+  font-weight: 600;
+}
+`;
+
+const POSTCSS_CONFIG_ESM = `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+}`;
+
+/**
+ * Map the framework names the labs send ('Vue.js', 'SvelteKit') onto the validated ones
+ * @param {string} framework - Framework as sent by the client
+ * @returns {string} - React, Vue, Angular, Svelte or the input unchanged
+ */
+export function normalizeWebFramework(framework) {
+  if (typeof framework !== 'string') return framework;
+  return FRAMEWORK_ALIASES[framework.trim().toLowerCase()] || framework;
+}
+
+function navClasses(tailwind) {
+  return tailwind
+    ? { nav: 'flex gap-4 px-6 py-3 border-b border-gray-200 bg-white', link: 'text-gray-600 hover:text-gray-900', active: 'font-semibold text-blue-600' }
+    : { nav: 'app-nav', link: 'app-nav-link', active: 'active' };
+}
+
+function navLinks(flow) {
+  return flow.screens.map(screen => ({ path: screen.route, label: screen.title }));
+}
+
+function packageJson(fields) {
+  return JSON.stringify({ name: 'digital-studio-project', version: '1.0.0', private: true, ...fields }, null, 2);
+}
+
+function readme(title, scripts, options, readmeExtra) {
+  return `# Digital Studio Project
+
+This ${title} project was generated using Digital Studio VM.
+
+## Available Scripts
+
+${scripts.map(([command, description]) => `### \`${command}\`
+
+${description}`).join('\n\n')}
+
+## Generated Features
+
+- Framework: ${title}
+- Platform: web
+- Styling: ${options.styling}
+- Architecture: ${options.architecture}
+${readmeExtra}
+Generated on: ${new Date().toISOString()}
+`;
+}
+
+function angularSegment(screen) {
+  return toRouteSegment(screen.name);
+}
+
+/**
+ * Class name exported by a generated Angular page; the model is asked for <Name>Component
+ * @param {string} code - Generated component source
+ * @param {Object} screen - Screen from buildScreenFlow
+ * @returns {string} - Exported class name
+ */
+export function angularClassName(code, screen) {
+  const expected = `${screen.name}Component`;
+  if (new RegExp(`export\\s+class\\s+${expected}\\b`).test(code)) return expected;
+  return code.match(/export\s+class\s+(\w+)/)?.[1] || expected;
+}
+
+const vue = {
+  title: 'Vue 3',
+  mainFile: 'src/App.vue',
+
+  pagePath: (screen) => `src/views/${screen.name}.vue`,
+
+  pageRules: (screen, { tailwind }) => [
+    `Vue 3 single-file component using <script setup> and the Composition API`,
+    `The component is the view ${screen.name}, mounted by vue-router at "${screen.route}"; do not create a router or an App component`,
+    'Navigate with useRouter().push(path) or <RouterLink to="...">',
+    tailwind
+      ? 'Style with Tailwind utility classes in the template'
+      : 'Style with a <style scoped> block; use the CSS variables from the global stylesheet for colors, spacing and fonts'
+  ],
+
+  createProjectFiles({ flow, pageFiles, options, tokens, css, readmeExtra }) {
+    const tailwind = options.styling === 'Tailwind CSS';
+    const classes = navClasses(tailwind);
+    const multiPage = flow.screens.length > 1;
+
+    const files = {
+      'package.json': packageJson({
+        type: 'module',
+        scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+        dependencies: { vue: '^3.4.21', 'vue-router': '^4.3.0' },
+        devDependencies: {
+          '@vitejs/plugin-vue': '^5.0.4',
+          vite: '^5.2.0',
+          ...(tailwind && TAILWIND_DEV_DEPENDENCIES)
+        }
+      }),
+
+      'vite.config.js': `import { fileURLToPath, URL } from 'node:url';
+import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+});`,
+
+      'index.html': `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="description" content="Generated Vue App by Digital Studio VM" />
+    <title>Digital Studio Project</title>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.js"></script>
+  </body>
+</html>`,
+
+      'src/main.js': `import { createApp } from 'vue';
+import App from './App.vue';
+import router from './router';
+import './style.css';
+
+createApp(App).use(router).mount('#app');`,
+
+      'src/router/index.js': `import { createRouter, createWebHistory } from 'vue-router';
+${flow.screens.map(screen => `import ${screen.name} from '../views/${screen.name}.vue';`).join('\n')}
+
+export const routes = [
+${flow.screens.map(screen => `  { path: '${screen.route}', name: '${screen.name}', component: ${screen.name}, meta: { title: '${screen.title}' } },`).join('\n')}
+  { path: '/:pathMatch(.*)*', redirect: '/' },
+];
+
+const router = createRouter({
+  history: createWebHistory(),
+  routes,
+});
+
+router.afterEach((to) => {
+  document.title = to.meta.title || 'Digital Studio Project';
+});
+
+export default router;`,
+
+      'src/App.vue': `<script setup>
+import { ${multiPage ? 'RouterLink, RouterView' : 'RouterView'} } from 'vue-router';
+${multiPage ? `
+const links = [
+${navLinks(flow).map(link => `  { path: '${link.path}', label: '${link.label}' }`).join(',\n')}
+];
+` : ''}</script>
+
+<template>
+${multiPage ? `  <nav class="${classes.nav}" aria-label="Main navigation">
+    <RouterLink
+      v-for="link in links"
+      :key="link.path"
+      :to="link.path"
+      class="${classes.link}"
+      exact-active-class="${classes.active}"
+    >
+      {{ link.label }}
+    </RouterLink>
+  </nav>
+` : ''}  <RouterView />
+</template>
+`,
+
+      'src/style.css': !tailwind && multiPage ? `${css}${APP_NAV_CSS}` : css,
+      'src/design-tokens.json': JSON.stringify(tokens, null, 2),
+      ...pageFiles,
+
+      'README.md': readme('Vue 3', [
+        ['npm run dev', 'Starts the Vite dev server at [http://localhost:5173](http://localhost:5173).'],
+        ['npm run build', 'Builds the app for production to the `dist` folder.'],
+        ['npm run preview', 'Serves the production build locally.']
+      ], options, readmeExtra)
+    };
+
+    if (tailwind) {
+      files['tailwind.config.js'] = emitTailwindConfig(tokens, { content: ['./index.html', './src/**/*.{vue,js,ts}'], esm: true });
+      files['postcss.config.js'] = POSTCSS_CONFIG_ESM;
+    }
+
+    return files;
+  }
+};
+
+const angular = {
+  title: 'Angular',
+  mainFile: 'src/app/app.component.ts',
+
+  pagePath: (screen) => `src/app/pages/${angularSegment(screen)}/${angularSegment(screen)}.component.ts`,
+
+  pageRules: (screen, { tailwind }) => [
+    `Angular 17 standalone component class ${screen.name}Component (export class ${screen.name}Component) with selector "app-${angularSegment(screen)}"`,
+    'Use @Component({ standalone: true, imports: [...], template: `...`, styles: [`...`] }) with an inline template; list every directive the template uses in imports',
+    'Use the built-in control flow (@if, @for) in templates',
+    `The component is routed at "${screen.route}"; do not bootstrap the application or define routes`,
+    'Navigate with the routerLink directive or inject(Router).navigateByUrl(path)',
+    tailwind
+      ? 'Style with Tailwind utility classes in the template'
+      : 'Put component styles in the styles array; use the CSS variables from the global stylesheet for colors, spacing and fonts'
+  ],
+
+  createProjectFiles({ flow, pageFiles, options, tokens, css, readmeExtra }) {
+    const tailwind = options.styling === 'Tailwind CSS';
+    const classes = navClasses(tailwind);
+    const multiPage = flow.screens.length > 1;
+    const pages = flow.screens.map(screen => {
+      const path = angular.pagePath(screen);
+      return { screen, className: angularClassName(pageFiles[path] || '', screen), importPath: `./${path.slice('src/app/'.length, -'.ts'.length)}` };
+    });
+
+    const files = {
+      'package.json': packageJson({
+        scripts: {
+          ng: 'ng',
+          start: 'ng serve',
+          build: 'ng build',
+          watch: 'ng build --watch --configuration development'
+        },
+        dependencies: {
+          '@angular/common': '^17.3.0',
+          '@angular/compiler': '^17.3.0',
+          '@angular/core': '^17.3.0',
+          '@angular/forms': '^17.3.0',
+          '@angular/platform-browser': '^17.3.0',
+          '@angular/router': '^17.3.0',
+          rxjs: '~7.8.0',
+          tslib: '^2.3.0',
+          'zone.js': '~0.14.3'
+        },
+        devDependencies: {
+          '@angular-devkit/build-angular': '^17.3.0',
+          '@angular/cli': '^17.3.0',
+          '@angular/compiler-cli': '^17.3.0',
+          typescript: '~5.4.2',
+          ...(tailwind && TAILWIND_DEV_DEPENDENCIES)
+        }
+      }),
+
+      'angular.json': JSON.stringify({
+        $schema: './node_modules/@angular/cli/lib/config/schema.json',
+        version: 1,
+        newProjectRoot: 'projects',
+        projects: {
+          'digital-studio-project': {
+            projectType: 'application',
+            root: '',
+            sourceRoot: 'src',
+            prefix: 'app',
+            architect: {
+              build: {
+                builder: '@angular-devkit/build-angular:application',
+                options: {
+                  outputPath: 'dist/digital-studio-project',
+                  index: 'src/index.html',
+                  browser: 'src/main.ts',
+                  polyfills: ['zone.js'],
+                  tsConfig: 'tsconfig.app.json',
+                  assets: [],
+                  styles: ['src/styles.css']
+                },
+                configurations: {
+                  production: { outputHashing: 'all' },
+                  development: { optimization: false, extractLicenses: false, sourceMap: true }
+                },
+                defaultConfiguration: 'production'
+              },
+              serve: {
+                builder: '@angular-devkit/build-angular:dev-server',
+                configurations: {
+                  production: { buildTarget: 'digital-studio-project:build:production' },
+                  development: { buildTarget: 'digital-studio-project:build:development' }
+                },
+                defaultConfiguration: 'development'
+              }
+            }
+          }
+        }
+      }, null, 2),
+
+      'tsconfig.json': JSON.stringify({
+        compileOnSave: false,
+        compilerOptions: {
+          outDir: './dist/out-tsc',
+          forceConsistentCasingInFileNames: true,
+          strict: true,
+          noImplicitOverride: true,
+          noPropertyAccessFromIndexSignature: true,
+          noImplicitReturns: true,
+          noFallthroughCasesInSwitch: true,
+          skipLibCheck: true,
+          esModuleInterop: true,
+          sourceMap: true,
+          declaration: false,
+          experimentalDecorators: true,
+          moduleResolution: 'node',
+          importHelpers: true,
+          target: 'ES2022',
+          module: 'ES2022',
+          useDefineForClassFields: false,
+          lib: ['ES2022', 'dom']
+        },
+        angularCompilerOptions: {
+          enableI18nLegacyMessageIdFormat: false,
+          strictInjectionParameters: true,
+          strictInputAccessModifiers: true,
+          strictTemplates: true
+        }
+      }, null, 2),
+
+      'tsconfig.app.json': JSON.stringify({
+        extends: './tsconfig.json',
+        compilerOptions: { outDir: './out-tsc/app', types: [] },
+        files: ['src/main.ts'],
+        include: ['src/**/*.d.ts']
+      }, null, 2),
+
+      'src/index.html': `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Digital Studio Project</title>
+  <base href="/">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="description" content="Generated Angular App by Digital Studio VM">
+</head>
+<body>
+  <app-root></app-root>
+</body>
+</html>`,
+
+      'src/main.ts': `import { bootstrapApplication } from '@angular/platform-browser';
+import { appConfig } from './app/app.config';
+import { AppComponent } from './app/app.component';
+
+bootstrapApplication(AppComponent, appConfig)
+  .catch((err) => console.error(err));`,
+
+      'src/app/app.config.ts': `import { ApplicationConfig } from '@angular/core';
+import { provideRouter } from '@angular/router';
+
+import { routes } from './app.routes';
+
+export const appConfig: ApplicationConfig = {
+  providers: [provideRouter(routes)]
+};`,
+
+      'src/app/app.routes.ts': `import { Routes } from '@angular/router';
+${pages.map(({ className, importPath }) => `import { ${className} } from '${importPath}';`).join('\n')}
+
+export const routes: Routes = [
+${pages.map(({ screen, className }) => `  { path: '${screen.route.slice(1)}', component: ${className}, title: '${screen.title}' },`).join('\n')}
+  { path: '**', redirectTo: '' }
+];`,
+
+      'src/app/app.component.ts': `import { Component } from '@angular/core';
+import { ${multiPage ? 'RouterLink, RouterLinkActive, RouterOutlet' : 'RouterOutlet'} } from '@angular/router';
+
+@Component({
+  selector: 'app-root',
+  standalone: true,
+  imports: [${multiPage ? 'RouterOutlet, RouterLink, RouterLinkActive' : 'RouterOutlet'}],
+  template: \`
+${multiPage ? `    <nav class="${classes.nav}" aria-label="Main navigation">
+      @for (link of links; track link.path) {
+        <a
+          [routerLink]="link.path"
+          routerLinkActive="${classes.active}"
+          [routerLinkActiveOptions]="{ exact: true }"
+          class="${classes.link}"
+        >{{ link.label }}</a>
+      }
+    </nav>
+` : ''}    <router-outlet />
+  \`
+})
+export class AppComponent {${multiPage ? `
+  links = [
+${navLinks(flow).map(link => `    { path: '${link.path}', label: '${link.label}' }`).join(',\n')}
+  ];
+` : ''}}`,
+
+      'src/styles.css': !tailwind && multiPage ? `${css}${APP_NAV_CSS}` : css,
+      'src/design-tokens.json': JSON.stringify(tokens, null, 2),
+      ...pageFiles,
+
+      'README.md': readme('Angular', [
+        ['npm start', 'Runs `ng serve`. Open [http://localhost:4200](http://localhost:4200) to view the app.'],
+        ['npm run build', 'Builds the app for production to the `dist` folder.']
+      ], options, readmeExtra)
+    };
+
+    // The Angular CLI enables Tailwind on its own when it finds tailwind.config.js
+    if (tailwind) {
+      files['tailwind.config.js'] = emitTailwindConfig(tokens, { content: ['./src/**/*.{html,ts}'] });
+    }
+
+    return files;
+  }
+};
+
+const svelte = {
+  title: 'SvelteKit',
+  mainFile: 'src/routes/+layout.svelte',
+
+  pagePath: (screen) => (screen.route === '/' ? 'src/routes/+page.svelte' : `src/routes${screen.route}/+page.svelte`),
+
+  pageRules: (screen, { tailwind }) => [
+    `Svelte 4 component used as the SvelteKit page ${svelte.pagePath(screen)} for route "${screen.route}"`,
+    'The shared +layout.svelte already renders navigation and imports the global stylesheet; do not repeat them',
+    "Navigate with plain <a href> links or goto(path) from '$app/navigation'",
+    `Set the page title with <svelte:head><title>${screen.title}</title></svelte:head>`,
+    tailwind
+      ? 'Style with Tailwind utility classes in the markup'
+      : 'Style with a <style> block (scoped by Svelte); use the CSS variables from the global stylesheet for colors, spacing and fonts'
+  ],
+
+  createProjectFiles({ flow, pageFiles, options, tokens, css, readmeExtra }) {
+    const tailwind = options.styling === 'Tailwind CSS';
+    const classes = navClasses(tailwind);
+    const multiPage = flow.screens.length > 1;
+
+    const files = {
+      'package.json': packageJson({
+        type: 'module',
+        scripts: {
+          dev: 'vite dev',
+          build: 'vite build',
+          preview: 'vite preview'
+        },
+        devDependencies: {
+          '@sveltejs/adapter-auto': '^3.0.0',
+          '@sveltejs/kit': '^2.5.0',
+          '@sveltejs/vite-plugin-svelte': '^3.0.0',
+          svelte: '^4.2.12',
+          vite: '^5.2.0',
+          ...(tailwind && TAILWIND_DEV_DEPENDENCIES)
+        }
+      }),
+
+      'svelte.config.js': `import adapter from '@sveltejs/adapter-auto';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    adapter: adapter()
+  }
+};
+
+export default config;`,
+
+      'vite.config.js': `import { sveltekit } from '@sveltejs/kit/vite';
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [sveltekit()]
+});`,
+
+      'src/app.html': `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="description" content="Generated SvelteKit App by Digital Studio VM" />
+    %sveltekit.head%
+  </head>
+  <body data-sveltekit-preload-data="hover">
+    <div style="display: contents">%sveltekit.body%</div>
+  </body>
+</html>`,
+
+      'src/routes/+layout.svelte': `<script>
+  import '../app.css';
+${multiPage ? `  import { page } from '$app/stores';
+
+  const links = [
+${navLinks(flow).map(link => `    { path: '${link.path}', label: '${link.label}' }`).join(',\n')}
+  ];
+` : ''}</script>
+${multiPage ? `
+<nav class="${classes.nav}" aria-label="Main navigation">
+  {#each links as link (link.path)}
+    <a
+      href={link.path}
+      class={$page.url.pathname === link.path ? '${classes.link} ${classes.active}' : '${classes.link}'}
+      aria-current={$page.url.pathname === link.path ? 'page' : undefined}
+    >
+      {link.label}
+    </a>
+  {/each}
+</nav>
+` : ''}
+<slot />
+`,
+
+      'src/app.css': !tailwind && multiPage ? `${css}${APP_NAV_CSS}` : css,
+      'src/design-tokens.json': JSON.stringify(tokens, null, 2),
+      ...pageFiles,
+
+      'README.md': readme('SvelteKit', [
+        ['npm run dev', 'Starts the Vite dev server at [http://localhost:5173](http://localhost:5173).'],
+        ['npm run build', 'Builds the app with the adapter chosen in `svelte.config.js`.'],
+        ['npm run preview', 'Serves the production build locally.']
+      ], options, readmeExtra)
+    };
+
+    if (tailwind) {
+      files['tailwind.config.js'] = emitTailwindConfig(tokens, { content: ['./src/**/*.{html,js,svelte,ts}'], esm: true });
+      files['postcss.config.js'] = POSTCSS_CONFIG_ESM;
+    }
+
+    return files;
+  }
+};
+
+export const WEB_FRAMEWORKS = {
+  Vue: vue,
+  Angular: angular,
+  Svelte: svelte
+};
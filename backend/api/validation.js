@@ -46,7 +46,7 @@ export class InputValidator {
   static validateProjectOptions(options) {
     const { platform, framework, styling, architecture } = options;
 
-    const validPlatforms = ['web', 'android', 'ios'];
+    const validPlatforms = ['web', 'android', 'ios', 'flutter', 'react-native'];
     if (!validPlatforms.includes(platform)) {
       throw new ValidationError(
         `Invalid platform: ${platform}. Valid platforms: ${validPlatforms.join(', ')}`,
@@ -58,7 +58,9 @@ export class InputValidator {
     const validFrameworks = {
       web: ['React', 'Vue', 'Angular', 'Svelte'],
       android: ['Kotlin', 'Java'],
-      ios: ['Swift', 'Objective-C']
+      ios: ['Swift', 'Objective-C'],
+      flutter: ['Flutter'],
+      'react-native': ['React Native']
     };
 
     if (!validFrameworks[platform]?.includes(framework)) {
@@ -78,7 +80,8 @@ export class InputValidator {
       );
     }
 
-    const validArchitectures = ['Component-Based', 'MVVM', 'MVC', 'MVP', 'Clean Architecture'];
+    // Generators default to 'Component Based'; the lab flows also offer the web-only structures
+    const validArchitectures = ['Component-Based', 'Component Based', 'MVVM', 'MVC', 'MVP', 'Clean Architecture', 'Atomic Design', 'Feature Based', 'Domain Driven'];
     if (!validArchitectures.includes(architecture)) {
       throw new ValidationError(
         `Invalid architecture: ${architecture}. Valid options: ${validArchitectures.join(', ')}`,
@@ -115,15 +118,38 @@ export class InputValidator {
     return true;
   }
 
+  static validateRefineOptions({ accuracyThreshold, maxIterations } = {}) {
+    const threshold = accuracyThreshold === undefined || accuracyThreshold === '' ? 90 : Number(accuracyThreshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      throw new ValidationError(
+        'accuracyThreshold must be a number from 0 to 100',
+        'accuracyThreshold',
+        'INVALID_ACCURACY_THRESHOLD'
+      );
+    }
+
+    const iterations = maxIterations === undefined || maxIterations === '' ? 3 : Number(maxIterations);
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > 10) {
+      throw new ValidationError(
+        'maxIterations must be an integer from 1 to 10',
+        'maxIterations',
+        'INVALID_MAX_ITERATIONS'
+      );
+    }
+
+    return { threshold, maxIterations: iterations };
+  }
+
   static validateFigmaUrl(url) {
     if (!url || typeof url !== 'string') {
       throw new ValidationError('Figma URL is required', 'figmaUrl', 'REQUIRED_FIELD');
     }
 
-    const figmaUrlPattern = /^https:\/\/www\.figma\.com\/file\/[a-zA-Z0-9]+\/[^\/]+/;
-    if (!figmaUrlPattern.test(url)) {
+    // Files, design files and prototypes share the key; links copied from the share dialog may omit the name
+    const figmaUrlPattern = /^https:\/\/(www\.)?figma\.com\/(file|design|proto)\/[a-zA-Z0-9]+(\/[^?#]*)?([?#]|$)/;
+    if (!figmaUrlPattern.test(url.trim())) {
       throw new ValidationError(
-        'Invalid Figma URL format. Expected: https://www.figma.com/file/[file-id]/[file-name]',
+        'Invalid Figma URL format. Expected: https://www.figma.com/(file|design|proto)/[file-id]/[file-name]',
         'figmaUrl',
         'INVALID_FIGMA_URL'
       );
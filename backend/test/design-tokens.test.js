@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+// A white screen with a blue header band, so the measured palette has one distinctive color
+const png = (await sharp({ create: { width: 64, height: 64, channels: 3, background: '#ffffff' } })
+  .composite([{ input: { create: { width: 64, height: 24, channels: 3, background: '#2563eb' } }, top: 0, left: 0 }])
+  .png()
+  .toBuffer()).toString('base64');
+
+test('extract_tokens measures screenshot colors and emits them for every platform', async () => {
+  const res = await postJSON(handler, {
+    action: 'extract_tokens',
+    provider: 'fake',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'home.png' }]
+  });
+
+  assert.equal(res.statusCode, 200, res.body.error);
+  assert.equal(res.body.analysis.images, 1);
+  assert.equal(res.body.analysis.llm, true);
+
+  const palette = Object.entries(res.body.tokens.color.palette);
+  const [measured] = palette.find(([, token]) => token.$value === '#2563eb') || [];
+  assert.ok(measured, JSON.stringify(res.body.tokens.color.palette));
+  assert.equal(res.body.sources[`color.palette.${measured}`], 'cv');
+
+  const { web, android, ios } = res.body.files;
+  assert.match(web['src/tokens.css'], /#2563eb/);
+  const colorKt = Object.entries(android).find(([path]) => path.endsWith('/ui/theme/Color.kt'))[1];
+  assert.match(colorKt, /Color\(0xFF2563EB\)/);
+  assert.ok(Object.keys(ios).some(path => path.endsWith('.colorset/Contents.json')));
+});
+
+test('extract_tokens requires at least one screenshot', async () => {
+  const res = await postJSON(handler, { action: 'extract_tokens', provider: 'fake' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+});
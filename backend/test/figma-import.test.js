@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+// Imported after the temporary store is set up, since it loads the project store
+const { default: EnhancedFigmaIntegration } = await import('../api/enhanced-figma-integration.js');
+
+// Saved GET /v1/files/:key and GET /v1/files/:key/variables/local responses
+const figmaFile = JSON.parse(fs.readFileSync(new URL('./fixtures/figma-file.json', import.meta.url), 'utf8'));
+const figmaVariables = JSON.parse(fs.readFileSync(new URL('./fixtures/figma-variables.json', import.meta.url), 'utf8'));
+const figmaUrl = 'https://www.figma.com/file/ABC123/Digital-Studio-Fixture';
+
+// The saved responses stand in for the Figma API
+EnhancedFigmaIntegration.prototype.getFigmaFile = async () => structuredClone(figmaFile);
+EnhancedFigmaIntegration.prototype.getImageFills = async () => ({ abc123: 'https://figma-alpha-api.s3.amazonaws.com/images/abc123' });
+EnhancedFigmaIntegration.prototype.getFigmaVariables = async () => structuredClone(figmaVariables);
+
+// Token snapshots stay in memory instead of figma-tokens/
+const snapshots = new Map();
+EnhancedFigmaIntegration.prototype.loadTokenSnapshot = async (fileKey) => snapshots.get(fileKey) || null;
+EnhancedFigmaIntegration.prototype.saveTokenSnapshot = async (fileKey, tokens) => snapshots.set(fileKey, structuredClone(tokens));
+
+test('React import translates frames, auto-layout and image fills of the saved file', async () => {
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'web', figmaUrl });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.translation, 'layers');
+  assert.deepEqual(res.body.pages.map(page => [page.name, page.route]), [['Login', '/'], ['Home', '/home']]);
+  assert.deepEqual(res.body.pages[0].links, [{ id: '2:5', name: 'Sign in button', route: '/home' }]);
+
+  // Auto-layout frames keep their direction, alignment, gap and padding
+  const css = res.body.projectFiles['src/pages/Login.css'];
+  assert.match(css, /\.login \{[^}]*flex-direction: column;[^}]*gap: 16px;[^}]*padding: 48px 24px 24px 24px;/);
+  assert.match(css, /\.login__actions \{[^}]*flex-direction: row;[^}]*justify-content: space-between;/);
+  assert.match(css, /\.login__hero \{[^}]*background-image: url\("\/figma\/abc123\.png"\);[^}]*background-size: cover;/);
+
+  assert.deepEqual(res.body.assets.map(asset => [asset.path, asset.url]), [['public/figma/abc123.png', 'https://figma-alpha-api.s3.amazonaws.com/images/abc123']]);
+});
+
+test('component sets become one component with a prop per variant property', async () => {
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'web', figmaUrl });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  const [button] = res.body.components;
+  assert.equal(button.figmaName, 'Button');
+  assert.deepEqual(button.props.map(prop => [prop.name, prop.type, prop.options]), [['variant', 'variant', ['Primary', 'Secondary']], ['label', 'text', null]]);
+
+  // Instances only pass what differs from the component's defaults
+  const page = res.body.projectFiles['src/pages/Login.jsx'];
+  assert.match(page, /<AppButton className="login__sign-in-button" label="Sign in" onClick=\{\(\) => navigate\('\/home'\)\} \/>/);
+  assert.match(page, /<AppButton className="login__sign-up-button" variant="secondary" label="Create account" \/>/);
+  assert.match(res.body.projectFiles['src/components/AppButton.css'], /\.app-button\.app-button--variant-secondary \{\s*background-color: #edf0f5;/);
+});
+
+test('variables with modes become tokens with a theme per mode', async () => {
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'web', figmaUrl });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  const { report } = res.body.designTokens;
+  assert.equal(report.variables, 2);
+  assert.deepEqual(report.modes, ['light', 'dark']);
+  assert.equal(report.defaultMode, 'light');
+  assert.deepEqual(report.tokens.map(token => token.token), ['color.brand.primary', 'spacing.md']);
+
+  const tokens = JSON.parse(res.body.projectFiles['src/design-tokens.json']);
+  assert.equal(tokens.color.brand.primary.$value, '#3366ff');
+  assert.match(res.body.projectFiles['src/index.css'], /--color-brand-primary: #7399ff;/);
+});
+
+test('re-importing the same file key reports the token diff', async () => {
+  const first = await postJSON(handler, { action: 'import_figma_tokens', figmaUrl: 'https://www.figma.com/file/DIFF42/Digital-Studio-Fixture' });
+  assert.equal(first.statusCode, 200, first.body?.error);
+  assert.equal(first.body.diff, null);
+
+  const changed = structuredClone(figmaVariables);
+  changed.meta.variables['VariableID:1:1'].valuesByMode['1:0'] = { r: 1, g: 0, b: 0, a: 1 };
+  EnhancedFigmaIntegration.prototype.getFigmaVariables = async () => changed;
+  try {
+    const second = await postJSON(handler, { action: 'import_figma_tokens', figmaUrl: 'https://www.figma.com/file/DIFF42/Digital-Studio-Fixture' });
+    assert.equal(second.statusCode, 200, second.body?.error);
+    assert.deepEqual(second.body.diff.changed, [{ token: 'color.brand.primary', mode: null, from: '#3366ff', to: '#ff0000' }]);
+    assert.deepEqual(second.body.diff.added, []);
+  } finally {
+    EnhancedFigmaIntegration.prototype.getFigmaVariables = async () => structuredClone(figmaVariables);
+  }
+});
+
+test('offline import translates the exported JSON and returns the archived image fills', async () => {
+  const zip = new JSZip();
+  zip.file('abc123.png', await sharp({ create: { width: 4, height: 4, channels: 3, background: '#3366ff' } }).png().toBuffer());
+  const res = await postJSON(handler, {
+    action: 'import_figma',
+    provider: 'fake',
+    platform: 'web',
+    figmaFile: JSON.stringify(figmaFile),
+    figmaVariables: JSON.stringify(figmaVariables),
+    figmaImages: await zip.generateAsync({ type: 'base64' })
+  });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.figmaData.offline, true);
+  assert.deepEqual(res.body.pages.map(page => page.name), ['Login', 'Home']);
+  assert.deepEqual(res.body.designTokens.report.modes, ['light', 'dark']);
+  const [asset] = res.body.assets;
+  assert.equal(asset.path, 'public/figma/abc123.png');
+  assert.equal(asset.mimeType, 'image/png');
+  assert.ok(asset.data);
+});
+
+test('offline screenshot imports need frame renders in the archive', async () => {
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'web', framework: 'Vue', figmaFile: JSON.stringify(figmaFile) });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'FIGMA_FRAME_RENDERS_REQUIRED');
+});
+
+test('SwiftUI import declares image sets only for fills in the figmaImages archive', async () => {
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'ios', figmaFile, figmaVariables });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  const files = res.body.projectFiles;
+  assert.ok(!Object.keys(files).some(path => path.includes('.imageset/')));
+  assert.ok(!Object.values(files).some(source => source.includes('Image("figma_abc123")')));
+  assert.match(files['DigitalStudioApp/Views/LoginView.swift'], /Color\(\.secondarySystemFill\)/);
+});
+
+test('SwiftUI import uses the image fills of the figmaImages archive', async () => {
+  const zip = new JSZip();
+  zip.file('abc123.png', await sharp({ create: { width: 4, height: 4, channels: 3, background: '#3366ff' } }).png().toBuffer());
+  const figmaImages = await zip.generateAsync({ type: 'base64' });
+  const res = await postJSON(handler, { action: 'import_figma', provider: 'fake', platform: 'ios', figmaFile, figmaVariables, figmaImages });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  const files = res.body.projectFiles;
+  assert.ok(files['DigitalStudioApp/Assets.xcassets/figma_abc123.imageset/Contents.json']);
+  assert.match(files['DigitalStudioApp/Views/LoginView.swift'], /Image\("figma_abc123"\)/);
+  assert.ok(res.body.assets[0].data);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+
+// Parse the SSE chunks written to the response double into [event, data] pairs
+function readEvents(res) {
+  return res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    return [event, JSON.parse(block.match(/^data: (.*)$/m)[1])];
+  });
+}
+
+test('single-screen React generation streams the analysis stage and the App file', async () => {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    stream: true,
+    images: [{ data: png, mimeType: 'image/png', originalname: 'home.png' }]
+  });
+
+  const events = readEvents(res);
+  const stages = events.filter(([event]) => event === 'stage').map(([, data]) => `${data.stage}:${data.status}`);
+  assert.ok(stages.includes('analysis:running'), stages.join(', '));
+  assert.ok(stages.includes('analysis:completed'), stages.join(', '));
+  assert.ok(events.some(([event, data]) => event === 'file-start' && data.path === 'src/App.jsx'));
+  assert.ok(events.some(([event, data]) => event === 'file-chunk' && data.path === 'src/App.jsx'));
+  assert.equal(events.at(-1)[0], 'result');
+  assert.ok(events.at(-1)[1].projectFiles['src/App.jsx']);
+});
@@ -0,0 +1,109 @@
+/**
+ * Test Helpers
+ * In-memory request and response doubles for calling the serverless handlers directly
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+
+/**
+ * Point the project store at a temporary directory removed after the file's tests; call before importing the API
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Directory path
+ */
+export function useTemporaryProjectStore(prefix = 'digital-studio-test-') {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.env.PROJECT_STORE = 'file';
+  process.env.PROJECTS_DIR = path.join(directory, 'projects');
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    chunks: [],
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    removeHeader(name) {
+      delete this.headers[name.toLowerCase()];
+    },
+    writeHead(code, headers = {}) {
+      this.statusCode = code;
+      Object.assign(this.headers, headers);
+    },
+    write(chunk) {
+      this.chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk) this.chunks.push(String(chunk));
+      this.ended = true;
+    },
+    flushHeaders() {},
+    on() {}
+  };
+}
+
+let requestCount = 0;
+
+/**
+ * Call a handler with a JSON body; each call gets its own client address so rate limiting never applies
+ * @param {Function} handler - Serverless handler
+ * @param {Object} body - Request body
+ * @returns {Object} - Response double with statusCode and body
+ */
+export async function postJSON(handler, body) {
+  const req = {
+    method: 'POST',
+    url: '/',
+    headers: { 'content-type': 'application/json', 'x-forwarded-for': `test-client-${++requestCount}` },
+    connection: {},
+    // Express and Vercel always parse a query object, even when it is empty
+    query: {},
+    body,
+    on() {}
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+/**
+ * Call a handler with query parameters, the way the projects endpoint is read
+ * @param {Function} handler - Serverless handler
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Response double with statusCode and body
+ */
+export async function getJSON(handler, query) {
+  const req = {
+    method: 'GET',
+    url: `/?${new URLSearchParams(query)}`,
+    headers: { 'x-forwarded-for': `test-client-${++requestCount}` },
+    connection: {},
+    query,
+    on() {}
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+const directory = useTemporaryProjectStore();
+process.env.JOB_STORE = 'file';
+process.env.JOBS_DIR = path.join(directory, 'jobs');
+const { default: handler } = await import('../api/unified-api.js');
+const { JobManager, MemoryJobStore, FileJobStore, JOB_STATUS } = await import('../api/jobs.js');
+const { providerRegistry } = await import('../api/utils/llm-providers.js');
+
+const fake = providerRegistry.get('fake');
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+
+afterEach(() => {
+  fake.delayMs = 0;
+});
+
+function submitJob() {
+  return postJSON(handler, {
+    action: 'submit_job',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'home.png' }]
+  });
+}
+
+// Poll until the job leaves the queue, giving up after a few seconds
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const res = await postJSON(handler, { action: 'job_status', jobId });
+    if (['completed', 'failed', 'cancelled'].includes(res.body.job?.status)) {
+      return res.body.job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+test('a submitted job runs to completion and reports its result', async () => {
+  const submitted = await submitJob();
+  assert.equal(submitted.statusCode, 202);
+  assert.match(submitted.body.jobId, /^job-/);
+
+  const job = await waitForJob(submitted.body.jobId);
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.progress, 100);
+  assert.ok(job.result.projectFiles['src/App.jsx']);
+
+  const unknown = await postJSON(handler, { action: 'job_status', jobId: 'job-00000000-0000-0000-0000-000000000000' });
+  assert.equal(unknown.statusCode, 404);
+});
+
+test('a running job can be cancelled once', async () => {
+  fake.delayMs = 200;
+  const submitted = await submitJob();
+
+  const cancelled = await postJSON(handler, { action: 'cancel_job', jobId: submitted.body.jobId });
+  assert.equal(cancelled.statusCode, 200);
+
+  const job = await waitForJob(submitted.body.jobId);
+  assert.equal(job.status, 'cancelled');
+
+  const again = await postJSON(handler, { action: 'cancel_job', jobId: submitted.body.jobId });
+  assert.equal(again.statusCode, 409);
+});
+
+test('the file store keeps finished jobs readable by a new manager', async () => {
+  const submitted = await submitJob();
+  await waitForJob(submitted.body.jobId);
+
+  // A fresh manager stands in for a restarted process sharing JOBS_DIR
+  const restarted = new JobManager(new FileJobStore(process.env.JOBS_DIR));
+  const job = await restarted.get(submitted.body.jobId);
+  assert.equal(job.status, 'completed');
+  assert.ok(job.result.projectFiles['src/App.jsx']);
+});
+
+test('finished jobs are pruned after the TTL from both stores', async () => {
+  for (const store of [new MemoryJobStore(), new FileJobStore(path.join(directory, 'pruned-jobs'))]) {
+    const manager = new JobManager(store, 60 * 1000, 0);
+    const finished = await manager.submit('generate_code', {}, async () => ({ done: true }));
+    const running = await manager.submit('generate_code', {}, () => new Promise(() => {}));
+    // Let the first runner settle so its job is terminal
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal((await store.get(finished.id)).status, JOB_STATUS.COMPLETED);
+
+    // completedAt has to fall strictly before "now" for a zero TTL
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await manager.prune(), 1);
+    assert.equal(await store.get(finished.id), null);
+    assert.equal((await store.get(running.id)).status, JOB_STATUS.RUNNING);
+  }
+});
+
+test('polling an expired job reports it as missing', async () => {
+  const manager = new JobManager(new MemoryJobStore(), 60 * 1000, 0);
+  const job = await manager.submit('generate_code', {}, async () => ({ done: true }));
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(await manager.get(job.id), null);
+  assert.equal(await manager.store.get(job.id), null);
+});
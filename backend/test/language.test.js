@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+test('web requests still validate language as JavaScript or TypeScript', async () => {
+  const res = await postJSON(handler, { action: 'generate_from_text', provider: 'fake', prompt: 'A login form', platform: 'web', language: 'Kotlin' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_LANGUAGE');
+});
+
+test('mobile requests carry their own language without failing web validation', async () => {
+  for (const [platform, language] of [['android', 'Kotlin'], ['ios', 'Swift']]) {
+    const res = await postJSON(handler, { action: 'generate_from_text', provider: 'fake', prompt: 'A login form', platform, language });
+    assert.equal(res.statusCode, 200, `${platform}: ${res.body?.error}`);
+  }
+});
+
+test('typescript is rejected for web frameworks that only generate JavaScript', async () => {
+  for (const framework of ['Vue', 'SvelteKit']) {
+    const res = await postJSON(handler, { action: 'generate_from_text', provider: 'fake', prompt: 'A login form', platform: 'web', framework, language: 'typescript' });
+    assert.equal(res.statusCode, 400, `${framework}: ${res.body?.error}`);
+    assert.equal(res.body.code, 'LANGUAGE_UNSUPPORTED');
+  }
+
+  const angular = await postJSON(handler, { action: 'generate_from_text', provider: 'fake', prompt: 'A login form', platform: 'web', framework: 'Angular', language: 'typescript' });
+  assert.equal(angular.statusCode, 200, angular.body?.error);
+});
@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+import { createModel, LocalProvider, OpenAIProvider, providerRegistry, resolveLLMSelection } from '../api/utils/llm-providers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+const fake = providerRegistry.get('fake');
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_MODEL;
+  fake.reset();
+});
+
+test('the request selection wins over the configured default provider', () => {
+  process.env.LLM_PROVIDER = 'openai';
+  process.env.LLM_MODEL = 'gpt-4o';
+
+  assert.deepEqual(resolveLLMSelection({}), { provider: 'openai', model: 'gpt-4o' });
+  // LLM_MODEL belongs to the default provider, so another provider keeps its own default model
+  assert.deepEqual(resolveLLMSelection({ provider: 'fake' }), { provider: 'fake', model: undefined });
+  assert.deepEqual(resolveLLMSelection({ provider: 'fake', model: 'fake-2' }), { provider: 'fake', model: 'fake-2' });
+});
+
+test('unknown providers are rejected with INVALID_PROVIDER', () => {
+  assert.throws(() => createModel({ provider: 'nope' }), { name: 'ValidationError', code: 'INVALID_PROVIDER' });
+});
+
+test('the OpenAI provider reports a missing OPENAI_API_KEY', () => {
+  const unconfigured = new OpenAIProvider({ apiKey: '' });
+
+  assert.equal(unconfigured.configurationError()?.code, 'PROVIDER_NOT_CONFIGURED');
+  assert.match(unconfigured.configurationError().message, /OPENAI_API_KEY/);
+  assert.throws(() => unconfigured.getModel(), { name: 'ProviderConfigurationError', provider: 'openai' });
+  assert.equal(new OpenAIProvider({ apiKey: 'sk-test' }).configurationError(), null);
+  assert.equal(new LocalProvider().configurationError(), null);
+});
+
+test('health reports the selected default provider when it is not configured', async (t) => {
+  // A key in the environment must not hide the missing-key report
+  providerRegistry.register('openai', () => new OpenAIProvider({ apiKey: '' }));
+  t.after(() => providerRegistry.register('openai', () => new OpenAIProvider()));
+  process.env.LLM_PROVIDER = 'openai';
+
+  const res = await postJSON(handler, { action: 'health' });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.services.llm.defaultProvider, 'openai');
+  assert.match(res.body.services.llm.configurationErrors.openai, /OPENAI_API_KEY/);
+  assert.throws(() => createModel({}), { code: 'PROVIDER_NOT_CONFIGURED' });
+});
+
+test('the fake provider answers deterministically and records its calls', async () => {
+  const model = createModel({ provider: 'fake' });
+  const first = (await model.generateContent('Describe the screen')).response.text();
+  const second = (await model.generateContent('Describe the screen')).response.text();
+
+  assert.equal(first, second);
+  assert.match(first, /export default function App\(\)/);
+  assert.deepEqual(fake.calls.map(call => call.prompt), ['Describe the screen', 'Describe the screen']);
+});
+
+test('generate_code runs on the provider named in the request', async () => {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'home.png' }]
+  });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.ok(fake.calls.length > 0);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+const images = [{ data: png, mimeType: 'image/png', originalname: 'login.png' }];
+
+test('language Java on android produces the Views and Java project', async () => {
+  const res = await postJSON(handler, { action: 'generate_code', provider: 'fake', platform: 'android', language: 'Java', images });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.framework, 'Java');
+  const paths = Object.keys(res.body.projectFiles);
+  assert.ok(paths.includes('app/src/main/java/com/digitalstudio/app/MainActivity.java'));
+  assert.ok(paths.includes('app/src/main/res/layout/fragment_login.xml'));
+  assert.ok(!paths.some(path => path.endsWith('.kt')));
+});
+
+test('language Kotlin on android keeps Compose output', async () => {
+  const res = await postJSON(handler, { action: 'generate_code', provider: 'fake', platform: 'android', language: 'Kotlin', images });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.framework, 'Kotlin');
+  assert.ok(res.body.projectFiles['app/src/main/java/com/digitalstudio/app/MainActivity.kt']);
+  assert.ok(!Object.keys(res.body.projectFiles).some(path => path.startsWith('app/src/main/res/layout/')));
+});
+
+test('language Objective-C on ios produces UIKit view controllers', async () => {
+  const res = await postJSON(handler, { action: 'generate_code', provider: 'fake', platform: 'ios', language: 'Objective-C', images });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.framework, 'Objective-C');
+  assert.ok(res.body.projectFiles['DigitalStudioApp/Screens/LoginViewController.m']);
+});
+
+test('native languages outside the platform are rejected', async () => {
+  const res = await postJSON(handler, { action: 'generate_code', provider: 'fake', platform: 'android', language: 'Swift', images });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_LANGUAGE');
+});
@@ -0,0 +1,108 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+import { providerRegistry } from '../api/utils/llm-providers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+const { projectManager } = await import('../api/project-store.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+const fake = providerRegistry.get('fake');
+
+afterEach(() => {
+  fake.responder = null;
+});
+
+async function generateProject() {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'home.png' }]
+  });
+  assert.equal(res.statusCode, 200, res.body?.error);
+  return res.body.projectId;
+}
+
+async function proposeEdit(projectId, instruction = 'Make the header sticky') {
+  const res = await postJSON(handler, { action: 'edit_project', provider: 'fake', projectId, instruction });
+  assert.equal(res.statusCode, 200, res.body?.error);
+  return res.body.patchSet;
+}
+
+test('edit_project proposes a pending patch set without saving a version', async () => {
+  const projectId = await generateProject();
+
+  const patchSet = await proposeEdit(projectId);
+
+  assert.equal(patchSet.status, 'pending');
+  assert.equal(patchSet.baseVersion, 1);
+  assert.equal(patchSet.edits.length, 1);
+  assert.equal(patchSet.edits[0].action, 'modify');
+  assert.match(patchSet.edits[0].content, /fake-provider edit/);
+  assert.match(patchSet.edits[0].diff, /^\+\/\/ fake-provider edit/m);
+  assert.equal((await projectManager.listVersions(projectId)).length, 1);
+  assert.equal((await projectManager.getConversation(projectId)).turns.length, 1);
+});
+
+test('accepting a patch set saves its edits as the next version', async () => {
+  const projectId = await generateProject();
+  const patchSet = await proposeEdit(projectId);
+  const [edit] = patchSet.edits;
+
+  const res = await postJSON(handler, { action: 'apply_edits', projectId, patchId: patchSet.id, accept: 'all' });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.status, 'applied');
+  assert.equal(res.body.version, 2);
+  assert.deepEqual(res.body.accepted, [edit.id]);
+  assert.equal((await projectManager.getCurrentVersion(projectId)).files[edit.path], edit.content);
+
+  const again = await postJSON(handler, { action: 'apply_edits', projectId, patchId: patchSet.id, accept: 'all' });
+  assert.equal(again.statusCode, 400);
+  assert.equal(again.body.code, 'PATCH_ALREADY_RESOLVED');
+});
+
+test('rejecting a patch set records it and keeps the current version', async () => {
+  const projectId = await generateProject();
+  const patchSet = await proposeEdit(projectId);
+
+  const res = await postJSON(handler, { action: 'apply_edits', projectId, patchId: patchSet.id, accept: [] });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.status, 'rejected');
+  assert.equal(res.body.version, 1);
+  assert.deepEqual(res.body.rejected, [patchSet.edits[0].id]);
+  assert.equal((await projectManager.listVersions(projectId)).length, 1);
+  const [turn] = (await projectManager.getConversation(projectId)).turns;
+  assert.equal(turn.status, 'rejected');
+});
+
+test('a patch set whose files changed since it was proposed conflicts', async () => {
+  const projectId = await generateProject();
+  const first = await proposeEdit(projectId);
+  const second = await proposeEdit(projectId, 'Add a footer');
+  assert.equal(second.edits[0].path, first.edits[0].path);
+
+  const applied = await postJSON(handler, { action: 'apply_edits', projectId, patchId: second.id, accept: 'all' });
+  assert.equal(applied.statusCode, 200, applied.body?.error);
+
+  const res = await postJSON(handler, { action: 'apply_edits', projectId, patchId: first.id, accept: 'all' });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'EDIT_CONFLICT');
+  assert.equal((await projectManager.listVersions(projectId)).length, 2);
+});
+
+test('a model reply that is not a patch set returns 502 and adds no turn', async () => {
+  const projectId = await generateProject();
+  fake.responder = () => 'Sure, I made the header sticky.';
+
+  const res = await postJSON(handler, { action: 'edit_project', provider: 'fake', projectId, instruction: 'Make the header sticky' });
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.code, 'INVALID_PATCH_SET');
+  assert.equal((await projectManager.getConversation(projectId)).turns.length, 0);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON, getJSON } from './helpers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+const { default: projectsHandler } = await import('../api/projects.js');
+const { projectManager } = await import('../api/project-store.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+
+async function generateProject() {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'login.png' }]
+  });
+  assert.equal(res.statusCode, 200, res.body?.error);
+  return res.body.projectId;
+}
+
+test('a generation creates a project whose versions can be read and restored', async () => {
+  const projectId = await generateProject();
+
+  const first = await getJSON(projectsHandler, { action: 'get_version', projectId, version: '1' });
+  assert.equal(first.statusCode, 200, first.body.error);
+  assert.equal(first.body.version.action, 'generate_code');
+  assert.ok(first.body.version.files['src/App.jsx']);
+  // Screenshots are stored once as blobs and referenced by hash
+  const [image] = first.body.version.inputs.images;
+  assert.equal(image.data, undefined);
+  assert.deepEqual(await projectManager.loadImages(projectId, [image]), [{ data: png, mimeType: 'image/png', originalname: 'login.png' }]);
+
+  await projectManager.recordVersion({
+    projectId,
+    action: 'edit_project',
+    platform: 'web',
+    framework: 'React',
+    files: { ...first.body.version.files, 'src/App.jsx': 'export default function App() { return null; }' }
+  });
+
+  const restored = await postJSON(projectsHandler, { action: 'restore', projectId, version: 1 });
+  assert.equal(restored.statusCode, 200, restored.body.error);
+  assert.equal(restored.body.version.number, 3);
+  assert.equal(restored.body.version.restoredFrom, 1);
+  assert.equal(restored.body.project.currentVersion, 3);
+
+  const versions = await getJSON(projectsHandler, { action: 'versions', projectId });
+  assert.equal(versions.statusCode, 200);
+  assert.equal(versions.body.currentVersion, 3);
+  assert.deepEqual(versions.body.versions.map(version => [version.number, version.action, version.parent]), [
+    [1, 'generate_code', null],
+    [2, 'edit_project', 1],
+    [3, 'restore', 2]
+  ]);
+
+  const current = await getJSON(projectsHandler, { action: 'get_version', projectId, version: '3' });
+  assert.deepEqual(current.body.version.files, first.body.version.files);
+  assert.deepEqual(current.body.version.inputs.images, first.body.version.inputs.images);
+});
+
+test('invalid project ids and version numbers are rejected', async () => {
+  const projectId = await generateProject();
+
+  for (const version of ['0', '1.5', 'latest']) {
+    const res = await getJSON(projectsHandler, { action: 'get_version', projectId, version });
+    assert.equal(res.statusCode, 400, `version ${version}`);
+  }
+
+  const missingVersion = await getJSON(projectsHandler, { action: 'get_version', projectId, version: '9' });
+  assert.equal(missingVersion.statusCode, 404);
+
+  const missingRestore = await postJSON(projectsHandler, { action: 'restore', projectId, version: 9 });
+  assert.equal(missingRestore.statusCode, 404);
+
+  for (const id of ['../outside', 'project-does-not-exist']) {
+    const versions = await getJSON(projectsHandler, { action: 'versions', projectId: id });
+    assert.equal(versions.statusCode, 404, id);
+    const version = await getJSON(projectsHandler, { action: 'get_version', projectId: id, version: '1' });
+    assert.equal(version.statusCode, 404, id);
+  }
+
+  await assert.rejects(
+    projectManager.recordVersion({ projectId: '../outside', action: 'generate_code', files: {} }),
+    { code: 'INVALID_PROJECT_ID' }
+  );
+  await assert.rejects(
+    projectManager.recordVersion({ projectId: 'project-does-not-exist', action: 'generate_code', files: {} }),
+    { code: 'PROJECT_NOT_FOUND' }
+  );
+});
+
+test('diff_versions reports added, removed and modified files between two versions', async () => {
+  const projectId = await generateProject();
+  const { files } = await projectManager.getVersion(projectId, 1);
+
+  await projectManager.recordVersion({
+    projectId,
+    action: 'edit_project',
+    platform: 'web',
+    framework: 'React',
+    files: { ...files, 'src/App.jsx': `${files['src/App.jsx']}\n// edited\n`, 'src/components/Button.jsx': 'export default function Button() {}\n' }
+  });
+
+  // Without from/to the current version is compared with its parent
+  const res = await getJSON(projectsHandler, { action: 'diff_versions', projectId });
+  assert.equal(res.statusCode, 200, res.body.error);
+  assert.equal(res.body.from, 1);
+  assert.equal(res.body.to, 2);
+  assert.deepEqual(res.body.added, ['src/components/Button.jsx']);
+  assert.deepEqual(res.body.removed, []);
+  assert.deepEqual(res.body.modified, ['src/App.jsx']);
+  assert.equal(res.body.stats.filesChanged, 2);
+
+  const app = res.body.files.find(file => file.path === 'src/App.jsx');
+  assert.equal(app.deletions, 0);
+  assert.ok(app.additions >= 1);
+  assert.match(app.diff, /^--- a\/src\/App\.jsx\n\+\+\+ b\/src\/App\.jsx\n@@ /);
+  assert.match(app.diff, /^\+\/\/ edited$/m);
+
+  // The reverse direction reports the new file as removed
+  const reverse = await getJSON(projectsHandler, { action: 'diff_versions', projectId, from: '2', to: '1' });
+  assert.deepEqual(reverse.body.added, []);
+  assert.deepEqual(reverse.body.removed, ['src/components/Button.jsx']);
+  assert.equal(reverse.body.files.find(file => file.path === 'src/App.jsx').deletions, app.additions);
+
+  const invalid = await getJSON(projectsHandler, { action: 'diff_versions', projectId, from: 'x' });
+  assert.equal(invalid.statusCode, 400);
+  const missing = await getJSON(projectsHandler, { action: 'diff_versions', projectId, from: '1', to: '7' });
+  assert.equal(missing.statusCode, 404);
+});
@@ -0,0 +1,79 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdvancedCodeGenerator } from '../api/advanced-features.js';
+import { providerRegistry } from '../api/utils/llm-providers.js';
+
+const fake = providerRegistry.get('fake');
+const image = { data: 'c2NyZWVu', mimeType: 'image/png' };
+const options = { framework: 'React', styling: 'Tailwind CSS', platform: 'web', llm: { provider: 'fake' } };
+const original = { 'src/App.jsx': 'export default function App() { return <main>original</main>; }' };
+
+afterEach(() => {
+  fake.reset();
+  fake.responder = null;
+});
+
+// Accuracy result shaped like scorePageAccuracy's, with a single region
+function accuracy(score) {
+  const region = { row: 0, col: 0, x: 0, y: 0, width: 8, height: 8, score, pixelMatch: score / 100, ssim: score / 100 };
+  return {
+    score,
+    pixelMatch: score / 100,
+    ssim: score / 100,
+    regions: [region],
+    worstRegions: score < 100 ? [region] : [],
+    heatmap: 'data:image/png;base64,aGVhdG1hcA==',
+    dimensions: { width: 8, height: 8 }
+  };
+}
+
+// Stand in for the headless renderer: each render scores the next value in turn
+function generatorScoring(scores) {
+  const generator = new AdvancedCodeGenerator();
+  const rendered = [];
+  generator.scoreRender = async (projectFiles) => {
+    rendered.push(projectFiles['src/App.jsx']);
+    return accuracy(scores[rendered.length - 1]);
+  };
+  return { generator, rendered };
+}
+
+test('refine stops once a correction reaches the accuracy threshold', async () => {
+  const { generator, rendered } = generatorScoring([60, 95]);
+  let correction = 0;
+  fake.responder = () => `export default function App() { return <main>correction ${++correction}</main>; }`;
+  const iterations = [];
+
+  const result = await generator.refineWithVisualFeedback(original, image, options, {
+    threshold: 90,
+    maxIterations: 3,
+    onIteration: (iteration) => iterations.push(iteration)
+  });
+
+  assert.equal(fake.calls.length, 1);
+  assert.match(fake.calls[0].prompt, /scored 60% visual accuracy; the target is 90%/);
+  assert.equal(fake.calls[0].images, 2);
+  assert.equal(rendered[1], result.projectFiles['src/App.jsx']);
+  assert.match(result.projectFiles['src/App.jsx'], /correction 1/);
+  assert.equal(result.accuracyResult.score, 95);
+  assert.deepEqual(iterations.map(entry => entry.score), [60, 95]);
+  assert.equal(result.refinement.stoppedBecause, 'threshold');
+  assert.equal(result.refinement.bestIteration, 1);
+  assert.deepEqual(result.refinement.history.map(entry => entry.score), [60, 95]);
+});
+
+test('refine keeps the best version when corrections regress and the budget runs out', async () => {
+  const { generator, rendered } = generatorScoring([70, 50, 65]);
+  fake.responder = () => 'export default function App() { return <main>worse</main>; }';
+
+  const result = await generator.refineWithVisualFeedback(original, image, options, { threshold: 90, maxIterations: 2 });
+
+  assert.equal(rendered.length, 3);
+  assert.equal(result.projectFiles['src/App.jsx'], original['src/App.jsx']);
+  // Every correction starts from the best version so far, not the last attempt
+  assert.ok(fake.calls.every(call => call.prompt.includes('<main>original</main>')));
+  assert.equal(result.refinement.stoppedBecause, 'budget');
+  assert.equal(result.refinement.iterations, 2);
+  assert.equal(result.refinement.bestIteration, 0);
+  assert.deepEqual(result.refinement.history.map(entry => entry.score), [70, 50, 65]);
+});
@@ -0,0 +1,63 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+import { providerRegistry } from '../api/utils/llm-providers.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+const { projectManager } = await import('../api/project-store.js');
+
+const fake = providerRegistry.get('fake');
+
+afterEach(() => {
+  fake.responder = null;
+  fake.reset();
+});
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+
+async function generateProject() {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [{ data: png, mimeType: 'image/png', originalname: 'login.png' }]
+  });
+  assert.equal(res.statusCode, 200, res.body?.error);
+  return res.body.projectId;
+}
+
+test('regenerating a screen to identical output saves no new version', async () => {
+  // The same component for every code prompt, so regenerating reproduces the saved screen
+  fake.responder = prompt => fake.defaultResponse(/\bJSON\b/.test(prompt) ? prompt : 'screen');
+  const projectId = await generateProject();
+
+  const res = await postJSON(handler, { action: 'regenerate', provider: 'fake', projectId, target: 'screen', screen: '1' });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.unchanged, true);
+  assert.equal(res.body.version, 1);
+  assert.equal(res.body.changes.stats.filesChanged, 0);
+  assert.equal((await projectManager.listVersions(projectId)).length, 1);
+});
+
+test('regenerating a screen with a replacement screenshot saves a new version', async () => {
+  const projectId = await generateProject();
+  const replacement = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } }).png().toBuffer()).toString('base64');
+
+  const res = await postJSON(handler, {
+    action: 'regenerate',
+    provider: 'fake',
+    projectId,
+    target: 'screen',
+    screen: '1',
+    images: [{ data: replacement, mimeType: 'image/png' }]
+  });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.equal(res.body.unchanged, false);
+  assert.equal(res.body.version, 2);
+  assert.equal((await projectManager.listVersions(projectId)).length, 2);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transform } from 'esbuild';
+import sharp from 'sharp';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+import { buildScreenFlow } from '../api/utils/screen-flow.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+const png = (await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+const image = (originalname) => ({ data: png, mimeType: 'image/png', originalname });
+
+test('screens named after router shell identifiers get a Page suffix', () => {
+  const flow = buildScreenFlow(
+    [{ originalname: 'app.png' }, { originalname: 'routes.png' }, { originalname: 'app-page.png' }, { originalname: 'home.png' }],
+    'app -> home'
+  );
+
+  assert.deepEqual(flow.screens.map(entry => entry.name), ['AppPage', 'RoutesPage', 'AppPage2', 'Home']);
+  assert.deepEqual(flow.transitions, [{ from: 'AppPage', to: 'Home', trigger: '' }]);
+});
+
+test('multi-screen React generation with an App screen emits a router shell that compiles', async () => {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    images: [image('app.png'), image('navigate.png')]
+  });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  const files = res.body.projectFiles;
+  const app = files['src/App.jsx'];
+  assert.match(app, /import AppPage from '\.\/pages\/AppPage';/);
+  assert.match(app, /import NavigatePage from '\.\/pages\/NavigatePage';/);
+  assert.ok(files['src/pages/AppPage.jsx']);
+  await assert.doesNotReject(transform(app, { loader: 'jsx' }));
+});
+
+test('multi-screen React generation validates project options like the single-screen path', async () => {
+  const res = await postJSON(handler, {
+    action: 'generate_code',
+    provider: 'fake',
+    platform: 'web',
+    framework: 'React',
+    architecture: 'Spaghetti',
+    images: [image('app.png'), image('home.png')]
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_ARCHITECTURE');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transform } from 'esbuild';
+import { useTemporaryProjectStore, postJSON } from './helpers.js';
+import { validateUIIR } from '../api/utils/ui-ir.js';
+
+useTemporaryProjectStore();
+const { default: handler } = await import('../api/unified-api.js');
+
+const screen = (id, name, children) => ({
+  id,
+  name,
+  width: 390,
+  height: 844,
+  root: { id: `${id}-root`, type: 'container', layout: { direction: 'column', gap: 12, padding: [24, 24, 24, 24] }, children }
+});
+
+const uiIR = {
+  version: 1,
+  screens: [
+    screen('login', 'Login', [
+      { id: 'login-title', type: 'text', text: 'Welcome back', style: { fontSize: 28, fontWeight: 700 } },
+      { id: 'login-email', type: 'input', inputType: 'email', text: 'Email' },
+      { id: 'login-submit', type: 'button', text: 'Sign in', interaction: { navigate: 'Home' } }
+    ]),
+    screen('home', 'Home', [{ id: 'home-title', type: 'text', text: 'Home' }])
+  ]
+};
+
+test('validateUIIR reports duplicate ids and misplaced fields by path', () => {
+  const ir = structuredClone(uiIR);
+  ir.screens[1].root.children.push({ id: 'login-title', type: 'text', text: 'Again' });
+  ir.screens[0].root.children[0].children = [{ id: 'nested', type: 'text', text: 'Nested' }];
+  ir.screens[0].root.children[2].text = ' ';
+
+  const { valid, errors } = validateUIIR(ir);
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'screens[0].root.children[0].children are only allowed on container nodes',
+    'screens[0].root.children[2].text is required for button nodes',
+    'screens[1].root.children[1].id "login-title" is used more than once'
+  ]);
+});
+
+test('generate_from_ir rejects IR that does not match the schema', async () => {
+  const res = await postJSON(handler, { action: 'generate_from_ir', uiIR: { version: 2, screens: [] } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_UI_IR');
+  assert.ok(res.body.errors.length > 0);
+
+  const unparsable = await postJSON(handler, { action: 'generate_from_ir', uiIR: '{ not json' });
+  assert.equal(unparsable.statusCode, 400);
+  assert.equal(unparsable.body.code, 'INVALID_UI_IR');
+});
+
+test('generate_from_ir only targets React, Compose and SwiftUI', async () => {
+  const res = await postJSON(handler, { action: 'generate_from_ir', platform: 'web', framework: 'Vue', uiIR });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'UI_IR_UNSUPPORTED_TARGET');
+});
+
+test('generate_from_ir emits a routed React project that compiles', async () => {
+  const res = await postJSON(handler, { action: 'generate_from_ir', provider: 'fake', platform: 'web', framework: 'React', uiIR });
+
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.deepEqual(res.body.pages.map(page => [page.name, page.route]), [['Login', '/'], ['Home', '/home']]);
+  const files = res.body.projectFiles;
+  assert.deepEqual(res.body.navigation, [{ from: 'Login', to: 'Home', trigger: 'Sign in button' }]);
+  assert.match(files['src/pages/Login.jsx'], /<input className="login__email" type="email" placeholder="Email" \/>/);
+  assert.match(files['src/pages/Login.jsx'], /onClick=\{\(\) => navigate\('\/home'\)\}/);
+  for (const path of ['src/App.jsx', 'src/pages/Login.jsx', 'src/pages/Home.jsx']) {
+    await assert.doesNotReject(transform(files[path], { loader: 'jsx' }), path);
+  }
+});
+
+test('generate_from_ir emits SwiftUI and Compose screens with their navigation callbacks', async () => {
+  const ios = await postJSON(handler, { action: 'generate_from_ir', provider: 'fake', platform: 'ios', uiIR });
+  assert.equal(ios.statusCode, 200, ios.body?.error);
+  assert.deepEqual(ios.body.pages.map(page => page.path), ['DigitalStudioApp/Views/LoginView.swift', 'DigitalStudioApp/Views/HomeView.swift']);
+  assert.match(ios.body.projectFiles['DigitalStudioApp/Views/LoginView.swift'], /struct LoginView: View \{\n    var onNavigateToHome: \(\) -> Void = \{\}/);
+
+  const android = await postJSON(handler, { action: 'generate_from_ir', provider: 'fake', platform: 'android', uiIR });
+  assert.equal(android.statusCode, 200, android.body?.error);
+  const screenPath = 'app/src/main/java/com/digitalstudio/app/ui/screens/LoginScreen.kt';
+  assert.equal(android.body.pages[0].path, screenPath);
+  assert.match(android.body.projectFiles[screenPath], /fun LoginScreen\(\n    onNavigateToHome: \(\) -> Unit = \{\}\n\)/);
+});
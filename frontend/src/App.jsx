@@ -5,9 +5,11 @@ import AdvancedReactPreview from './components/advanced-react-preview';
 import PrototypeLabFlow from './components/PrototypeLabFlow';
 import AndroidLabFlow from './components/AndroidLabFlow';
 import IOSLabFlow from './components/IOSLabFlow';
+import CrossPlatformLabFlow from './components/CrossPlatformLabFlow';
 import ProjectFileExplorer from './components/ProjectFileExplorer';
 import CodeViewer from './components/CodeViewer';
 import { StandardBackButton, AccessibleText } from './components/UIComponents';
+import { readEventStream, STAGE_TO_AGENT, toAgentStatus } from './utils/eventStream';
 
 // --- Reusable UI Components ---
 
@@ -52,17 +54,19 @@ const WorkflowStatus = ({ status, error }) => {
             <h3 className="text-lg font-bold text-white mb-4">Generation Progress</h3>
             <div className="space-y-4">
                 {agents.map(agent => {
-                    const currentStatus = status[agent.id] || 'pending'; // pending, running, completed
+                    const currentStatus = status[agent.id] || 'pending'; // pending, running, completed, skipped, error
                     const isCompleted = currentStatus === 'completed';
                     const isRunning = currentStatus === 'running';
+                    const isFailed = currentStatus === 'error';
+                    const isSkipped = currentStatus === 'skipped';
                     return (
-                        <div key={agent.id} className={`flex items-center gap-4 p-3 rounded-lg transition-all duration-300 ${isRunning ? 'bg-green-500/20' : ''} ${isCompleted ? 'bg-green-500/30' : ''}`}>
-                            <div className={`w-10 h-10 rounded-full flex items-center justify-center transition-all duration-300 ${isCompleted ? 'bg-green-500' : isRunning ? 'bg-green-500/50 animate-pulse' : 'bg-gray-600'}`}>
-                                {isCompleted ? <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="M20 6 9 17l-5-5"/></svg> : agent.icon}
+                        <div key={agent.id} className={`flex items-center gap-4 p-3 rounded-lg transition-all duration-300 ${isRunning ? 'bg-green-500/20' : ''} ${isCompleted ? 'bg-green-500/30' : ''} ${isFailed ? 'bg-red-500/20' : ''}`}>
+                            <div className={`w-10 h-10 rounded-full flex items-center justify-center transition-all duration-300 ${isCompleted ? 'bg-green-500' : isRunning ? 'bg-green-500/50 animate-pulse' : isFailed ? 'bg-red-500' : 'bg-gray-600'}`}>
+                                {isCompleted ? <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="M20 6 9 17l-5-5"/></svg> : isFailed ? <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg> : agent.icon}
                             </div>
                             <div>
-                                <p className={`font-semibold ${isCompleted || isRunning ? 'text-white' : 'text-gray-400'}`}>{agent.name}</p>
-                                <p className="text-sm text-gray-400">{isRunning ? status.text : isCompleted ? 'Completed' : 'Pending'}</p>
+                                <p className={`font-semibold ${isCompleted || isRunning || isFailed ? 'text-white' : 'text-gray-400'}`}>{agent.name}</p>
+                                <p className={`text-sm ${isFailed ? 'text-red-300' : 'text-gray-400'}`}>{isRunning ? status.text : isCompleted ? 'Completed' : isFailed ? 'Failed' : isSkipped ? 'Skipped' : 'Pending'}</p>
                             </div>
                         </div>
                     )
@@ -173,6 +177,9 @@ const PrototypeView = ({ onNavigate, isJsZipLoaded }) => {
     const [isPreviewing, setIsPreviewing] = useState(false);
     const [previewUrl, setPreviewUrl] = useState('');
     const [accuracyResult, setAccuracyResult] = useState(null);
+    const [refinement, setRefinement] = useState(null);
+    const [scoreAccuracy, setScoreAccuracy] = useState(false);
+    const [refineOutput, setRefineOutput] = useState(false);
     const [figmaUrl, setFigmaUrl] = useState('');
     const [loadingText, setLoadingText] = useState('');
     const [error, setError] = useState('');
@@ -257,6 +264,7 @@ const PrototypeView = ({ onNavigate, isJsZipLoaded }) => {
         setError('');
         setGeneratedFiles({});
         setAccuracyResult(null);
+        setRefinement(null);
 
         const formData = new FormData();
         const orderedFiles = flowOrder.filter(Boolean);
@@ -265,34 +273,56 @@ const PrototypeView = ({ onNavigate, isJsZipLoaded }) => {
         if (stylesheetContent) formData.append('stylesheet', stylesheetContent);
         if (Object.keys(designTokens).length > 0) formData.append('designTokens', JSON.stringify(designTokens));
         formData.append('projectName', projectName);
+        if (scoreAccuracy) formData.append('scoreAccuracy', 'true');
+        if (refineOutput) formData.append('refine', 'true');
+        formData.append('stream', 'true');
 
         try {
             setWorkflowStatus({ text: 'Architect: Analyzing project structure...', architect: 'running' });
             const response = await fetch('https://digital-studio-vm.vercel.app/api/generate-code', {
                 method: 'POST',
+                headers: { Accept: 'text/event-stream' },
                 body: formData,
             });
             if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
-            
-            setWorkflowStatus(prev => ({ ...prev, text: 'Component Builder: Creating reusable components...', architect: 'completed', builder: 'running' }));
-            await new Promise(res => setTimeout(res, 800));
 
-            setWorkflowStatus(prev => ({ ...prev, text: 'Page Composer: Assembling pages...', builder: 'completed', composer: 'running' }));
-            await new Promise(res => setTimeout(res, 800));
-            
-            const data = await response.json();
+            let result = null;
+            await readEventStream(response, (event, data) => {
+                if (event === 'stage') {
+                    const agent = STAGE_TO_AGENT[data.stage];
+                    if (!agent) return;
+                    setWorkflowStatus(prev => ({
+                        ...prev,
+                        [agent]: toAgentStatus(data.status),
+                        text: data.status === 'running' && data.message ? data.message : prev.text,
+                    }));
+                } else if (event === 'refine') {
+                    const score = data.score === null ? 'failed to build' : `scored ${data.score}%`;
+                    setWorkflowStatus(prev => ({ ...prev, text: `Refining ${data.page || 'page'}: pass ${data.iteration} ${score}` }));
+                } else if (event === 'file-start') {
+                    setGeneratedFiles(prev => ({ ...prev, [data.path]: '' }));
+                } else if (event === 'file-chunk') {
+                    setGeneratedFiles(prev => ({ ...prev, [data.path]: (prev[data.path] || '') + data.delta }));
+                } else if (event === 'file') {
+                    setGeneratedFiles(prev => ({ ...prev, [data.path]: data.content }));
+                } else if (event === 'result') {
+                    result = data;
+                } else if (event === 'error') {
+                    throw new Error(data.error || 'Generation failed');
+                }
+            });
 
-            setWorkflowStatus(prev => ({ ...prev, text: 'Finisher & QA: Finalizing and checking quality...', composer: 'completed', finisher: 'running' }));
-            await new Promise(res => setTimeout(res, 800));
+            if (!result) throw new Error('Generation stream ended without a result');
 
-            setGeneratedFiles(data.files || {});
-            setAccuracyResult(data.accuracyResult);
+            setGeneratedFiles(result.projectFiles || {});
+            setAccuracyResult(result.accuracyResult);
+            setRefinement(result.refinement);
             setWorkflowStatus({ text: 'Done!', architect: 'completed', builder: 'completed', composer: 'completed', finisher: 'completed' });
 
         } catch (error) {
             console.error('Error generating code:', error);
             setError(error.message);
-            setWorkflowStatus({ text: `Error: ${error.message}`, architect: 'completed', builder: 'completed', composer: 'completed', finisher: 'error' });
+            setWorkflowStatus(prev => ({ ...prev, text: `Error: ${error.message}`, finisher: 'error' }));
         } finally {
             setTimeout(() => setIsLoading(false), 2000);
         }
@@ -455,6 +485,14 @@ const PrototypeView = ({ onNavigate, isJsZipLoaded }) => {
                                 <button onClick={handleDownload} disabled={Object.keys(generatedFiles).length === 0 || !isJsZipLoaded} className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-bold py-3 px-4 rounded-lg transition-colors">Download Codebase</button>
                                 <input type="text" value={projectName} onChange={(e) => setProjectName(e.target.value)} placeholder="Enter Project Name" className="bg-gray-700 border border-gray-600 rounded-md py-2 px-4 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500/50"/>
                             </div>
+                            <label className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+                                <input type="checkbox" checked={scoreAccuracy} onChange={(e) => setScoreAccuracy(e.target.checked)} className="accent-green-600" />
+                                Score visual accuracy against the screens (slower)
+                            </label>
+                            <label className="flex items-center gap-2 mt-2 text-sm text-gray-300">
+                                <input type="checkbox" checked={refineOutput} onChange={(e) => setRefineOutput(e.target.checked)} className="accent-green-600" />
+                                Refine until the render matches the screens (slower)
+                            </label>
                              <ErrorDisplay message={error} />
                         </div>
                     )}
@@ -474,6 +512,17 @@ const PrototypeView = ({ onNavigate, isJsZipLoaded }) => {
                                         <div className="text-4xl font-bold text-green-400">{accuracyResult.score}%</div>
                                         <p className="text-gray-400">{accuracyResult.justification}</p>
                                     </div>
+                                    {refinement && (refinement.pages || [refinement]).map(pass => (
+                                        <p key={pass.entry} className="text-xs text-gray-400 mt-2">
+                                            {pass.page ? `${pass.page}: ` : ''}score history {pass.history.map(step => (step.score === null ? 'build failed' : `${step.score}%`)).join(' → ')} ({pass.stoppedBecause === 'threshold' ? `reached ${pass.threshold}%` : 'iteration budget used'})
+                                        </p>
+                                    ))}
+                                    {(accuracyResult.pages || [accuracyResult]).filter(result => result.heatmap).map(result => (
+                                        <figure key={result.entry} className="mt-3">
+                                            <figcaption className="text-xs text-gray-400 mb-1">{result.name || result.entry}: {result.score}% (red marks differences)</figcaption>
+                                            <img src={result.heatmap} alt={`Difference heatmap for ${result.name || result.entry}`} className="max-w-full rounded border border-gray-700" />
+                                        </figure>
+                                    ))}
                                 </div>
                             )}
                             <pre className="p-4 bg-gray-800 rounded-b-lg text-sm"><code className="font-mono whitespace-pre-wrap break-all">{Object.entries(generatedFiles).map(([path, code]) => `// --- FILENAME: ${path} ---\n${code}`).join('\n\n')}</code></pre>
@@ -527,9 +576,10 @@ const AppLabLandingView = ({ onNavigate }) => (
                             <span className="text-white">Choose Your Platform</span>
                         </h1>
                         <section>
-                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-6">
+                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-6">
                                 <ServiceCard title="Android" svgPath="M4.33 2.86a2 2 0 012.02 0l8.29 4.28a2 2 0 011.36 1.86v7.14a2 2 0 01-1.36 1.86l-8.29 4.28a2 2 0 01-2.02 0l-8.29-4.28a2 2 0 01-1.36-1.86V8.86a2 2 0 011.36-1.86l8.29-4.28zM9 12a3 3 0 100-6 3 3 0 000 6z" onClick={() => onNavigate('android')} />
                                 <ServiceCard title="iOS" svgPath="M12 18h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z" onClick={() => onNavigate('ios')} />
+                                <ServiceCard title="Flutter / React Native" svgPath="M8 17h.01M4 20h8a1 1 0 001-1V5a1 1 0 00-1-1H4a1 1 0 00-1 1v14a1 1 0 001 1zM16 7h4a1 1 0 011 1v11a1 1 0 01-1 1h-4m2-3h.01" onClick={() => onNavigate('cross-platform')} />
                                 <ServiceCard title="Progressive Web App" svgPath="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9V3m0 18a9 9 0 009-9m-9 9a9 9 0 00-9-9" onClick={() => onNavigate('app-lab-generate', 'pwa')} />
                             </div>
                         </section>
@@ -1053,6 +1103,8 @@ function App() {
             return <AndroidLabFlow onNavigate={handleNavigate} />;
         case 'ios':
             return <IOSLabFlow onNavigate={handleNavigate} />;
+        case 'cross-platform':
+            return <CrossPlatformLabFlow onNavigate={handleNavigate} />;
             case 'app-lab-landing':
                 return <AppLabLandingView onNavigate={handleNavigate} />;
             case 'app-lab-generate':
@@ -195,8 +195,10 @@ const AndroidLabFlow = ({ onNavigate }) => {
                 formData.append('screenOrder', index);
             });
             
-            formData.append('platform', 'android');
+            // Flutter and React Native have their own cross-platform generators
+            formData.append('platform', { Flutter: 'flutter', 'React Native': 'react-native' }[uiFramework] || 'android');
             formData.append('framework', language);
+            formData.append('uiFramework', uiFramework);
             formData.append('architecture', architecture);
             formData.append('customLogic', customLogic);
             formData.append('routing', routing);
@@ -239,7 +241,13 @@ const AndroidLabFlow = ({ onNavigate }) => {
 
     const handleDownload = () => {
         if (!generatedProject || !generatedProject.projectFiles) return;
-        
+
+        // The backend checks the Gradle setup; a project that would not sync is not packaged
+        if (generatedProject.buildCheck && !generatedProject.buildCheck.valid) {
+            alert(`This Android project failed the Gradle structure check:\n\n- ${generatedProject.buildCheck.errors.join('\n- ')}\n\nPlease regenerate the project.`);
+            return;
+        }
+
         // Import JSZip dynamically
         import('jszip').then(JSZip => {
             const zip = new JSZip.default();
@@ -397,7 +405,11 @@ const AndroidLabFlow = ({ onNavigate }) => {
                                 {['Kotlin', 'Java'].map((option) => (
                                     <button
                                         key={option}
-                                        onClick={() => setLanguage(option)}
+                                        onClick={() => {
+                                            setLanguage(option);
+                                            // Jetpack Compose needs Kotlin; Java projects use XML layouts
+                                            if (option === 'Java' && uiFramework === 'Jetpack Compose') setUiFramework('XML Layouts');
+                                        }}
                                         className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
                                             language === option
                                                 ? 'bg-blue-500 text-white border border-blue-400'
@@ -438,7 +450,8 @@ const AndroidLabFlow = ({ onNavigate }) => {
                                     <button
                                         key={option}
                                         onClick={() => setUiFramework(option)}
-                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                                        disabled={option === 'Jetpack Compose' && language === 'Java'}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
                                             uiFramework === option
                                                 ? 'bg-blue-500 text-white border border-blue-400'
                                                 : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
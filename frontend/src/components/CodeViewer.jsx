@@ -1,11 +1,59 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+// Pair each run of removed lines with the added lines that follow it so edits sit on one row
+const toSideBySideRows = (hunks = []) => hunks.map(hunk => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  hunk.lines.forEach(line => {
+    if (line.type === 'remove') {
+      if (added.length) flush();
+      removed.push(line);
+    } else if (line.type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+
+  return { header: `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`, rows };
+});
+
+const DiffCell = ({ line, number }) => {
+  const background = !line ? 'bg-gray-800' :
+    line.type === 'remove' ? 'bg-red-900/40' :
+    line.type === 'add' ? 'bg-green-900/40' : '';
+
+  return (
+    <>
+      <td className={`w-12 px-2 text-right text-gray-500 select-none align-top ${background}`}>{number ?? ''}</td>
+      <td className={`px-2 whitespace-pre align-top border-r border-gray-700 ${background}`}>{line ? line.text : ''}</td>
+    </>
+  );
+};
+
+const CodeViewer = ({ fileName, content, language = 'javascript', diff }) => {
+  const [mode, setMode] = useState('diff');
+  const showDiff = Boolean(diff) && mode === 'diff';
 
-const CodeViewer = ({ fileName, content, language = 'javascript' }) => {
   const getLanguageFromFile = (fileName) => {
     const extension = fileName?.split('.').pop();
     const langMap = {
       'jsx': 'javascript',
       'js': 'javascript',
+      'tsx': 'typescript',
+      'ts': 'typescript',
       'json': 'json',
       'css': 'css',
       'html': 'html',
@@ -16,7 +64,7 @@ const CodeViewer = ({ fileName, content, language = 'javascript' }) => {
 
   const copyToClipboard = async () => {
     try {
-      await navigator.clipboard.writeText(content);
+      await navigator.clipboard.writeText(showDiff ? diff.diff : content);
       // You could add a toast notification here
     } catch (err) {
       console.error('Failed to copy:', err);
@@ -25,9 +73,9 @@ const CodeViewer = ({ fileName, content, language = 'javascript' }) => {
 
   const downloadFile = () => {
     const element = document.createElement('a');
-    const file = new Blob([content], { type: 'text/plain' });
+    const file = new Blob([showDiff ? diff.diff : content], { type: 'text/plain' });
     element.href = URL.createObjectURL(file);
-    element.download = fileName || 'file.txt';
+    element.download = showDiff ? `${(fileName || 'file').split('/').pop()}.diff` : fileName || 'file.txt';
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
@@ -36,8 +84,24 @@ const CodeViewer = ({ fileName, content, language = 'javascript' }) => {
   return (
     <div className="bg-gray-900 border border-gray-700 rounded-lg overflow-hidden">
       <div className="bg-gray-800 px-4 py-2 border-b border-gray-700 flex justify-between items-center">
-        <h4 className="text-white font-medium">{fileName || 'Code'}</h4>
+        <h4 className="text-white font-medium">
+          {fileName || 'Code'}
+          {diff && (
+            <span className="ml-2 text-sm">
+              <span className="text-green-400">+{diff.additions}</span>{' '}
+              <span className="text-red-400">-{diff.deletions}</span>
+            </span>
+          )}
+        </h4>
         <div className="flex gap-2">
+          {diff && (
+            <button
+              onClick={() => setMode(mode === 'diff' ? 'code' : 'diff')}
+              className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-700"
+            >
+              {mode === 'diff' ? 'Show Code' : 'Show Changes'}
+            </button>
+          )}
           <button
             onClick={copyToClipboard}
             className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700"
@@ -52,11 +116,34 @@ const CodeViewer = ({ fileName, content, language = 'javascript' }) => {
           </button>
         </div>
       </div>
-      <pre className="p-4 text-sm text-gray-200 overflow-x-auto max-h-96 overflow-y-auto">
-        <code className={`language-${getLanguageFromFile(fileName)}`}>
-          {content}
-        </code>
-      </pre>
+      {showDiff ? (
+        <div className="text-sm text-gray-200 font-mono overflow-x-auto max-h-96 overflow-y-auto">
+          {diff.hunks.length === 0 && (
+            <p className="p-4 text-gray-400">No line changes</p>
+          )}
+          <table className="w-full border-collapse">
+            {toSideBySideRows(diff.hunks).map(({ header, rows }, hunkIndex) => (
+              <tbody key={hunkIndex}>
+                <tr>
+                  <td colSpan={4} className="px-2 py-1 bg-gray-800 text-blue-300">{header}</td>
+                </tr>
+                {rows.map(({ left, right }, rowIndex) => (
+                  <tr key={rowIndex}>
+                    <DiffCell line={left} number={left?.oldNumber} />
+                    <DiffCell line={right} number={right?.newNumber} />
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      ) : (
+        <pre className="p-4 text-sm text-gray-200 overflow-x-auto max-h-96 overflow-y-auto">
+          <code className={`language-${getLanguageFromFile(fileName)}`}>
+            {content}
+          </code>
+        </pre>
+      )}
     </div>
   );
 };
@@ -0,0 +1,681 @@
+import React, { useState } from 'react';
+import FigmaImportModal from './FigmaImportModal';
+import GitHubImportModal from './GitHubImportModal';
+
+const CrossPlatformLabFlow = ({ onNavigate }) => {
+    const [currentScreen, setCurrentScreen] = useState(1);
+    const [target, setTarget] = useState('Flutter');
+    const [architecture, setArchitecture] = useState('MVVM');
+    const [styling, setStyling] = useState('StyleSheet');
+    const [uploadedScreens, setUploadedScreens] = useState([]);
+    const [generatedCode, setGeneratedCode] = useState('');
+    const [generatedProject, setGeneratedProject] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [showLogicPopup, setShowLogicPopup] = useState(false);
+    const [customLogic, setCustomLogic] = useState('');
+    const [routing, setRouting] = useState('');
+    const [isDragging, setIsDragging] = useState(false);
+    const [showFigmaModal, setShowFigmaModal] = useState(false);
+    const [showGitHubModal, setShowGitHubModal] = useState(false);
+
+    // Backend platform id; Flutter projects are themed in Dart, so styling only applies to React Native
+    const platform = target === 'Flutter' ? 'flutter' : 'react-native';
+    const projectStyling = target === 'Flutter' ? 'Material 3' : styling;
+
+    const handleFileUpload = (files) => {
+        const newScreens = Array.from(files).map((file, index) => ({
+            id: Date.now() + index,
+            name: file.name,
+            url: URL.createObjectURL(file),
+            file: file
+        }));
+        setUploadedScreens(prev => [...prev, ...newScreens]);
+    };
+
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        setIsDragging(true);
+    };
+
+    const handleDragLeave = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        const files = Array.from(e.dataTransfer.files);
+        handleFileUpload(files);
+    };
+
+    // Figma import function
+    const handleFigmaImport = async (figmaUrl) => {
+        setIsGenerating(true);
+        try {
+            const response = await fetch('https://digital-studio-vm.vercel.app/api/unified-api', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    action: 'import_figma',
+                    figmaUrl,
+                    platform,
+                    framework: target,
+                    styling: projectStyling,
+                    architecture,
+                    includeAnalysis: true,
+                    colorExtraction: true,
+                    pixelPerfect: true
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            
+            if (data.success) {
+                setGeneratedCode(data.mainCode || '// Generated code will appear here');
+                setGeneratedProject(data.projectFiles ? data : null);
+                setCurrentScreen(2);
+            } else {
+                throw new Error(data.error || 'Import failed');
+            }
+
+        } catch (error) {
+            console.error('Error importing from Figma:', error);
+            throw error; // Re-throw to be handled by the modal
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    // GitHub import function
+    const handleGitHubImport = async (githubUrl) => {
+        setIsGenerating(true);
+        try {
+            const response = await fetch('https://digital-studio-vm.vercel.app/api/unified-api', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    action: 'github_export',
+                    githubUrl,
+                    platform,
+                    framework: target,
+                    styling: projectStyling,
+                    architecture
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            
+            if (data.success) {
+                setGeneratedCode(data.mainCode || '// Generated code will appear here');
+                setGeneratedProject(data.projectFiles ? data : null);
+                setCurrentScreen(2);
+            } else {
+                throw new Error(data.error || 'Import failed');
+            }
+
+        } catch (error) {
+            console.error('Error importing from GitHub:', error);
+            throw error; // Re-throw to be handled by the modal
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const handleGenerateCode = async () => {
+        setIsGenerating(true);
+        try {
+            const formData = new FormData();
+            formData.append('action', 'generate_pixel_perfect_code');
+            // Upload order is the navigation order of the generated stack
+            uploadedScreens.forEach((screen, index) => {
+                formData.append('images', screen.file);
+                formData.append('screenOrder', index);
+            });
+            formData.append('platform', platform);
+            formData.append('framework', target);
+            formData.append('styling', projectStyling);
+            formData.append('architecture', architecture);
+            formData.append('customLogic', customLogic);
+            formData.append('routing', routing);
+
+            const response = await fetch('https://digital-studio-vm.vercel.app/api/generate-code', {
+                method: 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+            if (result.success) {
+                setGeneratedCode(result.mainCode);
+                setGeneratedProject(result);
+                setCurrentScreen(2);
+            }
+        } catch (error) {
+            console.error('Code generation failed:', error);
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const handleDownload = () => {
+        if (!generatedProject?.projectFiles) return;
+
+        import('jszip').then(JSZip => {
+            const zip = new JSZip.default();
+            Object.entries(generatedProject.projectFiles).forEach(([filePath, content]) => {
+                zip.file(filePath, content);
+            });
+
+            zip.generateAsync({ type: "blob" }).then(content => {
+                const url = URL.createObjectURL(content);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `digital-studio-${platform}-project.zip`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            });
+        }).catch(error => {
+            console.error('Error creating ZIP:', error);
+        });
+    };
+
+    const renderScreen1 = () => (
+        <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 text-gray-300">
+            {/* Enhanced Top Header with Better Spacing */}
+            <div className="bg-gradient-to-r from-gray-900 to-gray-800 border-b border-gray-700/50 backdrop-blur-sm px-4 py-3 shadow-xl">
+                <div className="flex items-center justify-between w-full">
+                    <div className="flex items-center space-x-4">
+                        <button 
+                            onClick={() => onNavigate('landing')}
+                            className="group bg-gradient-to-r from-gray-700 to-gray-600 hover:from-gray-600 hover:to-gray-500 text-gray-200 px-3 py-2 rounded-lg transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 border border-gray-600/30 focus:outline-none focus:ring-2 focus:ring-blue-400/50"
+                            aria-label="Go back to landing page"
+                        >
+                            <div className="flex items-center space-x-2">
+                                <svg className="w-3 h-3 group-hover:transform group-hover:-translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path>
+                                </svg>
+                                <span className="font-medium text-xs">Back</span>
+                            </div>
+                        </button>
+                        <div className="space-y-0">
+                            <h1 className="text-xl font-bold text-white">VM Digital Studio</h1>
+                        </div>
+                    </div>
+                    
+                    {/* Enhanced Configuration Cards with Better Visual Hierarchy */}
+                    <div className="flex items-center space-x-3">
+                        {/* Target Selection */}
+                        <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
+                            <h3 className="text-sm font-bold text-white mb-3">Choose Target</h3>
+                            <div className="grid grid-cols-2 gap-2">
+                                {['Flutter', 'React Native'].map((option) => (
+                                    <button
+                                        key={option}
+                                        onClick={() => setTarget(option)}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                                            target === option
+                                                ? 'bg-blue-500 text-white border border-blue-400'
+                                                : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
+                                        }`}
+                                    >
+                                        {option}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Architecture Selection */}
+                        <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
+                            <h3 className="text-sm font-bold text-white mb-3">Choose Architecture</h3>
+                            <div className="grid grid-cols-2 gap-2">
+                                {['MVVM', 'MVC', 'Component-Based', 'Clean Architecture'].map((option) => (
+                                    <button
+                                        key={option}
+                                        onClick={() => setArchitecture(option)}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                                            architecture === option
+                                                ? 'bg-blue-500 text-white border border-blue-400'
+                                                : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
+                                        }`}
+                                    >
+                                        {option}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Styling Selection */}
+                        <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
+                            <h3 className="text-sm font-bold text-white mb-3">Choose Styling</h3>
+                            <div className="grid grid-cols-2 gap-2">
+                                {['StyleSheet', 'NativeWind'].map((option) => (
+                                    <button
+                                        key={option}
+                                        onClick={() => setStyling(option)}
+                                        disabled={target === 'Flutter'}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                                            styling === option
+                                                ? 'bg-blue-500 text-white border border-blue-400'
+                                                : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
+                                        }`}
+                                    >
+                                        {option}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Enhanced Screen Navigation */}
+                    <div className="flex items-center space-x-3">
+                        <div className="flex space-x-2">
+                            <button 
+                                onClick={() => setCurrentScreen(1)}
+                                className={`w-8 h-8 rounded-lg border-2 flex items-center justify-center text-xs font-bold transition-all duration-300 transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-blue-400/50 ${
+                                    currentScreen === 1 
+                                        ? 'border-blue-400 text-blue-400 bg-blue-400/10 shadow-lg shadow-blue-400/20' 
+                                        : 'border-gray-600 text-gray-600 hover:border-gray-500 hover:text-gray-500'
+                                }`}
+                                aria-label="Go to screen 1"
+                            >
+                                1
+                            </button>
+                            <button 
+                                onClick={() => setCurrentScreen(2)}
+                                className={`w-8 h-8 rounded-lg border-2 flex items-center justify-center text-xs font-bold transition-all duration-300 transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-blue-400/50 ${
+                                    currentScreen === 2 
+                                        ? 'border-blue-400 text-blue-400 bg-blue-400/10 shadow-lg shadow-blue-400/20' 
+                                        : 'border-gray-600 text-gray-600 hover:border-gray-500 hover:text-gray-500'
+                                }`}
+                                aria-label="Go to screen 2"
+                            >
+                                2
+                            </button>
+                        </div>
+                        <div className="w-8 h-8 bg-gradient-to-br from-gray-700 to-gray-600 rounded-lg flex items-center justify-center shadow-lg border border-gray-600/30">
+                            <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+                            </svg>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Enhanced Main Content Area */}
+            <div className="flex h-[calc(100vh-88px)] w-full px-6">
+                {/* Enhanced Left Sidebar - Import/Upload Section */}
+                <div className="w-72 bg-gradient-to-b from-gray-900 to-gray-800 border-r border-gray-700/50 p-4">
+                    <div className="bg-gradient-to-br from-gray-800 to-gray-700 border border-gray-600/50 rounded-xl p-6 h-full shadow-2xl backdrop-blur-sm">
+                        <div className="flex items-center space-x-3 mb-6">
+                            <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
+                            <h3 className="text-lg font-bold text-gray-200">Import / Upload Screens</h3>
+                        </div>
+                        <div className="space-y-4">
+                            <button 
+                                onClick={() => setShowFigmaModal(true)}
+                                className="w-full flex items-center justify-center space-x-3 py-2 px-4 bg-teal-500 hover:bg-teal-600 text-white rounded-full transition-all duration-300 border border-teal-400"
+                            >
+                                <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+                                </svg>
+                                <span className="text-white font-medium text-sm">Import from Figma</span>
+                            </button>
+                            
+                            <button 
+                                onClick={() => setShowGitHubModal(true)}
+                                className="w-full flex items-center justify-center space-x-3 py-2 px-4 bg-transparent hover:bg-gray-700 text-white border border-gray-600 rounded-full transition-all duration-300"
+                            >
+                                <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 24 24">
+                                    <path d="M12 .5C5.73.5.5 5.73.5 12c0 5.08 3.29 9.39 7.86 10.91.58.11.79-.25.79-.56 0-.28-.01-1.02-.02-2-3.2.7-3.88-1.54-3.88-1.54-.53-1.34-1.3-1.7-1.3-1.7-1.06-.72.08-.71.08-.71 1.17.08 1.78 1.2 1.78 1.2 1.04 1.78 2.73 1.27 3.4.97.11-.75.41-1.27.74-1.56-2.55-.29-5.23-1.28-5.23-5.7 0-1.26.45-2.29 1.19-3.1-.12-.29-.52-1.46.11-3.05 0 0 .97-.31 3.18 1.18a11.1 11.1 0 012.9-.39c.98 0 1.97.13 2.9.39 2.2-1.49 3.17-1.18 3.17-1.18.63 1.59.23 2.76.11 3.05.74.81 1.19 1.84 1.19 3.1 0 4.43-2.69 5.41-5.25 5.7.42.36.79 1.09.79 2.2 0 1.59-.01 2.87-.01 3.26 0 .31.21.68.8.56C20.71 21.39 24 17.08 24 12c0-6.27-5.23-11.5-12-11.5z"/>
+                                </svg>
+                                <span className="text-white font-medium text-sm">Import from GitHub</span>
+                            </button>
+                            
+                            <div className="mt-6">
+                                <label className={`flex items-center justify-center w-full p-6 border-2 border-dashed rounded-lg transition-all duration-300 cursor-pointer transform hover:-translate-y-0.5 focus-within:ring-2 focus-within:ring-blue-400/50 ${
+                                    isDragging 
+                                        ? 'border-blue-400 bg-blue-400/10' 
+                                        : 'border-gray-600 bg-gradient-to-br from-gray-700 to-gray-600 hover:from-gray-600 hover:to-gray-500'
+                                }`}
+                                onDragOver={handleDragOver}
+                                onDragLeave={handleDragLeave}
+                                onDrop={handleDrop}
+                                >
+                                    <div className="text-center">
+                                        <div className={`w-12 h-12 rounded-lg flex items-center justify-center mx-auto mb-3 transition-all duration-300 ${
+                                            isDragging 
+                                                ? 'bg-blue-500 scale-110' 
+                                                : 'bg-gradient-to-br from-blue-500 to-purple-500'
+                                        }`}>
+                                            <svg className={`w-6 h-6 text-white transition-all duration-300 ${isDragging ? 'animate-bounce' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"></path>
+                                            </svg>
+                                        </div>
+                                        <span className="text-gray-200 font-medium text-sm block mb-1">
+                                            {isDragging ? 'Drop files here' : 'Upload your screens'}
+                                        </span>
+                                        <span className="text-gray-400 text-xs">Drag & drop or click to browse</span>
+                                    </div>
+                                    <input
+                                        type="file"
+                                        multiple
+                                        accept="image/*"
+                                        onChange={(e) => handleFileUpload(e.target.files)}
+                                        className="hidden"
+                                    />
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Enhanced Main Area - Screen Order Display */}
+                <div className="flex-1 p-4">
+                    <div className="bg-gradient-to-br from-gray-800 to-gray-700 border border-gray-600/50 rounded-xl p-6 h-[calc(100vh-200px)] shadow-2xl backdrop-blur-sm relative max-w-4xl mx-auto">
+                        <div className="flex items-center space-x-3 mb-6">
+                            <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
+                            <h3 className="text-lg font-bold text-white">Cross-Platform Screen Flow Preview</h3>
+                        </div>
+                        
+                        {/* Progress Indicator */}
+                        <div className="flex items-center space-x-2 mb-4">
+                            <div className="flex space-x-2">
+                                {[1, 2, 3, 4].map((step) => (
+                                    <div
+                                        key={step}
+                                        className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${
+                                            step === 1
+                                                ? 'bg-teal-500 text-white'
+                                                : 'bg-gray-600 text-white'
+                                        }`}
+                                    >
+                                        {step}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {uploadedScreens.length === 0 ? (
+                            <div className="flex items-center justify-center h-[calc(100%-120px)] border-2 border-dashed border-blue-300 rounded-xl bg-gray-800">
+                                <div className="text-center">
+                                    <div className="w-16 h-16 bg-gray-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                                        <svg className="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"></path>
+                                        </svg>
+                                    </div>
+                                    <p className="text-white font-medium mb-1">Upload images to see the cross-platform screen flow</p>
+                                    <p className="text-gray-400 text-sm">Drag screens from sidebar to arrange order</p>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="space-y-4">
+                                <div className="grid grid-cols-4 gap-4">
+                                    {uploadedScreens.map((screen, index) => (
+                                        <div key={screen.id} className="group aspect-square border-2 border-dotted border-gray-600/50 rounded-xl flex items-center justify-center bg-gradient-to-br from-gray-700 to-gray-600 overflow-hidden shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-105">
+                                            <img src={screen.url} alt={screen.name} className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300" />
+                                            <div className="absolute top-2 left-2 bg-black/50 text-white text-xs px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+                                                {index + 1}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                        
+                        {/* Enhanced Submit Button */}
+                        <div className="absolute bottom-6 right-6">
+                            <button
+                                onClick={() => setCurrentScreen(2)}
+                                disabled={uploadedScreens.length === 0}
+                                className="group bg-blue-500 hover:bg-blue-600 disabled:bg-gray-700 disabled:text-gray-500 text-white font-semibold py-2.5 px-5 rounded-full transition-all duration-300 shadow-xl hover:shadow-2xl transform hover:-translate-y-1 disabled:transform-none focus:outline-none focus:ring-2 focus:ring-blue-400/50 border border-blue-400"
+                                aria-label="Generate cross-platform code"
+                            >
+                                <div className="flex items-center space-x-2">
+                                    <span>Generate {target} Code</span>
+                                    <svg className="w-4 h-4 group-hover:transform group-hover:translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7l5 5m0 0l-5 5m5-5H6"></path>
+                                    </svg>
+                                </div>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+
+    const renderScreen2 = () => (
+        <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 text-gray-300">
+            {/* Top Header with Navigation */}
+            <div className="bg-gradient-to-r from-gray-900 to-gray-800 border-b border-gray-700/50 backdrop-blur-sm px-8 py-6 shadow-xl">
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-8">
+                        <button 
+                            onClick={() => onNavigate('landing')}
+                            className="group bg-gradient-to-r from-gray-700 to-gray-600 hover:from-gray-600 hover:to-gray-500 text-gray-200 px-6 py-3 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 border border-gray-600/30"
+                        >
+                            <div className="flex items-center space-x-2">
+                                <svg className="w-4 h-4 group-hover:transform group-hover:-translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path>
+                                </svg>
+                                <span className="font-semibold">Back</span>
+                            </div>
+                        </button>
+                        <div className="space-y-1">
+                            <h2 className="text-3xl font-bold bg-gradient-to-r from-gray-200 to-gray-400 bg-clip-text text-transparent">Cross-Platform Studio</h2>
+                        </div>
+                    </div>
+                    
+                    {/* Screen Navigation */}
+                    <div className="flex items-center space-x-4">
+                        <div className="flex space-x-3">
+                            <button 
+                                onClick={() => setCurrentScreen(1)}
+                                className={`w-10 h-10 rounded-xl border-2 flex items-center justify-center text-sm font-bold transition-all duration-300 transform hover:scale-110 ${
+                                    currentScreen === 1 
+                                        ? 'border-blue-400 text-blue-400 bg-blue-400/10 shadow-lg shadow-blue-400/20' 
+                                        : 'border-gray-600 text-gray-600 hover:border-gray-500 hover:text-gray-500'
+                                }`}
+                            >
+                                1
+                            </button>
+                            <button 
+                                onClick={() => setCurrentScreen(2)}
+                                className={`w-10 h-10 rounded-xl border-2 flex items-center justify-center text-sm font-bold transition-all duration-300 transform hover:scale-110 ${
+                                    currentScreen === 2 
+                                        ? 'border-blue-400 text-blue-400 bg-blue-400/10 shadow-lg shadow-blue-400/20' 
+                                        : 'border-gray-600 text-gray-600 hover:border-gray-500 hover:text-gray-500'
+                                }`}
+                            >
+                                2
+                            </button>
+                        </div>
+                        <div className="w-10 h-10 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl flex items-center justify-center shadow-lg border border-gray-600/30">
+                            <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+                            </svg>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Main Content Area */}
+            <div className="p-8">
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 w-full">
+                    {/* Left Panel - Code Generation */}
+                    <div className="bg-gradient-to-br from-gray-800 to-gray-700 border border-gray-600/50 rounded-2xl p-8 shadow-2xl backdrop-blur-sm">
+                        <h3 className="text-xl font-bold text-gray-200 mb-6">{target} Code Generation Progress</h3>
+                        {isGenerating && (
+                            <div className="space-y-4">
+                                <div className="flex items-center space-x-4 p-4 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl border border-gray-600/30">
+                                    <div className="w-4 h-4 bg-blue-400 rounded-full animate-pulse shadow-lg"></div>
+                                    <span className="text-gray-200 font-medium">Generating {target} screens...</span>
+                                </div>
+                                <div className="flex items-center space-x-4 p-4 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl border border-gray-600/30">
+                                    <div className="w-4 h-4 bg-blue-400 rounded-full animate-pulse shadow-lg"></div>
+                                    <span className="text-gray-200 font-medium">Implementing {architecture} architecture...</span>
+                                </div>
+                                <div className="flex items-center space-x-4 p-4 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl border border-gray-600/30">
+                                    <div className="w-4 h-4 bg-blue-400 rounded-full animate-pulse shadow-lg"></div>
+                                    <span className="text-gray-200 font-medium">Setting up {target === 'Flutter' ? 'Material 3 theme' : `${styling} styling`}...</span>
+                                </div>
+                                <div className="flex items-center space-x-4 p-4 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl border border-gray-600/30 opacity-50">
+                                    <div className="w-4 h-4 bg-gray-600 rounded-full"></div>
+                                    <span className="text-gray-400">Finalizing project structure...</span>
+                                </div>
+                            </div>
+                        )}
+                        {!isGenerating && (
+                            <button
+                                onClick={handleGenerateCode}
+                                className="group bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-bold py-4 px-8 rounded-2xl transition-all duration-300 shadow-xl hover:shadow-2xl transform hover:-translate-y-1"
+                            >
+                                <div className="flex items-center space-x-2">
+                                    <span>Generate {target} Code</span>
+                                    <svg className="w-5 h-5 group-hover:transform group-hover:rotate-180 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                                    </svg>
+                                </div>
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Right Panel - Preview */}
+                    <div className="bg-gradient-to-br from-gray-800 to-gray-700 border border-gray-600/50 rounded-2xl p-8 shadow-2xl backdrop-blur-sm">
+                        <h3 className="text-xl font-bold text-gray-200 mb-6">{target} Code Preview</h3>
+                        {generatedCode ? (
+                            <pre className="bg-gradient-to-br from-gray-700 to-gray-600 p-6 rounded-xl text-sm text-gray-200 overflow-auto max-h-96 border border-gray-600/30 shadow-inner">
+                                <code>{generatedCode}</code>
+                            </pre>
+                        ) : (
+                            <div className="text-gray-400 text-center py-12 bg-gradient-to-br from-gray-700 to-gray-600 rounded-xl border border-gray-600/30">
+                                <svg className="w-12 h-12 text-gray-500 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"></path>
+                                </svg>
+                                <p className="text-lg">Generated {target} code will appear here</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Action Buttons */}
+                                    <div className="mt-8 flex justify-end space-x-4 w-full">
+                    <button
+                        onClick={() => setShowLogicPopup(true)}
+                        className="group bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                    >
+                        <div className="flex items-center space-x-2">
+                            <span>Add Logic</span>
+                            <svg className="w-4 h-4 group-hover:transform group-hover:rotate-12 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
+                            </svg>
+                        </div>
+                    </button>
+                    <button
+                        onClick={handleDownload}
+                        disabled={!generatedProject?.projectFiles}
+                        className="group bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 disabled:from-gray-700 disabled:to-gray-600 disabled:text-gray-500 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 disabled:transform-none disabled:hover:shadow-xl"
+                    >
+                        <div className="flex items-center space-x-2">
+                            <svg className="w-4 h-4 group-hover:transform group-hover:-translate-y-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
+                            </svg>
+                            <span>Download {target} Project</span>
+                        </div>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+
+    const renderLogicPopup = () => (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+            <div className="bg-gradient-to-br from-gray-800 to-gray-700 border border-gray-600/50 rounded-2xl p-8 w-full max-w-md shadow-2xl backdrop-blur-sm">
+                <h3 className="text-xl font-bold text-gray-200 mb-6">Add Logic & Navigation</h3>
+                <div className="space-y-6">
+                    <div>
+                        <label className="block text-gray-200 mb-3 font-medium">Custom Logic</label>
+                        <textarea
+                            value={customLogic}
+                            onChange={(e) => setCustomLogic(e.target.value)}
+                            placeholder="Enter any custom app logic or business rules..."
+                            className="w-full p-4 bg-gradient-to-br from-gray-700 to-gray-600 border border-gray-600/30 rounded-xl text-gray-200 resize-none h-24 shadow-inner"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-gray-200 mb-3 font-medium">Navigation</label>
+                        <textarea
+                            value={routing}
+                            onChange={(e) => setRouting(e.target.value)}
+                            placeholder="Describe navigation between screens..."
+                            className="w-full p-4 bg-gradient-to-br from-gray-700 to-gray-600 border border-gray-600/30 rounded-xl text-gray-200 resize-none h-24 shadow-inner"
+                        />
+                    </div>
+                    <div className="flex space-x-4">
+                        <button
+                            onClick={() => setShowLogicPopup(false)}
+                            className="flex-1 bg-gradient-to-r from-gray-600 to-gray-500 hover:from-gray-500 hover:to-gray-400 text-gray-200 font-bold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={() => {
+                                setShowLogicPopup(false);
+                                handleGenerateCode();
+                            }}
+                            className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                        >
+                            Apply & Generate
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="relative">
+            {currentScreen === 1 && renderScreen1()}
+            {currentScreen === 2 && renderScreen2()}
+            {showLogicPopup && renderLogicPopup()}
+            
+            {/* Figma Import Modal */}
+            <FigmaImportModal
+                isOpen={showFigmaModal}
+                onClose={() => setShowFigmaModal(false)}
+                onImport={handleFigmaImport}
+                platform={platform}
+                framework={target}
+                styling={projectStyling}
+                architecture={architecture}
+            />
+            
+            {/* GitHub Import Modal */}
+            <GitHubImportModal
+                isOpen={showGitHubModal}
+                onClose={() => setShowGitHubModal(false)}
+                onImport={handleGitHubImport}
+                platform={platform}
+                framework={target}
+                styling={projectStyling}
+                architecture={architecture}
+            />
+        </div>
+    );
+};
+
+export default CrossPlatformLabFlow; 
\ No newline at end of file
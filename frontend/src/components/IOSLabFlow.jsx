@@ -7,8 +7,10 @@ const IOSLabFlow = ({ onNavigate }) => {
     const [language, setLanguage] = useState('Swift');
     const [architecture, setArchitecture] = useState('MVVM');
     const [uiFramework, setUiFramework] = useState('SwiftUI');
+    const [projectFormat, setProjectFormat] = useState('Xcode');
     const [uploadedScreens, setUploadedScreens] = useState([]);
     const [generatedCode, setGeneratedCode] = useState('');
+    const [generatedProject, setGeneratedProject] = useState(null);
     const [isGenerating, setIsGenerating] = useState(false);
     const [showLogicPopup, setShowLogicPopup] = useState(false);
     const [customLogic, setCustomLogic] = useState('');
@@ -79,6 +81,7 @@ const IOSLabFlow = ({ onNavigate }) => {
             
             if (data.success) {
                 setGeneratedCode(data.mainCode || '// Generated code will appear here');
+                setGeneratedProject(data.projectFiles ? data : null);
                 setCurrentScreen(2);
             } else {
                 throw new Error(data.error || 'Import failed');
@@ -119,6 +122,7 @@ const IOSLabFlow = ({ onNavigate }) => {
             
             if (data.success) {
                 setGeneratedCode(data.mainCode || '// Generated code will appear here');
+                setGeneratedProject(data.projectFiles ? data : null);
                 setCurrentScreen(2);
             } else {
                 throw new Error(data.error || 'Import failed');
@@ -140,10 +144,12 @@ const IOSLabFlow = ({ onNavigate }) => {
             uploadedScreens.forEach(screen => {
                 formData.append('images', screen.file);
             });
-            formData.append('platform', 'ios');
+            // Flutter and React Native have their own cross-platform generators
+            formData.append('platform', { Flutter: 'flutter', 'React Native': 'react-native' }[uiFramework] || 'ios');
             formData.append('framework', language);
             formData.append('architecture', architecture);
             formData.append('uiFramework', uiFramework);
+            formData.append('iosLayout', projectFormat === 'Swift Package' ? 'spm' : 'xcodeproj');
             formData.append('customLogic', customLogic);
             formData.append('routing', routing);
 
@@ -154,7 +160,8 @@ const IOSLabFlow = ({ onNavigate }) => {
 
             const result = await response.json();
             if (result.success) {
-                setGeneratedCode(result.code);
+                setGeneratedCode(result.mainCode);
+                setGeneratedProject(result);
                 setCurrentScreen(2);
             }
         } catch (error) {
@@ -165,13 +172,27 @@ const IOSLabFlow = ({ onNavigate }) => {
     };
 
     const handleDownload = () => {
-        const element = document.createElement('a');
-        const file = new Blob([generatedCode], { type: 'text/plain' });
-        element.href = URL.createObjectURL(file);
-        element.download = 'ios-app.zip';
-        document.body.appendChild(element);
-        element.click();
-        document.body.removeChild(element);
+        if (!generatedProject?.projectFiles) return;
+
+        import('jszip').then(JSZip => {
+            const zip = new JSZip.default();
+            Object.entries(generatedProject.projectFiles).forEach(([filePath, content]) => {
+                zip.file(filePath, content);
+            });
+
+            zip.generateAsync({ type: "blob" }).then(content => {
+                const url = URL.createObjectURL(content);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `digital-studio-${generatedProject.platform || 'ios'}-project.zip`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            });
+        }).catch(error => {
+            console.error('Error creating ZIP:', error);
+        });
     };
 
     // GitHub connection functions
@@ -287,7 +308,11 @@ const IOSLabFlow = ({ onNavigate }) => {
                                 {['Swift', 'Objective-C'].map((option) => (
                                     <button
                                         key={option}
-                                        onClick={() => setLanguage(option)}
+                                        onClick={() => {
+                                            setLanguage(option);
+                                            // Objective-C projects only ship as an Xcode project
+                                            if (option === 'Objective-C') setProjectFormat('Xcode');
+                                        }}
                                         className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
                                             language === option
                                                 ? 'bg-blue-500 text-white border border-blue-400'
@@ -339,6 +364,27 @@ const IOSLabFlow = ({ onNavigate }) => {
                                 ))}
                             </div>
                         </div>
+
+                        {/* Project Format Selection */}
+                        <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
+                            <h3 className="text-sm font-bold text-white mb-3">Project Format</h3>
+                            <div className="grid grid-cols-2 gap-2">
+                                {['Xcode', 'Swift Package'].map((option) => (
+                                    <button
+                                        key={option}
+                                        onClick={() => setProjectFormat(option)}
+                                        disabled={option === 'Swift Package' && language === 'Objective-C'}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                                            projectFormat === option
+                                                ? 'bg-blue-500 text-white border border-blue-400'
+                                                : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
+                                        }`}
+                                    >
+                                        {option}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
                     </div>
 
                     {/* Enhanced Screen Navigation */}
@@ -670,7 +716,7 @@ const IOSLabFlow = ({ onNavigate }) => {
                     </button>
                     <button
                         onClick={handleDownload}
-                        disabled={!generatedCode}
+                        disabled={!generatedProject?.projectFiles}
                         className="group bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 disabled:from-gray-700 disabled:to-gray-600 disabled:text-gray-500 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 disabled:transform-none disabled:hover:shadow-xl"
                     >
                         <div className="flex items-center space-x-2">
@@ -1,6 +1,13 @@
 import React, { useState } from 'react';
 
-const ProjectFileExplorer = ({ projectFiles, onFileSelect, selectedFile }) => {
+// Badges for files changed since the version being compared against
+const changeBadges = {
+  added: { label: 'A', className: 'text-green-400' },
+  modified: { label: 'M', className: 'text-yellow-400' },
+  removed: { label: 'D', className: 'text-red-400' }
+};
+
+const ProjectFileExplorer = ({ projectFiles, onFileSelect, selectedFile, changes = {} }) => {
   const [expandedFolders, setExpandedFolders] = useState(new Set(['src', 'public']));
 
   const getFileIcon = (fileName) => {
@@ -8,6 +15,8 @@ const ProjectFileExplorer = ({ projectFiles, onFileSelect, selectedFile }) => {
     const iconMap = {
       'jsx': '⚛️',
       'js': '📄',
+      'tsx': '⚛️',
+      'ts': '📄',
       'json': '⚙️',
       'css': '🎨',
       'html': '🌐',
@@ -77,6 +86,7 @@ const ProjectFileExplorer = ({ projectFiles, onFileSelect, selectedFile }) => {
         </div>
       );
     } else {
+      const badge = changeBadges[changes[fullPath]];
       return (
         <div 
           key={fullPath}
@@ -88,6 +98,7 @@ const ProjectFileExplorer = ({ projectFiles, onFileSelect, selectedFile }) => {
         >
           <span className="mr-2">{getFileIcon(name)}</span>
           <span className={isSelected ? 'text-white font-medium' : 'text-gray-200'}>{name}</span>
+          {badge && <span className={`ml-auto text-xs font-bold ${badge.className}`}>{badge.label}</span>}
         </div>
       );
     }
@@ -19,6 +19,7 @@ const PrototypeLabFlow = ({ onNavigate }) => {
     const [framework, setFramework] = useState('React');
     const [styling, setStyling] = useState('Tailwind CSS');
     const [architecture, setArchitecture] = useState('Component-Based');
+    const [language, setLanguage] = useState('javascript');
     const [uploadedScreens, setUploadedScreens] = useState([]);
     const [screenOrder, setScreenOrder] = useState([]);
     const [draggedItem, setDraggedItem] = useState(null);
@@ -48,6 +49,7 @@ const PrototypeLabFlow = ({ onNavigate }) => {
         framework: 'React',
         styling: 'Tailwind CSS',
         architecture: 'Component-Based',
+        language: 'javascript',
         customLogic: '',
         routing: '',
         generatedCode: '',
@@ -182,6 +184,8 @@ const PrototypeLabFlow = ({ onNavigate }) => {
             formData.append('framework', framework);
             formData.append('styling', styling);
             formData.append('architecture', architecture);
+            // Only React has a language choice; a TypeScript pick left over from it is rejected for Vue and SvelteKit
+            formData.append('language', framework === 'React' ? language : 'javascript');
             formData.append('customLogic', customLogic);
             formData.append('routing', routing);
             formData.append('includeAnalysis', 'true'); // Request component analysis
@@ -205,6 +209,7 @@ const PrototypeLabFlow = ({ onNavigate }) => {
             
             setGeneratedProject(data);
             setGeneratedCode(data.mainCode || '// Generated code will appear here');
+            setSelectedFile(data.projectFiles?.['src/App.tsx'] ? 'src/App.tsx' : 'src/App.jsx');
             
             // Set component analysis if available
             if (data.analysis) {
@@ -492,6 +497,7 @@ Generated on: ${new Date().toISOString()}
             framework,
             styling,
             architecture,
+            language,
             customLogic,
             routing,
             generatedCode,
@@ -511,6 +517,7 @@ Generated on: ${new Date().toISOString()}
             setFramework(parsedSession.framework || 'React');
             setStyling(parsedSession.styling || 'Tailwind CSS');
             setArchitecture(parsedSession.architecture || 'Component-Based');
+            setLanguage(parsedSession.language || 'javascript');
             setCustomLogic(parsedSession.customLogic || '');
             setRouting(parsedSession.routing || '');
             setGeneratedCode(parsedSession.generatedCode || '');
@@ -638,7 +645,7 @@ Generated on: ${new Date().toISOString()}
     // Save session data when important data changes
     useEffect(() => {
         saveSessionData();
-    }, [uploadedScreens, screenOrder, framework, styling, architecture, customLogic, routing, generatedCode, generatedProject]);
+    }, [uploadedScreens, screenOrder, framework, styling, architecture, language, customLogic, routing, generatedCode, generatedProject]);
 
     // Preview-only mode toggle
     const togglePreviewOnly = () => {
@@ -698,6 +705,28 @@ Generated on: ${new Date().toISOString()}
                             </div>
                         </div>
 
+                        {/* Language Selection (React output) */}
+                        {framework === 'React' && (
+                            <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
+                                <h3 className="text-sm font-bold text-white mb-3">Choose Language</h3>
+                                <div className="grid grid-cols-2 gap-2">
+                                    {[['javascript', 'JavaScript'], ['typescript', 'TypeScript']].map(([value, label]) => (
+                                        <button
+                                            key={value}
+                                            onClick={() => setLanguage(value)}
+                                            className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                                                language === value
+                                                    ? 'bg-blue-500 text-white border border-blue-400'
+                                                    : 'bg-transparent text-gray-200 border border-gray-600 hover:border-gray-500'
+                                            }`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Styling Selection */}
                         <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 min-w-[160px]">
                             <h3 className="text-sm font-bold text-white mb-3">Choose Styling</h3>
@@ -1088,12 +1117,14 @@ Generated on: ${new Date().toISOString()}
                                         </div>
                                         <div className="flex items-center space-x-2 text-gray-300">
                                             <span className="text-green-400">📄</span>
-                                            <span>src/App.jsx</span>
+                                            <span>{generatedProject.projectFiles?.['src/App.tsx'] ? 'src/App.tsx' : 'src/App.jsx'}</span>
                                         </div>
-                                        {screenOrder.filter(Boolean).map((screen, index) => (
-                                            <div key={index} className="flex items-center space-x-2 text-gray-300">
+                                        {(generatedProject.pages?.map(page => page.path) ||
+                                            screenOrder.filter(Boolean).map((screen, index) => `src/components/Screen${index + 1}.jsx`)
+                                        ).map(filePath => (
+                                            <div key={filePath} className="flex items-center space-x-2 text-gray-300">
                                                 <span className="text-purple-400">📄</span>
-                                                <span>src/components/Screen{index + 1}.jsx</span>
+                                                <span>{filePath}</span>
                                             </div>
                                         ))}
                                         <div className="flex items-center space-x-2 text-gray-300">
@@ -1179,7 +1210,7 @@ Generated on: ${new Date().toISOString()}
                             <h3 className="text-xl font-bold text-gray-200">Generated Code</h3>
                             <div className="flex space-x-2 overflow-x-auto">
                                 {generatedProject?.projectFiles ? Object.keys(generatedProject.projectFiles)
-                                    .filter(filePath => filePath.endsWith('.jsx') || filePath.endsWith('.js') || filePath.endsWith('.css') || filePath.endsWith('.json'))
+                                    .filter(filePath => /\.(jsx?|tsx?|css|json)$/.test(filePath))
                                     .map(filePath => {
                                         const fileName = filePath.split('/').pop();
                                         const isActive = selectedFile === filePath;
@@ -1367,14 +1398,18 @@ Generated on: ${new Date().toISOString()}
                                     <div 
                                         key={index}
                                         className="bg-gradient-to-br from-gray-700 to-gray-600 rounded-lg p-3 border border-gray-600/30 cursor-pointer hover:shadow-lg transition-all duration-300 transform hover:-translate-y-0.5"
-                                        onClick={() => setSelectedScreenIndex(index)}
+                                        onClick={() => {
+                                            setSelectedScreenIndex(index);
+                                            const page = generatedProject?.pages?.[index];
+                                            if (page) setSelectedFile(page.path);
+                                        }}
                                     >
                                         <div className="flex items-center space-x-3">
                                             <div className="w-12 h-12 rounded-lg overflow-hidden bg-gradient-to-br from-gray-600 to-gray-500">
                                                 <img src={screen.url} alt={screen.name} className="w-full h-full object-cover" />
                                             </div>
                                             <div className="flex-1">
-                                                <h4 className="text-sm font-semibold text-gray-200">Screen {index + 1}</h4>
+                                                <h4 className="text-sm font-semibold text-gray-200">{generatedProject?.pages?.[index]?.name || `Screen ${index + 1}`}</h4>
                                                 <p className="text-xs text-gray-400">{screen.name}</p>
                                             </div>
                                             <div className="w-2 h-2 bg-green-400 rounded-full"></div>
@@ -1500,7 +1535,7 @@ Generated on: ${new Date().toISOString()}
                                     <div className="bg-gradient-to-br from-gray-700 to-gray-600 rounded-lg p-4 border border-gray-600/30">
                                         <h4 className="text-sm font-semibold text-gray-200 mb-2">Generated Component</h4>
                                         <pre className="text-xs text-gray-300 overflow-auto max-h-32">
-                                            <code>{`// Screen${selectedScreenIndex + 1}.jsx
+                                            <code>{generatedProject?.projectFiles?.[generatedProject?.pages?.[selectedScreenIndex]?.path] || `// Screen${selectedScreenIndex + 1}.jsx
 import React from 'react';
 
 const Screen${selectedScreenIndex + 1} = () => {
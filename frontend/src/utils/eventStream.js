@@ -0,0 +1,53 @@
+// Reads a text/event-stream response body and calls onEvent(event, data) per message.
+// EventSource only supports GET, so POSTed FormData streams are parsed by hand here.
+export const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        }
+        if (dataLines.length === 0) return;
+        const raw = dataLines.join('\n');
+        let data = raw;
+        try {
+            data = JSON.parse(raw);
+        } catch {
+            // Non-JSON payloads are passed through as text
+        }
+        onEvent(event, data);
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+
+    if (buffer.trim()) dispatch(buffer);
+};
+
+// Maps backend generation stages onto the WorkflowStatus agents.
+export const STAGE_TO_AGENT = {
+    analysis: 'architect',
+    generation: 'builder',
+    optimization: 'composer',
+    refinement: 'finisher',
+    evaluation: 'finisher',
+};
+
+// Translates a backend stage status into the pending/running/completed/skipped/error states WorkflowStatus renders.
+export const toAgentStatus = (status) => {
+    if (status === 'running') return 'running';
+    if (status === 'error' || status === 'failed') return 'error';
+    if (status === 'skipped') return 'skipped';
+    return 'completed';
+};